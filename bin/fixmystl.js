@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * fixmystl — command-line front end to lib/fixmystl.js.
+ *   fixmystl analyze part.stl [more files…] --printer ender3 --material petg [--thickness] [--json]
+ *   fixmystl scale part.stl --factor 25.4 [--repair] [--mirror x] [--place printer] [--ascii] [-o out.stl]
+ */
+
+import { writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  PrinterFit,
+  MeshCheck,
+  MeshRepair,
+  STLExporter,
+  DEFAULT_ESTIMATE_OPTIONS,
+  DEFAULT_NOZZLE_MM,
+  PERIMETERS,
+  loadModel,
+  resolveBuildVolume,
+  resolveEstimateInputs,
+  analyzeModel,
+  repairModel,
+  scaleModel,
+  mirrorModel,
+  placeModel,
+  toBinarySTL,
+  to3MF,
+  toGLB,
+  writeASCIISTL,
+  writeOBJ
+} from '../lib/fixmystl.js';
+
+const USAGE = `Usage:
+  fixmystl analyze <file>... [options]
+  fixmystl scale <file> --factor <n> [--repair] [--mirror <axis>] [--place <mode>] [--ascii] [-o <out.stl>]
+
+Files: .stl (ASCII or binary), .3mf, .obj, .ply
+
+Analyze options:
+  --printer <key>        ${PrinterFit.PRINTERS.filter(p => !p.custom).map(p => p.key).join(', ')} (default ender3)
+  --build-volume <XxYxZ> custom build volume in mm, e.g. 300x300x400
+  --material <key>       pla, petg, abs, tpu (default ${DEFAULT_ESTIMATE_OPTIONS.material})
+  --density <g/cm3>      override the material density
+  --infill <pct>         default ${DEFAULT_ESTIMATE_OPTIONS.infill}
+  --quality <key>        draft, normal, strong (default ${DEFAULT_ESTIMATE_OPTIONS.quality})
+  --speed <key>          slow, normal, fast (default ${DEFAULT_ESTIMATE_OPTIONS.speed})
+  --filament <mm>        1.75 or 2.85 (default ${DEFAULT_ESTIMATE_OPTIONS.filamentDia})
+  --price <per kg>       filament price (default ${DEFAULT_ESTIMATE_OPTIONS.pricePerKg})
+  --overhang <deg>       overhang threshold (default ${DEFAULT_ESTIMATE_OPTIONS.overhangThreshold})
+  --orient               suggest print orientations (auto-orient)
+  --thickness            measure wall thickness and report walls too thin to print
+  --nozzle <mm>          nozzle diameter for --thickness (default ${DEFAULT_NOZZLE_MM})
+  --recover              salvage complete triangles from damaged STL files
+  --json                 one JSON object per file, one per line
+
+Scale options:
+  --factor <n>           uniform scale factor, e.g. 25.4 for inch to mm
+  -o, --output <file>    default <name>_fixed.stl next to the input; a .3mf, .obj or .glb
+                         name writes that format instead
+  --repair               remove degenerate/duplicate triangles, weld, fix winding and fill small holes
+  --max-hole <edges>     largest hole --repair fills (default ${MeshRepair.DEFAULT_MAX_HOLE_EDGES})
+  --mirror <axis>        x, y or z: mirror across that axis through the model center (left/right copy)
+  --place <mode>         origin (center at 0,0,0), bed (min Z = 0) or printer (on the bed center
+                         of --printer / --build-volume, min Z = 0)
+  --offset <x,y,z>       move by this many mm after placing, e.g. 0,0,5
+  --normals              OBJ: write face normals
+  --ascii                write ASCII STL instead of binary (drops colors)
+  --solid-name <name>    ASCII solid name (default the input filename)
+  --precision <digits>   ASCII digits after the decimal point, 1-9 (default ${STLExporter.DEFAULT_ASCII_PRECISION})
+`;
+
+const OPTIONS = {
+  printer: { type: 'string' },
+  'build-volume': { type: 'string' },
+  material: { type: 'string' },
+  density: { type: 'string' },
+  infill: { type: 'string' },
+  quality: { type: 'string' },
+  speed: { type: 'string' },
+  filament: { type: 'string' },
+  price: { type: 'string' },
+  overhang: { type: 'string' },
+  recover: { type: 'boolean' },
+  orient: { type: 'boolean' },
+  thickness: { type: 'boolean' },
+  nozzle: { type: 'string' },
+  json: { type: 'boolean' },
+  factor: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  ascii: { type: 'boolean' },
+  'solid-name': { type: 'string' },
+  precision: { type: 'string' },
+  normals: { type: 'boolean' },
+  repair: { type: 'boolean' },
+  'max-hole': { type: 'string' },
+  mirror: { type: 'string' },
+  place: { type: 'string' },
+  offset: { type: 'string' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+class UsageError extends Error {}
+
+function numberOption(values, name, fallback) {
+  if (values[name] == null) return fallback;
+  const n = Number(values[name]);
+  if (!isFinite(n)) throw new UsageError('--' + name + ' must be a number');
+  return n;
+}
+
+function printerOption(values) {
+  const bv = values['build-volume'];
+  if (!bv) return values.printer || 'ender3';
+  const m = /^(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)x(\d+(?:\.\d+)?)$/i.exec(bv);
+  if (!m) throw new UsageError('--build-volume must look like 220x220x250');
+  return { x: Number(m[1]), y: Number(m[2]), z: Number(m[3]) };
+}
+
+function estimateOptions(values) {
+  return {
+    material: values.material || DEFAULT_ESTIMATE_OPTIONS.material,
+    density: numberOption(values, 'density', null),
+    infill: numberOption(values, 'infill', DEFAULT_ESTIMATE_OPTIONS.infill),
+    quality: values.quality || DEFAULT_ESTIMATE_OPTIONS.quality,
+    speed: values.speed || DEFAULT_ESTIMATE_OPTIONS.speed,
+    filamentDia: numberOption(values, 'filament', DEFAULT_ESTIMATE_OPTIONS.filamentDia),
+    pricePerKg: numberOption(values, 'price', DEFAULT_ESTIMATE_OPTIONS.pricePerKg),
+    overhangThreshold: numberOption(values, 'overhang', DEFAULT_ESTIMATE_OPTIONS.overhangThreshold)
+  };
+}
+
+const PLACEMENT_HISTORY = { origin: ', centered', bed: ', dropped to bed', printer: ', centered on printer bed' };
+
+const FIT_LABELS = { fit: 'fits', near: 'fits, near the limit', exceed: 'does not fit' };
+
+function formatReport(r) {
+  const mm = (v) => v.toFixed(2);
+  const lines = [
+    r.filename + ' (' + r.format + ', ' + r.triangles.toLocaleString('en-US') + ' triangles)',
+    '  Size:     ' + mm(r.bbox.x) + ' × ' + mm(r.bbox.y) + ' × ' + mm(r.bbox.z) + ' mm',
+    '  Volume:   ' + (r.volumeMm3 / 1000).toFixed(2) + ' cm³',
+    '  Fit:      ' + FIT_LABELS[r.fit.status] + ' on ' + (r.printer.label || r.printer.key) +
+      ' (' + r.printer.x + ' × ' + r.printer.y + ' × ' + r.printer.z + ' mm)' +
+      (r.fit.details.length ? ': ' + r.fit.details.join(', ') : '')
+  ];
+  if (r.mass.centroidMm) {
+    const c = r.mass.centroidMm;
+    lines.push('  Mass:     ' + (r.mass.areaMm2 / 100).toFixed(2) + ' cm² surface, center of mass ' +
+      mm(c.x) + ', ' + mm(c.y) + ', ' + mm(c.z) + ' mm, ' + r.mass.solidMassG.toFixed(1) + ' g solid ' +
+      r.material.material.toUpperCase());
+    lines.push('  Inertia:  ' + r.mass.principal.momentsGmm2.map(v => Number(v.toPrecision(5))).join(', ') +
+      ' g·mm² (principal, about the center of mass)');
+  }
+  const defects = MeshCheck.describe(r.integrity);
+  lines.push('  Mesh:     ' + (r.integrity.clean ? 'watertight, no defects' : defects.join(' ')));
+  if (r.shells.length > 1) {
+    lines.push('  Shells:   ' + r.shells.length + ' disconnected (' +
+      r.shells.map(s => s.triangles).sort((a, b) => b - a).slice(0, 5).join(', ') +
+      (r.shells.length > 5 ? ', …' : '') + ' triangles)');
+  }
+  if (r.estimates) {
+    const e = r.estimates;
+    if (r.estimatesUnreliable) lines.push('  Note:     mesh is open, inside out or inconsistently wound; volume-based estimates are unreliable');
+    lines.push('  Material: ' + r.material.material.toUpperCase() + ', ' + r.material.infill + '% infill: ~' +
+      e.mass_g.toFixed(1) + ' g, ~' + e.length_m.toFixed(2) + ' m, ~$' + e.cost.toFixed(2) +
+      ', ~' + e.time_h.toFixed(1) + ' h');
+    lines.push('  Overhang: ' + e.overhang.riskPct.toFixed(1) + '% of surface beyond ' +
+      e.overhang.threshold + '° (' + e.overhang.band + ')');
+  }
+  if (r.wallThickness) {
+    const w = r.wallThickness;
+    const area = (v) => (v / 100).toFixed(2) + ' cm²';
+    lines.push('  Walls:    ' + (w.minMm == null ? 'no closed walls found'
+      : 'min ' + mm(w.minMm) + ' mm, ' + area(w.belowLimitAreaMm2) + ' below ' + mm(w.limitMm) + ' mm (' + PERIMETERS +
+        ' perimeters), ' + area(w.belowNozzleAreaMm2) + ' below the ' + w.nozzleMm + ' mm nozzle') +
+      (w.unreliable ? ' (unreliable: mesh is open, inside out or inconsistently wound)' : ''));
+  }
+  if (r.orientations) {
+    r.orientations.forEach(function (o, i) {
+      const deg = (v) => Math.round(v * 10) / 10;
+      lines.push((i === 0 ? '  Orient:   ' : '            ') + 'score ' + o.score + ': rotate ' +
+        deg(o.rotationDeg.x) + '°/' + deg(o.rotationDeg.y) + '°/' + deg(o.rotationDeg.z) + '° (X/Y/Z), Z ' +
+        mm(o.zHeight) + ' mm, overhang ' + o.overhangPct.toFixed(1) + '%, bed ' + Math.round(o.contactAreaMm2) + ' mm²');
+    });
+  }
+  if (r.provenance) {
+    const p = r.provenance;
+    lines.push('  History:  written by FixMySTL: scale ×' + p.scaleFactor + ', rotation ' +
+      p.rotationDeg.x + '°/' + p.rotationDeg.y + '°/' + p.rotationDeg.z + '° (X/Y/Z)' +
+      (p.mirror ? ', mirrored ' + p.mirror.toUpperCase() : '') +
+      (p.axisScale ? ', axis scale ×' + p.axisScale.x + '/×' + p.axisScale.y + '/×' + p.axisScale.z + ' (X/Y/Z)' : '') +
+      (PLACEMENT_HISTORY[p.placement] || '') + (p.filenameHash ? ', source hash ' + p.filenameHash : ''));
+  }
+  for (const d of r.diagnostics) {
+    lines.push('  Warning:  ' + d.message + (d.count > 1 ? ' ×' + d.count : ''));
+  }
+  return lines.join('\n');
+}
+
+async function analyze(files, values) {
+  if (!files.length) throw new UsageError('analyze needs at least one file');
+  if (values.nozzle != null && !values.thickness) throw new UsageError('--nozzle only applies with --thickness');
+  const nozzleMm = numberOption(values, 'nozzle', DEFAULT_NOZZLE_MM);
+  if (!(nozzleMm > 0)) throw new UsageError('--nozzle must be greater than 0');
+  const options = {
+    printer: printerOption(values),
+    estimate: estimateOptions(values),
+    orient: !!values.orient,
+    thickness: !!values.thickness,
+    nozzleMm
+  };
+  try {
+    resolveBuildVolume(options.printer);
+    resolveEstimateInputs(options.estimate);
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  let failed = 0;
+  for (const file of files) {
+    try {
+      const model = await loadModel(file, { recover: !!values.recover });
+      const report = analyzeModel(model, options);
+      process.stdout.write((values.json ? JSON.stringify(report) : formatReport(report)) + '\n');
+    } catch (err) {
+      failed++;
+      if (values.json) {
+        process.stdout.write(JSON.stringify({ filename: path.basename(file), error: err.message, diagnostics: err.diagnostics || [] }) + '\n');
+      } else {
+        process.stderr.write('fixmystl: ' + file + ': ' + err.message + '\n');
+      }
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+async function scale(files, values) {
+  if (files.length !== 1) throw new UsageError('scale takes exactly one file');
+  const factor = numberOption(values, 'factor', null);
+  if (!(factor > 0)) throw new UsageError('scale needs --factor greater than 0');
+  const precision = numberOption(values, 'precision', STLExporter.DEFAULT_ASCII_PRECISION);
+  if (!(precision >= 1 && precision <= 9)) throw new UsageError('--precision must be between 1 and 9');
+  const maxHoleEdges = numberOption(values, 'max-hole', MeshRepair.DEFAULT_MAX_HOLE_EDGES);
+  if (!(maxHoleEdges >= 3)) throw new UsageError('--max-hole must be at least 3');
+  const mirror = values.mirror ? values.mirror.toLowerCase() : null;
+  if (mirror && !['x', 'y', 'z'].includes(mirror)) throw new UsageError('--mirror must be x, y or z');
+  const placement = values.place || 'none';
+  if (!['none', 'origin', 'bed', 'printer'].includes(placement)) {
+    throw new UsageError('--place must be origin, bed or printer');
+  }
+  let offset = null;
+  if (values.offset != null) {
+    const parts = values.offset.split(',').map(Number);
+    if (parts.length !== 3 || !parts.every(isFinite)) throw new UsageError('--offset must look like 0,0,5');
+    offset = { x: parts[0], y: parts[1], z: parts[2] };
+  }
+  const printer = printerOption(values);
+  let model = await loadModel(files[0], { recover: !!values.recover });
+  if (values.repair) {
+    model = repairModel(model, { maxHoleEdges });
+    const changes = model.repair.changes;
+    process.stderr.write('Repair: ' + (changes.length ? changes.join(' ') : 'nothing to repair.') +
+      (model.repair.watertight ? '' : ' Still not watertight.') + '\n');
+  }
+  const out = values.output || path.join(path.dirname(files[0]), STLExporter.fixedFilename(path.basename(files[0])));
+  let vertices = scaleModel(model, factor);
+  if (mirror) vertices = mirrorModel(vertices, model.triangleCount, mirror);
+  vertices = placeModel(vertices, model.triangleCount, { mode: placement, printer, offset }).vertices;
+  const name = STLExporter.modelName(path.basename(files[0]));
+  const ext = path.extname(out).toLowerCase();
+  if (ext === '.3mf') {
+    await writeFile(out, await to3MF(vertices, model.triangleCount, {
+      title: name,
+      sourceFilename: path.basename(files[0]),
+      scaleFactor: factor
+    }));
+  } else if (ext === '.obj') {
+    await writeOBJ(out, vertices, model.triangleCount, { name, normals: !!values.normals });
+  } else if (ext === '.glb') {
+    await writeFile(out, toGLB(vertices, model.triangleCount, {
+      name,
+      extras: { sourceFilename: path.basename(files[0]), scaleFactor: factor }
+    }));
+  } else if (values.ascii) {
+    await writeASCIISTL(out, vertices, model.triangleCount, {
+      solidName: values['solid-name'] || name,
+      precision
+    });
+  } else {
+    await writeFile(out, toBinarySTL(vertices, model.triangleCount, model.colors, {
+      scaleFactor: factor,
+      mirror,
+      placement,
+      sourceFilename: path.basename(files[0])
+    }));
+  }
+  process.stderr.write('Wrote ' + out + ' (' + model.triangleCount.toLocaleString('en-US') + ' triangles, ×' + factor + ')\n');
+  return 0;
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const [command, ...files] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    process.stdout.write(USAGE);
+    return command || parsed.values.help ? 0 : 2;
+  }
+  if (command === 'analyze') return analyze(files, parsed.values);
+  if (command === 'scale') return scale(files, parsed.values);
+  throw new UsageError('unknown command "' + command + '"');
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => {
+    process.stderr.write('fixmystl: ' + err.message + '\n');
+    if (err instanceof UsageError) process.stderr.write('Run "fixmystl --help" for usage.\n');
+    process.exitCode = err instanceof UsageError ? 2 : 1;
+  }
+);
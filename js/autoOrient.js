@@ -0,0 +1,350 @@
+/**
+ * autoOrient.js — Search for a good print orientation.
+ * Candidates: the current orientation, the six axis directions, the largest flat regions of the surface
+ * and the largest convex-hull faces (stable resting sides). Each is scored on overhang area, Z height,
+ * bed contact and printer fit. Uses GEOMETRY and PrinterFit from globalThis; no DOM access.
+ */
+
+import { computeOverhangRisk } from './camTools.js';
+
+/** Score weights; the overhang term saturates at 25% of the surface (the "high" band). */
+const WEIGHTS = { overhang: 0.5, height: 0.25, contact: 0.25 };
+/** Score points lost when the model does not fit the printer, or is within 5% of an axis limit. */
+const FIT_PENALTY = { fit: 0, near: 5, exceed: 50 };
+/** Triangles scored per candidate; larger models are sampled evenly. */
+const MAX_SAMPLE_TRIANGLES = 60000;
+/** Points fed to the convex hull; larger models are sampled evenly (plus extreme points). */
+const MAX_HULL_POINTS = 2000;
+/** Candidates from surface regions and from hull faces, each. */
+const MAX_REGION_CANDIDATES = 12;
+/** Directions closer than this are the same candidate. */
+const MERGE_ANGLE_DEG = 3;
+/** A face lies on the bed when it faces down within this angle ... */
+const CONTACT_ANGLE_DEG = 2;
+/** ... and is within this distance of the lowest point, in mm. */
+const CONTACT_TOLERANCE_MM = 0.05;
+
+const DOWN = [0, 0, -1];
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function normalize(v) {
+  const len = Math.hypot(v[0], v[1], v[2]);
+  return len > 0 ? [v[0] / len, v[1] / len, v[2] / len] : null;
+}
+
+/** Quantized direction key (about 3° cells) for grouping normals. */
+function directionKey(n) {
+  return Math.round(n[0] * 20) + ',' + Math.round(n[1] * 20) + ',' + Math.round(n[2] * 20);
+}
+
+/**
+ * Largest area-weighted normal groups: directions that would put a big flat region on the bed.
+ * @param {Iterable<{ n: number[], area: number }>} faces - unit normals
+ */
+function largestRegions(faces, limit) {
+  const groups = new Map();
+  for (const { n, area } of faces) {
+    const key = directionKey(n);
+    const g = groups.get(key);
+    if (g) {
+      g.area += area;
+      g.sum[0] += n[0] * area; g.sum[1] += n[1] * area; g.sum[2] += n[2] * area;
+    } else {
+      groups.set(key, { area, sum: [n[0] * area, n[1] * area, n[2] * area] });
+    }
+  }
+  return Array.from(groups.values())
+    .sort((a, b) => b.area - a.area)
+    .slice(0, limit)
+    .map(g => ({ direction: normalize(g.sum), area: g.area }))
+    .filter(g => g.direction);
+}
+
+function* triangleFaces(vertices, triCount) {
+  for (let t = 0; t < triCount; t++) {
+    const o = t * 9;
+    const ax = vertices[o + 3] - vertices[o]; const ay = vertices[o + 4] - vertices[o + 1]; const az = vertices[o + 5] - vertices[o + 2];
+    const bx = vertices[o + 6] - vertices[o]; const by = vertices[o + 7] - vertices[o + 1]; const bz = vertices[o + 8] - vertices[o + 2];
+    const c = [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+    const len = Math.hypot(c[0], c[1], c[2]);
+    if (len > 0) yield { n: [c[0] / len, c[1] / len, c[2] / len], area: len / 2 };
+  }
+}
+
+/**
+ * Hull points: every corner for small models, otherwise an even sample plus the extreme corners along
+ * 26 directions, so the sampled hull keeps the model's outer shape.
+ */
+function hullPoints(vertices) {
+  const corners = vertices.length / 3;
+  if (corners <= MAX_HULL_POINTS) {
+    const all = [];
+    for (let c = 0; c < corners; c++) all.push([vertices[c * 3], vertices[c * 3 + 1], vertices[c * 3 + 2]]);
+    return all;
+  }
+  const dirs = [];
+  for (let x = -1; x <= 1; x++) for (let y = -1; y <= 1; y++) for (let z = -1; z <= 1; z++) if (x || y || z) dirs.push([x, y, z]);
+  const best = dirs.map(() => ({ value: -Infinity, corner: 0 }));
+  for (let c = 0; c < corners; c++) {
+    const x = vertices[c * 3]; const y = vertices[c * 3 + 1]; const z = vertices[c * 3 + 2];
+    for (let i = 0; i < dirs.length; i++) {
+      const v = dirs[i][0] * x + dirs[i][1] * y + dirs[i][2] * z;
+      if (v > best[i].value) { best[i].value = v; best[i].corner = c; }
+    }
+  }
+  const picked = new Set(best.map(b => b.corner));
+  const step = Math.ceil(corners / MAX_HULL_POINTS);
+  for (let c = 0; c < corners; c += step) picked.add(c);
+  return Array.from(picked, c => [vertices[c * 3], vertices[c * 3 + 1], vertices[c * 3 + 2]]);
+}
+
+/**
+ * Convex hull by incremental insertion. Returns outward faces with unit normal and area,
+ * or null when the points are (nearly) flat.
+ * @param {number[][]} points
+ * @returns {{ n: number[], area: number }[]|null}
+ */
+function convexHull(points) {
+  if (points.length < 4) return null;
+  const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  let extent = 0;
+  for (const p of points) extent = Math.max(extent, Math.abs(p[0]), Math.abs(p[1]), Math.abs(p[2]));
+  const eps = Math.max(extent, 1) * 1e-9;
+
+  // Initial tetrahedron from far-apart points.
+  let i0 = 0;
+  for (let i = 1; i < points.length; i++) if (points[i][0] < points[i0][0]) i0 = i;
+  let i1 = -1; let best = 0;
+  for (let i = 0; i < points.length; i++) {
+    const d = Math.hypot(...sub(points[i], points[i0]));
+    if (d > best) { best = d; i1 = i; }
+  }
+  if (i1 < 0 || best < eps) return null;
+  const axis = sub(points[i1], points[i0]);
+  let i2 = -1; best = 0;
+  for (let i = 0; i < points.length; i++) {
+    const d = Math.hypot(...cross(axis, sub(points[i], points[i0])));
+    if (d > best) { best = d; i2 = i; }
+  }
+  if (i2 < 0 || best < eps) return null;
+  const baseNormal = cross(axis, sub(points[i2], points[i0]));
+  let i3 = -1; best = 0;
+  for (let i = 0; i < points.length; i++) {
+    const d = Math.abs(dot(baseNormal, sub(points[i], points[i0])));
+    if (d > best) { best = d; i3 = i; }
+  }
+  if (i3 < 0 || best / Math.hypot(...baseNormal) < eps) return null;
+
+  let faces = [];
+  let dead = 0;
+  const edges = new Map();
+  const edgeKey = (a, b) => a * points.length + b;
+  const inside = [0, 1, 2].map(k => (points[i0][k] + points[i1][k] + points[i2][k] + points[i3][k]) / 4);
+
+  function addFace(a, b, c) {
+    let n = cross(sub(points[b], points[a]), sub(points[c], points[a]));
+    // Keep every face wound outward (away from the interior point).
+    if (dot(n, sub(inside, points[a])) > 0) { const t = b; b = c; c = t; n = [-n[0], -n[1], -n[2]]; }
+    const face = { v: [a, b, c], n, d: dot(n, points[a]), alive: true };
+    faces.push(face);
+    edges.set(edgeKey(a, b), face);
+    edges.set(edgeKey(b, c), face);
+    edges.set(edgeKey(c, a), face);
+  }
+
+  addFace(i0, i1, i2);
+  addFace(i0, i1, i3);
+  addFace(i0, i2, i3);
+  addFace(i1, i2, i3);
+
+  for (let p = 0; p < points.length; p++) {
+    if (p === i0 || p === i1 || p === i2 || p === i3) continue;
+    const pt = points[p];
+    const visible = [];
+    for (const f of faces) {
+      if (f.alive && dot(f.n, pt) - f.d > eps * Math.hypot(f.n[0], f.n[1], f.n[2])) visible.push(f);
+    }
+    if (!visible.length) continue;
+    for (const f of visible) f.alive = false;
+    dead += visible.length;
+    const horizon = [];
+    for (const f of visible) {
+      for (let k = 0; k < 3; k++) {
+        const a = f.v[k];
+        const b = f.v[(k + 1) % 3];
+        const twin = edges.get(edgeKey(b, a));
+        if (twin && twin.alive) horizon.push([a, b]);
+      }
+    }
+    for (const f of visible) {
+      for (let k = 0; k < 3; k++) {
+        const key = edgeKey(f.v[k], f.v[(k + 1) % 3]);
+        if (edges.get(key) === f) edges.delete(key);
+      }
+    }
+    for (const [a, b] of horizon) addFace(a, b, p);
+    if (dead > faces.length / 2) {
+      faces = faces.filter(f => f.alive);
+      dead = 0;
+    }
+  }
+
+  return faces.filter(f => f.alive).map(function (f) {
+    const len = Math.hypot(f.n[0], f.n[1], f.n[2]);
+    return { n: [f.n[0] / len, f.n[1] / len, f.n[2] / len], area: len / 2 };
+  });
+}
+
+/** Every k-th triangle, so scoring stays fast on big meshes. */
+function sampleTriangles(vertices, triCount) {
+  if (triCount <= MAX_SAMPLE_TRIANGLES) return { vertices, triCount };
+  const step = Math.ceil(triCount / MAX_SAMPLE_TRIANGLES);
+  const picked = [];
+  for (let t = 0; t < triCount; t += step) picked.push(t);
+  return { vertices: globalThis.GEOMETRY.gatherTriangles(vertices, picked), triCount: picked.length };
+}
+
+/** Extents of the rotated model (rows of the rotation matrix are the new axes). */
+function rotatedExtents(vertices, r) {
+  let minX = Infinity; let maxX = -Infinity;
+  let minY = Infinity; let maxY = -Infinity;
+  let minZ = Infinity; let maxZ = -Infinity;
+  for (let i = 0; i < vertices.length; i += 3) {
+    const x = vertices[i]; const y = vertices[i + 1]; const z = vertices[i + 2];
+    const rx = r[0] * x + r[1] * y + r[2] * z;
+    const ry = r[3] * x + r[4] * y + r[5] * z;
+    const rz = r[6] * x + r[7] * y + r[8] * z;
+    if (rx < minX) minX = rx; if (rx > maxX) maxX = rx;
+    if (ry < minY) minY = ry; if (ry > maxY) maxY = ry;
+    if (rz < minZ) minZ = rz; if (rz > maxZ) maxZ = rz;
+  }
+  return { x: maxX - minX, y: maxY - minY, z: maxZ - minZ, minZ };
+}
+
+/** Area of the rotated sample's faces that face down and lie on the lowest plane (the bed). */
+function contactAreaOnBed(vertices, triCount, minZ) {
+  const cosLimit = Math.cos(CONTACT_ANGLE_DEG * Math.PI / 180);
+  const limit = minZ + CONTACT_TOLERANCE_MM;
+  let area = 0;
+  for (let t = 0; t < triCount; t++) {
+    const o = t * 9;
+    if (vertices[o + 2] > limit || vertices[o + 5] > limit || vertices[o + 8] > limit) continue;
+    const ax = vertices[o + 3] - vertices[o]; const ay = vertices[o + 4] - vertices[o + 1]; const az = vertices[o + 5] - vertices[o + 2];
+    const bx = vertices[o + 6] - vertices[o]; const by = vertices[o + 7] - vertices[o + 1]; const bz = vertices[o + 8] - vertices[o + 2];
+    const cx = ay * bz - az * by;
+    const cy = az * bx - ax * bz;
+    const cz = ax * by - ay * bx;
+    const len = Math.hypot(cx, cy, cz);
+    if (len > 0 && cz / len <= -cosLimit) area += len / 2;
+  }
+  return area;
+}
+
+/**
+ * Candidate orientations for a model, best first.
+ * @param {Float32Array} vertices - current (scaled, rotated) positions in mm
+ * @param {number} triCount
+ * @param {{ build?: { x, y, z }, thresholdDeg?: number, limit?: number }} [options]
+ *   build: printer volume for the fit check; thresholdDeg: overhang angle (default 60); limit: how many to return (default 4)
+ * @returns {{
+ *   rotation: number[], down: number[], sources: string[], score: number,
+ *   overhangPct: number, overhangArea: number, zHeight: number, contactArea: number,
+ *   size: { x, y, z }, fit: { status, details }|null
+ * }[]} rotation: 3x3 row-major, to be applied after the current orientation
+ */
+export function findOrientations(vertices, triCount, options) {
+  const GEOMETRY = globalThis.GEOMETRY;
+  const PrinterFit = globalThis.PrinterFit;
+  const opts = options || {};
+  const thresholdDeg = opts.thresholdDeg != null ? opts.thresholdDeg : 60;
+  if (!vertices || triCount === 0) return [];
+
+  // Directions that could face down, merged when within a few degrees of each other.
+  const mergeCos = Math.cos(MERGE_ANGLE_DEG * Math.PI / 180);
+  const candidates = [];
+  function propose(direction, source) {
+    const d = normalize(direction);
+    if (!d) return;
+    const same = candidates.find(c => dot(c.down, d) >= mergeCos);
+    if (same) {
+      if (!same.sources.includes(source)) same.sources.push(source);
+      return;
+    }
+    candidates.push({ down: d, sources: [source] });
+  }
+  propose(DOWN, 'current');
+  [[0, 0, 1], [1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0]].forEach(d => propose(d, 'axis'));
+  for (const region of largestRegions(triangleFaces(vertices, triCount), MAX_REGION_CANDIDATES)) {
+    propose(region.direction, 'face');
+  }
+  const hull = convexHull(hullPoints(vertices));
+  if (hull) {
+    for (const region of largestRegions(hull, MAX_REGION_CANDIDATES)) propose(region.direction, 'hull');
+  }
+
+  const sample = sampleTriangles(vertices, triCount);
+  const fullSize = GEOMETRY.computeBbox(vertices, triCount).size;
+  const diagonal = Math.hypot(fullSize.x, fullSize.y, fullSize.z) || 1;
+  const origin = { x: 0, y: 0, z: 0 };
+  const yaw90 = GEOMETRY.axisRotation('z', 90);
+
+  const scored = candidates.map(function (c) {
+    let rotation = GEOMETRY.rotationBetween(c.down, DOWN);
+    const ext = rotatedExtents(vertices, rotation);
+    let size = { x: ext.x, y: ext.y, z: ext.z };
+    let fit = opts.build ? PrinterFit.computeFit(size, opts.build) : null;
+    // A quarter turn about Z swaps X and Y; take it when it fits the bed better.
+    if (fit && fit.status !== 'fit') {
+      const turned = { x: ext.y, y: ext.x, z: ext.z };
+      const turnedFit = PrinterFit.computeFit(turned, opts.build);
+      if (FIT_PENALTY[turnedFit.status] < FIT_PENALTY[fit.status]) {
+        rotation = GEOMETRY.multiplyRotationMatrices(yaw90, rotation);
+        size = turned;
+        fit = turnedFit;
+      }
+    }
+    const rotated = GEOMETRY.rotateVerticesAboutCenter(sample.vertices, origin, rotation);
+    const risk = computeOverhangRisk(rotated, sample.triCount, thresholdDeg);
+    const scaleUp = risk.totalArea > 0 ? 1 / risk.totalArea : 0;
+    const contact = contactAreaOnBed(rotated, sample.triCount, ext.minZ);
+    return {
+      rotation,
+      down: c.down,
+      sources: c.sources,
+      overhangPct: risk.riskPct,
+      overhangArea: risk.riskArea * scaleUp,
+      contactFraction: contact * scaleUp,
+      zHeight: ext.z,
+      size,
+      fit
+    };
+  });
+
+  // Areas above are fractions of the sampled surface; turn them into mm² of the full model.
+  const totalArea = computeOverhangRisk(vertices, triCount, thresholdDeg).totalArea;
+  const bestContact = Math.max(...scored.map(c => c.contactFraction), 0);
+  for (const c of scored) {
+    const overhangTerm = Math.min(1, c.overhangPct / 25);
+    const heightTerm = c.zHeight / diagonal;
+    const contactTerm = bestContact > 0 ? 1 - c.contactFraction / bestContact : 1;
+    const penalty = WEIGHTS.overhang * overhangTerm + WEIGHTS.height * heightTerm + WEIGHTS.contact * contactTerm;
+    c.score = Math.max(0, Math.round(100 * (1 - penalty)) - (c.fit ? FIT_PENALTY[c.fit.status] : 0));
+    c.overhangArea *= totalArea;
+    c.contactArea = c.contactFraction * totalArea;
+    delete c.contactFraction;
+  }
+  // Symmetric models give several equivalent orientations; show only one of each.
+  const picked = [];
+  for (const c of scored.sort((a, b) => b.score - a.score)) {
+    if (picked.length >= (opts.limit || 4)) break;
+    const equivalent = picked.some(p => p.score === c.score &&
+      Math.abs(p.zHeight - c.zHeight) < 0.1 && Math.abs(p.overhangPct - c.overhangPct) < 0.1 &&
+      Math.abs(p.contactArea - c.contactArea) < 1);
+    if (!equivalent) picked.push(c);
+  }
+  return picked;
+}
@@ -1,10 +1,9 @@
 /**
  * camTools.js — Pre-slicer estimation helpers (material, cost, time, overhang, footprint).
  * All computations run locally. Estimates are approximate; slicer preview is final.
+ * No DOM access: the Node CLI imports this module as well.
  */
 
-if (typeof console !== 'undefined') console.log('camTools.js loaded');
-
 export const MATERIALS = [
   { key: 'pla', label: 'PLA', density: 1.24 },
   { key: 'petg', label: 'PETG', density: 1.27 },
@@ -35,6 +34,12 @@ export const OVERHANG_THRESHOLDS = [
   { key: '70', value: 70, label: '70°' }
 ];
 
+/** Preview blue for printable faces, warning red for overhangs. */
+export const OVERHANG_PALETTE = {
+  base: [74, 158, 255],
+  overhang: [220, 53, 69]
+};
+
 /**
  * Compute triangle normal (unit) and area from vertices. v1,v2,v3 at offset i.
  */
@@ -55,6 +60,30 @@ function triangleNormalAndArea(vertices, i) {
   };
 }
 
+/** Downward-facing and steeper than the threshold (cosThreshold = cos(threshold)). */
+function isOverhang(nz, cosThreshold) {
+  return nz < 0 && Math.abs(nz) < cosThreshold;
+}
+
+/**
+ * Per-corner RGB (Uint8Array, 9 per triangle) marking overhanging faces, as used for baked
+ * vertex colors on export. Same test as computeOverhangRisk.
+ * @param {Float32Array} vertices - in mm
+ * @param {number} triCount
+ * @param {number} [thresholdDeg]
+ * @param {{ base: number[], overhang: number[] }} [palette] - RGB 0–255
+ * @returns {Uint8Array}
+ */
+export function overhangVertexColors(vertices, triCount, thresholdDeg = 60, palette = OVERHANG_PALETTE) {
+  const out = new Uint8Array(triCount * 9);
+  const cosThreshold = Math.cos(thresholdDeg * Math.PI / 180);
+  for (let t = 0; t < triCount; t++) {
+    const rgb = isOverhang(triangleNormalAndArea(vertices, t * 9).nz, cosThreshold) ? palette.overhang : palette.base;
+    for (let k = 0; k < 9; k += 3) out.set(rgb, t * 9 + k);
+  }
+  return out;
+}
+
 /**
  * Overhang risk: % of surface area with normal angle > threshold (facing downward, nz < 0).
  * vertices in mm; returns { riskPct, totalArea, riskArea, band: 'low'|'medium'|'high' }
@@ -65,10 +94,9 @@ export function computeOverhangRisk(vertices, triCount, thresholdDeg = 60) {
   let riskArea = 0;
   const cosThreshold = Math.cos(thresholdDeg * Math.PI / 180);
   for (let t = 0; t < triCount; t++) {
-    const { nx, ny, nz, area } = triangleNormalAndArea(vertices, t * 9);
+    const { nz, area } = triangleNormalAndArea(vertices, t * 9);
     totalArea += area;
-    const verticalComponent = Math.abs(nz);
-    if (verticalComponent < cosThreshold && nz < 0) {
+    if (isOverhang(nz, cosThreshold)) {
       riskArea += area;
     }
   }
@@ -118,3 +146,23 @@ export function estimatePrintTime(effectiveVolMm3, flowMm3s) {
   const time_s = flowMm3s > 0 ? effectiveVolMm3 / flowMm3s : 0;
   return time_s / 3600;
 }
+
+/**
+ * All pre-slicer estimates for a mesh. Used by the web app and the CLI so both report the same numbers.
+ * volumeMm3: mesh volume (GEOMETRY.computeVolume)
+ * inputs: { density, infill, shellMult, filamentDia, pricePerKg, flow, overhangThreshold }
+ * Returns { volumeMm3, mass_g, length_m, cost, time_h, overhang }
+ */
+export function computeEstimates(vertices, triCount, volumeMm3, inputs) {
+  const mat = estimateMaterial(volumeMm3, inputs.density, inputs.infill, inputs.shellMult);
+  const overhang = computeOverhangRisk(vertices, triCount, inputs.overhangThreshold);
+  overhang.threshold = inputs.overhangThreshold;
+  return {
+    volumeMm3,
+    mass_g: mat.mass_g,
+    length_m: estimateFilamentLength(mat.effectiveVolMm3, inputs.filamentDia),
+    cost: estimateCost(mat.mass_g, inputs.pricePerKg),
+    time_h: estimatePrintTime(mat.effectiveVolMm3, inputs.flow),
+    overhang
+  };
+}
@@ -2,6 +2,9 @@
  * geometry.js — Bounding box, scale helpers, triangle count, typed arrays.
  * All operations work with Float32Array layout: 9 floats per triangle
  * (v1.x, v1.y, v1.z, v2.x, v2.y, v2.z, v3.x, v3.y, v3.z).
+ * buildIndexedMesh() welds that into unique positions + a Uint32 index (3 per triangle)
+ * for adjacency and topology work; buildEdgeAdjacency() maps edges to faces, findShells()
+ * groups faces into connected shells and shellOrientations() tells cavities from inside-out shells.
  */
 
 /**
@@ -61,6 +64,25 @@ const GEOMETRY = (function () {
     return scaled;
   }
 
+  /**
+   * Scale each axis by its own factor about a center (non-uniform scale, e.g. shrink compensation).
+   * Positive factors keep the winding.
+   * @param {Float32Array} vertices
+   * @param {{ x: number, y: number, z: number }} factors
+   * @param {{ x, y, z }} center
+   * @returns {Float32Array}
+   */
+  function scaleVerticesAxes(vertices, factors, center) {
+    const len = vertices.length;
+    const out = new Float32Array(len);
+    for (let i = 0; i < len; i += 3) {
+      out[i] = (vertices[i] - center.x) * factors.x + center.x;
+      out[i + 1] = (vertices[i + 1] - center.y) * factors.y + center.y;
+      out[i + 2] = (vertices[i + 2] - center.z) * factors.z + center.z;
+    }
+    return out;
+  }
+
   /**
    * Compute center of bounding box.
    * @param {{ min, max }} bbox
@@ -74,6 +96,41 @@ const GEOMETRY = (function () {
     };
   }
 
+  /** Placement modes for placementShift, in the order the Scale card lists them. */
+  const PLACEMENTS = ['none', 'origin', 'bed', 'printer'];
+
+  /**
+   * Translation that places a model with this bbox. 'origin' centers it on (0, 0, 0); 'bed' drops it to
+   * Z = 0; 'printer' also centers X/Y on the build plate, whose origin is the front-left corner as in slicers.
+   * 'none' leaves it where it is. The offset is added last.
+   * @param {{ min, max }} bbox
+   * @param {string} mode - one of PLACEMENTS
+   * @param {{ x: number, y: number }|null} [build] - build volume in mm, for 'printer'
+   * @param {{ x: number, y: number, z: number }|null} [offset] - mm
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  function placementShift(bbox, mode, build, offset) {
+    const center = computeCenter(bbox);
+    const shift = { x: 0, y: 0, z: 0 };
+    if (mode === 'origin') {
+      shift.x = -center.x;
+      shift.y = -center.y;
+      shift.z = -center.z;
+    } else if (mode === 'bed' || mode === 'printer') {
+      shift.z = -bbox.min.z;
+      if (mode === 'printer' && build) {
+        shift.x = build.x / 2 - center.x;
+        shift.y = build.y / 2 - center.y;
+      }
+    }
+    if (offset) {
+      shift.x += offset.x || 0;
+      shift.y += offset.y || 0;
+      shift.z += offset.z || 0;
+    }
+    return shift;
+  }
+
   /**
    * Translate vertices in place (returns new array).
    * @param {Float32Array} vertices
@@ -119,12 +176,13 @@ const GEOMETRY = (function () {
 
   /**
    * Signed tetrahedron volume: (1/6) * dot(v1, cross(v2-v1, v3-v1)).
-   * Sum over all triangles for approximate mesh volume (mm³).
+   * Signed mesh volume (divergence theorem): positive when normals face outward,
+   * negative for an inside-out mesh. Only meaningful for closed meshes.
    * @param {Float32Array} vertices - 9 floats per triangle
    * @param {number} triCount
-   * @returns {number} volume in cubic units (mm³ if coords in mm)
+   * @returns {number} signed volume in cubic units
    */
-  function computeVolume(vertices, triCount) {
+  function computeSignedVolume(vertices, triCount) {
     let vol = 0;
     for (let i = 0; i < triCount; i++) {
       const o = i * 9;
@@ -138,7 +196,157 @@ const GEOMETRY = (function () {
       const cz = ax * by - ay * bx;
       vol += v1x * cx + v1y * cy + v1z * cz;
     }
-    return Math.abs(vol) / 6;
+    return vol / 6;
+  }
+
+  /**
+   * Eigen-decomposition of a symmetric 3x3 matrix (row-major) by Jacobi rotations.
+   * @returns {{ values: number[], vectors: number[][] }} ascending values; vectors[i] is the unit eigenvector of values[i]
+   */
+  function symmetricEigen3(matrix) {
+    const a = matrix.slice();
+    const v = IDENTITY.slice();
+    for (let sweep = 0; sweep < 50; sweep++) {
+      const off = a[1] * a[1] + a[2] * a[2] + a[5] * a[5];
+      const scale = a[0] * a[0] + a[4] * a[4] + a[8] * a[8];
+      if (off <= 1e-30 * scale || off === 0) break;
+      for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+        const apq = a[p * 3 + q];
+        if (apq === 0) continue;
+        const theta = (a[q * 3 + q] - a[p * 3 + p]) / (2 * apq);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        // A' = J^T A J and V' = V J, J the rotation in the (p, q) plane.
+        for (let k = 0; k < 3; k++) {
+          const akp = a[k * 3 + p];
+          const akq = a[k * 3 + q];
+          a[k * 3 + p] = c * akp - s * akq;
+          a[k * 3 + q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 3; k++) {
+          const apk = a[p * 3 + k];
+          const aqk = a[q * 3 + k];
+          a[p * 3 + k] = c * apk - s * aqk;
+          a[q * 3 + k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 3; k++) {
+          const vkp = v[k * 3 + p];
+          const vkq = v[k * 3 + q];
+          v[k * 3 + p] = c * vkp - s * vkq;
+          v[k * 3 + q] = s * vkp + c * vkq;
+        }
+      }
+    }
+    return [0, 1, 2]
+      .map(i => ({ value: a[i * 4], vector: [v[i], v[3 + i], v[6 + i]] }))
+      .sort((x, y) => x.value - y.value)
+      .reduce((out, e) => {
+        out.values.push(e.value);
+        out.vectors.push(e.vector);
+        return out;
+      }, { values: [], vectors: [] });
+  }
+
+  /**
+   * Surface area, volume centroid and inertia of a closed mesh at unit density, from the same signed
+   * tetrahedra as computeSignedVolume (apex at the first vertex, which keeps the sums well conditioned).
+   * Multiply volume and inertia by a density (g/mm³) for mass (g) and inertia (g·mm²).
+   * @param {Float32Array} vertices - 9 floats per triangle
+   * @param {number} triCount
+   * @returns {{
+   *   volume: number, area: number, centroid: { x, y, z }|null, inertia: number[]|null,
+   *   principal: { moments: number[], axes: number[][] }|null
+   * }} volume signed (mm³); area in mm²; inertia row-major about the centroid (mm⁵); principal moments
+   *   ascending with unit axes. centroid and inertia are null for a zero-volume mesh.
+   */
+  function computeMassProperties(vertices, triCount) {
+    if (!triCount) return { volume: 0, area: 0, centroid: null, inertia: null, principal: null };
+    const ox = vertices[0]; const oy = vertices[1]; const oz = vertices[2];
+    let area = 0;
+    let vol6 = 0;
+    let mx = 0; let my = 0; let mz = 0;
+    let cxx = 0; let cyy = 0; let czz = 0; let cxy = 0; let cxz = 0; let cyz = 0;
+    for (let i = 0; i < triCount; i++) {
+      const o = i * 9;
+      const ax = vertices[o] - ox; const ay = vertices[o + 1] - oy; const az = vertices[o + 2] - oz;
+      const bx = vertices[o + 3] - ox; const by = vertices[o + 4] - oy; const bz = vertices[o + 5] - oz;
+      const cx = vertices[o + 6] - ox; const cy = vertices[o + 7] - oy; const cz = vertices[o + 8] - oz;
+      const ux = bx - ax; const uy = by - ay; const uz = bz - az;
+      const wx = cx - ax; const wy = cy - ay; const wz = cz - az;
+      const nx = uy * wz - uz * wy; const ny = uz * wx - ux * wz; const nz = ux * wy - uy * wx;
+      area += Math.sqrt(nx * nx + ny * ny + nz * nz) / 2;
+      // Tetrahedron (origin, a, b, c): 6V = a · (b × c); ∫x dV = V (a + b + c) / 4;
+      // ∫x xᵀ dV = V / 20 (a aᵀ + b bᵀ + c cᵀ + s sᵀ) with s = a + b + c.
+      const d = ax * (by * cz - bz * cy) + ay * (bz * cx - bx * cz) + az * (bx * cy - by * cx);
+      const sx = ax + bx + cx; const sy = ay + by + cy; const sz = az + bz + cz;
+      vol6 += d;
+      mx += d * sx; my += d * sy; mz += d * sz;
+      cxx += d * (ax * ax + bx * bx + cx * cx + sx * sx);
+      cyy += d * (ay * ay + by * by + cy * cy + sy * sy);
+      czz += d * (az * az + bz * bz + cz * cz + sz * sz);
+      cxy += d * (ax * ay + bx * by + cx * cy + sx * sy);
+      cxz += d * (ax * az + bx * bz + cx * cz + sx * sz);
+      cyz += d * (ay * az + by * bz + cy * cz + sy * sz);
+    }
+    const volume = vol6 / 6;
+    if (volume === 0) return { volume, area, centroid: null, inertia: null, principal: null };
+    // First moment: Σ V s / 4 = Σ d s / 24; second moment: Σ V (…) / 20 = Σ d (…) / 120.
+    const gx = mx / 24 / volume; const gy = my / 24 / volume; const gz = mz / 24 / volume;
+    // Second moment about the centroid, then I = tr(C) 1 - C.
+    const Cxx = cxx / 120 - volume * gx * gx;
+    const Cyy = cyy / 120 - volume * gy * gy;
+    const Czz = czz / 120 - volume * gz * gz;
+    const Cxy = cxy / 120 - volume * gx * gy;
+    const Cxz = cxz / 120 - volume * gx * gz;
+    const Cyz = cyz / 120 - volume * gy * gz;
+    const inertia = [
+      Cyy + Czz, -Cxy, -Cxz,
+      -Cxy, Cxx + Czz, -Cyz,
+      -Cxz, -Cyz, Cxx + Cyy
+    ];
+    const eig = symmetricEigen3(inertia);
+    return {
+      volume,
+      area,
+      centroid: { x: gx + ox, y: gy + oy, z: gz + oz },
+      inertia,
+      principal: { moments: eig.values, axes: eig.vectors }
+    };
+  }
+
+  /**
+   * Solid mass and inertia of a part from computeMassProperties() at a material density.
+   * Inside-out meshes have negative volume and the tensor flips sign with it; both are turned
+   * positive, and the principal moments stay ascending.
+   * @param {Object} props - from computeMassProperties
+   * @param {number} density - g/cm³
+   * @returns {{ volume: number, massG: number, inertia: number[]|null, principal: { moments: number[], axes: number[][] }|null }}
+   *   volume in mm³ (unsigned); inertia row-major about the centroid, g·mm²
+   */
+  function solidMass(props, density) {
+    const gPerMm3 = density / 1000;
+    const sign = Math.sign(props.volume);
+    const order = sign < 0 ? [2, 1, 0] : [0, 1, 2];
+    return {
+      volume: Math.abs(props.volume),
+      massG: Math.abs(props.volume) * gPerMm3,
+      inertia: props.inertia ? props.inertia.map(v => sign * v * gPerMm3) : null,
+      principal: props.principal ? {
+        moments: order.map(i => sign * props.principal.moments[i] * gPerMm3),
+        axes: order.map(i => props.principal.axes[i])
+      } : null
+    };
+  }
+
+  /**
+   * Sum over all triangles for approximate mesh volume (mm³).
+   * @param {Float32Array} vertices - 9 floats per triangle
+   * @param {number} triCount
+   * @returns {number} volume in cubic units (mm³ if coords in mm)
+   */
+  function computeVolume(vertices, triCount) {
+    return Math.abs(computeSignedVolume(vertices, triCount));
   }
 
   /** 3x3 rotation matrix (row-major): [m00,m01,m02, m10,m11,m12, m20,m21,m22] */
@@ -160,6 +368,30 @@ const GEOMETRY = (function () {
     }
   };
 
+  /** Mirror matrices (row-major): negate one axis. */
+  const MIRROR = {
+    x: [-1, 0, 0, 0, 1, 0, 0, 0, 1],
+    y: [1, 0, 0, 0, -1, 0, 0, 0, 1],
+    z: [1, 0, 0, 0, 1, 0, 0, 0, -1]
+  };
+
+  /**
+   * Swap the second and third corner of every triangle, in place. A mirror reverses winding;
+   * flipping it back keeps normals (and signed volume) pointing outward.
+   * @param {Float32Array} vertices - 9 floats per triangle
+   * @returns {Float32Array} the same array
+   */
+  function flipWinding(vertices) {
+    for (let o = 0; o + 9 <= vertices.length; o += 9) {
+      for (let k = 3; k < 6; k++) {
+        const tmp = vertices[o + k];
+        vertices[o + k] = vertices[o + k + 3];
+        vertices[o + k + 3] = tmp;
+      }
+    }
+    return vertices;
+  }
+
   function multiplyRotationMatrices(a, b) {
     return [
       a[0] * b[0] + a[1] * b[3] + a[2] * b[6],
@@ -174,6 +406,94 @@ const GEOMETRY = (function () {
     ];
   }
 
+  /** Drop floating-point dust (cos 90° = 6e-17) so whole-quarter turns stay exact. */
+  function cleanMatrix(m) {
+    return m.map(v => (Math.abs(v) < 1e-12 ? 0 : v));
+  }
+
+  /**
+   * Rotation about one axis by any angle (row-major, right-handed; matches ROT_90 at ±90°).
+   * @param {'x'|'y'|'z'} axis
+   * @param {number} deg
+   * @returns {number[]}
+   */
+  function axisRotation(axis, deg) {
+    const a = deg * Math.PI / 180;
+    const c = Math.cos(a);
+    const s = Math.sin(a);
+    if (axis === 'x') return cleanMatrix([1, 0, 0, 0, c, -s, 0, s, c]);
+    if (axis === 'y') return cleanMatrix([c, 0, s, 0, 1, 0, -s, 0, c]);
+    return cleanMatrix([c, -s, 0, s, c, 0, 0, 0, 1]);
+  }
+
+  /**
+   * Rotation matrix for Euler angles in degrees, R = Rz(z) * Ry(y) * Rx(x); inverse of rotationToEulerDeg.
+   * @param {{ x: number, y: number, z: number }} angles
+   * @returns {number[]}
+   */
+  function eulerDegToRotation(angles) {
+    return multiplyRotationMatrices(
+      axisRotation('z', angles.z),
+      multiplyRotationMatrices(axisRotation('y', angles.y), axisRotation('x', angles.x))
+    );
+  }
+
+  /**
+   * Shortest rotation turning direction `from` onto direction `to` (neither needs to be unit length).
+   * Opposite directions turn 180° about an axis perpendicular to `from`.
+   * @param {number[]} from - [x, y, z]
+   * @param {number[]} to - [x, y, z]
+   * @returns {number[]|null} 3x3 row-major, or null for a zero-length direction
+   */
+  function rotationBetween(from, to) {
+    const unit = function (v) {
+      const len = Math.hypot(v[0], v[1], v[2]);
+      return len > 0 ? [v[0] / len, v[1] / len, v[2] / len] : null;
+    };
+    const a = unit(from);
+    const b = unit(to);
+    if (!a || !b) return null;
+    const c = a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    let k = [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    let s = Math.hypot(k[0], k[1], k[2]);
+    if (s < 1e-9) {
+      if (c > 0) return IDENTITY.slice();
+      // Antiparallel: any axis perpendicular to a will do; cross with the least-aligned basis vector.
+      const e = Math.abs(a[0]) < 0.9 ? [1, 0, 0] : [0, 1, 0];
+      k = unit([a[1] * e[2] - a[2] * e[1], a[2] * e[0] - a[0] * e[2], a[0] * e[1] - a[1] * e[0]]);
+      s = 0;
+    } else {
+      k = [k[0] / s, k[1] / s, k[2] / s];
+    }
+    const cos = s === 0 ? -1 : c;
+    const t = 1 - cos;
+    // Rodrigues: R = cos I + sin [k]x + (1 - cos) k kT
+    return cleanMatrix([
+      cos + t * k[0] * k[0], t * k[0] * k[1] - s * k[2], t * k[0] * k[2] + s * k[1],
+      t * k[1] * k[0] + s * k[2], cos + t * k[1] * k[1], t * k[1] * k[2] - s * k[0],
+      t * k[2] * k[0] - s * k[1], t * k[2] * k[1] + s * k[0], cos + t * k[2] * k[2]
+    ]);
+  }
+
+  /**
+   * Euler angles in degrees for a rotation matrix, as R = Rz(z) * Ry(y) * Rx(x)
+   * (rotate about X first, then Y, then Z). At y = ±90° x is reported as 0.
+   * @param {number[]} m - 3x3 row-major
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  function rotationToEulerDeg(m) {
+    const deg = 180 / Math.PI;
+    const sy = Math.max(-1, Math.min(1, -m[6]));
+    if (Math.abs(sy) > 0.999999) {
+      return { x: 0, y: Math.asin(sy) * deg, z: Math.atan2(-m[1], m[4]) * deg };
+    }
+    return {
+      x: Math.atan2(m[7], m[8]) * deg,
+      y: Math.asin(sy) * deg,
+      z: Math.atan2(m[3], m[0]) * deg
+    };
+  }
+
   /**
    * Rotate vertices about center using 3x3 matrix (row-major).
    * v' = center + R * (v - center)
@@ -205,20 +525,456 @@ const GEOMETRY = (function () {
     return rotateVerticesAboutCenter(vertices, center, m);
   }
 
+  /** Default weld tolerance (mm): corners closer than this become one vertex. */
+  const DEFAULT_WELD_TOLERANCE = 1e-4;
+
+  function hashCell(ix, iy, iz, mask) {
+    let h = Math.imul(ix, 73856093) ^ Math.imul(iy, 19349663) ^ Math.imul(iz, 83492791);
+    // Mix high bits down: float bit patterns differ mostly in their upper bits.
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    return h & mask;
+  }
+
+  /**
+   * Build an indexed mesh by welding triangle corners.
+   * Corners within `tolerance` of an already seen vertex reuse it (the first one seen keeps its
+   * position); tolerance 0 welds exact duplicates only. Uses a spatial hash of tolerance-sized cells.
+   * @param {Float32Array} vertices - 9 floats per triangle
+   * @param {number} triCount
+   * @param {number} [tolerance] - defaults to DEFAULT_WELD_TOLERANCE
+   * @returns {{ positions: Float32Array, index: Uint32Array, vertexCount: number, triangleCount: number, tolerance: number }}
+   */
+  function buildIndexedMesh(vertices, triCount, tolerance) {
+    const tol = tolerance != null ? tolerance : DEFAULT_WELD_TOLERANCE;
+    const cornerCount = triCount * 3;
+    let tableSize = 1;
+    while (tableSize < cornerCount * 2) tableSize *= 2;
+    const mask = tableSize - 1;
+    const heads = new Int32Array(tableSize).fill(-1);
+    const next = new Int32Array(cornerCount);
+    const positions = new Float32Array(cornerCount * 3);
+    const index = new Uint32Array(cornerCount);
+    const bits = new Uint32Array(vertices.buffer, vertices.byteOffset, vertices.length);
+    const tol2 = tol * tol;
+    const inv = tol > 0 ? 1 / tol : 0;
+    let vertexCount = 0;
+
+    function find(h, x, y, z) {
+      for (let v = heads[h]; v !== -1; v = next[v]) {
+        const dx = positions[v * 3] - x;
+        const dy = positions[v * 3 + 1] - y;
+        const dz = positions[v * 3 + 2] - z;
+        if (dx * dx + dy * dy + dz * dz <= tol2) return v;
+      }
+      return -1;
+    }
+
+    for (let c = 0; c < cornerCount; c++) {
+      const x = vertices[c * 3];
+      const y = vertices[c * 3 + 1];
+      const z = vertices[c * 3 + 2];
+      let h;
+      let found;
+      if (tol > 0) {
+        const ix = Math.floor(x * inv);
+        const iy = Math.floor(y * inv);
+        const iz = Math.floor(z * inv);
+        h = hashCell(ix, iy, iz, mask);
+        found = find(h, x, y, z);
+        // A vertex within tolerance can sit in any neighbouring cell.
+        for (let dx = -1; dx <= 1 && found === -1; dx++) {
+          for (let dy = -1; dy <= 1 && found === -1; dy++) {
+            for (let dz = -1; dz <= 1 && found === -1; dz++) {
+              if (dx || dy || dz) found = find(hashCell(ix + dx, iy + dy, iz + dz, mask), x, y, z);
+            }
+          }
+        }
+      } else {
+        // Exact welding: hash the float bits (-0 and 0 hash apart; rare enough to ignore).
+        h = hashCell(bits[c * 3], bits[c * 3 + 1], bits[c * 3 + 2], mask);
+        found = find(h, x, y, z);
+      }
+
+      if (found === -1) {
+        found = vertexCount++;
+        positions[found * 3] = x;
+        positions[found * 3 + 1] = y;
+        positions[found * 3 + 2] = z;
+        next[found] = heads[h];
+        heads[h] = found;
+      }
+      index[c] = found;
+    }
+
+    return {
+      positions: positions.slice(0, vertexCount * 3),
+      index,
+      vertexCount,
+      triangleCount: triCount,
+      tolerance: tol
+    };
+  }
+
+  /**
+   * Edge-to-face adjacency for an indexed mesh. Edges are undirected (lo < hi vertex ids).
+   * faceEdges[3t + k] is the edge from corner k to corner (k + 1) % 3 of triangle t.
+   * Faces of edge e are edgeFaces[edgeFaceOffsets[e] .. edgeFaceOffsets[e + 1]): one face is a
+   * boundary edge, more than two is non-manifold.
+   * @param {{ index: Uint32Array, vertexCount: number, triangleCount: number }} mesh - from buildIndexedMesh
+   * @returns {{ edgeCount: number, edgeVertices: Uint32Array, faceEdges: Uint32Array, edgeFaceOffsets: Uint32Array, edgeFaces: Uint32Array }}
+   */
+  function buildEdgeAdjacency(mesh) {
+    const index = mesh.index;
+    const slots = mesh.triangleCount * 3;
+
+    // Bucket every triangle edge by its lower vertex id (counting sort).
+    const bucketStart = new Uint32Array(mesh.vertexCount + 1);
+    for (let s = 0; s < slots; s++) {
+      const a = index[s];
+      const b = index[s - (s % 3) + ((s % 3) + 1) % 3];
+      bucketStart[(a < b ? a : b) + 1]++;
+    }
+    for (let v = 0; v < mesh.vertexCount; v++) bucketStart[v + 1] += bucketStart[v];
+    const fill = bucketStart.slice(0, mesh.vertexCount);
+    const bucketSlots = new Uint32Array(slots);
+    for (let s = 0; s < slots; s++) {
+      const a = index[s];
+      const b = index[s - (s % 3) + ((s % 3) + 1) % 3];
+      bucketSlots[fill[a < b ? a : b]++] = s;
+    }
+
+    // Within a bucket, slots with the same upper vertex share an edge.
+    const edgeVertices = new Uint32Array(slots * 2);
+    const faceEdges = new Uint32Array(slots);
+    const faceCounts = new Uint32Array(slots + 1);
+    let edgeCount = 0;
+    for (let lo = 0; lo < mesh.vertexCount; lo++) {
+      const firstEdge = edgeCount;
+      for (let i = bucketStart[lo]; i < bucketStart[lo + 1]; i++) {
+        const s = bucketSlots[i];
+        const a = index[s];
+        const b = index[s - (s % 3) + ((s % 3) + 1) % 3];
+        const hi = a < b ? b : a;
+        let e = firstEdge;
+        while (e < edgeCount && edgeVertices[e * 2 + 1] !== hi) e++;
+        if (e === edgeCount) {
+          edgeVertices[e * 2] = lo;
+          edgeVertices[e * 2 + 1] = hi;
+          edgeCount++;
+        }
+        faceEdges[s] = e;
+        faceCounts[e + 1]++;
+      }
+    }
+
+    const edgeFaceOffsets = new Uint32Array(edgeCount + 1);
+    for (let e = 0; e < edgeCount; e++) edgeFaceOffsets[e + 1] = edgeFaceOffsets[e] + faceCounts[e + 1];
+    const edgeFill = edgeFaceOffsets.slice(0, edgeCount);
+    const edgeFaces = new Uint32Array(slots);
+    for (let s = 0; s < slots; s++) {
+      edgeFaces[edgeFill[faceEdges[s]]++] = (s / 3) | 0;
+    }
+
+    return {
+      edgeCount,
+      edgeVertices: edgeVertices.slice(0, edgeCount * 2),
+      faceEdges,
+      edgeFaceOffsets,
+      edgeFaces
+    };
+  }
+
+  /**
+   * Connected components (shells): triangles sharing an edge belong to the same shell.
+   * Shells are numbered by their first triangle. Shell i's triangles, in order, are
+   * shellFaces[shellFaceOffsets[i] .. shellFaceOffsets[i + 1]) (see shellTriangles).
+   * @param {{ triangleCount: number }} mesh - from buildIndexedMesh
+   * @param {Object} adjacency - from buildEdgeAdjacency(mesh)
+   * @returns {{ count: number, faceShell: Uint32Array, shellFaceOffsets: Uint32Array, shellFaces: Uint32Array }}
+   */
+  function findShells(mesh, adjacency) {
+    const triCount = mesh.triangleCount;
+    const { faceEdges, edgeFaceOffsets, edgeFaces } = adjacency;
+    const unvisited = 0xffffffff;
+    const faceShell = new Uint32Array(triCount).fill(unvisited);
+    const sizes = [];
+    const stack = new Uint32Array(triCount);
+
+    for (let seed = 0; seed < triCount; seed++) {
+      if (faceShell[seed] !== unvisited) continue;
+      const shell = sizes.length;
+      let size = 0;
+      let top = 0;
+      faceShell[seed] = shell;
+      stack[top++] = seed;
+      while (top > 0) {
+        const t = stack[--top];
+        size++;
+        for (let k = 0; k < 3; k++) {
+          const e = faceEdges[t * 3 + k];
+          for (let i = edgeFaceOffsets[e]; i < edgeFaceOffsets[e + 1]; i++) {
+            const f = edgeFaces[i];
+            if (faceShell[f] === unvisited) {
+              faceShell[f] = shell;
+              stack[top++] = f;
+            }
+          }
+        }
+      }
+      sizes.push(size);
+    }
+
+    const count = sizes.length;
+    const shellFaceOffsets = new Uint32Array(count + 1);
+    for (let s = 0; s < count; s++) shellFaceOffsets[s + 1] = shellFaceOffsets[s] + sizes[s];
+    const fill = shellFaceOffsets.slice(0, count);
+    const shellFaces = new Uint32Array(triCount);
+    for (let t = 0; t < triCount; t++) shellFaces[fill[faceShell[t]]++] = t;
+    return { count, faceShell, shellFaceOffsets, shellFaces };
+  }
+
+  /**
+   * Triangles of one shell, in order (a view into shells.shellFaces, not a copy).
+   * @param {Object} shells - from findShells
+   * @param {number} i - shell index
+   * @returns {Uint32Array}
+   */
+  function shellTriangles(shells, i) {
+    return shells.shellFaces.subarray(shells.shellFaceOffsets[i], shells.shellFaceOffsets[i + 1]);
+  }
+
+  /** Ray direction for inside tests: skewed so rays rarely graze edges or vertices of axis-aligned meshes. */
+  const PARITY_RAY = (function () {
+    const d = [0.4328, 0.5617, 0.7051];
+    const len = Math.hypot(d[0], d[1], d[2]);
+    return d.map(v => v / len);
+  })();
+
+  /** Above this many shells nesting is not checked: every shell is judged by its own volume sign. */
+  const NESTING_SHELL_LIMIT = 20000;
+
+  /**
+   * Orientation of each shell with nesting taken into account. A shell inside an odd number of other
+   * shells is a cavity and should be wound inward (negative volume); every other shell outward.
+   * Only shells whose bounding box holds this shell's box can contain it; those pairs are found by a sweep
+   * along X, and containment is confirmed by ray parity from the centroid of the shell's largest triangle.
+   * Shells in no other shell's box, and all shells past NESTING_SHELL_LIMIT, go by their volume sign alone.
+   * @param {Float32Array} vertices - 9 floats per triangle
+   * @param {Object} shells - from findShells
+   * @returns {{ depth: Uint32Array, volume: Float64Array, inverted: Uint8Array, nestingChecked: boolean }}
+   *   depth: shells containing it; inverted: 1 where the volume sign disagrees with the depth
+   */
+  function shellOrientations(vertices, shells) {
+    const count = shells.count;
+    const volume = new Float64Array(count);
+    // min x, y, z, max x, y, z per shell
+    const boxes = new Float64Array(count * 6);
+    for (let i = 0; i < count; i++) {
+      const faces = shellTriangles(shells, i);
+      const verts = gatherTriangles(vertices, faces);
+      volume[i] = computeSignedVolume(verts, faces.length);
+      const b = computeBbox(verts, faces.length);
+      boxes.set([b.min.x, b.min.y, b.min.z, b.max.x, b.max.y, b.max.z], i * 6);
+    }
+    const depth = new Uint32Array(count);
+    const inverted = new Uint8Array(count);
+    const nestingChecked = count <= NESTING_SHELL_LIMIT;
+    const containers = nestingChecked ? findContainers(boxes, count) : new Map();
+
+    const [dx, dy, dz] = PARITY_RAY;
+    function crossings(p, faces) {
+      let n = 0;
+      for (const t of faces) {
+        const o = t * 9;
+        const e1x = vertices[o + 3] - vertices[o]; const e1y = vertices[o + 4] - vertices[o + 1]; const e1z = vertices[o + 5] - vertices[o + 2];
+        const e2x = vertices[o + 6] - vertices[o]; const e2y = vertices[o + 7] - vertices[o + 1]; const e2z = vertices[o + 8] - vertices[o + 2];
+        const px = dy * e2z - dz * e2y; const py = dz * e2x - dx * e2z; const pz = dx * e2y - dy * e2x;
+        const det = e1x * px + e1y * py + e1z * pz;
+        if (det === 0) continue;
+        const sx = p[0] - vertices[o]; const sy = p[1] - vertices[o + 1]; const sz = p[2] - vertices[o + 2];
+        const u = (sx * px + sy * py + sz * pz) / det;
+        if (u < 0 || u > 1) continue;
+        const qx = sy * e1z - sz * e1y; const qy = sz * e1x - sx * e1z; const qz = sx * e1y - sy * e1x;
+        const v = (dx * qx + dy * qy + dz * qz) / det;
+        if (v < 0 || u + v > 1) continue;
+        if ((e2x * qx + e2y * qy + e2z * qz) / det > 0) n++;
+      }
+      return n;
+    }
+
+    containers.forEach(function (candidates, i) {
+      const p = largestTriangleCentroid(vertices, shellTriangles(shells, i));
+      for (const j of candidates) {
+        if (crossings(p, shellTriangles(shells, j)) % 2) depth[i]++;
+      }
+    });
+    for (let i = 0; i < count; i++) {
+      inverted[i] = depth[i] % 2 ? volume[i] > 0 : volume[i] < 0;
+    }
+    return { depth, volume, inverted, nestingChecked };
+  }
+
+  /**
+   * Shells whose box lies within another shell's box (sweep and prune along X).
+   * @param {Float64Array} boxes - min x, y, z, max x, y, z per shell
+   * @param {number} count
+   * @returns {Map<number, number[]>} shell -> shells whose box holds it
+   */
+  function findContainers(boxes, count) {
+    const order = new Uint32Array(count);
+    for (let i = 0; i < count; i++) order[i] = i;
+    order.sort((a, b) => boxes[a * 6] - boxes[b * 6]);
+    const within = (i, j) => boxes[j * 6] <= boxes[i * 6] && boxes[j * 6 + 1] <= boxes[i * 6 + 1] &&
+      boxes[j * 6 + 2] <= boxes[i * 6 + 2] && boxes[j * 6 + 3] >= boxes[i * 6 + 3] &&
+      boxes[j * 6 + 4] >= boxes[i * 6 + 4] && boxes[j * 6 + 5] >= boxes[i * 6 + 5];
+    const containers = new Map();
+    const add = (i, j) => {
+      const list = containers.get(i);
+      if (list) list.push(j);
+      else containers.set(i, [j]);
+    };
+    // Every pair whose X ranges overlap meets once, when the later-starting one is added.
+    let active = [];
+    for (const i of order) {
+      const minX = boxes[i * 6];
+      active = active.filter(j => boxes[j * 6 + 3] >= minX);
+      for (const j of active) {
+        if (within(i, j)) add(i, j);
+        if (within(j, i)) add(j, i);
+      }
+      active.push(i);
+    }
+    return containers;
+  }
+
+  /** Centroid of the largest triangle in a list: a point on the shell away from its edges. */
+  function largestTriangleCentroid(vertices, faces) {
+    let best = faces[0];
+    let bestArea = -1;
+    for (const t of faces) {
+      const o = t * 9;
+      const ax = vertices[o + 3] - vertices[o]; const ay = vertices[o + 4] - vertices[o + 1]; const az = vertices[o + 5] - vertices[o + 2];
+      const bx = vertices[o + 6] - vertices[o]; const by = vertices[o + 7] - vertices[o + 1]; const bz = vertices[o + 8] - vertices[o + 2];
+      const cx = ay * bz - az * by; const cy = az * bx - ax * bz; const cz = ax * by - ay * bx;
+      const area = cx * cx + cy * cy + cz * cz;
+      if (area > bestArea) { bestArea = area; best = t; }
+    }
+    const o = best * 9;
+    return [0, 1, 2].map(k => (vertices[o + k] + vertices[o + 3 + k] + vertices[o + 6 + k]) / 3);
+  }
+
+  /**
+   * Triangles reachable from `seed` across shared edges that lie in the seed's plane: normal within
+   * angleDeg of the seed's and centroid within distance of its plane (stops drift around gentle curves).
+   * @param {Float32Array} vertices - 9 floats per triangle, any rigid transform of the mesh
+   * @param {Object} adjacency - from buildEdgeAdjacency for the same triangles
+   * @param {number} seed - triangle index
+   * @param {{ angleDeg?: number, distance?: number }} [options] - defaults 1° and 0.01 (model units)
+   * @returns {{ triangles: Uint32Array, normal: number[], area: number }} normal: area-weighted unit normal
+   */
+  function coplanarRegion(vertices, adjacency, seed, options) {
+    const opts = options || {};
+    const cosLimit = Math.cos((opts.angleDeg != null ? opts.angleDeg : 1) * Math.PI / 180);
+    const maxDistance = opts.distance != null ? opts.distance : 0.01;
+    const { faceEdges, edgeFaceOffsets, edgeFaces } = adjacency;
+
+    function normalOf(t) {
+      const o = t * 9;
+      const ax = vertices[o + 3] - vertices[o]; const ay = vertices[o + 4] - vertices[o + 1]; const az = vertices[o + 5] - vertices[o + 2];
+      const bx = vertices[o + 6] - vertices[o]; const by = vertices[o + 7] - vertices[o + 1]; const bz = vertices[o + 8] - vertices[o + 2];
+      return [ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx];
+    }
+
+    const n0 = normalOf(seed);
+    const len0 = Math.hypot(n0[0], n0[1], n0[2]);
+    if (len0 === 0) return { triangles: Uint32Array.of(seed), normal: null, area: 0 };
+    const u = [n0[0] / len0, n0[1] / len0, n0[2] / len0];
+    const d0 = u[0] * vertices[seed * 9] + u[1] * vertices[seed * 9 + 1] + u[2] * vertices[seed * 9 + 2];
+
+    const inRegion = new Set([seed]);
+    const stack = [seed];
+    const sum = n0.slice();
+    while (stack.length) {
+      const t = stack.pop();
+      for (let k = 0; k < 3; k++) {
+        const e = faceEdges[t * 3 + k];
+        for (let i = edgeFaceOffsets[e]; i < edgeFaceOffsets[e + 1]; i++) {
+          const f = edgeFaces[i];
+          if (inRegion.has(f)) continue;
+          const n = normalOf(f);
+          const len = Math.hypot(n[0], n[1], n[2]);
+          if (len === 0 || (n[0] * u[0] + n[1] * u[1] + n[2] * u[2]) / len < cosLimit) continue;
+          const o = f * 9;
+          const cx = (vertices[o] + vertices[o + 3] + vertices[o + 6]) / 3;
+          const cy = (vertices[o + 1] + vertices[o + 4] + vertices[o + 7]) / 3;
+          const cz = (vertices[o + 2] + vertices[o + 5] + vertices[o + 8]) / 3;
+          if (Math.abs(u[0] * cx + u[1] * cy + u[2] * cz - d0) > maxDistance) continue;
+          inRegion.add(f);
+          stack.push(f);
+          sum[0] += n[0]; sum[1] += n[1]; sum[2] += n[2];
+        }
+      }
+    }
+    const len = Math.hypot(sum[0], sum[1], sum[2]);
+    return {
+      triangles: Uint32Array.from(inRegion).sort(),
+      normal: [sum[0] / len, sum[1] / len, sum[2] / len],
+      area: len / 2
+    };
+  }
+
+  /**
+   * Copy the listed triangles into a new vertex array (9 floats per triangle).
+   * @param {Float32Array} vertices
+   * @param {Uint32Array|number[]} triangles - triangle indices
+   * @returns {Float32Array}
+   */
+  function gatherTriangles(vertices, triangles) {
+    const out = new Float32Array(triangles.length * 9);
+    for (let i = 0; i < triangles.length; i++) {
+      const base = triangles[i] * 9;
+      out.set(vertices.subarray(base, base + 9), i * 9);
+    }
+    return out;
+  }
+
   const api = {
     computeBbox,
     computeVolume,
+    computeMassProperties,
+    solidMass,
+    computeSignedVolume,
     scaleVertices,
+    scaleVerticesAxes,
     computeCenter,
     translateVertices,
+    PLACEMENTS,
+    placementShift,
     applyTransform,
     getTriangleCount,
     IDENTITY,
     ROT_90,
+    MIRROR,
+    flipWinding,
     multiplyRotationMatrices,
+    axisRotation,
+    eulerDegToRotation,
+    rotationBetween,
+    rotationToEulerDeg,
     rotateVerticesAboutCenter,
-    rotateVertices90
+    rotateVertices90,
+    DEFAULT_WELD_TOLERANCE,
+    buildIndexedMesh,
+    buildEdgeAdjacency,
+    findShells,
+    shellTriangles,
+    shellOrientations,
+    NESTING_SHELL_LIMIT,
+    coplanarRegion,
+    gatherTriangles
   };
-  window.GEOMETRY = api;
+  globalThis.GEOMETRY = api;
   return api;
 })();
@@ -1,18 +1,15 @@
 /**
  * main.js — Bootstrap UI and wire events.
- * State: originalVertices (immutable), currentScaleFactor, currentVertices,
- * centerModel, currentBbox. Transform: scale + optional center.
+ * State: originalVertices (immutable), repair (repaired copy, when applied), currentScaleFactor,
+ * currentVertices, placement, currentBbox. Transform: scale + rotation + per-axis scale + placement
+ * (center, drop to bed, printer bed) and offset.
  */
 
 import { Preview } from './preview.js';
 import { track, trackOnce } from './analytics.js';
-import {
-  estimateMaterial,
-  estimateFilamentLength,
-  estimateCost,
-  estimatePrintTime,
-  computeOverhangRisk
-} from './camTools.js';
+import { computeEstimates, estimateMaterial, overhangVertexColors } from './camTools.js';
+import { findOrientations } from './autoOrient.js';
+import { measureWallThickness, summarizeWallThickness, thicknessHeatmap, PERIMETERS } from './wallThickness.js';
 
 console.log('FixMySTL assets loaded');
 
@@ -21,24 +18,55 @@ console.log('FixMySTL assets loaded');
 
   const GEOMETRY = window.GEOMETRY;
   const STLParser = window.STLParser;
+  const ThreeMFParser = window.ThreeMFParser;
+  const OBJParser = window.OBJParser;
+  const PLYParser = window.PLYParser;
   const STLExporter = window.STLExporter;
+  const PrinterFit = window.PrinterFit;
+  const MeshCheck = window.MeshCheck;
+  const MeshRepair = window.MeshRepair;
+  const ZIP = window.ZIP;
   const UI = window.UI;
 
   let state = {
     originalVertices: null,
     currentScaleFactor: 1,
+    axisScale: { x: 1, y: 1, z: 1 },
     currentVertices: null,
     currentBbox: null,
     triangleCount: 0,
+    colors: null,
+    bodies: null,
+    mesh: null,
+    adjacency: null,
+    weldTolerance: GEOMETRY.DEFAULT_WELD_TOLERANCE,
+    shells: null,
+    integrity: null,
+    highlightDefects: true,
+    repair: null,
+    orientCandidates: null,
+    layFlat: null,
+    thickness: null,
+    activeTriangles: null,
+    activeVertices: null,
+    activeTriangleCount: 0,
+    activeBbox: null,
+    diagnostics: [],
     format: null,
     fileSizeBytes: 0,
     filename: '',
     sizeWarning: false,
-    centerModel: false,
+    placement: { mode: 'none', offset: { x: 0, y: 0, z: 0 } },
     displayUnit: 'mm',
     showBoundingBox: false,
     rotationMatrix: [1, 0, 0, 0, 1, 0, 0, 0, 1],
-    lastAppliedScaleFactor: null
+    // Exact Euler angles of rotationMatrix; the Orientation card only shows them rounded.
+    rotationAngles: { x: 0, y: 0, z: 0 },
+    mirrorAxis: null,
+    translation: { x: 0, y: 0, z: 0 },
+    lastAppliedScaleFactor: null,
+    estimates: null,
+    batch: null
   };
 
   function bboxParams(bbox, units) {
@@ -52,28 +80,28 @@ console.log('FixMySTL assets loaded');
     };
   }
 
-  function computeFit(bboxMm, build) {
-    if (!bboxMm || !build) return null;
-    const dx = bboxMm.x; const dy = bboxMm.y; const dz = bboxMm.z;
-    const bx = build.x; const by = build.y; const bz = build.z;
-    const details = [];
-    let exceeds = false;
-    let near = false;
-    if (dx > bx) { exceeds = true; details.push('Exceeds X by ' + Math.round((dx - bx) * 10) / 10 + ' mm'); }
-    else if (dx >= 0.95 * bx) near = true;
-    if (dy > by) { exceeds = true; details.push('Exceeds Y by ' + Math.round((dy - by) * 10) / 10 + ' mm'); }
-    else if (dy >= 0.95 * by) near = true;
-    if (dz > bz) { exceeds = true; details.push('Exceeds Z by ' + Math.round((dz - bz) * 10) / 10 + ' mm'); }
-    else if (dz >= 0.95 * bz) near = true;
-    return {
-      status: exceeds ? 'exceed' : (near ? 'near' : 'fit'),
-      details
-    };
+  /**
+   * Model Check warnings; shared by the single-model view and the batch table.
+   */
+  function modelWarnings(bboxMm, fit, triangleCount) {
+    const maxDim = Math.max(bboxMm.x, bboxMm.y, bboxMm.z);
+    const warnings = [];
+    if (maxDim < 5) warnings.push('Model is very small (< 5 mm max dimension).');
+    if (fit && fit.status === 'exceed') {
+      warnings.push('Model exceeds build volume on selected printer.');
+    }
+    if (triangleCount > 1000000) {
+      warnings.push('High triangle count (> 1,000,000) may slow slicers.');
+    }
+    if (triangleCount > 0 && triangleCount < 50) {
+      warnings.push('Extremely low triangle count (< 50) may indicate a broken export.');
+    }
+    return warnings;
   }
 
   function computeModelInfo() {
     if (!state.currentBbox) return null;
-    const bbox = state.currentBbox;
+    const bbox = state.activeBbox;
     const units = state.displayUnit;
     const toDisplay = (v) => (units === 'inch' ? v / 25.4 : v);
     const bboxMm = { x: bbox.size.x, y: bbox.size.y, z: bbox.size.z };
@@ -83,78 +111,483 @@ console.log('FixMySTL assets loaded');
       z: Math.round(toDisplay(bbox.size.z) * 1000) / 1000
     };
     const build = UI.getBuildVolume();
-    const fit = computeFit(bboxMm, build);
-    const maxDim = Math.max(bboxMm.x, bboxMm.y, bboxMm.z);
-    const warnings = [];
-    if (maxDim < 5) warnings.push('Model is very small (< 5 mm max dimension).');
-    if (fit && fit.status === 'exceed') {
-      warnings.push('Model exceeds build volume on selected printer.');
-    }
-    if (state.triangleCount > 1000000) {
-      warnings.push('High triangle count (> 1,000,000) may slow slicers.');
-    }
-    if (state.triangleCount > 0 && state.triangleCount < 50) {
-      warnings.push('Extremely low triangle count (< 50) may indicate a broken export.');
-    }
+    const fit = PrinterFit.computeFit(bboxMm, build);
+    const warnings = modelWarnings(bboxMm, fit, state.activeTriangleCount);
     let volume = null;
-    if (state.currentVertices && GEOMETRY.computeVolume) {
-      volume = GEOMETRY.computeVolume(state.currentVertices, state.triangleCount);
+    let mass = null;
+    if (state.activeVertices) {
+      const props = GEOMETRY.computeMassProperties(state.activeVertices, state.activeTriangleCount);
+      volume = Math.abs(props.volume);
+      mass = massInfo(props, volume);
+    }
+    const integrity = state.integrity;
+    if (integrity) warnings.push(...MeshCheck.describe(integrity));
+    let thickness = null;
+    const walls = currentThickness();
+    if (walls) {
+      thickness = summarizeWallThickness(state.activeVertices, state.activeTriangleCount, walls, UI.getNozzleDiameter());
+      // Rays only measure walls on a closed mesh with every face pointing out of the material;
+      // otherwise the row is marked unreliable and raises no thin-wall warning.
+      thickness.unreliable = !!integrity && MeshCheck.volumeUnreliable(integrity);
+      if (!thickness.unreliable && thickness.belowNozzleAreaMm2 > 0) {
+        warnings.push('Walls down to ' + thickness.minMm.toFixed(2) + ' mm are thinner than the ' + thickness.nozzleMm + ' mm nozzle and may not print.');
+      } else if (!thickness.unreliable && thickness.belowLimitAreaMm2 > 0) {
+        warnings.push('Some walls are thinner than ' + PERIMETERS + ' perimeters (' + thickness.limitMm.toFixed(2) + ' mm) and may print weak.');
+      }
     }
     return {
-      triangles: state.triangleCount,
+      triangles: state.activeTriangleCount,
       bbox: bboxMm,
       bboxInDisplayUnits: bboxInDisplay,
       volume,
+      mass,
+      thickness,
       unitsDisplay: units,
       scaleFactorTotal: state.currentScaleFactor,
       warnings,
-      fit
+      fit,
+      integrity: integrity ? { watertight: integrity.watertight, clean: integrity.clean } : null,
+      repaired: !!state.repair
+    };
+  }
+
+  /**
+   * Model Check mass properties for the Pre-Slicer material: solid weight and inertia at full density,
+   * and the printed weight with the chosen infill and walls.
+   * @param {Object} props - from GEOMETRY.computeMassProperties
+   * @param {number} volume - mm³
+   */
+  function massInfo(props, volume) {
+    const inputs = UI.getPreSlicerInputs();
+    const solid = GEOMETRY.solidMass(props, inputs.density);
+    return {
+      material: inputs.material,
+      density: inputs.density,
+      areaMm2: props.area,
+      centroid: props.centroid,
+      solidMassG: solid.massG,
+      printedMassG: volume > 0 ? estimateMaterial(volume, inputs.density, inputs.infill, inputs.shellMult).mass_g : null,
+      infill: inputs.infill,
+      inertia: solid.inertia,
+      principal: solid.principal
+    };
+  }
+
+  /**
+   * True when the last wall-thickness check no longer describes the enabled shells: new topology
+   * (repair, weld tolerance), another shell selection or a different per-axis scale.
+   */
+  function thicknessStale() {
+    const t = state.thickness;
+    const a = state.axisScale;
+    return !t || t.mesh !== state.mesh || t.activeTriangles !== state.activeTriangles ||
+      t.axisScale.x !== a.x || t.axisScale.y !== a.y || t.axisScale.z !== a.z;
+  }
+
+  /**
+   * Wall thickness per enabled triangle at the current scale (mm), or null without a valid check.
+   * Rotation, mirroring and placement leave it unchanged; uniform scaling scales the distances.
+   */
+  function currentThickness() {
+    if (thicknessStale()) return null;
+    const t = state.thickness;
+    if (t.scale === state.currentScaleFactor) return t.values;
+    const ratio = state.currentScaleFactor / t.scale;
+    return t.values.map(d => d * ratio);
+  }
+
+  /** Color thin walls in the preview for the current check and nozzle, or remove the heatmap. */
+  function updateThicknessOverlay() {
+    const values = UI.getThicknessHeatmap() ? currentThickness() : null;
+    if (!values) {
+      Preview.setHeatmap(null);
+      return;
+    }
+    const heat = thicknessHeatmap(values, UI.getNozzleDiameter());
+    const triangles = state.activeTriangles ? heat.triangles.map(i => state.activeTriangles[i]) : heat.triangles;
+    Preview.setHeatmap(triangles, heat.colors, state.currentVertices);
+  }
+
+  let activeThickness = null;
+
+  /**
+   * Measure wall thickness in thicknessWorker.js (the vertices are copied, not transferred).
+   * onProgress receives a 0–1 fraction. cancelWallThickness() rejects with err.cancelled = true.
+   * Without Worker support the measurement runs on the main thread.
+   * @returns {Promise<Float32Array>}
+   */
+  function measureThickness(vertices, triangleCount, onProgress) {
+    let worker;
+    try {
+      worker = typeof Worker !== 'undefined'
+        ? new Worker(new URL('./thicknessWorker.js', import.meta.url), { type: 'module' })
+        : null;
+    } catch (e) {
+      worker = null;
+    }
+    if (!worker) {
+      // Let the button show its busy state before the rays block the main thread.
+      return new Promise(resolve => setTimeout(resolve, 0))
+        .then(() => measureWallThickness(vertices, triangleCount));
+    }
+
+    return new Promise(function (resolve, reject) {
+      const job = { worker, reject };
+      activeThickness = job;
+
+      function done() {
+        worker.terminate();
+        if (activeThickness === job) activeThickness = null;
+      }
+
+      worker.onmessage = function (e) {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+          onProgress(msg.total > 0 ? msg.done / msg.total : 1);
+        } else if (msg.type === 'done') {
+          done();
+          resolve(msg.thickness);
+        } else if (msg.type === 'error') {
+          done();
+          reject(new Error(msg.message));
+        }
+      };
+      worker.onerror = function (e) {
+        done();
+        reject(new Error((e && e.message) || 'Wall-thickness worker failed'));
+      };
+      worker.postMessage({ vertices, triangleCount });
+    });
+  }
+
+  function cancelWallThickness() {
+    if (!activeThickness) return;
+    const job = activeThickness;
+    activeThickness = null;
+    job.worker.terminate();
+    const err = new Error('Wall-thickness check cancelled.');
+    err.cancelled = true;
+    job.reject(err);
+  }
+
+  /**
+   * Cast a ray inward from every enabled face to measure wall thickness, then list thin walls in
+   * Model Check and color them in the preview. While it runs, the button cancels it.
+   */
+  async function checkWallThickness() {
+    if (activeThickness) {
+      cancelWallThickness();
+      track('wall_thickness_cancel');
+      return;
+    }
+    if (!state.activeVertices) return;
+    // What the result describes; if it changes while measuring, the result is dropped (thicknessStale).
+    const measured = {
+      scale: state.currentScaleFactor,
+      axisScale: { ...state.axisScale },
+      mesh: state.mesh,
+      activeTriangles: state.activeTriangles
+    };
+    const triangleCount = state.activeTriangleCount;
+    UI.setThicknessProgress(0);
+    try {
+      const values = await measureThickness(state.activeVertices, triangleCount, UI.setThicknessProgress);
+      state.thickness = { values, ...measured };
+      if (thicknessStale()) {
+        state.thickness = null;
+        return;
+      }
+      const modelInfo = computeModelInfo();
+      UI.updateModelCheck(modelInfo);
+      updateThicknessOverlay();
+      const t = modelInfo.thickness;
+      track('wall_thickness', {
+        triangles: triangleCount,
+        nozzle_mm: t.nozzleMm,
+        min_mm: t.minMm != null ? Math.round(t.minMm * 100) / 100 : null,
+        thin_area_mm2: Math.round(t.belowLimitAreaMm2),
+        below_nozzle_area_mm2: Math.round(t.belowNozzleAreaMm2)
+      });
+    } catch (err) {
+      if (!err.cancelled) UI.showMessage('Wall-thickness check failed: ' + (err.message || 'Unknown error'), true);
+    } finally {
+      if (!activeThickness) UI.setThicknessProgress(null);
+    }
+  }
+
+  /** A new nozzle only changes the thresholds: summarize and recolor without casting again. */
+  function onNozzleChange() {
+    UI.getNozzleDiameter(); // clamps the field
+    if (!state.thickness) return;
+    UI.updateModelCheck(computeModelInfo());
+    updateThicknessOverlay();
+  }
+
+  /**
+   * Tint defective triangles and open edges in the preview (enabled shells only).
+   */
+  function updateDefectHighlight() {
+    const report = state.integrity;
+    if (!report || report.clean || !state.highlightDefects) {
+      Preview.setDefects(null, null, state.currentVertices);
+      return;
+    }
+    const shells = state.shells;
+    const shown = (t) => !shells || shells.enabled[shells.faceShell[t]];
+    const triangles = [];
+    for (let t = 0; t < report.faceFlags.length; t++) {
+      if (report.faceFlags[t] && shown(t)) triangles.push(t);
+    }
+    const slots = Array.from(report.boundarySlots).filter(s => shown((s / 3) | 0));
+    Preview.setDefects(Uint32Array.from(triangles), Uint32Array.from(slots), state.currentVertices);
+  }
+
+  function onHighlightDefectsToggle() {
+    state.highlightDefects = UI.getHighlightDefects();
+    track('defects_highlight_toggle', { enabled: state.highlightDefects });
+    updateDefectHighlight();
+  }
+
+  /**
+   * Per-body triangle count, bbox and volume in current (transformed) coordinates.
+   * Only for models with more than one body (ASCII solids, OBJ groups).
+   */
+  function computeBodyStats() {
+    if (!state.bodies || state.bodies.length < 2 || !state.currentVertices) return null;
+    return state.bodies.map(function (body) {
+      const verts = state.currentVertices.subarray(body.start * 9, (body.start + body.count) * 9);
+      return {
+        name: body.name,
+        triangles: body.count,
+        bbox: GEOMETRY.computeBbox(verts, body.count),
+        volume: GEOMETRY.computeVolume(verts, body.count)
+      };
+    });
+  }
+
+  /**
+   * Per-shell triangle count, bbox and volume in current coordinates, largest first.
+   * Only for models with more than one shell.
+   */
+  function computeShellStats() {
+    if (!state.shells || !state.currentVertices) return null;
+    return Array.from({ length: state.shells.count }, function (_, i) {
+      const faces = GEOMETRY.shellTriangles(state.shells, i);
+      const verts = GEOMETRY.gatherTriangles(state.currentVertices, faces);
+      return {
+        index: i,
+        triangles: faces.length,
+        bbox: GEOMETRY.computeBbox(verts, faces.length),
+        volume: GEOMETRY.computeVolume(verts, faces.length),
+        enabled: !!state.shells.enabled[i]
+      };
+    }).sort((a, b) => b.triangles - a.triangles);
+  }
+
+  /**
+   * Geometry of the enabled shells in current coordinates (the whole model when all are on).
+   * Fit, Model Check, Pre-Slicer estimates and downloads use it.
+   */
+  function updateActiveGeometry() {
+    const shells = state.shells;
+    if (!shells || shells.enabled.every(Boolean)) {
+      state.activeTriangles = null;
+      state.activeVertices = state.currentVertices;
+      state.activeTriangleCount = state.triangleCount;
+      state.activeBbox = state.currentBbox;
+      return;
+    }
+    if (!state.activeTriangles) {
+      let n = 0;
+      for (let t = 0; t < state.triangleCount; t++) if (shells.enabled[shells.faceShell[t]]) n++;
+      const triangles = new Uint32Array(n);
+      n = 0;
+      for (let t = 0; t < state.triangleCount; t++) if (shells.enabled[shells.faceShell[t]]) triangles[n++] = t;
+      state.activeTriangles = triangles;
+    }
+    state.activeVertices = GEOMETRY.gatherTriangles(state.currentVertices, state.activeTriangles);
+    state.activeTriangleCount = state.activeTriangles.length;
+    state.activeBbox = GEOMETRY.computeBbox(state.activeVertices, state.activeTriangleCount);
+  }
+
+  /** Per-facet colors of the enabled shells, matching activeVertices. */
+  function activeColors() {
+    if (!state.activeTriangles) return state.colors;
+    const colors = state.colors;
+    if (!colors || !colors.faces) return null;
+    const faces = new Uint8Array(state.activeTriangles.length * 4);
+    state.activeTriangles.forEach(function (t, i) {
+      faces.set(colors.faces.subarray(t * 4, t * 4 + 4), i * 4);
+    });
+    return { ...colors, faces };
+  }
+
+  /**
+   * Install the welded topology of the untransformed geometry (original or repaired).
+   * Every shell starts enabled.
+   */
+  function setTopology(mesh, adjacency, shells, integrity) {
+    state.mesh = mesh;
+    state.adjacency = adjacency;
+    state.shells = shells && shells.count > 1 ? { ...shells, enabled: new Uint8Array(shells.count).fill(1) } : null;
+    state.activeTriangles = null;
+    state.integrity = integrity;
+    if (state.layFlat) state.layFlat.region = null;
+  }
+
+  /**
+   * Swap the geometry under the current transform (after a repair or undoing one):
+   * new triangles, colors and topology, so the preview mesh is rebuilt.
+   */
+  function replaceGeometry(triangleCount, colors, bodies) {
+    state.triangleCount = triangleCount;
+    state.colors = colors;
+    state.bodies = bodies;
+    applyTransform();
+    Preview.setMesh(state.currentVertices, state.triangleCount, state.currentBbox, state.colors, state.mesh);
+    updateDefectHighlight();
+    UI.setExportBodiesAvailable(!!state.bodies && state.bodies.length > 1);
+    refreshFromState();
+  }
+
+  /**
+   * Repair a copy of the original triangles; scale, rotation and centering carry over.
+   * originalVertices is kept so Undo and Reset can go back to it.
+   */
+  function repairMesh() {
+    if (!state.originalVertices || state.repair) return;
+    const result = MeshRepair.repair(state.originalVertices, state.triangleCount, {
+      weldTolerance: state.weldTolerance,
+      maxHoleEdges: UI.getRepairOptions().maxHoleEdges
+    });
+    state.repair = {
+      vertices: result.vertices,
+      summary: result.summary,
+      before: result.before,
+      original: {
+        triangleCount: state.triangleCount,
+        colors: state.colors,
+        bodies: state.bodies,
+        mesh: state.mesh,
+        adjacency: state.adjacency,
+        shells: state.shells,
+        integrity: state.integrity
+      }
     };
+    const { faceFlags, boundarySlots, ...after } = result.after;
+    setTopology(result.mesh, result.adjacency, result.shells, result.after);
+    replaceGeometry(result.triangleCount, MeshRepair.remapColors(state.colors, result), MeshRepair.remapBodies(state.bodies, result));
+    UI.renderRepairSummary({
+      summary: result.summary,
+      before: result.before,
+      after,
+      changes: MeshRepair.describe(result.summary)
+    });
+    const s = result.summary;
+    track('mesh_repair', {
+      triangles_before: s.trianglesBefore,
+      triangles_after: s.trianglesAfter,
+      removed: s.removedDegenerate + s.removedDuplicate,
+      welded: s.weldedVertices,
+      flipped: s.flippedTriangles,
+      holes_filled: s.holesFilled,
+      holes_skipped: s.holesSkipped,
+      watertight: result.after.watertight
+    });
+  }
+
+  function undoRepair() {
+    if (!state.repair) return;
+    const o = state.repair.original;
+    state.repair = null;
+    setTopology(o.mesh, o.adjacency, o.shells, o.integrity);
+    replaceGeometry(o.triangleCount, o.colors, o.bodies);
+    UI.renderRepairSummary(null);
+  }
+
+  function renderModelStats() {
+    UI.renderModelStats({
+      format: state.format,
+      fileSizeBytes: state.fileSizeBytes,
+      triangleCount: state.triangleCount,
+      vertexCount: state.mesh ? state.mesh.vertexCount : null,
+      bbox: state.currentBbox,
+      sizeWarning: state.sizeWarning,
+      colorFormat: state.colors ? state.colors.format : null,
+      bodies: computeBodyStats(),
+      shells: computeShellStats(),
+      displayUnit: state.displayUnit
+    });
   }
 
   function applyTransform() {
     if (!state.originalVertices) return;
 
-    const scaled = GEOMETRY.scaleVertices(state.originalVertices, state.currentScaleFactor);
+    const source = state.repair ? state.repair.vertices : state.originalVertices;
+    const scaled = GEOMETRY.scaleVertices(source, state.currentScaleFactor);
     const bboxScaled = GEOMETRY.computeBbox(scaled, state.triangleCount);
     const center = GEOMETRY.computeCenter(bboxScaled);
 
-    let rotated = GEOMETRY.rotateVerticesAboutCenter(scaled, center, state.rotationMatrix);
+    // Orientation is R * M: the mirror (if any) acts on source axes, then the rotation.
+    const m = orientationMatrix();
+    let rotated = GEOMETRY.rotateVerticesAboutCenter(scaled, center, m);
+    // A mirror reverses the winding; swap corners so normals, export and volume stay outward.
+    if (state.mirrorAxis) GEOMETRY.flipWinding(rotated);
+    Preview.setWindingFlipped(!!state.mirrorAxis);
+    // Net translation after scale * orientation: c - R * M * c, plus the placement shift.
+    const translation = {
+      x: center.x - (m[0] * center.x + m[1] * center.y + m[2] * center.z),
+      y: center.y - (m[3] * center.x + m[4] * center.y + m[5] * center.z),
+      z: center.z - (m[6] * center.x + m[7] * center.y + m[8] * center.z)
+    };
+
+    const a = state.axisScale;
+    if (a.x !== 1 || a.y !== 1 || a.z !== 1) {
+      // Per-axis factors act on printer axes (after orientation), about the model center.
+      const c = GEOMETRY.computeCenter(GEOMETRY.computeBbox(rotated, state.triangleCount));
+      rotated = GEOMETRY.scaleVerticesAxes(rotated, a, c);
+      translation.x = a.x * (translation.x - c.x) + c.x;
+      translation.y = a.y * (translation.y - c.y) + c.y;
+      translation.z = a.z * (translation.z - c.z) + c.z;
+    }
 
-    if (state.centerModel) {
+    const { mode, offset } = state.placement;
+    if (mode !== 'none' || offset.x || offset.y || offset.z) {
       const bboxRotated = GEOMETRY.computeBbox(rotated, state.triangleCount);
-      const centerRotated = GEOMETRY.computeCenter(bboxRotated);
-      rotated = GEOMETRY.translateVertices(rotated, -centerRotated.x, -centerRotated.y, -centerRotated.z);
+      const shift = GEOMETRY.placementShift(bboxRotated, mode, UI.getBuildVolume(), offset);
+      rotated = GEOMETRY.translateVertices(rotated, shift.x, shift.y, shift.z);
+      translation.x += shift.x;
+      translation.y += shift.y;
+      translation.z += shift.z;
     }
 
+    state.translation = translation;
     state.currentVertices = rotated;
     state.currentBbox = GEOMETRY.computeBbox(state.currentVertices, state.triangleCount);
+    updateActiveGeometry();
   }
 
   function refreshFromState() {
     if (!state.originalVertices) return;
 
     applyTransform();
+    if (thicknessStale()) state.thickness = null;
     const bbox = state.currentBbox;
     const maxDim = Math.max(bbox.size.x, bbox.size.y, bbox.size.z, 0);
 
-    UI.renderModelStats({
-      format: state.format,
-      fileSizeBytes: state.fileSizeBytes,
-      triangleCount: state.triangleCount,
-      bbox,
-      sizeWarning: state.sizeWarning,
-      displayUnit: state.displayUnit
-    });
+    renderModelStats();
 
     const modelInfo = computeModelInfo();
     UI.updatePrinterFit(modelInfo?.fit || null);
     UI.updateModelCheck(modelInfo);
 
     Preview.updateMeshPositions(state.currentVertices);
+    updateThicknessOverlay();
     Preview.fitCameraToBbox(bbox);
     Preview.updateBoundingBoxAndLabels(bbox, state.displayUnit, state.showBoundingBox);
     UI.setCustomFactor(state.currentScaleFactor);
+    UI.setAxisScale(state.axisScale);
+    UI.setScalePreview(null);
     const suggestionPreset = UI.updateSuggestionBanner(maxDim);
     if (suggestionPreset && typeof trackOnce === 'function') {
       const key = 'unit_suggestion_shown_' + state.filename + '_' + state.triangleCount;
@@ -164,83 +597,600 @@ console.log('FixMySTL assets loaded');
     recomputePreSlicerEstimates();
   }
 
+  const SUPPORTED_EXTENSIONS = ['stl', '3mf', 'obj', 'ply'];
+
+  let activeLoad = null;
+  let loadToken = 0;
+  let batchOpenToken = 0;
+
+  function fileExtension(file) {
+    const m = /\.([^.]+)$/.exec(file ? file.name : '');
+    return m ? m[1].toLowerCase() : '';
+  }
+
+  /**
+   * Parse on the main thread. Fallback for environments without Worker support.
+   */
+  function parseFileOnMainThread(file, options) {
+    return new Promise(function (resolve, reject) {
+      const reader = new FileReader();
+      reader.onload = function (e) {
+        const arrayBuffer = e.target.result;
+        const ext = fileExtension(file);
+        try {
+          if (ext === '3mf') resolve(ThreeMFParser.parse(arrayBuffer, arrayBuffer.byteLength));
+          else if (ext === 'obj') resolve(OBJParser.parse(arrayBuffer, arrayBuffer.byteLength));
+          else if (ext === 'ply') resolve(PLYParser.parse(arrayBuffer, arrayBuffer.byteLength));
+          else resolve(STLParser.parse(arrayBuffer, arrayBuffer.byteLength, options));
+        } catch (err) {
+          reject(err);
+        }
+      };
+      reader.onerror = function () {
+        reject(new Error('Failed to read file.'));
+      };
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * Parse in parserWorker.js, reading the file in chunks. The worker also welds the triangles and
+   * checks the mesh (result.topology, see MeshCheck.inspect), so large files do not freeze the page.
+   * onProgress receives a 0–1 fraction. cancelLoad() rejects with err.cancelled = true.
+   * Parse errors carry err.diagnostics when the parser produced them.
+   * @param {{ recover?: boolean }} options - passed to STLParser
+   */
+  function parseFile(file, options, onProgress) {
+    const worker = createParserWorker();
+    if (!worker) return parseFileOnMainThread(file, options);
+
+    return new Promise(function (resolve, reject) {
+      const load = { worker, reject };
+      activeLoad = load;
+
+      function done() {
+        worker.terminate();
+        if (activeLoad === load) activeLoad = null;
+      }
+
+      worker.onmessage = function (e) {
+        const msg = e.data;
+        if (msg.type === 'progress') {
+          onProgress(msg.total > 0 ? msg.loaded / msg.total : 1);
+        } else if (msg.type === 'done') {
+          done();
+          resolve(msg.result);
+        } else if (msg.type === 'error') {
+          done();
+          const err = new Error(msg.message);
+          err.diagnostics = msg.diagnostics;
+          reject(err);
+        }
+      };
+      worker.onerror = function (e) {
+        done();
+        reject(new Error((e && e.message) || 'Parser worker failed'));
+      };
+      worker.postMessage({ file, options, weldTolerance: state.weldTolerance });
+    });
+  }
+
+  function createParserWorker() {
+    try {
+      return typeof Worker !== 'undefined'
+        ? new Worker(new URL('./parserWorker.js', import.meta.url))
+        : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * MeshCheck.inspect in parserWorker.js for triangles that are already parsed: a batch row keeps only
+   * its vertices, so opening it later rebuilds the topology off the main thread.
+   * @returns {Promise<Object>} { mesh, adjacency, shells, report }
+   */
+  function inspectMesh(vertices, triangleCount) {
+    const worker = createParserWorker();
+    if (!worker) return Promise.resolve(MeshCheck.inspect(vertices, triangleCount, state.weldTolerance));
+    return new Promise(function (resolve, reject) {
+      worker.onmessage = function (e) {
+        worker.terminate();
+        if (e.data.type === 'done') resolve(e.data.result.topology);
+        else reject(new Error(e.data.message));
+      };
+      worker.onerror = function (e) {
+        worker.terminate();
+        reject(new Error((e && e.message) || 'Parser worker failed'));
+      };
+      worker.postMessage({ vertices, triangleCount, weldTolerance: state.weldTolerance });
+    });
+  }
+
+  function cancelLoad() {
+    if (!activeLoad) return;
+    const load = activeLoad;
+    activeLoad = null;
+    load.worker.terminate();
+    const err = new Error('Loading cancelled.');
+    err.cancelled = true;
+    load.reject(err);
+  }
+
+  function onParsed(parsed, file, options) {
+    state.originalVertices = parsed.vertices;
+    state.currentScaleFactor = 1;
+    state.axisScale = { x: 1, y: 1, z: 1 };
+    state.triangleCount = parsed.triangleCount;
+    state.colors = parsed.colors || null;
+    state.bodies = parsed.bodies || null;
+    state.repair = null;
+    // Welded topology of the original triangles; transforms only move the positions.
+    // The parser worker builds it; the main-thread fallback parser does not.
+    const topology = parsed.topology || MeshCheck.inspect(parsed.vertices, parsed.triangleCount, state.weldTolerance);
+    setTopology(topology.mesh, topology.adjacency, topology.shells, topology.report);
+    state.diagnostics = (parsed.diagnostics || []).concat(MeshCheck.diagnostics(topology.report));
+    state.format = parsed.format;
+    state.fileSizeBytes = parsed.fileSizeBytes;
+    state.filename = file.name;
+    state.sizeWarning = parsed.sizeWarning;
+    state.placement = { mode: 'none', offset: { x: 0, y: 0, z: 0 } };
+    state.lastAppliedScaleFactor = null;
+    setRotation(GEOMETRY.IDENTITY.slice());
+    setMirrorAxis(null);
+    UI.setPlacement(state.placement);
+    UI.renderRepairSummary(null);
+    state.orientCandidates = null;
+    UI.renderOrientCandidates(null);
+    cancelWallThickness();
+    state.thickness = null;
+
+    applyTransform();
+    const bbox = state.currentBbox;
+    const maxDim = Math.max(bbox.size.x, bbox.size.y, bbox.size.z, 0);
+
+    renderModelStats();
+
+    Preview.setMesh(state.currentVertices, state.triangleCount, bbox, state.colors, state.mesh);
+    updateDefectHighlight();
+    Preview.updateBoundingBoxAndLabels(bbox, state.displayUnit, state.showBoundingBox);
+    UI.updateSizeSanity(bbox, state.displayUnit);
+    const modelInfo = computeModelInfo();
+    UI.updatePrinterFit(modelInfo?.fit || null);
+    UI.updateModelCheck(modelInfo);
+    recomputePreSlicerEstimates();
+    UI.showCards();
+    UI.enableDownload(true);
+    UI.setExportBodiesAvailable(!!state.bodies && state.bodies.length > 1);
+    UI.setDefaultSolidName(STLExporter.modelName(state.filename));
+    UI.setCustomFactor(state.currentScaleFactor);
+    UI.setAxisScale(state.axisScale);
+    UI.setScalePreview(null);
+    const suggestionPreset = UI.updateSuggestionBanner(maxDim);
+    if (suggestionPreset && typeof trackOnce === 'function') {
+      trackOnce('unit_suggestion_shown_' + file.name + '_' + state.fileSizeBytes + '_' + state.triangleCount, 'unit_suggestion_shown', { preset: suggestionPreset });
+    }
+    UI.hideMessage();
+    if (state.diagnostics.length) {
+      UI.showDiagnostics(state.diagnostics, { recovered: !!options.recover });
+    }
+    const uploadKey = 'stl_' + file.name + '_' + state.fileSizeBytes + '_' + state.triangleCount;
+    const fmt = ['ascii', 'binary', '3mf', 'obj', 'ply'].includes(state.format) ? state.format : 'unknown';
+    trackOnce(uploadKey, 'stl_upload', {
+      file_size_mb: Math.round((state.fileSizeBytes / (1024 * 1024)) * 1000) / 1000,
+      file_format: fmt,
+      triangles: state.triangleCount,
+      has_color: !!state.colors,
+      diagnostics: state.diagnostics.map(d => d.code).join(',') || 'none',
+      ...bboxParams(bbox, state.displayUnit)
+    });
+  }
+
   function loadFile(file) {
+    const token = ++loadToken;
+    cancelLoad();
     UI.hideMessage();
+    UI.hideDiagnostics();
     UI.hideCards();
+    state.batch = null;
+    UI.hideBatch();
+    setLayFlat(false);
     Preview.clear();
     UI.resetBannerOnLoad();
 
-    if (!file || !file.name.toLowerCase().endsWith('.stl')) {
-      UI.showMessage('Please select a valid .stl file.', true);
+    if (!SUPPORTED_EXTENSIONS.includes(fileExtension(file))) {
+      UI.showMessage('Please select a valid .stl, .3mf, .obj or .ply file.', true);
+      return;
+    }
+
+    const options = { recover: UI.getRecoverMode() };
+    UI.showLoadProgress(0, file.name);
+    parseFile(file, options, function (fraction) {
+      if (token === loadToken) UI.showLoadProgress(fraction, file.name);
+    })
+      .then(function (parsed) {
+        if (token !== loadToken) return;
+        UI.hideLoadProgress();
+        onParsed(parsed, file, options);
+      })
+      .catch(function (err) {
+        if (token !== loadToken) return;
+        UI.hideLoadProgress();
+        if (err && err.cancelled) {
+          UI.showMessage('Loading cancelled.', false);
+          track('stl_load_cancel', { file_size_mb: Math.round((file.size / (1024 * 1024)) * 1000) / 1000 });
+          return;
+        }
+        UI.showMessage('Failed to parse ' + fileExtension(file).toUpperCase() + ': ' + (err.message || 'Unknown error'), true);
+        if (err.diagnostics && err.diagnostics.length) {
+          UI.showDiagnostics(err.diagnostics, { failed: true, recoverable: !options.recover });
+        }
+        track('stl_parse_error', {
+          reason: (err && err.message) || 'unknown',
+          recover: options.recover,
+          diagnostics: (err.diagnostics || []).map(d => d.code).join(',') || 'none'
+        });
+      });
+  }
+
+  /**
+   * Files under a dropped directory entry, depth first. name keeps the folder path.
+   */
+  async function collectEntryFiles(entry, prefix, out) {
+    if (entry.isFile) {
+      const file = await new Promise(function (resolve, reject) { entry.file(resolve, reject); });
+      out.push({ file, name: prefix + file.name });
+      return;
+    }
+    if (!entry.isDirectory) return;
+    const reader = entry.createReader();
+    let entries;
+    do {
+      // readEntries returns the listing in pages; an empty page ends it.
+      entries = await new Promise(function (resolve, reject) { reader.readEntries(resolve, reject); });
+      for (const child of entries) {
+        await collectEntryFiles(child, prefix + entry.name + '/', out);
+      }
+    } while (entries.length);
+  }
+
+  /**
+   * Dropped files and folders as [{ file, name }].
+   */
+  async function collectDroppedFiles(dataTransfer) {
+    // Entries must be taken before the first await; the DataTransfer is emptied after the event.
+    const entries = dataTransfer.items
+      ? Array.from(dataTransfer.items).map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean)
+      : [];
+    if (!entries.length) {
+      return Array.from(dataTransfer.files).map(file => ({ file, name: file.name }));
+    }
+    const out = [];
+    for (const entry of entries) {
+      await collectEntryFiles(entry, '', out);
+    }
+    return out;
+  }
+
+  /**
+   * Supported models inside a .zip as [{ file, name }] (macOS resource forks skipped).
+   */
+  async function expandZip(file) {
+    const buffer = await file.arrayBuffer();
+    const out = [];
+    for (const entry of ZIP.readEntries(buffer)) {
+      if (entry.name.endsWith('/') || /(^|\/)__MACOSX\//.test(entry.name)) continue;
+      const basename = entry.name.split('/').pop();
+      if (!SUPPORTED_EXTENSIONS.includes(fileExtension({ name: basename }))) continue;
+      const bytes = await ZIP.extract(buffer, entry);
+      out.push({ file: new File([bytes], basename), name: entry.name });
+    }
+    return out;
+  }
+
+  /**
+   * Entry point for dropped or chosen files: one model opens directly, several (or a .zip) open as a batch.
+   * @param {{ file: File, name: string }[]} list
+   */
+  async function openFiles(list) {
+    if (list.length === 1 && fileExtension(list[0].file) !== 'zip') {
+      loadFile(list[0].file);
       return;
     }
+    const token = ++loadToken;
+    cancelLoad();
+    UI.hideMessage();
+    UI.hideDiagnostics();
 
-    const reader = new FileReader();
-    reader.onload = function (e) {
-      const arrayBuffer = e.target.result;
-      const fileSizeBytes = arrayBuffer.byteLength;
+    const entries = [];
+    try {
+      for (const item of list) {
+        const ext = fileExtension(item.file);
+        if (ext === 'zip') entries.push(...await expandZip(item.file));
+        else if (SUPPORTED_EXTENSIONS.includes(ext)) entries.push(item);
+      }
+    } catch (err) {
+      if (token === loadToken) UI.showMessage('Failed to read ZIP: ' + (err.message || 'Unknown error'), true);
+      return;
+    }
+    if (token !== loadToken) return;
+    if (entries.length === 0) {
+      UI.showMessage('No .stl, .3mf, .obj or .ply files found.', true);
+      return;
+    }
+    if (entries.length === 1) {
+      loadFile(entries[0].file);
+      return;
+    }
+    runBatch(entries, token);
+  }
 
+  /**
+   * Parse batch files one at a time in the worker, filling in table rows as they finish.
+   * The first file that loads is also opened in the cards, so printer and material can be changed.
+   */
+  async function runBatch(entries, token) {
+    UI.hideCards();
+    setLayFlat(false);
+    Preview.clear();
+    state.originalVertices = null;
+    state.repair = null;
+    cancelWallThickness();
+    state.thickness = null;
+    state.currentVertices = null;
+    state.batch = {
+      items: entries.map(function (entry, i) {
+        return { id: i, name: entry.name, file: entry.file, status: 'pending', scaleFactor: 1, parsed: null, options: null };
+      })
+    };
+    const batch = state.batch;
+    UI.showBatch();
+    renderBatch();
+    track('batch_load', { files: entries.length });
+
+    const options = { recover: UI.getRecoverMode() };
+    for (let i = 0; i < batch.items.length; i++) {
+      const item = batch.items[i];
+      const label = item.name + ' (' + (i + 1) + ' of ' + batch.items.length + ')';
+      UI.showLoadProgress(0, label);
       try {
-        const parsed = STLParser.parse(arrayBuffer, fileSizeBytes);
-        state.originalVertices = parsed.vertices;
-        state.currentScaleFactor = 1;
-        state.triangleCount = parsed.triangleCount;
-        state.format = parsed.format;
-        state.fileSizeBytes = parsed.fileSizeBytes;
-        state.filename = file.name;
-        state.sizeWarning = parsed.sizeWarning;
-        state.centerModel = false;
-        state.lastAppliedScaleFactor = null;
-        state.rotationMatrix = GEOMETRY.IDENTITY.slice();
-        UI.setCenterModel(false);
-
-        applyTransform();
-        const bbox = state.currentBbox;
-        const maxDim = Math.max(bbox.size.x, bbox.size.y, bbox.size.z, 0);
-
-        UI.renderModelStats({
-          format: state.format,
-          fileSizeBytes: state.fileSizeBytes,
-          triangleCount: state.triangleCount,
-          bbox,
-          sizeWarning: state.sizeWarning,
-          displayUnit: state.displayUnit
+        const parsed = await parseFile(item.file, options, function (fraction) {
+          if (token === loadToken) UI.showLoadProgress(fraction, label);
         });
-
-        Preview.setMesh(state.currentVertices, state.triangleCount, bbox);
-        Preview.updateBoundingBoxAndLabels(bbox, state.displayUnit, state.showBoundingBox);
-        UI.updateSizeSanity(bbox, state.displayUnit);
-        const modelInfo = computeModelInfo();
-        UI.updatePrinterFit(modelInfo?.fit || null);
-        UI.updateModelCheck(modelInfo);
-        recomputePreSlicerEstimates();
-        UI.showCards();
-        UI.enableDownload(true);
-        UI.setCustomFactor(state.currentScaleFactor);
-        const suggestionPreset = UI.updateSuggestionBanner(maxDim);
-        if (suggestionPreset && typeof trackOnce === 'function') {
-          trackOnce('unit_suggestion_shown_' + file.name + '_' + state.fileSizeBytes + '_' + state.triangleCount, 'unit_suggestion_shown', { preset: suggestionPreset });
+        if (token !== loadToken) return;
+        // A row keeps its triangles and the mesh check's counts; the welded topology is rebuilt if it is opened.
+        const topology = parsed.topology || MeshCheck.inspect(parsed.vertices, parsed.triangleCount, state.weldTolerance);
+        const { faceFlags, boundarySlots, ...integrity } = topology.report;
+        item.parsed = { ...parsed, topology: null };
+        item.integrity = integrity;
+        item.file = null;
+        item.options = options;
+        item.status = 'done';
+        analyzeBatchItem(item);
+        if (!state.originalVertices) openBatchItem(item.id, { ...parsed, topology });
+      } catch (err) {
+        if (token !== loadToken) return;
+        if (err && err.cancelled) {
+          batch.items.forEach(function (it) {
+            if (it.status === 'pending') { it.status = 'error'; it.error = 'Cancelled'; }
+          });
+          UI.hideLoadProgress();
+          UI.showMessage('Batch cancelled.', false);
+          renderBatch();
+          return;
         }
-        UI.hideMessage();
-        const uploadKey = 'stl_' + file.name + '_' + state.fileSizeBytes + '_' + state.triangleCount;
-        const fmt = state.format === 'ascii' || state.format === 'binary' ? state.format : 'unknown';
-        trackOnce(uploadKey, 'stl_upload', {
-          file_size_mb: Math.round((state.fileSizeBytes / (1024 * 1024)) * 1000) / 1000,
-          file_format: fmt,
-          triangles: state.triangleCount,
-          ...bboxParams(bbox, state.displayUnit)
-        });
+        item.status = 'error';
+        item.error = err.message || 'Unknown error';
+      }
+      renderBatch();
+    }
+    UI.hideLoadProgress();
+    track('batch_done', {
+      files: batch.items.length,
+      failed: batch.items.filter(it => it.status === 'error').length
+    });
+  }
+
+  /**
+   * Fit, volume, estimates and warnings for one batch row, at its scale factor.
+   * Same computations as the Model Info, Printer Fit and Pre-Slicer cards, including the unreliable flag.
+   */
+  function analyzeBatchItem(item) {
+    const parsed = item.parsed;
+    const triCount = parsed.triangleCount;
+    const vertices = item.scaleFactor === 1 ? parsed.vertices : GEOMETRY.scaleVertices(parsed.vertices, item.scaleFactor);
+    const bbox = GEOMETRY.computeBbox(vertices, triCount);
+    item.bbox = { x: bbox.size.x, y: bbox.size.y, z: bbox.size.z };
+    item.fit = PrinterFit.computeFit(item.bbox, UI.getBuildVolume());
+    item.volumeMm3 = GEOMETRY.computeVolume(vertices, triCount);
+    item.estimates = item.volumeMm3 > 0
+      ? computeEstimates(vertices, triCount, item.volumeMm3, UI.getPreSlicerInputs())
+      : null;
+    item.unreliable = MeshCheck.volumeUnreliable(item.integrity);
+    item.unitPreset = UI.suggestUnitPreset(Math.max(item.bbox.x, item.bbox.y, item.bbox.z));
+    item.warnings = modelWarnings(item.bbox, item.fit, triCount);
+    if (item.unitPreset) {
+      item.warnings.unshift('Possible inch/mm mismatch (try ' + (item.unitPreset === 'inch_to_mm' ? '×25.4' : '÷25.4') + ').');
+    }
+    item.warnings.push(...MeshCheck.describe(item.integrity));
+    if (item.unreliable) item.warnings.push('Volume, weight and cost are unreliable.');
+    const diagnostics = (parsed.diagnostics || []).concat(MeshCheck.diagnostics(item.integrity));
+    if (diagnostics.length) {
+      item.warnings.push((item.options.recover ? 'Repaired while loading: ' : 'Loaded with warnings: ') +
+        diagnostics.map(d => d.message).join('; '));
+    }
+  }
+
+  function renderBatch() {
+    if (state.batch) UI.renderBatch(state.batch.items, state.displayUnit);
+  }
+
+  /** Re-run batch rows after printer or Pre-Slicer inputs change. */
+  function refreshBatch() {
+    if (!state.batch) return;
+    state.batch.items.forEach(function (item) {
+      if (item.status === 'done') analyzeBatchItem(item);
+    });
+    renderBatch();
+  }
+
+  /**
+   * Open a batch row in the cards.
+   * @param {number} id
+   * @param {Object} [parsed] - the full parse result, topology included, while it is still at hand
+   */
+  async function openBatchItem(id, parsed) {
+    const batch = state.batch;
+    const item = batch && batch.items.find(it => it.id === id);
+    if (!item || item.status !== 'done') return;
+    const token = ++batchOpenToken;
+    let full = parsed;
+    if (!full) {
+      try {
+        full = { ...item.parsed, topology: await inspectMesh(item.parsed.vertices, item.parsed.triangleCount) };
       } catch (err) {
-        UI.showMessage('Failed to parse STL: ' + (err.message || 'Unknown error'), true);
-        track('stl_parse_error', { reason: (err && err.message) || 'unknown' });
+        if (token === batchOpenToken) UI.showMessage('Failed to open ' + item.name + ': ' + (err.message || 'Unknown error'), true);
+        return;
       }
-    };
+      // Another row was opened, or the batch closed, while the mesh was being checked.
+      if (token !== batchOpenToken || state.batch !== batch) return;
+    }
+    UI.hideMessage();
+    UI.hideDiagnostics();
+    UI.resetBannerOnLoad();
+    onParsed(full, { name: item.name.split('/').pop() }, item.options);
+    if (item.scaleFactor !== 1) applyScale(item.scaleFactor);
+  }
 
-    reader.onerror = function () {
-      UI.showMessage('Failed to read file.', true);
-    };
+  function fixBatchUnits() {
+    if (!state.batch) return;
+    const suspicious = state.batch.items.filter(it => it.status === 'done' && it.unitPreset === 'inch_to_mm');
+    suspicious.forEach(function (item) {
+      item.scaleFactor *= UI.SCALE_INCH_TO_MM;
+      analyzeBatchItem(item);
+    });
+    renderBatch();
+    track('batch_fix_units', { files: suspicious.length });
+  }
 
-    reader.readAsArrayBuffer(file);
+  /**
+   * Every analyzed batch file as Binary STL at its scale factor, in one .zip.
+   */
+  async function downloadBatchZip() {
+    if (!state.batch) return;
+    const btn = UI.elements().btnBatchDownload;
+    const done = state.batch.items.filter(it => it.status === 'done');
+    btn.disabled = true;
+    try {
+      const used = new Set();
+      const files = done.map(function (item) {
+        const parsed = item.parsed;
+        const vertices = item.scaleFactor === 1 ? parsed.vertices : GEOMETRY.scaleVertices(parsed.vertices, item.scaleFactor);
+        let name = STLExporter.fixedFilename(item.name);
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+          name = STLExporter.fixedFilename(item.name).replace(/\.stl$/, ' (' + n + ').stl');
+        }
+        used.add(name.toLowerCase());
+        const provenance = { scaleFactor: item.scaleFactor, sourceFilename: item.name };
+        return { name, data: new Uint8Array(STLExporter.buildBinarySTL(vertices, parsed.triangleCount, parsed.colors, provenance)) };
+      });
+      const zip = await ZIP.build(files);
+      STLExporter.download(zip, 'fixmystl_batch.zip', 'application/zip');
+      track('batch_download_zip', {
+        files: files.length,
+        rescaled: done.filter(it => it.scaleFactor !== 1).length
+      });
+    } catch (err) {
+      UI.showMessage('Failed to build ZIP: ' + (err.message || 'Unknown error'), true);
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * Turn shells on or off. At least one shell stays enabled.
+   * @param {number[]} indices - shell indices
+   * @param {boolean} enabled
+   */
+  function setShellsEnabled(indices, enabled) {
+    const shells = state.shells;
+    if (!shells) return;
+    const next = shells.enabled.slice();
+    indices.forEach(function (i) { next[i] = enabled ? 1 : 0; });
+    if (next.every(on => !on)) {
+      renderModelStats();
+      return;
+    }
+    shells.enabled = next;
+    state.activeTriangles = null;
+    updateActiveGeometry();
+    if (thicknessStale()) state.thickness = null;
+    renderModelStats();
+    Preview.setVisibleTriangles(state.activeTriangles);
+    updateDefectHighlight();
+    updateThicknessOverlay();
+    const modelInfo = computeModelInfo();
+    UI.updatePrinterFit(modelInfo?.fit || null);
+    UI.updateModelCheck(modelInfo);
+    recomputePreSlicerEstimates();
+  }
+
+  /**
+   * Each enabled shell as its own Binary STL, in one .zip.
+   */
+  async function downloadShellsZip() {
+    const shells = state.shells;
+    if (!shells || !state.currentVertices) return;
+    const base = STLExporter.modelName(state.filename) || 'model';
+    const provenance = currentProvenance();
+    try {
+      const files = [];
+      for (let i = 0; i < shells.count; i++) {
+        if (!shells.enabled[i]) continue;
+        const faces = GEOMETRY.shellTriangles(shells, i);
+        const vertices = GEOMETRY.gatherTriangles(state.currentVertices, faces);
+        let colors = null;
+        if (state.colors && state.colors.faces) {
+          const rgba = new Uint8Array(faces.length * 4);
+          faces.forEach(function (t, k) { rgba.set(state.colors.faces.subarray(t * 4, t * 4 + 4), k * 4); });
+          colors = { ...state.colors, faces: rgba };
+        }
+        const data = new Uint8Array(STLExporter.buildBinarySTL(vertices, faces.length, colors, provenance));
+        files.push({ name: base + '_shell' + (i + 1) + '.stl', data });
+      }
+      const zip = await ZIP.build(files);
+      STLExporter.download(zip, base + '_shells.zip', 'application/zip');
+      track('shells_download_zip', { shells: files.length, total: shells.count });
+    } catch (err) {
+      UI.showMessage('Failed to build ZIP: ' + (err.message || 'Unknown error'), true);
+    }
+  }
+
+  function setupShells() {
+    const stats = UI.elements().modelStats;
+    stats.addEventListener('change', function (e) {
+      const input = e.target.closest('[data-shell]');
+      if (!input) return;
+      setShellsEnabled([Number(input.dataset.shell)], input.checked);
+    });
+    stats.addEventListener('click', function (e) {
+      const btn = e.target.closest('[data-shells-action]');
+      if (!btn || !state.shells) return;
+      if (btn.dataset.shellsAction === 'show-all') {
+        setShellsEnabled(Array.from(state.shells.enabled.keys()), true);
+      } else if (btn.dataset.shellsAction === 'download') {
+        downloadShellsZip();
+      }
+    });
+  }
+
+  function clearBatch() {
+    if (!state.batch) return;
+    ++loadToken;
+    cancelLoad();
+    UI.hideLoadProgress();
+    state.batch = null;
+    UI.hideBatch();
   }
 
   function applyScale(factor, mode) {
@@ -259,26 +1209,295 @@ console.log('FixMySTL assets loaded');
     }
   }
 
+  /**
+   * Scale uniformly so one dimension of the exported model becomes the typed size, or with
+   * "Keep proportions" off, stretch only that axis (as a per-axis factor).
+   */
+  function applyTargetSize() {
+    if (!state.originalVertices) return;
+    const target = UI.getTargetSize();
+    const size = state.activeBbox && state.activeBbox.size[target ? target.axis : 'x'];
+    if (!target || !(size > 0)) {
+      UI.showMessage(target ? 'The model has no extent along ' + target.axis.toUpperCase() + '.' : 'Enter a target size greater than 0.', true);
+      return;
+    }
+    const ratio = target.sizeMm / size;
+    track('scale_target', { axis: target.axis, size_mm: Math.round(target.sizeMm * 100) / 100, lock: target.lock });
+    if (target.lock) {
+      applyScale(state.currentScaleFactor * ratio, 'target');
+      return;
+    }
+    state.axisScale = { ...state.axisScale, [target.axis]: state.axisScale[target.axis] * ratio };
+    refreshFromState();
+  }
+
+  /** Largest uniform scale that fits the selected printer, leaving the margin on every axis. */
+  function scaleToFit() {
+    if (!state.activeBbox) return;
+    const build = UI.getBuildVolume();
+    const ratio = PrinterFit.fitScaleFactor(state.activeBbox.size, build, UI.getFitMargin());
+    if (!ratio) {
+      UI.showMessage('The margin leaves no room on ' + (build.label || 'this printer') + '.', true);
+      return;
+    }
+    applyScale(state.currentScaleFactor * ratio, 'fit');
+  }
+
+  function applyAxisScale() {
+    if (!state.originalVertices) return;
+    state.axisScale = UI.getAxisScale();
+    const a = state.axisScale;
+    track('scale_axes', { x: a.x, y: a.y, z: a.z });
+    refreshFromState();
+  }
+
+  /**
+   * Show the dimensions a typed factor, target size or per-axis factor would give, before applying it.
+   * @param {'factor'|'target'|'axis'} kind
+   */
+  function previewScale(kind) {
+    const bbox = state.activeBbox;
+    if (!bbox) return;
+    const size = { x: bbox.size.x, y: bbox.size.y, z: bbox.size.z };
+    let result = null;
+    if (kind === 'factor') {
+      const factor = UI.getCustomFactor();
+      const k = factor / state.currentScaleFactor;
+      if (factor > 0 && isFinite(k)) result = { x: size.x * k, y: size.y * k, z: size.z * k };
+    } else if (kind === 'target') {
+      const target = UI.getTargetSize();
+      const k = target && size[target.axis] > 0 ? target.sizeMm / size[target.axis] : null;
+      if (k) result = target.lock ? { x: size.x * k, y: size.y * k, z: size.z * k } : { ...size, [target.axis]: target.sizeMm };
+    } else if (kind === 'axis') {
+      const typed = UI.getAxisScale();
+      const a = state.axisScale;
+      result = { x: size.x * typed.x / a.x, y: size.y * typed.y / a.y, z: size.z * typed.z / a.z };
+    }
+    UI.setScalePreview(result, state.displayUnit);
+  }
+
   function reset() {
     if (!state.originalVertices) return;
     track('reset_click');
     state.currentScaleFactor = 1;
-    state.rotationMatrix = GEOMETRY.IDENTITY.slice();
-    UI.setCenterModel(false);
-    state.centerModel = false;
+    state.axisScale = { x: 1, y: 1, z: 1 };
+    setRotation(GEOMETRY.IDENTITY.slice());
+    setMirrorAxis(null);
+    state.placement = { mode: 'none', offset: { x: 0, y: 0, z: 0 } };
+    UI.setPlacement(state.placement);
+    if (state.repair) undoRepair();
+    else refreshFromState();
+  }
+
+  /** Set the orientation and show it as X/Y/Z angles in the Orientation card. */
+  function setRotation(matrix) {
+    state.rotationMatrix = matrix;
+    state.rotationAngles = GEOMETRY.rotationToEulerDeg(matrix);
+    UI.setRotationAngles(state.rotationAngles);
+  }
+
+  /** Rotation times mirror: the full linear part of the transform. */
+  function orientationMatrix() {
+    return state.mirrorAxis
+      ? GEOMETRY.multiplyRotationMatrices(state.rotationMatrix, GEOMETRY.MIRROR[state.mirrorAxis])
+      : state.rotationMatrix;
+  }
+
+  function setMirrorAxis(axis) {
+    state.mirrorAxis = axis;
+    UI.setMirrorAxis(axis);
+  }
+
+  /**
+   * Mirror across a world axis through the model center. The orientation stays R * M with at most one
+   * source-axis mirror M: mirroring again cancels it, leaving a plain rotation.
+   * @param {'x'|'y'|'z'} axis
+   */
+  function mirror(axis) {
+    if (!state.originalVertices) return;
+    const w = GEOMETRY.MIRROR[axis];
+    const mirrored = GEOMETRY.multiplyRotationMatrices(w, state.rotationMatrix);
+    if (state.mirrorAxis) {
+      // W * R * M is a proper rotation.
+      setRotation(GEOMETRY.multiplyRotationMatrices(mirrored, GEOMETRY.MIRROR[state.mirrorAxis]));
+      setMirrorAxis(null);
+    } else {
+      // W * R = (W * R * W) * W
+      setRotation(GEOMETRY.multiplyRotationMatrices(mirrored, w));
+      setMirrorAxis(axis);
+    }
+    track('mirror', { axis, mirrored: !!state.mirrorAxis });
     refreshFromState();
   }
 
   function rotate(axis, sign) {
     if (!state.originalVertices) return;
     const r = GEOMETRY.ROT_90[axis][String(sign)];
-    state.rotationMatrix = GEOMETRY.multiplyRotationMatrices(r, state.rotationMatrix);
+    setRotation(GEOMETRY.multiplyRotationMatrices(r, state.rotationMatrix));
     refreshFromState();
   }
 
   function resetOrientation() {
     if (!state.originalVertices) return;
-    state.rotationMatrix = GEOMETRY.IDENTITY.slice();
+    setRotation(GEOMETRY.IDENTITY.slice());
+    setMirrorAxis(null);
+    refreshFromState();
+  }
+
+  let angleFrame = 0;
+
+  /**
+   * Slider or typed angle: orientation becomes Rz * Ry * Rx of the exact angles with the edited axis replaced,
+   * so the other axes are not rebuilt from their rounded display values.
+   * Dragging fires many input events; the model is re-transformed at most once per frame.
+   * @param {'x'|'y'|'z'} axis
+   */
+  function onAngleInput(axis) {
+    if (!state.originalVertices) return;
+    state.rotationAngles = Object.assign({}, state.rotationAngles, { [axis]: UI.getRotationAngles()[axis] });
+    state.rotationMatrix = GEOMETRY.eulerDegToRotation(state.rotationAngles);
+    if (angleFrame) return;
+    angleFrame = requestAnimationFrame(function () {
+      angleFrame = 0;
+      refreshFromState();
+    });
+  }
+
+  function onAngleChange() {
+    const angles = UI.getRotationAngles();
+    track('rotate_angle', { x: angles.x, y: angles.y, z: angles.z });
+  }
+
+  /**
+   * Run findOrientations in orientWorker.js (the vertices are copied, not transferred).
+   * Without Worker support the search runs on the main thread.
+   * @returns {Promise<Object[]>} candidates, best first
+   */
+  function searchOrientations(vertices, triangleCount, options) {
+    let worker;
+    try {
+      worker = typeof Worker !== 'undefined'
+        ? new Worker(new URL('./orientWorker.js', import.meta.url), { type: 'module' })
+        : null;
+    } catch (e) {
+      worker = null;
+    }
+    if (!worker) {
+      // Let the button show its busy state before the search blocks the main thread.
+      return new Promise(resolve => setTimeout(resolve, 0))
+        .then(() => findOrientations(vertices, triangleCount, options));
+    }
+
+    return new Promise(function (resolve, reject) {
+      worker.onmessage = function (e) {
+        worker.terminate();
+        if (e.data.type === 'done') resolve(e.data.candidates);
+        else reject(new Error(e.data.message));
+      };
+      worker.onerror = function (e) {
+        worker.terminate();
+        reject(new Error((e && e.message) || 'Orientation worker failed'));
+      };
+      worker.postMessage({ vertices, triangleCount, options });
+    });
+  }
+
+  /**
+   * Score candidate orientations of the enabled shells and show the best few as thumbnails.
+   * Candidates are stored as absolute orientations, so picking one later is independent of what happened since.
+   */
+  async function autoOrient() {
+    const vertices = state.activeVertices;
+    if (!vertices) return;
+    UI.setAutoOrientBusy(true);
+    try {
+      const found = await searchOrientations(vertices, state.activeTriangleCount, {
+        build: UI.getBuildVolume(),
+        thresholdDeg: UI.getPreSlicerInputs().overhangThreshold,
+        limit: 4
+      });
+      // The model was turned, rescaled or replaced during the search: the candidates no longer apply.
+      if (state.activeVertices !== vertices) return;
+      const base = state.rotationMatrix;
+      const thumbnails = Preview.renderOrientationThumbnails(found.map(c => c.rotation), state.currentBbox);
+      state.orientCandidates = found.map(function (c, i) {
+        return { ...c, matrix: GEOMETRY.multiplyRotationMatrices(c.rotation, base), thumbnail: thumbnails[i] || null };
+      });
+      UI.renderOrientCandidates(state.orientCandidates, state.displayUnit);
+      track('auto_orient', { candidates: found.length, best_score: found.length ? found[0].score : null });
+    } catch (err) {
+      UI.showMessage('Auto-orient failed: ' + (err.message || 'Unknown error'), true);
+    } finally {
+      UI.setAutoOrientBusy(false);
+    }
+  }
+
+  function applyOrientCandidate(i) {
+    const candidate = state.orientCandidates && state.orientCandidates[i];
+    if (!candidate || !state.originalVertices) return;
+    setRotation(candidate.matrix.slice());
+    track('auto_orient_apply', { rank: i + 1, score: candidate.score });
+    refreshFromState();
+  }
+
+  /** Turn the model so the chosen direction (current coordinates) points down, onto the bed. */
+  function alignDown() {
+    if (!state.originalVertices) return;
+    const direction = UI.getAlignDirection();
+    if (!direction) {
+      UI.showMessage('Enter a direction other than 0, 0, 0 to align.', true);
+      return;
+    }
+    const r = GEOMETRY.rotationBetween(direction, [0, 0, -1]);
+    setRotation(GEOMETRY.multiplyRotationMatrices(r, state.rotationMatrix));
+    track('align_down', { direction: direction.join(',') });
+    refreshFromState();
+  }
+
+  /**
+   * Lay-flat mode: hovering the preview highlights the flat region under the cursor, clicking turns the
+   * model so that region rests on the bed. state.layFlat holds the hovered region while the mode is on.
+   */
+  function setLayFlat(on) {
+    if (on === !!state.layFlat) return;
+    state.layFlat = on ? { region: null } : null;
+    Preview.setFacePicking(on ? { onHover: onLayFlatHover, onPick: layFlatOnFace } : null);
+    Preview.setFaceHighlight(null);
+    UI.setLayFlatActive(on);
+  }
+
+  /** Region of triangle t in the current orientation, reusing the hovered one while the cursor stays inside it. */
+  function layFlatRegion(t) {
+    const cached = state.layFlat.region;
+    if (cached && cached.members.has(t)) return cached;
+    const region = GEOMETRY.coplanarRegion(state.currentVertices, state.adjacency, t);
+    region.members = new Set(region.triangles);
+    state.layFlat.region = region;
+    return region;
+  }
+
+  function onLayFlatHover(t) {
+    if (!state.layFlat || !state.currentVertices) return;
+    if (t == null) {
+      state.layFlat.region = null;
+      Preview.setFaceHighlight(null);
+      return;
+    }
+    const previous = state.layFlat.region;
+    const region = layFlatRegion(t);
+    if (region !== previous) Preview.setFaceHighlight(region.triangles, state.currentVertices);
+  }
+
+  function layFlatOnFace(t) {
+    if (!state.layFlat || !state.currentVertices) return;
+    const region = layFlatRegion(t);
+    if (!region.normal) return; // zero-area triangle
+    // The face's outward normal points down once it rests on the bed.
+    const r = GEOMETRY.rotationBetween(region.normal, [0, 0, -1]);
+    setRotation(GEOMETRY.multiplyRotationMatrices(r, state.rotationMatrix));
+    state.layFlat.region = null;
+    Preview.setFaceHighlight(null);
+    track('lay_flat', { triangles: region.triangles.length });
     refreshFromState();
   }
 
@@ -288,29 +1507,26 @@ console.log('FixMySTL assets loaded');
     Preview.fitCameraToBbox(state.currentBbox);
   }
 
-  function onCenterToggle() {
-    state.centerModel = UI.getCenterModel();
-    track('center_toggle', { enabled: state.centerModel });
+  function onPlacementChange() {
+    state.placement = UI.getPlacement();
+    const o = state.placement.offset;
+    track('placement_change', { mode: state.placement.mode, offset: !!(o.x || o.y || o.z) });
     refreshFromState();
   }
 
   function onUnitChange() {
     state.displayUnit = UI.getDisplayUnit();
+    UI.setTargetUnit(state.displayUnit);
     track('units_toggle', { units_display: state.displayUnit });
+    renderBatch();
     if (!state.originalVertices) return;
     const modelInfo = computeModelInfo();
     UI.updateModelCheck(modelInfo);
-    UI.renderModelStats({
-      format: state.format,
-      fileSizeBytes: state.fileSizeBytes,
-      triangleCount: state.triangleCount,
-      bbox: state.currentBbox,
-      sizeWarning: state.sizeWarning,
-      displayUnit: state.displayUnit
-    });
+    renderModelStats();
     Preview.updateBoundingBoxAndLabels(state.currentBbox, state.displayUnit, state.showBoundingBox);
     UI.updateSizeSanity(state.currentBbox, state.displayUnit);
     recomputePreSlicerEstimates();
+    if (state.orientCandidates) UI.renderOrientCandidates(state.orientCandidates, state.displayUnit);
   }
 
   function onBboxToggle() {
@@ -321,21 +1537,166 @@ console.log('FixMySTL assets loaded');
     Preview.updateBoundingBoxAndLabels(state.currentBbox, state.displayUnit, state.showBoundingBox);
   }
 
-  function download() {
+  async function download() {
     if (!state.currentVertices) return;
-    const bbox = state.currentBbox;
+    // Only enabled shells are exported; body ranges refer to the whole model.
+    const vertices = state.activeVertices;
+    const triangleCount = state.activeTriangleCount;
+    const colors = activeColors();
+    const bbox = state.activeBbox;
+    const exportOptions = UI.getExportOptions();
+    const bodies = UI.getExportBodies() && state.bodies && !state.activeTriangles ? state.bodies : null;
+    const format = exportOptions.format === 'binary' && bodies ? 'ascii' : exportOptions.format;
     track('download_corrected_stl', {
-      triangles: state.triangleCount,
+      triangles: triangleCount,
+      shells_excluded: state.activeTriangles ? state.shells.enabled.filter(on => !on).length : 0,
       scale_factor_total: Math.round(state.currentScaleFactor * 10000) / 10000,
+      has_color: !!colors,
+      separate_bodies: !!bodies,
+      format,
+      manifest: exportOptions.manifest,
       ...bboxParams(bbox, state.displayUnit)
     });
+    if (exportOptions.manifest) downloadManifest(format);
+    if (format === '3mf') {
+      try {
+        await STLExporter.export3MFAndDownload(vertices, triangleCount, state.filename, {
+          scaleFactor: Math.round(state.currentScaleFactor * 1e6) / 1e6,
+          axisScale: exportAxisScale(),
+          bodies,
+          thumbnail: exportOptions.thumbnail ? await Preview.captureThumbnail() : null
+        });
+      } catch (err) {
+        UI.showMessage('Failed to build 3MF: ' + (err.message || 'Unknown error'), true);
+      }
+      return;
+    }
+    if (format === 'obj') {
+      STLExporter.exportOBJAndDownload(vertices, triangleCount, state.filename, {
+        normals: exportOptions.normals,
+        weldTolerance: state.weldTolerance,
+        bodies
+      });
+      return;
+    }
+    if (format === 'glb') {
+      const vertexColors = exportOptions.overhangColors
+        ? overhangVertexColors(vertices, triangleCount, UI.getPreSlicerInputs().overhangThreshold)
+        : null;
+      const extras = { sourceFilename: state.filename, scaleFactor: Math.round(state.currentScaleFactor * 1e6) / 1e6 };
+      if (exportAxisScale()) extras.axisScale = exportAxisScale();
+      STLExporter.exportGLBAndDownload(vertices, triangleCount, state.filename, {
+        vertexColors,
+        weldTolerance: state.weldTolerance,
+        extras
+      });
+      return;
+    }
+    if (format === 'ascii') {
+      STLExporter.exportASCIIAndDownload(
+        vertices,
+        triangleCount,
+        state.filename,
+        { solidName: exportOptions.solidName, precision: exportOptions.precision, bodies }
+      );
+      return;
+    }
     STLExporter.exportAndDownload(
-      state.currentVertices,
-      state.triangleCount,
-      state.filename
+      vertices,
+      triangleCount,
+      state.filename,
+      colors,
+      currentProvenance()
     );
   }
 
+  /** Per-axis scale for export metadata, rounded like the scale factor; null when it is 1 on every axis. */
+  function exportAxisScale() {
+    const a = state.axisScale;
+    if (a.x === 1 && a.y === 1 && a.z === 1) return null;
+    const round = (v) => Math.round(v * 1e6) / 1e6;
+    return { x: round(a.x), y: round(a.y), z: round(a.z) };
+  }
+
+  /** Transform summary for the Binary STL header. */
+  function currentProvenance() {
+    return {
+      scaleFactor: state.currentScaleFactor,
+      axisScale: exportAxisScale(),
+      rotationMatrix: state.rotationMatrix,
+      mirror: state.mirrorAxis,
+      centered: state.placement.mode === 'origin',
+      placement: state.placement.mode,
+      sourceFilename: state.filename
+    };
+  }
+
+  const EXPORT_EXTENSIONS = { binary: 'stl', ascii: 'stl', '3mf': '3mf', obj: 'obj', glb: 'glb' };
+
+  /**
+   * Audit record for an export: source file, the transform from source to output coordinates (mm),
+   * resulting bbox and the Pre-Slicer estimates as currently shown.
+   * @param {string} format - export format key
+   */
+  function buildManifest(format) {
+    const s = state.currentScaleFactor;
+    const a = state.axisScale;
+    const r = state.rotationMatrix;
+    const l = orientationMatrix();
+    const t = state.translation;
+    const bbox = state.activeBbox;
+    const xyz = (p) => ({ x: p.x, y: p.y, z: p.z });
+    return {
+      generator: 'FixMySTL',
+      exportedAt: new Date().toISOString(),
+      source: {
+        filename: state.filename,
+        filenameHash: STLExporter.filenameHash(state.filename),
+        format: state.format,
+        fileSizeBytes: state.fileSizeBytes,
+        triangles: state.repair ? state.repair.original.triangleCount : state.triangleCount
+      },
+      repair: state.repair ? state.repair.summary : null,
+      shells: state.shells ? {
+        total: state.shells.count,
+        exported: Array.from(state.shells.enabled.keys()).filter(i => state.shells.enabled[i]).map(i => i + 1)
+      } : null,
+      output: {
+        filename: STLExporter.fixedFilename(state.filename, EXPORT_EXTENSIONS[format]),
+        format
+      },
+      transform: {
+        scaleFactor: s,
+        rotationMatrix: r.slice(),
+        rotationDeg: GEOMETRY.rotationToEulerDeg(r),
+        rotationOrder: 'XYZ (R = Rz * Ry * Rx)',
+        // Source axis negated before the rotation, or null.
+        mirror: state.mirrorAxis,
+        centered: state.placement.mode === 'origin',
+        placement: { mode: state.placement.mode, offsetMm: xyz(state.placement.offset) },
+        translationMm: xyz(t),
+        // Per-axis factors, applied in output axes after the rotation.
+        axisScale: { x: a.x, y: a.y, z: a.z },
+        // Row-major 4x4, source mm -> output mm: p' = A * s * R * M * p + translation (A = diag(axisScale))
+        matrix: [
+          a.x * s * l[0], a.x * s * l[1], a.x * s * l[2], t.x,
+          a.y * s * l[3], a.y * s * l[4], a.y * s * l[5], t.y,
+          a.z * s * l[6], a.z * s * l[7], a.z * s * l[8], t.z,
+          0, 0, 0, 1
+        ]
+      },
+      bboxMm: bbox ? { min: xyz(bbox.min), max: xyz(bbox.max), size: xyz(bbox.size) } : null,
+      printer: UI.getBuildVolume(),
+      estimates: state.estimates
+    };
+  }
+
+  function downloadManifest(format) {
+    const manifest = buildManifest(format);
+    const name = STLExporter.modelName(state.filename) + '_fixed.manifest.json';
+    STLExporter.download(JSON.stringify(manifest, null, 2) + '\n', name, 'application/json');
+  }
+
   function setupDragDrop() {
     const dropzone = UI.elements().dropzone;
     const fileInput = UI.elements().fileInput;
@@ -352,47 +1713,51 @@ console.log('FixMySTL assets loaded');
     dropzone.addEventListener('drop', function (e) {
       e.preventDefault();
       dropzone.classList.remove('dragover');
-      const files = e.dataTransfer.files;
-      if (files && files[0]) loadFile(files[0]);
+      collectDroppedFiles(e.dataTransfer).then(function (list) {
+        if (list.length) openFiles(list);
+      }, function (err) {
+        UI.showMessage('Failed to read dropped files: ' + (err.message || 'Unknown error'), true);
+      });
     });
 
     UI.elements().btnChoose.addEventListener('click', function () {
       fileInput.click();
     });
 
+    UI.elements().btnCancelLoad.addEventListener('click', cancelLoad);
+
     fileInput.addEventListener('change', function () {
-      const files = fileInput.files;
-      if (files && files[0]) loadFile(files[0]);
+      const files = Array.from(fileInput.files || []);
+      if (files.length) openFiles(files.map(file => ({ file, name: file.name })));
       fileInput.value = '';
     });
   }
 
+  function setupBatch() {
+    UI.elements().btnBatchFixUnits.addEventListener('click', fixBatchUnits);
+    UI.elements().btnBatchDownload.addEventListener('click', downloadBatchZip);
+    UI.elements().btnBatchClear.addEventListener('click', clearBatch);
+    UI.elements().batchTable.addEventListener('click', function (e) {
+      const btn = e.target.closest('[data-batch-open]');
+      if (!btn) return;
+      track('batch_open_file');
+      openBatchItem(Number(btn.dataset.batchOpen));
+    });
+  }
+
   function recomputePreSlicerEstimates() {
     const inputs = UI.getPreSlicerInputs();
     let volumeMm3 = null;
-    if (state.currentVertices && state.triangleCount > 0) {
-      volumeMm3 = GEOMETRY.computeVolume(state.currentVertices, state.triangleCount);
+    if (state.activeVertices && state.activeTriangleCount > 0) {
+      volumeMm3 = GEOMETRY.computeVolume(state.activeVertices, state.activeTriangleCount);
     }
     if (volumeMm3 == null || volumeMm3 <= 0) {
+      state.estimates = null;
       UI.updatePreSlicerOutputs(null);
       return;
     }
-    const mat = estimateMaterial(
-      volumeMm3,
-      inputs.density,
-      inputs.infill,
-      inputs.shellMult
-    );
-    const length_m = estimateFilamentLength(mat.effectiveVolMm3, inputs.filamentDia);
-    const cost = estimateCost(mat.mass_g, inputs.pricePerKg);
-    const time_h = estimatePrintTime(mat.effectiveVolMm3, inputs.flow);
-    const overhang = computeOverhangRisk(
-      state.currentVertices,
-      state.triangleCount,
-      inputs.overhangThreshold
-    );
-    overhang.threshold = inputs.overhangThreshold;
-    const bbox = state.currentBbox;
+    const estimates = computeEstimates(state.activeVertices, state.activeTriangleCount, volumeMm3, inputs);
+    const bbox = state.activeBbox;
     const units = state.displayUnit;
     const toD = (v) => (units === 'inch' ? v / 25.4 : v);
     let footprint = null;
@@ -411,22 +1776,20 @@ console.log('FixMySTL assets loaded');
     }
     let suggestedPrice = null;
     if (inputs.sellerMode) {
-      suggestedPrice = cost * (1 + inputs.markup / 100);
+      suggestedPrice = estimates.cost * (1 + inputs.markup / 100);
     }
     if (typeof trackOnce === 'function') {
       trackOnce('cam_panel_view', 'cam_panel_view');
     }
     if (typeof console !== 'undefined') console.log('CAM panel active');
+    const unreliable = !!state.integrity && MeshCheck.volumeUnreliable(state.integrity);
+    state.estimates = { inputs, ...estimates, suggestedPrice, unreliable };
     UI.updatePreSlicerOutputs({
-      volumeMm3,
-      mass_g: mat.mass_g,
-      length_m,
-      cost,
-      time_h,
-      overhang,
+      ...estimates,
       footprint,
       suggestedPrice,
-      sellerMode: inputs.sellerMode
+      sellerMode: inputs.sellerMode,
+      unreliable
     });
   }
 
@@ -444,6 +1807,9 @@ console.log('FixMySTL assets loaded');
     const ids = ['cam-material', 'cam-density', 'cam-infill', 'cam-quality', 'cam-filament-dia', 'cam-speed', 'cam-price', 'cam-overhang-thresh', 'cam-seller-mode', 'cam-markup'];
     const trigger = function (ev) {
       recomputePreSlicerEstimates();
+      // Model Check weight and inertia follow the material.
+      if (state.originalVertices) UI.updateModelCheck(computeModelInfo());
+      refreshBatch();
       if (typeof track === 'function') {
         const el = ev?.target;
         if (el && el.id === 'cam-material') track('material_change', { material: el.value });
@@ -473,7 +1839,10 @@ console.log('FixMySTL assets loaded');
     function onPrinterChange() {
       const build = UI.getBuildVolume();
       if (typeof track === 'function') track('printer_select', { printer: build.key });
-      updatePrinterAndCheck();
+      // The bed center moves with the printer.
+      if (state.placement.mode === 'printer') refreshFromState();
+      else updatePrinterAndCheck();
+      refreshBatch();
     }
 
     sel.addEventListener('change', onPrinterChange);
@@ -510,6 +1879,19 @@ console.log('FixMySTL assets loaded');
       }
     });
 
+    UI.elements().btnApplyTarget.addEventListener('click', applyTargetSize);
+    UI.elements().btnScaleToFit.addEventListener('click', scaleToFit);
+    UI.elements().btnApplyAxisScale.addEventListener('click', applyAxisScale);
+    [UI.elements().customFactor, UI.elements().customPercent].forEach(function (el) {
+      el.addEventListener('input', function () { previewScale('factor'); });
+    });
+    [UI.elements().targetSize, UI.elements().targetAxis, UI.elements().targetLock].forEach(function (el) {
+      el.addEventListener('input', function () { previewScale('target'); });
+    });
+    ['x', 'y', 'z'].forEach(function (axis) {
+      UI.elements().axisScale[axis].addEventListener('input', function () { previewScale('axis'); });
+    });
+
     UI.elements().btnSuggestionApply.addEventListener('click', function () {
       const action = UI.elements().btnSuggestionApply.dataset.action;
       if (action === 'inch-to-mm') {
@@ -541,8 +1923,38 @@ console.log('FixMySTL assets loaded');
     UI.elements().rotZPlus.addEventListener('click', function () { rotate('z', 1); });
     UI.elements().rotZMinus.addEventListener('click', function () { rotate('z', -1); });
     UI.elements().btnResetOrient.addEventListener('click', resetOrientation);
+    ['x', 'y', 'z'].forEach(function (axis) {
+      UI.elements().mirror[axis].addEventListener('click', function () { mirror(axis); });
+    });
+    ['x', 'y', 'z'].forEach(function (axis) {
+      [UI.elements().rotAngle[axis], UI.elements().rotAngleRange[axis]].forEach(function (el) {
+        el.addEventListener('input', function () { onAngleInput(axis); });
+        el.addEventListener('change', onAngleChange);
+      });
+    });
+    UI.elements().btnAlignDown.addEventListener('click', alignDown);
+    UI.elements().btnLayFlat.addEventListener('click', function () {
+      if (state.originalVertices) setLayFlat(!state.layFlat);
+    });
+    document.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape' && state.layFlat) setLayFlat(false);
+    });
+    UI.elements().btnAutoOrient.addEventListener('click', autoOrient);
+    UI.elements().autoOrientResults.addEventListener('click', function (e) {
+      const btn = e.target.closest('[data-orient-candidate]');
+      if (btn) applyOrientCandidate(Number(btn.dataset.orientCandidate));
+    });
     UI.elements().btnDownload.addEventListener('click', download);
-    UI.elements().centerModel.addEventListener('change', onCenterToggle);
+    UI.elements().placementMode.addEventListener('change', onPlacementChange);
+    ['x', 'y', 'z'].forEach(function (axis) {
+      UI.elements().placementOffset[axis].addEventListener('change', onPlacementChange);
+    });
+    UI.elements().highlightDefects.addEventListener('change', onHighlightDefectsToggle);
+    UI.elements().repairBtn.addEventListener('click', repairMesh);
+    UI.elements().repairUndoBtn.addEventListener('click', undoRepair);
+    UI.elements().thicknessBtn.addEventListener('click', checkWallThickness);
+    UI.elements().nozzleDiameter.addEventListener('change', onNozzleChange);
+    UI.elements().thicknessHeatmap.addEventListener('change', updateThicknessOverlay);
 
     document.querySelectorAll('input[name="display-unit"]').forEach(function (radio) {
       radio.addEventListener('change', onUnitChange);
@@ -566,6 +1978,8 @@ console.log('FixMySTL assets loaded');
     Preview.init(UI.elements().previewContainer);
 
     setupDragDrop();
+    setupBatch();
+    setupShells();
     setupPrinterFit();
     setupPreSlicer();
     setupScaleButtons();
@@ -0,0 +1,312 @@
+/**
+ * meshCheck.js — Mesh integrity inventory (requires geometry.js). Also loaded by parserWorker.js.
+ * Works on the welded mesh and edge adjacency from GEOMETRY.buildIndexedMesh / buildEdgeAdjacency,
+ * so it describes topology and stays valid under scale and rotation.
+ */
+
+const MeshCheck = (function () {
+  'use strict';
+
+  /** Bits in report.faceFlags. */
+  const FLAG_BOUNDARY = 1;
+  const FLAG_NON_MANIFOLD = 2;
+  const FLAG_WINDING = 4;
+  const FLAG_DEGENERATE = 8;
+  const FLAG_DUPLICATE = 16;
+
+  /** Area below this fraction of the longest edge squared counts as zero. */
+  const DEGENERATE_RATIO = 1e-9;
+
+  function makeUnionFind(n) {
+    const parent = new Uint32Array(n);
+    for (let i = 0; i < n; i++) parent[i] = i;
+    function find(i) {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    }
+    function union(a, b) {
+      const ra = find(a);
+      const rb = find(b);
+      if (ra !== rb) parent[ra] = rb;
+    }
+    return { find, union };
+  }
+
+  /**
+   * Zero-area triangles: two corners welded together, or area negligible next to the longest edge.
+   * @returns {Uint8Array} 1 per degenerate triangle
+   */
+  function findDegenerate(vertices, mesh) {
+    const index = mesh.index;
+    const out = new Uint8Array(mesh.triangleCount);
+    for (let t = 0; t < mesh.triangleCount; t++) {
+      const a = index[t * 3]; const b = index[t * 3 + 1]; const c = index[t * 3 + 2];
+      if (a === b || b === c || a === c) {
+        out[t] = 1;
+        continue;
+      }
+      const o = t * 9;
+      const ax = vertices[o + 3] - vertices[o]; const ay = vertices[o + 4] - vertices[o + 1]; const az = vertices[o + 5] - vertices[o + 2];
+      const bx = vertices[o + 6] - vertices[o]; const by = vertices[o + 7] - vertices[o + 1]; const bz = vertices[o + 8] - vertices[o + 2];
+      const cx = ay * bz - az * by;
+      const cy = az * bx - ax * bz;
+      const cz = ax * by - ay * bx;
+      const dx = bx - ax; const dy = by - ay; const dz = bz - az;
+      const longest = Math.max(ax * ax + ay * ay + az * az, bx * bx + by * by + bz * bz, dx * dx + dy * dy + dz * dz);
+      if (Math.sqrt(cx * cx + cy * cy + cz * cz) <= DEGENERATE_RATIO * longest) out[t] = 1;
+    }
+    return out;
+  }
+
+  /**
+   * Triangles using the same three vertices as an earlier one (either winding).
+   * @returns {Uint8Array} 1 per repeat; the first occurrence is not marked
+   */
+  function findDuplicates(mesh, degenerate) {
+    const index = mesh.index;
+    const out = new Uint8Array(mesh.triangleCount);
+    const seen = new Map();
+    for (let t = 0; t < mesh.triangleCount; t++) {
+      if (degenerate[t]) continue;
+      const v = [index[t * 3], index[t * 3 + 1], index[t * 3 + 2]].sort((x, y) => x - y);
+      const key = v[0] + ',' + v[1] + ',' + v[2];
+      if (seen.has(key)) out[t] = 1;
+      else seen.set(key, t);
+    }
+    return out;
+  }
+
+  /**
+   * Direction of edge e as used by triangle t: +1 if t walks lo -> hi, -1 if hi -> lo.
+   */
+  function edgeDirection(mesh, adjacency, t, e) {
+    const index = mesh.index;
+    for (let k = 0; k < 3; k++) {
+      if (adjacency.faceEdges[t * 3 + k] === e) {
+        return index[t * 3 + k] === adjacency.edgeVertices[e * 2] ? 1 : -1;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * Defect inventory for a welded mesh.
+   * @param {Float32Array} vertices - 9 floats per triangle (positions for area and volume tests)
+   * @param {{ index: Uint32Array, vertexCount: number, triangleCount: number }} mesh - from GEOMETRY.buildIndexedMesh
+   * @param {Object} adjacency - from GEOMETRY.buildEdgeAdjacency(mesh)
+   * @param {{ faces: Uint32Array[] }|null} [shells] - from GEOMETRY.findShells, for per-shell inversion
+   * @returns {{
+   *   boundaryEdges: number, holes: number, nonManifoldEdges: number, nonManifoldVertices: number,
+   *   inconsistentEdges: number, invertedShells: number, shellCount: number, inverted: boolean, nestingChecked: boolean,
+   *   degenerateTriangles: number, duplicateTriangles: number, watertight: boolean, clean: boolean,
+   *   faceFlags: Uint8Array, boundarySlots: Uint32Array
+   * }} boundarySlots: corner slot 3t + k for each open edge (corner k -> k + 1 of triangle t);
+   *   nestingChecked: false when there were too many shells to tell cavities apart (see diagnostics())
+   */
+  function analyze(vertices, mesh, adjacency, shells) {
+    const triCount = mesh.triangleCount;
+    const index = mesh.index;
+    const { edgeCount, edgeVertices, faceEdges, edgeFaceOffsets, edgeFaces } = adjacency;
+    const faceFlags = new Uint8Array(triCount);
+
+    const degenerate = findDegenerate(vertices, mesh);
+    const duplicate = findDuplicates(mesh, degenerate);
+    let degenerateTriangles = 0;
+    let duplicateTriangles = 0;
+    for (let t = 0; t < triCount; t++) {
+      if (degenerate[t]) { faceFlags[t] |= FLAG_DEGENERATE; degenerateTriangles++; }
+      if (duplicate[t]) { faceFlags[t] |= FLAG_DUPLICATE; duplicateTriangles++; }
+    }
+
+    // Edges: open (one face), non-manifold (three or more), or shared by two faces walking it the same way.
+    // Degenerate and duplicate triangles are left out so each defect is counted once.
+    let boundaryEdges = 0;
+    let nonManifoldEdges = 0;
+    let inconsistentEdges = 0;
+    const boundarySlots = [];
+    const isBoundary = new Uint8Array(edgeCount);
+    const holeSets = makeUnionFind(mesh.vertexCount);
+    const fans = makeUnionFind(triCount * 3);
+    const slotOf = (t, v) => (index[t * 3] === v ? t * 3 : index[t * 3 + 1] === v ? t * 3 + 1 : t * 3 + 2);
+    const live = [];
+
+    for (let e = 0; e < edgeCount; e++) {
+      const lo = edgeVertices[e * 2];
+      const hi = edgeVertices[e * 2 + 1];
+      if (lo === hi) continue; // collapsed edge of a degenerate triangle
+      live.length = 0;
+      for (let i = edgeFaceOffsets[e]; i < edgeFaceOffsets[e + 1]; i++) {
+        const t = edgeFaces[i];
+        if (!degenerate[t] && !duplicate[t]) live.push(t);
+      }
+      if (live.length === 1) {
+        const t = live[0];
+        boundaryEdges++;
+        isBoundary[e] = 1;
+        faceFlags[t] |= FLAG_BOUNDARY;
+        for (let k = 0; k < 3; k++) {
+          if (faceEdges[t * 3 + k] === e) boundarySlots.push(t * 3 + k);
+        }
+        holeSets.union(lo, hi);
+      } else if (live.length === 2) {
+        const [f1, f2] = live;
+        if (edgeDirection(mesh, adjacency, f1, e) === edgeDirection(mesh, adjacency, f2, e)) {
+          inconsistentEdges++;
+          faceFlags[f1] |= FLAG_WINDING;
+          faceFlags[f2] |= FLAG_WINDING;
+        }
+        // Faces joined by a manifold edge belong to the same fan around both endpoints.
+        fans.union(slotOf(f1, lo), slotOf(f2, lo));
+        fans.union(slotOf(f1, hi), slotOf(f2, hi));
+      } else if (live.length > 2) {
+        nonManifoldEdges++;
+        for (const t of live) faceFlags[t] |= FLAG_NON_MANIFOLD;
+      }
+    }
+
+    // A hole is one connected loop (or chain) of open edges.
+    const holeRoots = new Set();
+    for (let e = 0; e < edgeCount; e++) {
+      if (isBoundary[e]) holeRoots.add(holeSets.find(edgeVertices[e * 2]));
+    }
+
+    // A vertex is non-manifold when its faces form more than one fan (e.g. two cones touching at a tip).
+    const fanCount = new Uint32Array(mesh.vertexCount);
+    for (let s = 0; s < triCount * 3; s++) {
+      const t = (s / 3) | 0;
+      if (!degenerate[t] && !duplicate[t] && fans.find(s) === s) fanCount[index[s]]++;
+    }
+    let nonManifoldVertices = 0;
+    for (let v = 0; v < mesh.vertexCount; v++) {
+      if (fanCount[v] > 1) nonManifoldVertices++;
+    }
+    for (let s = 0; s < triCount * 3; s++) {
+      if (fanCount[index[s]] > 1) faceFlags[(s / 3) | 0] |= FLAG_NON_MANIFOLD;
+    }
+
+    // Inside-out shells: negative signed volume, or positive for a cavity nested inside another shell.
+    let invertedShells = 0;
+    let nestingChecked = true;
+    if (shells) {
+      const orientation = GEOMETRY.shellOrientations(vertices, shells);
+      for (let i = 0; i < shells.count; i++) invertedShells += orientation.inverted[i];
+      nestingChecked = orientation.nestingChecked;
+    } else if (GEOMETRY.computeSignedVolume(vertices, triCount) < 0) {
+      invertedShells = 1;
+    }
+
+    const watertight = boundaryEdges === 0 && nonManifoldEdges === 0;
+    return {
+      boundaryEdges,
+      holes: holeRoots.size,
+      nonManifoldEdges,
+      nonManifoldVertices,
+      inconsistentEdges,
+      invertedShells,
+      shellCount: shells ? shells.count : 1,
+      inverted: invertedShells > 0,
+      nestingChecked,
+      degenerateTriangles,
+      duplicateTriangles,
+      watertight,
+      clean: watertight && nonManifoldVertices === 0 && inconsistentEdges === 0 && invertedShells === 0 &&
+        degenerateTriangles === 0 && duplicateTriangles === 0,
+      faceFlags,
+      boundarySlots: Uint32Array.from(boundarySlots)
+    };
+  }
+
+  /**
+   * Weld a triangle soup and check it: the topology Model Check, shell toggles and repair work from.
+   * @param {Float32Array} vertices - 9 floats per triangle
+   * @param {number} triCount
+   * @param {number} [tolerance] - weld tolerance (GEOMETRY.buildIndexedMesh)
+   * @returns {{ mesh: Object, adjacency: Object, shells: Object, report: Object }} report: from analyze()
+   */
+  function inspect(vertices, triCount, tolerance) {
+    const mesh = GEOMETRY.buildIndexedMesh(vertices, triCount, tolerance);
+    const adjacency = GEOMETRY.buildEdgeAdjacency(mesh);
+    const shells = GEOMETRY.findShells(mesh, adjacency);
+    const report = analyze(vertices, mesh, adjacency, shells.count > 1 ? shells : null);
+    return { mesh, adjacency, shells, report };
+  }
+
+  /**
+   * Model Check lines for a report, worst first. Empty when the mesh is clean.
+   * @param {Object} report - from analyze()
+   * @returns {string[]}
+   */
+  function describe(report) {
+    const n = (count, one, many) => count.toLocaleString('en-US') + ' ' + (count === 1 ? one : many);
+    const lines = [];
+    if (report.boundaryEdges) {
+      lines.push('Not watertight: ' + n(report.boundaryEdges, 'open edge', 'open edges') + ' in ' +
+        n(report.holes, 'hole', 'holes') + '.');
+    }
+    if (report.nonManifoldEdges) {
+      lines.push(n(report.nonManifoldEdges, 'non-manifold edge', 'non-manifold edges') + ' (shared by 3+ triangles).');
+    }
+    if (report.nonManifoldVertices) {
+      lines.push(n(report.nonManifoldVertices, 'non-manifold vertex', 'non-manifold vertices') + ' (surfaces touching at a point).');
+    }
+    if (report.inconsistentEdges) {
+      lines.push('Inconsistent winding: ' + n(report.inconsistentEdges, 'edge', 'edges') + ' where neighbouring normals disagree.');
+    }
+    if (report.invertedShells) {
+      lines.push(report.invertedShells === 1
+        ? 'Normals point inward (inside-out ' + (report.shellCount > 1 ? 'shell' : 'mesh') + ').'
+        : n(report.invertedShells, 'shell is', 'shells are') + ' inside out.');
+    }
+    if (report.degenerateTriangles) {
+      lines.push(n(report.degenerateTriangles, 'degenerate (zero-area) triangle', 'degenerate (zero-area) triangles') + '.');
+    }
+    if (report.duplicateTriangles) {
+      lines.push(n(report.duplicateTriangles, 'duplicate triangle', 'duplicate triangles') + '.');
+    }
+    return lines;
+  }
+
+  /**
+   * Parser-style diagnostics ({ code, severity, message, count }) for what the check had to skip.
+   * @param {Object} report - from analyze()
+   * @returns {Object[]}
+   */
+  function diagnostics(report) {
+    if (report.nestingChecked) return [];
+    return [{
+      code: 'shell-nesting',
+      severity: 'warning',
+      message: report.shellCount.toLocaleString('en-US') + ' shells are too many to tell cavities from inside-out shells; ' +
+        'each shell was judged by its own winding',
+      count: 1
+    }];
+  }
+
+  /**
+   * Volume, and everything derived from it, is only meaningful for a closed, consistently wound mesh
+   * with every shell facing the right way: an inside-out shell subtracts its volume from the others.
+   * @param {Object} report - from analyze()
+   * @returns {boolean}
+   */
+  function volumeUnreliable(report) {
+    return !report.watertight || report.inconsistentEdges > 0 || report.invertedShells > 0;
+  }
+
+  const api = {
+    analyze,
+    inspect,
+    describe,
+    diagnostics,
+    volumeUnreliable,
+    FLAG_BOUNDARY,
+    FLAG_NON_MANIFOLD,
+    FLAG_WINDING,
+    FLAG_DEGENERATE,
+    FLAG_DUPLICATE
+  };
+  globalThis.MeshCheck = api;
+  return api;
+})();
@@ -0,0 +1,371 @@
+/**
+ * meshRepair.js — One-pass mesh repair (requires geometry.js and meshCheck.js).
+ * Removes degenerate and duplicate triangles, welds near-coincident vertices, unifies winding,
+ * fills small holes and turns inside-out shells outward. Works on a copy; the input is untouched.
+ */
+
+const MeshRepair = (function () {
+  'use strict';
+
+  /** Holes with more open edges than this are left alone; large openings are usually intentional. */
+  const DEFAULT_MAX_HOLE_EDGES = 64;
+
+  const SKIP = MeshCheck.FLAG_DEGENERATE | MeshCheck.FLAG_DUPLICATE;
+
+  /** +1 if triangle t walks a -> b, -1 if b -> a. */
+  function walks(index, t, a, b) {
+    for (let k = 0; k < 3; k++) {
+      if (index[t * 3 + k] === a) return index[t * 3 + (k + 1) % 3] === b ? 1 : -1;
+    }
+    return 0;
+  }
+
+  function flipTriangle(index, flipped, t) {
+    const tmp = index[t * 3 + 1];
+    index[t * 3 + 1] = index[t * 3 + 2];
+    index[t * 3 + 2] = tmp;
+    flipped[t] ^= 1;
+  }
+
+  /**
+   * Flip triangles so that every manifold edge is walked in opposite directions by its two faces.
+   * Each connected patch keeps the orientation of its first triangle.
+   */
+  function unifyWinding(work, adjacency, flipped) {
+    const index = work.index;
+    const { edgeVertices, faceEdges, edgeFaceOffsets, edgeFaces } = adjacency;
+    const visited = new Uint8Array(work.triangleCount);
+    const stack = new Uint32Array(work.triangleCount);
+    for (let seed = 0; seed < work.triangleCount; seed++) {
+      if (visited[seed]) continue;
+      visited[seed] = 1;
+      let top = 0;
+      stack[top++] = seed;
+      while (top > 0) {
+        const t = stack[--top];
+        for (let k = 0; k < 3; k++) {
+          const e = faceEdges[t * 3 + k];
+          if (edgeFaceOffsets[e + 1] - edgeFaceOffsets[e] !== 2) continue;
+          const i = edgeFaceOffsets[e];
+          const f = edgeFaces[i] === t ? edgeFaces[i + 1] : edgeFaces[i];
+          if (visited[f]) continue;
+          visited[f] = 1;
+          const lo = edgeVertices[e * 2];
+          const hi = edgeVertices[e * 2 + 1];
+          if (walks(index, t, lo, hi) === walks(index, f, lo, hi)) flipTriangle(index, flipped, f);
+          stack[top++] = f;
+        }
+      }
+    }
+  }
+
+  /**
+   * Close boundary loops of up to maxEdges open edges. Three-edge holes get one triangle;
+   * larger ones a fan around a new vertex at the loop's centroid.
+   * @returns {{ triangles: number[], origins: number[], positions: number[], filled: number, skipped: number }}
+   */
+  function fillHoles(work, adjacency, positions, maxEdges) {
+    const index = work.index;
+    const { edgeCount, edgeVertices, edgeFaceOffsets, edgeFaces } = adjacency;
+    // Hole loops run against the winding of the faces around them: a face edge a -> b gives b -> a.
+    const out = new Int32Array(work.vertexCount).fill(-1);
+    const outFace = new Uint32Array(work.vertexCount);
+    const branching = new Uint8Array(work.vertexCount);
+    for (let e = 0; e < edgeCount; e++) {
+      if (edgeFaceOffsets[e + 1] - edgeFaceOffsets[e] !== 1) continue;
+      const t = edgeFaces[edgeFaceOffsets[e]];
+      let a = edgeVertices[e * 2];
+      let b = edgeVertices[e * 2 + 1];
+      if (walks(index, t, a, b) < 0) { const tmp = a; a = b; b = tmp; }
+      if (out[b] !== -1) branching[b] = 1;
+      out[b] = a;
+      outFace[b] = t;
+    }
+
+    const used = new Uint8Array(work.vertexCount);
+    const triangles = [];
+    const origins = [];
+    const added = [];
+    let filled = 0;
+    let skipped = 0;
+    for (let start = 0; start < work.vertexCount; start++) {
+      if (out[start] === -1 || used[start]) continue;
+      const loop = [];
+      let closed = false;
+      let simple = true;
+      let v = start;
+      while (true) {
+        if (branching[v]) simple = false;
+        used[v] = 1;
+        loop.push(v);
+        const next = out[v];
+        if (next === start) { closed = true; break; }
+        if (next === -1 || used[next]) break;
+        v = next;
+      }
+      if (!closed || !simple || loop.length < 3 || loop.length > maxEdges) {
+        skipped++;
+        continue;
+      }
+      const origin = outFace[start];
+      if (loop.length === 3) {
+        triangles.push(loop[0], loop[1], loop[2]);
+        origins.push(origin);
+      } else {
+        let cx = 0; let cy = 0; let cz = 0;
+        for (const p of loop) {
+          cx += positions[p * 3]; cy += positions[p * 3 + 1]; cz += positions[p * 3 + 2];
+        }
+        const c = work.vertexCount + added.length / 3;
+        added.push(cx / loop.length, cy / loop.length, cz / loop.length);
+        for (let i = 0; i < loop.length; i++) {
+          triangles.push(loop[i], loop[(i + 1) % loop.length], c);
+          origins.push(origin);
+        }
+      }
+      filled++;
+    }
+    return { triangles, origins, positions: added, filled, skipped };
+  }
+
+  /** Signed volume of the listed triangles of an indexed mesh. */
+  function signedVolume(index, positions, faces) {
+    let sum = 0;
+    for (const t of faces) {
+      const a = index[t * 3] * 3; const b = index[t * 3 + 1] * 3; const c = index[t * 3 + 2] * 3;
+      sum += positions[a] * (positions[b + 1] * positions[c + 2] - positions[b + 2] * positions[c + 1]) -
+        positions[a + 1] * (positions[b] * positions[c + 2] - positions[b + 2] * positions[c]) +
+        positions[a + 2] * (positions[b] * positions[c + 1] - positions[b + 1] * positions[c]);
+    }
+    return sum / 6;
+  }
+
+  /** Flat 9-floats-per-triangle copy of an indexed mesh. */
+  function expandTriangles(index, positions, triCount) {
+    const out = new Float32Array(triCount * 9);
+    for (let c = 0; c < triCount * 3; c++) {
+      const v = index[c] * 3;
+      out[c * 3] = positions[v];
+      out[c * 3 + 1] = positions[v + 1];
+      out[c * 3 + 2] = positions[v + 2];
+    }
+    return out;
+  }
+
+  /**
+   * Repair a triangle soup. Output triangles keep the order of the triangles they came from;
+   * fill triangles follow the face they border, so body ranges and facet colors can be carried over.
+   * @param {Float32Array} vertices - 9 floats per triangle
+   * @param {number} triCount
+   * @param {{ weldTolerance?: number, maxHoleEdges?: number }} [options]
+   * @returns {{
+   *   vertices: Float32Array, triangleCount: number,
+   *   faceSource: Int32Array, faceOrigin: Uint32Array, flipped: Uint8Array,
+   *   mesh: Object, adjacency: Object, shells: Object,
+   *   before: Object, after: Object, summary: Object
+   * }} faceSource: input triangle per output triangle (-1 for fills); faceOrigin: same, or the bordering
+   *   input triangle for fills; flipped: 1 where the output reverses the input winding.
+   *   mesh, adjacency, shells and after describe the output (welded at weldTolerance).
+   */
+  function repair(vertices, triCount, options) {
+    const opts = options || {};
+    const tolerance = opts.weldTolerance != null ? opts.weldTolerance : GEOMETRY.DEFAULT_WELD_TOLERANCE;
+    const maxHoleEdges = opts.maxHoleEdges != null ? opts.maxHoleEdges : DEFAULT_MAX_HOLE_EDGES;
+
+    const before = MeshCheck.inspect(vertices, triCount, tolerance);
+    const distinct = tolerance > 0 ? GEOMETRY.buildIndexedMesh(vertices, triCount, 0).vertexCount : before.mesh.vertexCount;
+
+    // Drop degenerate and duplicate triangles; the rest keep their welded corners.
+    const flags = before.report.faceFlags;
+    const kept = [];
+    for (let t = 0; t < triCount; t++) if (!(flags[t] & SKIP)) kept.push(t);
+    const index = new Uint32Array(kept.length * 3);
+    kept.forEach(function (t, i) {
+      index.set(before.mesh.index.subarray(t * 3, t * 3 + 3), i * 3);
+    });
+    const work = { index, vertexCount: before.mesh.vertexCount, triangleCount: kept.length };
+    const flipped = new Uint8Array(kept.length);
+    unifyWinding(work, GEOMETRY.buildEdgeAdjacency(work), flipped);
+
+    const holes = fillHoles(work, GEOMETRY.buildEdgeAdjacency(work), before.mesh.positions, maxHoleEdges);
+    const fillCount = holes.origins.length;
+    const positions = new Float32Array(before.mesh.positions.length + holes.positions.length);
+    positions.set(before.mesh.positions);
+    positions.set(holes.positions, before.mesh.positions.length);
+    const full = {
+      index: new Uint32Array((kept.length + fillCount) * 3),
+      vertexCount: positions.length / 3,
+      triangleCount: kept.length + fillCount
+    };
+    full.index.set(index);
+    full.index.set(holes.triangles, index.length);
+    const allFlipped = new Uint8Array(full.triangleCount);
+    allFlipped.set(flipped);
+
+    // Turn inside-out shells outward. Cavities (shells nested inside another) are meant to face inward,
+    // so a shell is only reversed when its volume sign disagrees with its nesting depth.
+    const fullShells = GEOMETRY.findShells(full, GEOMETRY.buildEdgeAdjacency(full));
+    const orientation = fullShells.count > 1
+      ? GEOMETRY.shellOrientations(expandTriangles(full.index, positions, full.triangleCount), fullShells)
+      : { inverted: [signedVolume(full.index, positions, fullShells.shellFaces) < 0] };
+    let shellsReversed = 0;
+    for (let i = 0; i < fullShells.count; i++) {
+      if (!orientation.inverted[i]) continue;
+      shellsReversed++;
+      for (const t of GEOMETRY.shellTriangles(fullShells, i)) flipTriangle(full.index, allFlipped, t);
+    }
+
+    // Output order: each kept triangle, then the fills that border it.
+    const fillsAfter = new Map();
+    holes.origins.forEach(function (o, i) {
+      const list = fillsAfter.get(o);
+      if (list) list.push(kept.length + i);
+      else fillsAfter.set(o, [kept.length + i]);
+    });
+    const order = new Uint32Array(full.triangleCount);
+    let n = 0;
+    for (let i = 0; i < kept.length; i++) {
+      order[n++] = i;
+      const fills = fillsAfter.get(i);
+      if (fills) for (const f of fills) order[n++] = f;
+    }
+
+    const out = new Float32Array(full.triangleCount * 9);
+    const faceSource = new Int32Array(full.triangleCount);
+    const faceOrigin = new Uint32Array(full.triangleCount);
+    const outFlipped = new Uint8Array(full.triangleCount);
+    let flippedTriangles = 0;
+    for (let i = 0; i < full.triangleCount; i++) {
+      const t = order[i];
+      for (let k = 0; k < 3; k++) {
+        const v = full.index[t * 3 + k];
+        out[i * 9 + k * 3] = positions[v * 3];
+        out[i * 9 + k * 3 + 1] = positions[v * 3 + 1];
+        out[i * 9 + k * 3 + 2] = positions[v * 3 + 2];
+      }
+      const isFill = t >= kept.length;
+      faceSource[i] = isFill ? -1 : kept[t];
+      faceOrigin[i] = kept[isFill ? holes.origins[t - kept.length] : t];
+      outFlipped[i] = isFill ? 0 : allFlipped[t];
+      if (outFlipped[i]) flippedTriangles++;
+    }
+
+    const after = MeshCheck.inspect(out, full.triangleCount, tolerance);
+    return {
+      vertices: out,
+      triangleCount: full.triangleCount,
+      faceSource,
+      faceOrigin,
+      flipped: outFlipped,
+      mesh: after.mesh,
+      adjacency: after.adjacency,
+      shells: after.shells,
+      before: before.report,
+      after: after.report,
+      summary: {
+        trianglesBefore: triCount,
+        trianglesAfter: full.triangleCount,
+        removedDegenerate: before.report.degenerateTriangles,
+        removedDuplicate: before.report.duplicateTriangles,
+        weldedVertices: distinct - before.mesh.vertexCount,
+        flippedTriangles,
+        shellsReversed,
+        holesFilled: holes.filled,
+        holesSkipped: holes.skipped,
+        addedTriangles: fillCount,
+        maxHoleEdges
+      }
+    };
+  }
+
+  /**
+   * Carry per-facet or per-vertex colors over to a repair result. Fill triangles get no facet color
+   * (the default color shows) or the average corner color of the face they border.
+   * @param {Object|null} colors - parser colors
+   * @param {Object} result - from repair()
+   * @returns {Object|null}
+   */
+  function remapColors(colors, result) {
+    if (!colors) return null;
+    const n = result.triangleCount;
+    if (colors.faces) {
+      const faces = new Uint8Array(n * 4);
+      for (let i = 0; i < n; i++) {
+        const src = result.faceSource[i];
+        if (src >= 0) faces.set(colors.faces.subarray(src * 4, src * 4 + 4), i * 4);
+      }
+      return { ...colors, faces };
+    }
+    if (colors.vertex) {
+      const src = colors.vertex;
+      const vertex = new Uint8Array(n * 9);
+      for (let i = 0; i < n; i++) {
+        const s = result.faceSource[i];
+        if (s >= 0) {
+          // A flipped triangle swaps corners 1 and 2.
+          const order = result.flipped[i] ? [0, 2, 1] : [0, 1, 2];
+          for (let k = 0; k < 3; k++) vertex.set(src.subarray(s * 9 + order[k] * 3, s * 9 + order[k] * 3 + 3), i * 9 + k * 3);
+        } else {
+          const o = result.faceOrigin[i] * 9;
+          for (let c = 0; c < 3; c++) {
+            const avg = Math.round((src[o + c] + src[o + 3 + c] + src[o + 6 + c]) / 3);
+            vertex[i * 9 + c] = vertex[i * 9 + 3 + c] = vertex[i * 9 + 6 + c] = avg;
+          }
+        }
+      }
+      return { ...colors, vertex };
+    }
+    return colors;
+  }
+
+  /**
+   * Body ranges ({ name, start, count }) re-expressed in output triangles.
+   * @param {Object[]|null} bodies
+   * @param {Object} result - from repair()
+   * @returns {Object[]|null}
+   */
+  function remapBodies(bodies, result) {
+    if (!bodies) return null;
+    const origin = result.faceOrigin;
+    let i = 0;
+    return bodies.map(function (body) {
+      while (i < origin.length && origin[i] < body.start) i++;
+      const start = i;
+      while (i < origin.length && origin[i] < body.start + body.count) i++;
+      return { name: body.name, start, count: i - start };
+    }).filter(b => b.count > 0);
+  }
+
+  /**
+   * What repair() changed, one line per kind of fix. Empty when nothing changed.
+   * @param {Object} summary - result.summary
+   * @returns {string[]}
+   */
+  function describe(summary) {
+    const n = (count, one, many) => count.toLocaleString('en-US') + ' ' + (count === 1 ? one : many);
+    const lines = [];
+    if (summary.removedDegenerate) lines.push('Removed ' + n(summary.removedDegenerate, 'degenerate triangle', 'degenerate triangles') + '.');
+    if (summary.removedDuplicate) lines.push('Removed ' + n(summary.removedDuplicate, 'duplicate triangle', 'duplicate triangles') + '.');
+    if (summary.weldedVertices) lines.push('Welded ' + n(summary.weldedVertices, 'near-coincident vertex', 'near-coincident vertices') + '.');
+    if (summary.flippedTriangles) lines.push('Flipped ' + n(summary.flippedTriangles, 'triangle', 'triangles') + ' to face outward.');
+    if (summary.holesFilled) {
+      lines.push('Filled ' + n(summary.holesFilled, 'hole', 'holes') + ' with ' +
+        n(summary.addedTriangles, 'triangle', 'triangles') + '.');
+    }
+    if (summary.holesSkipped) {
+      lines.push('Left ' + n(summary.holesSkipped, 'hole', 'holes') + ' open (larger than ' +
+        summary.maxHoleEdges + ' edges or not a simple loop).');
+    }
+    return lines;
+  }
+
+  const api = {
+    DEFAULT_MAX_HOLE_EDGES,
+    repair,
+    remapColors,
+    remapBodies,
+    describe
+  };
+  globalThis.MeshRepair = api;
+  return api;
+})();
@@ -0,0 +1,164 @@
+/**
+ * objParser.js — Wavefront OBJ reader.
+ * Returns the STLParser layout: { format: 'obj', vertices, triangleCount, bodies }.
+ * Handles v/f records (v, v/vt, v//vn, v/vt/vn), negative (relative) indices, and quads/n-gons
+ * (fan-triangulated, like most OBJ importers). o/g records become bodies: { name, start, count }
+ * triangle ranges. Texture coordinates, normals and materials are ignored.
+ */
+
+const OBJParser = (function () {
+  'use strict';
+
+  function createGrowable(Type, initialLength) {
+    let data = new Type(initialLength);
+    let length = 0;
+    return {
+      push(value) {
+        if (length === data.length) {
+          const grown = new Type(data.length * 2);
+          grown.set(data);
+          data = grown;
+        }
+        data[length++] = value;
+      },
+      get length() { return length; },
+      get data() { return data; }
+    };
+  }
+
+  /**
+   * Incremental parser. Feed the file through push(); finish() returns the parse() shape.
+   * Face indices are resolved to absolute positions as they are read, and checked at finish(),
+   * so faces may reference vertices defined later in the file.
+   * @param {number} fileSizeBytes - for display/warning
+   */
+  function createParser(fileSizeBytes) {
+    const decoder = new TextDecoder('utf-8', { fatal: false });
+    const positions = createGrowable(Float32Array, 3 * 4096);
+    const indices = createGrowable(Uint32Array, 3 * 4096);
+    const bodies = [];
+    let remainder = '';
+    let lineNo = 0;
+
+    function startBody(name) {
+      const start = indices.length / 3;
+      const last = bodies[bodies.length - 1];
+      if (last && last.count === 0) {
+        last.name = name;
+        return;
+      }
+      bodies.push({ name, start, count: 0 });
+    }
+
+    function resolveIndex(token) {
+      const slash = token.indexOf('/');
+      const i = parseInt(slash === -1 ? token : token.slice(0, slash), 10);
+      if (isNaN(i) || i === 0) {
+        throw new Error('Invalid OBJ face index "' + token + '" on line ' + lineNo);
+      }
+      // 1-based; negative counts back from the most recent vertex.
+      const resolved = i > 0 ? i - 1 : positions.length / 3 + i;
+      if (resolved < 0) {
+        throw new Error('OBJ face index ' + i + ' on line ' + lineNo + ' is before the first vertex');
+      }
+      return resolved;
+    }
+
+    function parseLine(raw) {
+      lineNo++;
+      const line = raw.trim();
+      if (line === '' || line[0] === '#') return;
+
+      const parts = line.split(/\s+/);
+      const keyword = parts[0];
+      if (keyword === 'v') {
+        const x = parseFloat(parts[1]);
+        const y = parseFloat(parts[2]);
+        const z = parseFloat(parts[3]);
+        if (isNaN(x) || isNaN(y) || isNaN(z)) {
+          throw new Error('Invalid OBJ vertex on line ' + lineNo);
+        }
+        positions.push(x);
+        positions.push(y);
+        positions.push(z);
+      } else if (keyword === 'f') {
+        if (parts.length < 4) {
+          throw new Error('OBJ face with fewer than 3 vertices on line ' + lineNo);
+        }
+        const first = resolveIndex(parts[1]);
+        let prev = resolveIndex(parts[2]);
+        for (let k = 3; k < parts.length; k++) {
+          const cur = resolveIndex(parts[k]);
+          indices.push(first);
+          indices.push(prev);
+          indices.push(cur);
+          prev = cur;
+        }
+        if (bodies.length === 0) startBody('');
+        bodies[bodies.length - 1].count = indices.length / 3 - bodies[bodies.length - 1].start;
+      } else if (keyword === 'o' || keyword === 'g') {
+        startBody(parts.slice(1).join(' '));
+      }
+    }
+
+    function consume(text, final) {
+      const lines = (remainder + text).split(/\r?\n/);
+      remainder = final ? '' : lines.pop();
+      for (let i = 0; i < lines.length; i++) {
+        parseLine(lines[i]);
+      }
+    }
+
+    return {
+      push(bytes) {
+        consume(decoder.decode(bytes, { stream: true }), false);
+      },
+      finish() {
+        consume(decoder.decode(), true);
+
+        const vertexCount = positions.length / 3;
+        const p = positions.data;
+        const idx = indices.data;
+        const n = indices.length;
+        if (n === 0) throw new Error('OBJ file contains no faces');
+
+        const vertices = new Float32Array(n * 3);
+        for (let i = 0; i < n; i++) {
+          const vi = idx[i];
+          if (vi >= vertexCount) {
+            throw new Error('OBJ face references vertex ' + (vi + 1) + ' but only ' + vertexCount + ' are defined');
+          }
+          vertices[i * 3] = p[vi * 3];
+          vertices[i * 3 + 1] = p[vi * 3 + 1];
+          vertices[i * 3 + 2] = p[vi * 3 + 2];
+        }
+
+        return {
+          format: 'obj',
+          vertices,
+          triangleCount: n / 3,
+          colors: null,
+          bodies: bodies.filter(b => b.count > 0),
+          fileSizeBytes: fileSizeBytes,
+          sizeWarning: fileSizeBytes > STLParser.FILE_SIZE_WARN_THRESHOLD
+        };
+      }
+    };
+  }
+
+  /**
+   * Parse OBJ from ArrayBuffer.
+   * @param {ArrayBuffer} arrayBuffer
+   * @param {number} fileSizeBytes - for display/warning
+   * @returns {{ format: 'obj', vertices, triangleCount, colors: null, bodies, fileSizeBytes, sizeWarning }}
+   */
+  function parse(arrayBuffer, fileSizeBytes) {
+    const parser = createParser(fileSizeBytes);
+    parser.push(new Uint8Array(arrayBuffer));
+    return parser.finish();
+  }
+
+  const api = { parse, createParser };
+  globalThis.OBJParser = api;
+  return api;
+})();
@@ -0,0 +1,19 @@
+/**
+ * orientWorker.js — Search print orientations off the main thread (module worker, see autoOrient.js).
+ * geometry.js and printerFit.js are classic scripts; importing them registers GEOMETRY and PrinterFit on globalThis.
+ * Message in: { vertices, triangleCount, options } (options as for findOrientations).
+ * Messages out: { type: 'done', candidates } | { type: 'error', message }.
+ */
+
+import './geometry.js';
+import './printerFit.js';
+import { findOrientations } from './autoOrient.js';
+
+self.onmessage = function (e) {
+  const { vertices, triangleCount, options } = e.data;
+  try {
+    self.postMessage({ type: 'done', candidates: findOrientations(vertices, triangleCount, options) });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: (err && err.message) || 'Unknown error' });
+  }
+};
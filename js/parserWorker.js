@@ -0,0 +1,86 @@
+/**
+ * parserWorker.js — Parse a model File off the main thread.
+ * STL and OBJ are read in chunks with progress; 3MF packages and PLY files are read whole.
+ * Then welds the triangles and checks the mesh (MeshCheck.inspect), the slowest step on large files.
+ * Transfers the vertex buffer and the topology's typed arrays back.
+ * Message in: { file, options, weldTolerance } (options.recover: STL recovery mode), or
+ * { vertices, triangleCount, weldTolerance } to check triangles that are already parsed (result: { topology }).
+ * Messages out: { type: 'progress', loaded, total } | { type: 'done', result } | { type: 'error', message, diagnostics }.
+ */
+
+importScripts('geometry.js', 'meshCheck.js', 'stlParser.js', 'objParser.js', 'plyParser.js', 'zip.js', 'threeMFParser.js');
+
+const CHUNK_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Feed the file through an incremental parser (STLParser/OBJParser createParser()).
+ */
+async function parseChunked(file, parser) {
+  for (let offset = 0; offset < file.size; offset += CHUNK_BYTES) {
+    const chunk = await file.slice(offset, offset + CHUNK_BYTES).arrayBuffer();
+    parser.push(new Uint8Array(chunk));
+    self.postMessage({ type: 'progress', loaded: Math.min(offset + CHUNK_BYTES, file.size), total: file.size });
+  }
+
+  return parser.finish();
+}
+
+async function parseSTL(file, options) {
+  const head = await file.slice(0, STLParser.HEAD_BYTES).arrayBuffer();
+  return parseChunked(file, STLParser.createParser(head, file.size, options));
+}
+
+async function parse3MF(file) {
+  const buffer = await file.arrayBuffer();
+  self.postMessage({ type: 'progress', loaded: file.size, total: file.size });
+  return ThreeMFParser.parse(buffer, file.size);
+}
+
+async function parsePLY(file) {
+  const buffer = await file.arrayBuffer();
+  self.postMessage({ type: 'progress', loaded: file.size, total: file.size });
+  return PLYParser.parse(buffer, file.size);
+}
+
+/** Buffers of a MeshCheck.inspect() result, to transfer rather than copy. */
+function topologyBuffers(topology) {
+  const { mesh, adjacency, shells, report } = topology;
+  return [
+    mesh.positions, mesh.index,
+    adjacency.edgeVertices, adjacency.faceEdges, adjacency.edgeFaceOffsets, adjacency.edgeFaces,
+    shells.faceShell, shells.shellFaceOffsets, shells.shellFaces,
+    report.faceFlags, report.boundarySlots
+  ].map(a => a.buffer);
+}
+
+self.onmessage = async function (e) {
+  const file = e.data.file;
+  const options = e.data.options || {};
+  try {
+    let result;
+    if (!file) {
+      const topology = MeshCheck.inspect(e.data.vertices, e.data.triangleCount, e.data.weldTolerance);
+      self.postMessage({ type: 'done', result: { topology } }, topologyBuffers(topology));
+      return;
+    }
+    if (/\.3mf$/i.test(file.name)) {
+      result = await parse3MF(file);
+    } else if (/\.ply$/i.test(file.name)) {
+      result = await parsePLY(file);
+    } else if (/\.obj$/i.test(file.name)) {
+      result = await parseChunked(file, OBJParser.createParser(file.size));
+    } else {
+      result = await parseSTL(file, options);
+    }
+    result.topology = MeshCheck.inspect(result.vertices, result.triangleCount, e.data.weldTolerance);
+    const transfer = [result.vertices.buffer, ...topologyBuffers(result.topology)];
+    if (result.colors) transfer.push((result.colors.faces || result.colors.vertex).buffer);
+    self.postMessage({ type: 'done', result }, transfer);
+  } catch (err) {
+    self.postMessage({
+      type: 'error',
+      message: (err && err.message) || 'Unknown error',
+      diagnostics: (err && err.diagnostics) || null
+    });
+  }
+};
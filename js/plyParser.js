@@ -0,0 +1,287 @@
+/**
+ * plyParser.js — Stanford PLY reader (ascii, binary_little_endian, binary_big_endian).
+ * Returns the STLParser layout: { format: 'ply', vertices, triangleCount, colors }.
+ * The header's element/property declarations drive the body reader; elements other than
+ * vertex and face (edges, materials, …) are read past and ignored. Polygon faces are
+ * fan-triangulated. Per-vertex red/green/blue become colors: { format: 'vertex', vertex }
+ * with one RGB triple per triangle corner, for the preview only (STL cannot store them).
+ */
+
+const PLYParser = (function () {
+  'use strict';
+
+  const TYPE_SIZES = {
+    char: 1, int8: 1, uchar: 1, uint8: 1,
+    short: 2, int16: 2, ushort: 2, uint16: 2,
+    int: 4, int32: 4, uint: 4, uint32: 4,
+    float: 4, float32: 4, double: 8, float64: 8
+  };
+
+  const COLOR_NAMES = {
+    red: 0, green: 1, blue: 2,
+    diffuse_red: 0, diffuse_green: 1, diffuse_blue: 2,
+    r: 0, g: 1, b: 2
+  };
+
+  function isFloatType(type) {
+    return type === 'float' || type === 'float32' || type === 'double' || type === 'float64';
+  }
+
+  /**
+   * Parse the header. Returns null if the buffer does not start with "ply".
+   * @returns {{ format: string, elements: Object[], bodyOffset: number }|null}
+   */
+  function parseHeader(bytes) {
+    if (bytes.length < 4 || bytes[0] !== 0x70 || bytes[1] !== 0x6c || bytes[2] !== 0x79) return null;
+
+    // The header is ASCII; find "end_header" and the line break after it.
+    const limit = Math.min(bytes.length, 64 * 1024);
+    const text = new TextDecoder('latin1').decode(bytes.subarray(0, limit));
+    const end = text.indexOf('end_header');
+    if (end === -1) throw new Error('Invalid PLY: end_header not found');
+    let bodyOffset = end + 'end_header'.length;
+    if (text[bodyOffset] === '\r') bodyOffset++;
+    if (text[bodyOffset] === '\n') bodyOffset++;
+
+    const header = { format: null, elements: [], bodyOffset };
+    let element = null;
+    const lines = text.slice(0, end).split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+      const parts = lines[i].trim().split(/\s+/);
+      const keyword = parts[0];
+      if (keyword === 'format') {
+        header.format = parts[1];
+      } else if (keyword === 'element') {
+        const count = parseInt(parts[2], 10);
+        if (!(count >= 0)) throw new Error('Invalid PLY element count on header line ' + (i + 1));
+        element = { name: parts[1], count, properties: [] };
+        header.elements.push(element);
+      } else if (keyword === 'property') {
+        if (!element) throw new Error('PLY property before any element on header line ' + (i + 1));
+        const property = parts[1] === 'list'
+          ? { name: parts[4], list: true, countType: parts[2], type: parts[3] }
+          : { name: parts[2], list: false, type: parts[1] };
+        if (!TYPE_SIZES[property.type] || (property.list && !TYPE_SIZES[property.countType])) {
+          throw new Error('Unsupported PLY property type on header line ' + (i + 1) + ': ' + lines[i].trim());
+        }
+        element.properties.push(property);
+      }
+    }
+
+    if (header.format !== 'ascii' && header.format !== 'binary_little_endian' && header.format !== 'binary_big_endian') {
+      throw new Error('Unsupported PLY format "' + header.format + '"');
+    }
+    return header;
+  }
+
+  /**
+   * Sequential value reader over the body; the same element walk serves ascii and binary.
+   */
+  function createBinaryReader(bytes, offset, littleEndian) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let p = offset;
+    return {
+      read(type) {
+        const size = TYPE_SIZES[type];
+        if (p + size > view.byteLength) throw new Error('PLY file is truncated');
+        let v;
+        switch (type) {
+          case 'char': case 'int8': v = view.getInt8(p); break;
+          case 'uchar': case 'uint8': v = view.getUint8(p); break;
+          case 'short': case 'int16': v = view.getInt16(p, littleEndian); break;
+          case 'ushort': case 'uint16': v = view.getUint16(p, littleEndian); break;
+          case 'int': case 'int32': v = view.getInt32(p, littleEndian); break;
+          case 'uint': case 'uint32': v = view.getUint32(p, littleEndian); break;
+          case 'float': case 'float32': v = view.getFloat32(p, littleEndian); break;
+          default: v = view.getFloat64(p, littleEndian);
+        }
+        p += size;
+        return v;
+      },
+      endRecord() {}
+    };
+  }
+
+  /** ASCII bodies hold one element record per line. */
+  function createASCIIReader(bytes, offset) {
+    const lines = new TextDecoder('utf-8').decode(bytes.subarray(offset)).split(/\r?\n/);
+    let lineIndex = -1;
+    let tokens = [];
+    let t = 0;
+    let pending = true;
+
+    function nextRecord() {
+      do {
+        lineIndex++;
+        if (lineIndex >= lines.length) throw new Error('PLY file is truncated');
+        tokens = lines[lineIndex].trim().split(/\s+/);
+      } while (tokens[0] === '');
+      t = 0;
+      pending = false;
+    }
+
+    return {
+      read(type) {
+        if (pending) nextRecord();
+        if (t >= tokens.length) {
+          throw new Error('Invalid PLY: too few values on body line ' + (lineIndex + 1));
+        }
+        const v = isFloatType(type) ? parseFloat(tokens[t++]) : parseInt(tokens[t++], 10);
+        if (isNaN(v)) throw new Error('Invalid PLY value "' + tokens[t - 1] + '" on body line ' + (lineIndex + 1));
+        return v;
+      },
+      endRecord() {
+        pending = true;
+      }
+    };
+  }
+
+  /**
+   * Parse PLY from ArrayBuffer.
+   * @param {ArrayBuffer} arrayBuffer
+   * @param {number} fileSizeBytes - for display/warning
+   * @returns {{ format: 'ply', vertices, triangleCount, colors, bodies: null, fileSizeBytes, sizeWarning }}
+   */
+  function parse(arrayBuffer, fileSizeBytes) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const header = parseHeader(bytes);
+    if (!header) throw new Error('Not a PLY file: missing "ply" magic');
+
+    const vertexElement = header.elements.find(e => e.name === 'vertex');
+    const faceElement = header.elements.find(e => e.name === 'face');
+    if (!vertexElement || !faceElement || faceElement.count === 0) {
+      throw new Error('PLY file contains no faces');
+    }
+
+    const axis = { x: -1, y: -1, z: -1 };
+    vertexElement.properties.forEach(function (prop, i) {
+      if (prop.name in axis && !prop.list) axis[prop.name] = i;
+    });
+    if (axis.x === -1 || axis.y === -1 || axis.z === -1) {
+      throw new Error('PLY vertex element has no x/y/z properties');
+    }
+    const colorSlots = vertexElement.properties.map(p => (p.list ? undefined : COLOR_NAMES[p.name]));
+    const colorCount = colorSlots.filter(s => s !== undefined).length;
+    const hasColor = colorCount === 3;
+    const faceListIndex = faceElement.properties.findIndex(p => p.list && (p.name === 'vertex_indices' || p.name === 'vertex_index'));
+    if (faceListIndex === -1) throw new Error('PLY face element has no vertex_indices list');
+
+    const reader = header.format === 'ascii'
+      ? createASCIIReader(bytes, header.bodyOffset)
+      : createBinaryReader(bytes, header.bodyOffset, header.format === 'binary_little_endian');
+
+    const positions = new Float32Array(vertexElement.count * 3);
+    const vertexColors = hasColor ? new Uint8Array(vertexElement.count * 3) : null;
+    let indices = new Uint32Array(faceElement.count * 3);
+    let indexCount = 0;
+
+    function pushTriangle(a, b, c) {
+      if (indexCount + 3 > indices.length) {
+        const grown = new Uint32Array(indices.length * 2);
+        grown.set(indices);
+        indices = grown;
+      }
+      indices[indexCount++] = a;
+      indices[indexCount++] = b;
+      indices[indexCount++] = c;
+    }
+
+    function readVertex(v) {
+      const props = vertexElement.properties;
+      for (let k = 0; k < props.length; k++) {
+        const prop = props[k];
+        if (prop.list) {
+          const n = reader.read(prop.countType);
+          for (let j = 0; j < n; j++) reader.read(prop.type);
+          continue;
+        }
+        const value = reader.read(prop.type);
+        if (k === axis.x) positions[v * 3] = value;
+        else if (k === axis.y) positions[v * 3 + 1] = value;
+        else if (k === axis.z) positions[v * 3 + 2] = value;
+        else if (vertexColors && colorSlots[k] !== undefined) {
+          // Float colors are 0–1; integer colors are 0–255.
+          const c = isFloatType(prop.type) ? value * 255 : value;
+          vertexColors[v * 3 + colorSlots[k]] = Math.max(0, Math.min(255, Math.round(c)));
+        }
+      }
+    }
+
+    function readFace() {
+      const props = faceElement.properties;
+      for (let k = 0; k < props.length; k++) {
+        const prop = props[k];
+        if (!prop.list) {
+          reader.read(prop.type);
+          continue;
+        }
+        const n = reader.read(prop.countType);
+        if (k !== faceListIndex) {
+          for (let j = 0; j < n; j++) reader.read(prop.type);
+          continue;
+        }
+        const first = reader.read(prop.type);
+        let prev = n > 1 ? reader.read(prop.type) : 0;
+        for (let j = 2; j < n; j++) {
+          const cur = reader.read(prop.type);
+          pushTriangle(first, prev, cur);
+          prev = cur;
+        }
+      }
+    }
+
+    function skipRecord(element) {
+      for (const prop of element.properties) {
+        if (prop.list) {
+          const n = reader.read(prop.countType);
+          for (let j = 0; j < n; j++) reader.read(prop.type);
+        } else {
+          reader.read(prop.type);
+        }
+      }
+    }
+
+    for (const element of header.elements) {
+      for (let i = 0; i < element.count; i++) {
+        if (element === vertexElement) readVertex(i);
+        else if (element === faceElement) readFace();
+        else skipRecord(element);
+        reader.endRecord();
+      }
+    }
+
+    if (indexCount === 0) throw new Error('PLY file contains no faces');
+
+    const vertexCount = vertexElement.count;
+    const vertices = new Float32Array(indexCount * 3);
+    const cornerColors = vertexColors ? new Uint8Array(indexCount * 3) : null;
+    for (let i = 0; i < indexCount; i++) {
+      const vi = indices[i];
+      if (vi >= vertexCount) {
+        throw new Error('PLY face references vertex ' + vi + ' but only ' + vertexCount + ' are defined');
+      }
+      vertices[i * 3] = positions[vi * 3];
+      vertices[i * 3 + 1] = positions[vi * 3 + 1];
+      vertices[i * 3 + 2] = positions[vi * 3 + 2];
+      if (cornerColors) {
+        cornerColors[i * 3] = vertexColors[vi * 3];
+        cornerColors[i * 3 + 1] = vertexColors[vi * 3 + 1];
+        cornerColors[i * 3 + 2] = vertexColors[vi * 3 + 2];
+      }
+    }
+
+    return {
+      format: 'ply',
+      vertices,
+      triangleCount: indexCount / 3,
+      colors: cornerColors ? { format: 'vertex', vertex: cornerColors } : null,
+      bodies: null,
+      fileSizeBytes: fileSizeBytes,
+      sizeWarning: fileSizeBytes > STLParser.FILE_SIZE_WARN_THRESHOLD
+    };
+  }
+
+  const api = { parse };
+  globalThis.PLYParser = api;
+  return api;
+})();
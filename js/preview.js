@@ -14,10 +14,71 @@ const Preview = (function () {
   let renderer = null;
   let controls = null;
   let mesh = null;
+  /** Index of the whole mesh (null for non-indexed geometry), restored when every triangle is visible. */
+  let fullIndex = null;
+  /** Defect overlay: flagged triangles and open edges, rebuilt from positions on every update. */
+  let defectGroup = null;
+  let defectTriangles = null;
+  let defectSlots = null;
+  /** For indexed meshes: the first triangle corner of each welded vertex, to read its position from the flat array. */
+  let vertexCorners = null;
+  let windingFlipped = false;
   let gridHelper = null;
   let bboxHelper = null;
   let dimLabelsEl = null;
   let containerEl = null;
+  /** Triangles drawn after setVisibleTriangles (null = all), to map picked faces back to model triangles. */
+  let visibleTriangles = null;
+  /** Face picking (lay flat): callbacks and listeners while active. */
+  let picking = null;
+  let highlightMesh = null;
+  let highlightTriangles = null;
+  /** Wall-thickness heatmap: thin triangles in per-triangle colors, refilled like the highlight. */
+  let heatmapMesh = null;
+  let heatmapTriangles = null;
+
+  const MESH_COLOR = 0x4a9eff;
+
+  /**
+   * Color attribute for either color layout: per-corner RGB (colors.vertex, PLY) is used as is;
+   * per-facet RGBA is expanded to the triangle's three corners.
+   */
+  function buildColorArray(colors, triangleCount) {
+    if (!colors.vertex) return buildFacetColorArray(colors, triangleCount);
+    const out = new Float32Array(triangleCount * 9);
+    for (let i = 0; i < out.length; i++) {
+      out[i] = colors.vertex[i] / 255;
+    }
+    return out;
+  }
+
+  /**
+   * Per-vertex color attribute from per-facet RGBA (alpha 0 falls back to the default color).
+   * @param {{ faces: Uint8Array, defaultColor: number[]|null }} colors
+   * @param {number} triangleCount
+   * @returns {Float32Array} 9 floats per triangle, 0–1
+   */
+  function buildFacetColorArray(colors, triangleCount) {
+    const fallback = new THREE.Color(MESH_COLOR);
+    const def = colors.defaultColor
+      ? [colors.defaultColor[0] / 255, colors.defaultColor[1] / 255, colors.defaultColor[2] / 255]
+      : [fallback.r, fallback.g, fallback.b];
+    const faces = colors.faces;
+    const out = new Float32Array(triangleCount * 9);
+    for (let t = 0; t < triangleCount; t++) {
+      const o = t * 4;
+      const hasColor = faces[o + 3] !== 0;
+      const r = hasColor ? faces[o] / 255 : def[0];
+      const g = hasColor ? faces[o + 1] / 255 : def[1];
+      const b = hasColor ? faces[o + 2] / 255 : def[2];
+      for (let k = 0; k < 3; k++) {
+        out[t * 9 + k * 3] = r;
+        out[t * 9 + k * 3 + 1] = g;
+        out[t * 9 + k * 3 + 2] = b;
+      }
+    }
+    return out;
+  }
 
   function updateGrid(bbox) {
     if (!bbox || !scene) return;
@@ -85,25 +146,103 @@ const Preview = (function () {
     renderer.render(scene, camera);
   }
 
-  function setMesh(vertices, triangleCount, bbox) {
+  function buildVertexCorners(indexedMesh) {
+    const corners = new Uint32Array(indexedMesh.vertexCount);
+    const seen = new Uint8Array(indexedMesh.vertexCount);
+    const index = indexedMesh.index;
+    for (let c = 0; c < index.length; c++) {
+      if (!seen[index[c]]) {
+        seen[index[c]] = 1;
+        corners[index[c]] = c;
+      }
+    }
+    return corners;
+  }
+
+  /**
+   * Vertices from a mirrored transform have corners 1 and 2 of each triangle swapped (GEOMETRY.flipWinding).
+   * The preview keeps the source corner order, so the welded index, per-corner colors and open-edge slots
+   * still line up; with double-sided materials the reversed winding shades the same.
+   */
+  function setWindingFlipped(flipped) {
+    windingFlipped = !!flipped;
+  }
+
+  /** Offset in the vertices array of corner slot 3t + k (source order). */
+  function cornerOffset(slot) {
+    const k = slot % 3;
+    return (windingFlipped && k ? slot + 3 - 2 * k : slot) * 3;
+  }
+
+  function copyCornerPositions(vertices, out) {
+    if (!windingFlipped) {
+      out.set(vertices.subarray(0, out.length));
+      return;
+    }
+    for (let s = 0; s < out.length / 3; s++) {
+      const c = cornerOffset(s);
+      out[s * 3] = vertices[c];
+      out[s * 3 + 1] = vertices[c + 1];
+      out[s * 3 + 2] = vertices[c + 2];
+    }
+  }
+
+  function gatherIndexedPositions(vertices, out) {
+    for (let v = 0; v < vertexCorners.length; v++) {
+      const c = cornerOffset(vertexCorners[v]);
+      out[v * 3] = vertices[c];
+      out[v * 3 + 1] = vertices[c + 1];
+      out[v * 3 + 2] = vertices[c + 2];
+    }
+  }
+
+  /**
+   * Replace the displayed mesh.
+   * With an indexed mesh (GEOMETRY.buildIndexedMesh) and no colors, renders indexed geometry:
+   * one position per welded vertex, flat-shaded so facets keep their own normals.
+   * Colored meshes stay unindexed because facet colors need per-corner attributes.
+   * @param {Float32Array} vertices
+   * @param {number} triangleCount
+   * @param {{ min, max, size }} bbox
+   * @param {{ faces?: Uint8Array, defaultColor?: number[]|null, vertex?: Uint8Array }|null} [colors] - per-facet or per-vertex colors
+   * @param {{ index: Uint32Array, vertexCount: number }|null} [indexedMesh]
+   */
+  function setMesh(vertices, triangleCount, bbox, colors, indexedMesh) {
+    setDefects(null, null);
+    setFaceHighlight(null);
+    setHeatmap(null);
+    visibleTriangles = null;
     if (mesh) {
       scene.remove(mesh);
       mesh.geometry.dispose();
       mesh.material.dispose();
     }
 
-    const positions = new Float32Array(triangleCount * 9);
-    for (let i = 0; i < vertices.length; i++) {
-      positions[i] = vertices[i];
+    const geometry = new THREE.BufferGeometry();
+    const indexed = !!indexedMesh && !colors;
+    if (indexed) {
+      vertexCorners = buildVertexCorners(indexedMesh);
+      const positions = new Float32Array(indexedMesh.vertexCount * 3);
+      gatherIndexedPositions(vertices, positions);
+      geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+      geometry.setIndex(new THREE.BufferAttribute(indexedMesh.index, 1));
+    } else {
+      vertexCorners = null;
+      const positions = new Float32Array(triangleCount * 9);
+      copyCornerPositions(vertices, positions);
+      geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+      geometry.computeVertexNormals();
+      if (colors) {
+        geometry.setAttribute('color', new THREE.BufferAttribute(buildColorArray(colors, triangleCount), 3));
+      }
     }
 
-    const geometry = new THREE.BufferGeometry();
-    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-    geometry.computeVertexNormals();
+    fullIndex = geometry.getIndex();
 
     const material = new THREE.MeshStandardMaterial({
-      color: 0x4a9eff,
-      flatShading: false,
+      color: colors ? 0xffffff : MESH_COLOR,
+      vertexColors: !!colors,
+      flatShading: indexed,
       side: THREE.DoubleSide
     });
 
@@ -115,13 +254,263 @@ const Preview = (function () {
 
   function updateMeshPositions(vertices) {
     if (!mesh || !mesh.geometry) return;
+    fillDefectPositions(vertices);
+    fillHighlightPositions(vertices);
+    fillOverlayPositions(heatmapMesh, heatmapTriangles, vertices);
     const pos = mesh.geometry.attributes.position;
-    if (pos.array.length !== vertices.length) return;
-    for (let i = 0; i < vertices.length; i++) {
-      pos.array[i] = vertices[i];
+    if (vertexCorners) {
+      gatherIndexedPositions(vertices, pos.array);
+      pos.needsUpdate = true;
+      mesh.geometry.computeBoundingSphere();
+      return;
     }
+    if (pos.array.length !== vertices.length) return;
+    copyCornerPositions(vertices, pos.array);
     pos.needsUpdate = true;
     mesh.geometry.computeVertexNormals();
+    // Ray picking tests the bounding sphere first.
+    mesh.geometry.computeBoundingSphere();
+  }
+
+  /**
+   * Draw only the listed triangles (e.g. enabled shells), or all of them when null.
+   * @param {Uint32Array|null} triangles - sorted triangle indices
+   */
+  function setVisibleTriangles(triangles) {
+    if (!mesh) return;
+    const geometry = mesh.geometry;
+    visibleTriangles = triangles;
+    if (!triangles) {
+      geometry.setIndex(fullIndex);
+      // Non-indexed normals of hidden triangles were not refreshed while hidden.
+      if (!fullIndex) geometry.computeVertexNormals();
+      return;
+    }
+    const index = new Uint32Array(triangles.length * 3);
+    for (let i = 0; i < triangles.length; i++) {
+      const t = triangles[i];
+      for (let k = 0; k < 3; k++) {
+        index[i * 3 + k] = fullIndex ? fullIndex.array[t * 3 + k] : t * 3 + k;
+      }
+    }
+    geometry.setIndex(new THREE.BufferAttribute(index, 1));
+  }
+
+  const DEFECT_FACE_COLOR = 0xdc3545;
+  const DEFECT_EDGE_COLOR = 0xff9800;
+
+  function disposeDefects() {
+    if (!defectGroup) return;
+    scene.remove(defectGroup);
+    defectGroup.children.forEach(function (child) {
+      child.geometry.dispose();
+      child.material.dispose();
+    });
+    defectGroup = null;
+  }
+
+  function fillDefectPositions(vertices) {
+    if (!defectGroup) return;
+    const [faceMesh, edgeLines] = defectGroup.children;
+    const facePos = faceMesh.geometry.attributes.position;
+    for (let i = 0; i < defectTriangles.length; i++) {
+      facePos.array.set(vertices.subarray(defectTriangles[i] * 9, defectTriangles[i] * 9 + 9), i * 9);
+    }
+    facePos.needsUpdate = true;
+    faceMesh.geometry.computeBoundingSphere();
+    const edgePos = edgeLines.geometry.attributes.position;
+    for (let i = 0; i < defectSlots.length; i++) {
+      const s = defectSlots[i];
+      const next = s - (s % 3) + ((s % 3) + 1) % 3;
+      edgePos.array.set(vertices.subarray(cornerOffset(s), cornerOffset(s) + 3), i * 6);
+      edgePos.array.set(vertices.subarray(cornerOffset(next), cornerOffset(next) + 3), i * 6 + 3);
+    }
+    edgePos.needsUpdate = true;
+    edgeLines.geometry.computeBoundingSphere();
+  }
+
+  /**
+   * Highlight defective triangles (red) and open edges (orange) over the mesh, or remove the overlay.
+   * @param {Uint32Array|null} triangles - triangle indices to tint
+   * @param {Uint32Array|null} slots - open edges as corner slots 3t + k (corner k -> k + 1)
+   * @param {Float32Array} vertices - current positions
+   */
+  function setDefects(triangles, slots, vertices) {
+    disposeDefects();
+    defectTriangles = triangles && triangles.length ? triangles : null;
+    defectSlots = slots && slots.length ? slots : null;
+    if (!scene || (!defectTriangles && !defectSlots)) {
+      defectTriangles = null;
+      defectSlots = null;
+      return;
+    }
+    defectTriangles = defectTriangles || new Uint32Array(0);
+    defectSlots = defectSlots || new Uint32Array(0);
+
+    const faceGeometry = new THREE.BufferGeometry();
+    faceGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(defectTriangles.length * 9), 3));
+    const faceMesh = new THREE.Mesh(faceGeometry, new THREE.MeshBasicMaterial({
+      color: DEFECT_FACE_COLOR,
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.6,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1
+    }));
+    const edgeGeometry = new THREE.BufferGeometry();
+    edgeGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(defectSlots.length * 6), 3));
+    const edgeLines = new THREE.LineSegments(edgeGeometry, new THREE.LineBasicMaterial({ color: DEFECT_EDGE_COLOR }));
+
+    defectGroup = new THREE.Group();
+    defectGroup.add(faceMesh, edgeLines);
+    scene.add(defectGroup);
+    fillDefectPositions(vertices);
+  }
+
+  const HIGHLIGHT_COLOR = 0xffc107;
+
+  /**
+   * Tint the listed triangles (e.g. the coplanar region under the cursor), or remove the tint.
+   * @param {Uint32Array|number[]|null} triangles
+   * @param {Float32Array} [vertices] - current positions
+   */
+  function setFaceHighlight(triangles, vertices) {
+    if (highlightMesh) {
+      scene.remove(highlightMesh);
+      highlightMesh.geometry.dispose();
+      highlightMesh.material.dispose();
+      highlightMesh = null;
+    }
+    highlightTriangles = null;
+    if (!scene || !triangles || !triangles.length || !vertices) return;
+    highlightTriangles = triangles;
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(triangles.length * 9), 3));
+    highlightMesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      color: HIGHLIGHT_COLOR,
+      side: THREE.DoubleSide,
+      transparent: true,
+      opacity: 0.7,
+      polygonOffset: true,
+      polygonOffsetFactor: -2,
+      polygonOffsetUnits: -2
+    }));
+    scene.add(highlightMesh);
+    fillHighlightPositions(vertices);
+  }
+
+  function fillHighlightPositions(vertices) {
+    fillOverlayPositions(highlightMesh, highlightTriangles, vertices);
+  }
+
+  function fillOverlayPositions(overlay, triangles, vertices) {
+    if (!overlay) return;
+    const pos = overlay.geometry.attributes.position;
+    for (let i = 0; i < triangles.length; i++) {
+      pos.array.set(vertices.subarray(triangles[i] * 9, triangles[i] * 9 + 9), i * 9);
+    }
+    pos.needsUpdate = true;
+    overlay.geometry.computeBoundingSphere();
+  }
+
+  /**
+   * Color the listed triangles over the mesh (wall-thickness heatmap), or remove the overlay.
+   * @param {Uint32Array|null} triangles - model triangle indices
+   * @param {Uint8Array} [colors] - RGB 0–255 per listed triangle
+   * @param {Float32Array} [vertices] - current positions
+   */
+  function setHeatmap(triangles, colors, vertices) {
+    if (heatmapMesh) {
+      scene.remove(heatmapMesh);
+      heatmapMesh.geometry.dispose();
+      heatmapMesh.material.dispose();
+      heatmapMesh = null;
+    }
+    heatmapTriangles = null;
+    if (!scene || !triangles || !triangles.length || !vertices) return;
+    heatmapTriangles = triangles;
+    const rgb = new Float32Array(triangles.length * 9);
+    for (let i = 0; i < triangles.length; i++) {
+      for (let k = 0; k < 9; k++) rgb[i * 9 + k] = colors[i * 3 + (k % 3)] / 255;
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(triangles.length * 9), 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(rgb, 3));
+    heatmapMesh = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+      vertexColors: true,
+      side: THREE.DoubleSide,
+      polygonOffset: true,
+      polygonOffsetFactor: -1,
+      polygonOffsetUnits: -1
+    }));
+    scene.add(heatmapMesh);
+    fillOverlayPositions(heatmapMesh, heatmapTriangles, vertices);
+  }
+
+  /** Model triangle under a pointer event, or null. */
+  function pickTriangle(event) {
+    if (!mesh || !camera || !renderer) return null;
+    const rect = renderer.domElement.getBoundingClientRect();
+    const ndc = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(ndc, camera);
+    const hit = raycaster.intersectObject(mesh, false)[0];
+    if (!hit || hit.faceIndex == null) return null;
+    return visibleTriangles ? visibleTriangles[hit.faceIndex] : hit.faceIndex;
+  }
+
+  /**
+   * Face picking for "lay flat": hover reports the triangle under the cursor, a click (not an orbit drag)
+   * picks it. Pass null to stop.
+   * @param {{ onHover: function(number|null), onPick: function(number) }|null} handlers
+   */
+  function setFacePicking(handlers) {
+    if (!renderer) return;
+    const el = renderer.domElement;
+    if (picking) {
+      el.removeEventListener('pointermove', picking.move);
+      el.removeEventListener('pointerdown', picking.down);
+      el.removeEventListener('pointerup', picking.up);
+      el.removeEventListener('pointerleave', picking.leave);
+      if (picking.frame) cancelAnimationFrame(picking.frame);
+      el.style.cursor = '';
+      picking = null;
+    }
+    if (!handlers) return;
+
+    const session = { frame: 0, lastEvent: null, downAt: null };
+    session.move = function (e) {
+      session.lastEvent = e;
+      if (session.frame || e.buttons) return;
+      // One raycast per frame; big meshes make each one expensive.
+      session.frame = requestAnimationFrame(function () {
+        session.frame = 0;
+        handlers.onHover(pickTriangle(session.lastEvent));
+      });
+    };
+    session.down = function (e) {
+      session.downAt = { x: e.clientX, y: e.clientY };
+    };
+    session.up = function (e) {
+      const d = session.downAt;
+      session.downAt = null;
+      if (!d || Math.hypot(e.clientX - d.x, e.clientY - d.y) > 4) return;
+      const t = pickTriangle(e);
+      if (t != null) handlers.onPick(t);
+    };
+    session.leave = function () {
+      handlers.onHover(null);
+    };
+    el.addEventListener('pointermove', session.move);
+    el.addEventListener('pointerdown', session.down);
+    el.addEventListener('pointerup', session.up);
+    el.addEventListener('pointerleave', session.leave);
+    el.style.cursor = 'crosshair';
+    picking = session;
   }
 
   function setBoundingBoxVisible(visible, bbox) {
@@ -206,12 +595,17 @@ const Preview = (function () {
   }
 
   function clear() {
+    disposeDefects();
+    setFaceHighlight(null);
+    setHeatmap(null);
+    visibleTriangles = null;
     if (mesh) {
       scene.remove(mesh);
       mesh.geometry.dispose();
       mesh.material.dispose();
       mesh = null;
     }
+    vertexCorners = null;
     if (gridHelper) {
       scene.remove(gridHelper);
       gridHelper.geometry.dispose();
@@ -242,17 +636,116 @@ const Preview = (function () {
     camera.updateProjectionMatrix();
   }
 
+  /**
+   * Square PNG of the current view (center crop), e.g. for a 3MF thumbnail.
+   * Renders a fresh frame first so the drawing buffer is not already cleared.
+   * @param {number} [size] - edge length in px, default 256
+   * @returns {Promise<Blob|null>}
+   */
+  function captureThumbnail(size) {
+    if (!renderer || !scene || !camera || !mesh) return Promise.resolve(null);
+    const edge = size || 256;
+    const source = renderer.domElement;
+    const crop = Math.min(source.width, source.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = edge;
+    canvas.height = edge;
+    renderer.render(scene, camera);
+    canvas.getContext('2d').drawImage(
+      source,
+      (source.width - crop) / 2, (source.height - crop) / 2, crop, crop,
+      0, 0, edge, edge
+    );
+    return new Promise(function (resolve) {
+      canvas.toBlob(resolve, 'image/png');
+    });
+  }
+
+  /**
+   * PNG data URLs of the displayed mesh under extra rotations about its bbox center, seen from the front
+   * right with +Z up, for orientation previews. Grid, overlays and the live camera are restored afterwards.
+   * @param {number[][]} rotations - 3x3 row-major, applied on top of the displayed positions
+   * @param {{ min, max }} bbox - of the displayed positions
+   * @param {number} [size] - edge length in px, default 128
+   * @returns {string[]}
+   */
+  function renderOrientationThumbnails(rotations, bbox, size) {
+    if (!renderer || !scene || !camera || !mesh || !bbox) return [];
+    const edge = size || 128;
+    const source = renderer.domElement;
+    const crop = Math.min(source.width, source.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = edge;
+    canvas.height = edge;
+    const ctx = canvas.getContext('2d');
+
+    const center = new THREE.Vector3(
+      (bbox.min.x + bbox.max.x) / 2,
+      (bbox.min.y + bbox.max.y) / 2,
+      (bbox.min.z + bbox.max.z) / 2
+    );
+    mesh.geometry.computeBoundingSphere();
+    const radius = Math.max(mesh.geometry.boundingSphere.radius, 1);
+    const distance = radius / Math.sin((camera.fov * Math.PI / 180) / 2);
+    const saved = {
+      position: camera.position.clone(),
+      up: camera.up.clone(),
+      quaternion: camera.quaternion.clone(),
+      overlays: [gridHelper, bboxHelper, defectGroup, highlightMesh, heatmapMesh].filter(Boolean).map(o => [o, o.visible])
+    };
+    saved.overlays.forEach(([o]) => { o.visible = false; });
+    camera.up.set(0, 0, 1);
+    camera.position.copy(center).add(new THREE.Vector3(0.6, -1, 0.5).normalize().multiplyScalar(distance));
+    camera.lookAt(center);
+    mesh.matrixAutoUpdate = false;
+
+    const toOrigin = new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z);
+    const back = new THREE.Matrix4().makeTranslation(center.x, center.y, center.z);
+    const urls = rotations.map(function (r) {
+      const rot = new THREE.Matrix4().set(
+        r[0], r[1], r[2], 0,
+        r[3], r[4], r[5], 0,
+        r[6], r[7], r[8], 0,
+        0, 0, 0, 1
+      );
+      mesh.matrix.copy(back).multiply(rot).multiply(toOrigin);
+      mesh.matrixWorldNeedsUpdate = true;
+      renderer.render(scene, camera);
+      ctx.clearRect(0, 0, edge, edge);
+      ctx.drawImage(source, (source.width - crop) / 2, (source.height - crop) / 2, crop, crop, 0, 0, edge, edge);
+      return canvas.toDataURL('image/png');
+    });
+
+    mesh.matrix.identity();
+    mesh.matrixAutoUpdate = true;
+    mesh.matrixWorldNeedsUpdate = true;
+    camera.up.copy(saved.up);
+    camera.position.copy(saved.position);
+    camera.quaternion.copy(saved.quaternion);
+    saved.overlays.forEach(([o, visible]) => { o.visible = visible; });
+    renderer.render(scene, camera);
+    return urls;
+  }
+
   return {
     init,
     setMesh,
     updateMeshPositions,
+    setVisibleTriangles,
+    setDefects,
     fitCameraToBbox,
     setBoundingBoxVisible,
     setDimensionsOverlayVisible,
     updateDimensionsOverlay,
     updateBoundingBoxAndLabels,
     clear,
-    resize
+    resize,
+    captureThumbnail,
+    renderOrientationThumbnails,
+    setFacePicking,
+    setFaceHighlight,
+    setHeatmap,
+    setWindingFlipped
   };
 })();
 
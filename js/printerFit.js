@@ -0,0 +1,72 @@
+/**
+ * printerFit.js — Printer build volumes and the fit check against them.
+ * Shared by the web app (ui.js, main.js) and the Node CLI, so both report the same fit.
+ */
+
+const PrinterFit = (function () {
+  'use strict';
+
+  const PRINTERS = [
+    { key: 'ender3', label: 'Ender 3', x: 220, y: 220, z: 250 },
+    { key: 'prusa_mk3', label: 'Prusa MK3', x: 250, y: 210, z: 210 },
+    { key: 'bambu_p1p', label: 'Bambu P1P/X1', x: 256, y: 256, z: 256 },
+    { key: 'bambu_a1mini', label: 'Bambu A1 mini', x: 180, y: 180, z: 180 },
+    { key: 'custom', label: 'Custom…', x: 220, y: 220, z: 250, custom: true }
+  ];
+
+  /**
+   * Preset by key, or null.
+   * @param {string} key - e.g. 'ender3'
+   */
+  function findPrinter(key) {
+    return PRINTERS.find(p => p.key === key) || null;
+  }
+
+  /**
+   * Compare model size against a build volume. "near" = within 5% of an axis limit.
+   * @param {{ x, y, z }} bboxMm - model size in mm
+   * @param {{ x, y, z }} build - build volume in mm
+   * @returns {{ status: 'fit'|'near'|'exceed', details: string[] }|null}
+   */
+  function computeFit(bboxMm, build) {
+    if (!bboxMm || !build) return null;
+    const dx = bboxMm.x; const dy = bboxMm.y; const dz = bboxMm.z;
+    const bx = build.x; const by = build.y; const bz = build.z;
+    const details = [];
+    let exceeds = false;
+    let near = false;
+    if (dx > bx) { exceeds = true; details.push('Exceeds X by ' + Math.round((dx - bx) * 10) / 10 + ' mm'); }
+    else if (dx >= 0.95 * bx) near = true;
+    if (dy > by) { exceeds = true; details.push('Exceeds Y by ' + Math.round((dy - by) * 10) / 10 + ' mm'); }
+    else if (dy >= 0.95 * by) near = true;
+    if (dz > bz) { exceeds = true; details.push('Exceeds Z by ' + Math.round((dz - bz) * 10) / 10 + ' mm'); }
+    else if (dz >= 0.95 * bz) near = true;
+    return {
+      status: exceeds ? 'exceed' : (near ? 'near' : 'fit'),
+      details
+    };
+  }
+
+  /**
+   * Largest uniform factor that keeps the model inside the build volume with marginMm to spare on every axis.
+   * @param {{ x, y, z }} bboxMm - model size in mm
+   * @param {{ x, y, z }} build - build volume in mm
+   * @param {number} [marginMm] - default 0
+   * @returns {number|null} null when the model has no size or the margin leaves no room
+   */
+  function fitScaleFactor(bboxMm, build, marginMm) {
+    if (!bboxMm || !build) return null;
+    const margin = Math.max(0, marginMm || 0);
+    let factor = Infinity;
+    for (const axis of ['x', 'y', 'z']) {
+      const room = build[axis] - margin;
+      if (room <= 0) return null;
+      if (bboxMm[axis] > 0) factor = Math.min(factor, room / bboxMm[axis]);
+    }
+    return isFinite(factor) ? factor : null;
+  }
+
+  const api = { PRINTERS, findPrinter, computeFit, fitScaleFactor };
+  globalThis.PrinterFit = api;
+  return api;
+})();
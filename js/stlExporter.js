@@ -1,6 +1,10 @@
 /**
  * stlExporter.js — Write Binary STL and trigger download.
- * Always exports as Binary STL. 80-byte header, valid normals per triangle.
+ * Exports Binary STL (80-byte header with an optional transform summary, valid normals per
+ * triangle), or ASCII STL on request (always when bodies should be kept as separate solids).
+ * Per-facet colors (see STLParser) are written back to Binary STL in the convention they were read in.
+ * Also writes 3MF packages in millimeters (requires geometry.js and zip.js), Wavefront OBJ
+ * with welded vertices, and binary glTF (GLB) for web viewers and Blender.
  */
 
 const STLExporter = (function () {
@@ -30,17 +34,105 @@ const STLExporter = (function () {
     return [nx / len, ny / len, nz / len];
   }
 
+  /**
+   * Encode one facet's RGBA (alpha 0 = no facet color) as the uint16 attribute word.
+   * Inverse of STLParser's decodeColors.
+   */
+  function encodeColor(faces, t, format) {
+    const o = t * 4;
+    if (faces[o + 3] === 0) {
+      return format === 'viscam' ? 0 : 0x8000;
+    }
+    const r = faces[o] >> 3;
+    const g = faces[o + 1] >> 3;
+    const b = faces[o + 2] >> 3;
+    if (format === 'viscam') {
+      return 0x8000 | (r << 10) | (g << 5) | b;
+    }
+    return (b << 10) | (g << 5) | r;
+  }
+
+  /** Up to 6 significant digits without trailing zeros: 25.4, 0.0393701. */
+  function compactNumber(v) {
+    return String(Number(v.toPrecision(6)));
+  }
+
+  /**
+   * Hex CRC-32 of a filename, so exports can be matched to their source without storing its name.
+   * @param {string} filename
+   */
+  function filenameHash(filename) {
+    return ZIP.crc32(new TextEncoder().encode(filename || '')).toString(16).padStart(8, '0');
+  }
+
+  /** Header c= codes for GEOMETRY.PLACEMENTS modes. */
+  const PLACEMENT_CODES = { none: '0', origin: '1', bed: 'b', printer: 'p' };
+
+  /** Longest provenance header: 80 bytes less room for a Materialise " COLOR=" tag and its RGBA. */
+  const PROVENANCE_MAX_LENGTH = 68;
+
+  /**
+   * Header text summarising the transform, read back by STLParser:
+   * "FixMySTL s=<scale> r=<x>,<y>,<z> c=<placement> [m=<axis>] [a=<x>,<y>,<z>] h=<crc32 of source filename>",
+   * placement being 0 (as modeled), 1 (centered at the origin), b (dropped to the bed) or p (centered on the printer bed).
+   * Rotation is in degrees, R = Rz * Ry * Rx (GEOMETRY.rotationToEulerDeg); m= is the source axis mirrored
+   * before rotating, only present when mirrored; a= is the per-axis scale applied after rotating, only present
+   * when it is not 1. At most PROVENANCE_MAX_LENGTH characters: when a= does not fit, h= is left out, then
+   * angles and axis factors lose digits.
+   * @param {{ scaleFactor?: number, axisScale?: { x, y, z }|null, rotationMatrix?: number[], mirror?: string|null, centered?: boolean, placement?: string, sourceFilename?: string }} provenance
+   *   placement: GEOMETRY.PLACEMENTS mode; centered: true is the same as 'origin'
+   * @returns {string}
+   */
+  function provenanceHeader(provenance) {
+    const p = provenance;
+    const r = GEOMETRY.rotationToEulerDeg(p.rotationMatrix || GEOMETRY.IDENTITY);
+    const a = p.axisScale;
+    const axes = a && (a.x !== 1 || a.y !== 1 || a.z !== 1) ? [a.x, a.y, a.z] : null;
+    // [angle decimals, axis-scale significant digits, with h=]
+    const variants = [[2, 4, true], [2, 4, false], [1, 4, false], [0, 3, false]];
+    let text = '';
+    for (const [decimals, digits, hash] of variants) {
+      const f = 10 ** decimals;
+      const angle = (v) => String(Math.round(v * f) / f || 0);
+      text = 'FixMySTL s=' + compactNumber(p.scaleFactor != null ? p.scaleFactor : 1) +
+        ' r=' + angle(r.x) + ',' + angle(r.y) + ',' + angle(r.z) +
+        ' c=' + (PLACEMENT_CODES[p.placement] || (p.centered ? 1 : 0)) +
+        (p.mirror ? ' m=' + p.mirror : '') +
+        (axes ? ' a=' + axes.map(v => String(Number(v.toPrecision(digits)))).join(',') : '') +
+        (hash ? ' h=' + filenameHash(p.sourceFilename) : '');
+      if (text.length <= PROVENANCE_MAX_LENGTH) break;
+    }
+    return text;
+  }
+
+  /**
+   * 80-byte header: "FixMySTL" or the provenance summary. Materialise colors carry the
+   * default color as "COLOR=" + RGBA after it.
+   */
+  function buildHeader(colors, provenance) {
+    const bytes = new Uint8Array(80);
+    let text = provenance ? provenanceHeader(provenance) : 'FixMySTL';
+    if (colors && colors.format === 'materialise') text += ' COLOR=';
+    bytes.set(new TextEncoder().encode(text));
+    if (colors && colors.format === 'materialise') {
+      bytes.set(colors.defaultColor || [255, 255, 255, 255], text.length);
+    }
+    return bytes;
+  }
+
   /**
    * Build Binary STL from current vertices.
    * Layout: 80-byte header, uint32 count, per-tri: normal(3 float32), v1(3), v2(3), v3(3), uint16 attr.
    * @param {Float32Array} vertices - 9 * triCount floats
    * @param {number} triangleCount
+   * @param {{ format, faces, defaultColor }|null} [colors] - per-facet colors from STLParser
+   * @param {Object|null} [provenance] - transform summary for the header, see provenanceHeader
    * @returns {ArrayBuffer}
    */
-  function buildBinarySTL(vertices, triangleCount) {
-    const header = 'FixMySTL'.padEnd(80, '\0').slice(0, 80);
-    const encoder = new TextEncoder();
-    const headerBytes = encoder.encode(header);
+  function buildBinarySTL(vertices, triangleCount, colors, provenance) {
+    // Per-vertex colors (PLY) have no STL encoding; only per-facet colors are written.
+    const facetColors = colors && colors.faces ? colors : null;
+    const headerBytes = buildHeader(facetColors, provenance);
 
     const triSize = 50; // 12 + 12 + 12 + 12 + 2
     const totalSize = 80 + 4 + triangleCount * triSize;
@@ -86,20 +178,420 @@ const STLExporter = (function () {
       view.setFloat32(offset, vertices[base + 8], true);
       offset += 4;
 
-      view.setUint16(offset, 0, true);
+      view.setUint16(offset, facetColors ? encodeColor(facetColors.faces, t, facetColors.format) : 0, true);
       offset += 2;
     }
 
     return buffer;
   }
 
+  /** Facets per ASCII text chunk (~1.5 MB of text at 6 decimals). */
+  const ASCII_CHUNK_FACETS = 4096;
+  const DEFAULT_ASCII_PRECISION = 6;
+
+  /** Solid names run to the end of the line, so keep them on one line. */
+  function cleanSolidName(name) {
+    return String(name || '').replace(/[\r\n]+/g, ' ').trim() || 'FixMySTL';
+  }
+
+  /**
+   * printf-style %e: toExponential with the exponent signed and at least two digits (2.540000e+02, not e+2).
+   * @param {number} v
+   * @param {number} precision - digits after the decimal point
+   */
+  function formatExponent(v, precision) {
+    return v.toExponential(precision).replace(/e([+-])(\d)$/, 'e$10$2');
+  }
+
   /**
-   * Trigger download of Binary STL.
-   * @param {ArrayBuffer} buffer
+   * ASCII STL as a sequence of text chunks, so large models never become one giant string.
+   * One `solid name … endsolid name` block per body when bodies are given, else one block.
+   * @param {Float32Array} vertices - 9 * triCount floats
+   * @param {number} triangleCount
+   * @param {Object} [options]
+   * @param {string} [options.solidName] - name of the single solid, and of unnamed bodies
+   * @param {number} [options.precision] - digits after the decimal point (printf %e notation), default 6
+   * @param {{ name: string, start: number, count: number }[]|null} [options.bodies] - triangle ranges
+   * @returns {Generator<string>}
+   */
+  function* asciiSTLChunks(vertices, triangleCount, options) {
+    const opts = options || {};
+    const precision = Math.max(1, Math.min(9, Math.round(opts.precision != null ? opts.precision : DEFAULT_ASCII_PRECISION)));
+    const fmt = (v) => formatExponent(v, precision);
+    const ranges = opts.bodies && opts.bodies.length
+      ? opts.bodies
+      : [{ name: opts.solidName, start: 0, count: triangleCount }];
+
+    for (const body of ranges) {
+      const name = cleanSolidName(body.name || opts.solidName);
+      let lines = ['solid ' + name];
+      for (let t = body.start; t < body.start + body.count; t++) {
+        const base = t * 9;
+        const n = faceNormal(vertices, base);
+        lines.push('  facet normal ' + fmt(n[0]) + ' ' + fmt(n[1]) + ' ' + fmt(n[2]));
+        lines.push('    outer loop');
+        for (let k = 0; k < 9; k += 3) {
+          lines.push('      vertex ' + fmt(vertices[base + k]) + ' ' +
+            fmt(vertices[base + k + 1]) + ' ' + fmt(vertices[base + k + 2]));
+        }
+        lines.push('    endloop');
+        lines.push('  endfacet');
+        if (lines.length >= ASCII_CHUNK_FACETS * 7) {
+          yield lines.join('\n') + '\n';
+          lines = [];
+        }
+      }
+      lines.push('endsolid ' + name);
+      yield lines.join('\n') + '\n';
+    }
+  }
+
+  const MODEL_NAMESPACE = 'http://schemas.microsoft.com/3dmanufacturing/core/2015/02';
+  const FIXMYSTL_NAMESPACE = 'https://fixmystl.github.io/FixMySTL/3mf';
+  const REL_TYPE_MODEL = 'http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel';
+  const REL_TYPE_THUMBNAIL = 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/thumbnail';
+
+  function escapeXml(text) {
+    return String(text).replace(/[<>&"']/g, (c) => (
+      { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]
+    ));
+  }
+
+  /** Shortest decimal that round-trips at micron-and-below resolution. */
+  function formatCoord(v) {
+    return String(Math.round(v * 1e6) / 1e6);
+  }
+
+  function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    for (const p of parts) {
+      out.set(p, offset);
+      offset += p.length;
+    }
+    return out;
+  }
+
+  /**
+   * 3MF model part: one object (welding exact duplicate corners) and build item per body.
+   * Text is encoded in chunks so large meshes never become one string.
+   * @returns {Uint8Array}
+   */
+  function build3MFModel(vertices, triangleCount, opts) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let text = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<model unit="millimeter" xml:lang="en-US" xmlns="' + MODEL_NAMESPACE + '" xmlns:fixmystl="' + FIXMYSTL_NAMESPACE + '">\n';
+    const flush = () => {
+      parts.push(encoder.encode(text));
+      text = '';
+    };
+    const metadata = [
+      ['Title', opts.title],
+      ['Application', 'FixMySTL'],
+      ['fixmystl:SourceFile', opts.sourceFilename],
+      ['fixmystl:ScaleFactor', opts.scaleFactor != null ? String(opts.scaleFactor) : null],
+      ['fixmystl:AxisScale', opts.axisScale ? [opts.axisScale.x, opts.axisScale.y, opts.axisScale.z].join(',') : null]
+    ];
+    for (const [name, value] of metadata) {
+      if (value) text += ' <metadata name="' + name + '"' + (name.startsWith('fixmystl:') ? ' preserve="1"' : '') + '>' + escapeXml(value) + '</metadata>\n';
+    }
+    text += ' <resources>\n';
+
+    const ranges = opts.bodies && opts.bodies.length
+      ? opts.bodies
+      : [{ name: opts.title, start: 0, count: triangleCount }];
+    ranges.forEach(function (body, i) {
+      const mesh = GEOMETRY.buildIndexedMesh(vertices.subarray(body.start * 9, (body.start + body.count) * 9), body.count, 0);
+      text += '  <object id="' + (i + 1) + '" type="model"' + (body.name ? ' name="' + escapeXml(body.name) + '"' : '') + '>\n' +
+        '   <mesh>\n    <vertices>\n';
+      const p = mesh.positions;
+      for (let v = 0; v < mesh.vertexCount; v++) {
+        text += '     <vertex x="' + formatCoord(p[v * 3]) + '" y="' + formatCoord(p[v * 3 + 1]) + '" z="' + formatCoord(p[v * 3 + 2]) + '"/>\n';
+        if (text.length > 1 << 20) flush();
+      }
+      text += '    </vertices>\n    <triangles>\n';
+      const idx = mesh.index;
+      for (let t = 0; t < mesh.triangleCount; t++) {
+        const a = idx[t * 3]; const b = idx[t * 3 + 1]; const c = idx[t * 3 + 2];
+        // 3MF requires three distinct vertices; these facets had zero area anyway.
+        if (a === b || b === c || a === c) continue;
+        text += '     <triangle v1="' + a + '" v2="' + b + '" v3="' + c + '"/>\n';
+        if (text.length > 1 << 20) flush();
+      }
+      text += '    </triangles>\n   </mesh>\n  </object>\n';
+    });
+
+    text += ' </resources>\n <build>\n';
+    ranges.forEach(function (body, i) {
+      text += '  <item objectid="' + (i + 1) + '"/>\n';
+    });
+    text += ' </build>\n</model>\n';
+    flush();
+    return concatBytes(parts);
+  }
+
+  /**
+   * Build a 3MF package in millimeters from current vertices (orientation and scale baked in).
+   * @param {Float32Array} vertices - 9 * triCount floats, in mm
+   * @param {number} triangleCount
+   * @param {Object} [options]
+   * @param {string} [options.title] - model title, e.g. the original filename without extension
+   * @param {string} [options.sourceFilename] - written as fixmystl:SourceFile metadata
+   * @param {number} [options.scaleFactor] - total scale applied, written as fixmystl:ScaleFactor
+   * @param {{ x, y, z }|null} [options.axisScale] - per-axis scale after rotating, written as fixmystl:AxisScale "x,y,z"
+   * @param {{ name: string, start: number, count: number }[]|null} [options.bodies] - one object per body
+   * @param {Blob|Uint8Array|null} [options.thumbnail] - PNG stored as the package thumbnail
+   * @returns {Promise<Blob>}
+   */
+  async function build3MF(vertices, triangleCount, options) {
+    const opts = options || {};
+    const encoder = new TextEncoder();
+    const thumbnail = opts.thumbnail instanceof Blob
+      ? new Uint8Array(await opts.thumbnail.arrayBuffer())
+      : opts.thumbnail || null;
+
+    const contentTypes = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">\n' +
+      ' <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>\n' +
+      ' <Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml"/>\n' +
+      (thumbnail ? ' <Default Extension="png" ContentType="image/png"/>\n' : '') +
+      '</Types>\n';
+    const rels = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">\n' +
+      ' <Relationship Target="/3D/3dmodel.model" Id="rel0" Type="' + REL_TYPE_MODEL + '"/>\n' +
+      (thumbnail ? ' <Relationship Target="/Metadata/thumbnail.png" Id="rel1" Type="' + REL_TYPE_THUMBNAIL + '"/>\n' : '') +
+      '</Relationships>\n';
+
+    const files = [
+      { name: '[Content_Types].xml', data: encoder.encode(contentTypes) },
+      { name: '_rels/.rels', data: encoder.encode(rels) },
+      { name: '3D/3dmodel.model', data: build3MFModel(vertices, triangleCount, opts) }
+    ];
+    if (thumbnail) files.push({ name: 'Metadata/thumbnail.png', data: thumbnail });
+    const zip = await ZIP.build(files);
+    return new Blob([zip], { type: 'model/3mf' });
+  }
+
+  /**
+   * Wavefront OBJ as text chunks: welded `v` lines, optional per-face `vn`, 1-based `f` lines.
+   * One `o` object per body when bodies are given. Coordinates stay in mm.
+   * @param {Float32Array} vertices - 9 * triCount floats
+   * @param {number} triangleCount
+   * @param {Object} [options]
+   * @param {string} [options.name] - object name when there are no bodies
+   * @param {boolean} [options.normals] - write one flat normal per face
+   * @param {number} [options.weldTolerance] - see GEOMETRY.buildIndexedMesh
+   * @param {{ name: string, start: number, count: number }[]|null} [options.bodies]
+   * @returns {Generator<string>}
+   */
+  function* objChunks(vertices, triangleCount, options) {
+    const opts = options || {};
+    const ranges = opts.bodies && opts.bodies.length
+      ? opts.bodies
+      : [{ name: opts.name, start: 0, count: triangleCount }];
+    let text = '# FixMySTL OBJ export, units: mm\n';
+    let vertexBase = 0;
+    let normalBase = 0;
+
+    for (const body of ranges) {
+      const sub = vertices.subarray(body.start * 9, (body.start + body.count) * 9);
+      const mesh = GEOMETRY.buildIndexedMesh(sub, body.count, opts.weldTolerance);
+      text += 'o ' + cleanSolidName(body.name || opts.name) + '\n';
+      const p = mesh.positions;
+      for (let v = 0; v < mesh.vertexCount; v++) {
+        text += 'v ' + formatCoord(p[v * 3]) + ' ' + formatCoord(p[v * 3 + 1]) + ' ' + formatCoord(p[v * 3 + 2]) + '\n';
+        if (text.length > 1 << 20) { yield text; text = ''; }
+      }
+      const idx = mesh.index;
+      let faces = 0;
+      for (let t = 0; t < mesh.triangleCount; t++) {
+        const a = idx[t * 3] + vertexBase + 1;
+        const b = idx[t * 3 + 1] + vertexBase + 1;
+        const c = idx[t * 3 + 2] + vertexBase + 1;
+        if (opts.normals) {
+          const n = faceNormal(sub, t * 9);
+          const ni = normalBase + faces + 1;
+          text += 'vn ' + n[0].toFixed(6) + ' ' + n[1].toFixed(6) + ' ' + n[2].toFixed(6) + '\n' +
+            'f ' + a + '//' + ni + ' ' + b + '//' + ni + ' ' + c + '//' + ni + '\n';
+        } else {
+          text += 'f ' + a + ' ' + b + ' ' + c + '\n';
+        }
+        faces++;
+        if (text.length > 1 << 20) { yield text; text = ''; }
+      }
+      vertexBase += mesh.vertexCount;
+      if (opts.normals) normalBase += faces;
+    }
+    yield text;
+  }
+
+  /**
+   * Build Wavefront OBJ as a Blob (see objChunks).
+   * @returns {Blob}
+   */
+  function buildOBJ(vertices, triangleCount, options) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    for (const chunk of objChunks(vertices, triangleCount, options)) {
+      parts.push(encoder.encode(chunk));
+    }
+    return new Blob(parts, { type: 'model/obj' });
+  }
+
+  const GLB_MAGIC = 0x46546c67; // 'glTF'
+  const GLB_CHUNK_JSON = 0x4e4f534a;
+  const GLB_CHUNK_BIN = 0x004e4942;
+  const GL_FLOAT = 5126;
+  const GL_UNSIGNED_BYTE = 5121;
+  const GL_UNSIGNED_INT = 5125;
+  const GL_ARRAY_BUFFER = 34962;
+  const GL_ELEMENT_ARRAY_BUFFER = 34963;
+  /** glTF is Y-up in meters; the model is Z-up in mm. Applied on the root node, mesh data stays in mm. */
+  const GLTF_ROOT_ROTATION = [-Math.SQRT1_2, 0, 0, Math.SQRT1_2];
+  const GLTF_ROOT_SCALE = [0.001, 0.001, 0.001];
+  const GLTF_BASE_COLOR = [74 / 255, 158 / 255, 1, 1];
+
+  /**
+   * Build binary glTF 2.0 (GLB). Without colors the mesh is welded and indexed and has no normals,
+   * so viewers shade it flat like the preview. With vertexColors each triangle keeps its own
+   * corners so colors stay per face.
+   * @param {Float32Array} vertices - 9 * triCount floats, in mm
+   * @param {number} triangleCount
+   * @param {Object} [options]
+   * @param {string} [options.name] - mesh and node name
+   * @param {Uint8Array|null} [options.vertexColors] - RGB per corner (9 per triangle), e.g. camTools overhangVertexColors
+   * @param {number} [options.weldTolerance] - see GEOMETRY.buildIndexedMesh
+   * @param {Object} [options.extras] - stored as asset.extras, e.g. { sourceFilename, scaleFactor, axisScale }
+   * @returns {ArrayBuffer}
+   */
+  function buildGLB(vertices, triangleCount, options) {
+    const opts = options || {};
+    const colored = !!opts.vertexColors;
+    let positions;
+    let index = null;
+    if (colored) {
+      positions = vertices.subarray(0, triangleCount * 9);
+    } else {
+      const mesh = GEOMETRY.buildIndexedMesh(vertices, triangleCount, opts.weldTolerance);
+      positions = mesh.positions;
+      index = mesh.index;
+    }
+    const vertexCount = positions.length / 3;
+
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+      for (let k = 0; k < 3; k++) {
+        if (positions[i + k] < min[k]) min[k] = positions[i + k];
+        if (positions[i + k] > max[k]) max[k] = positions[i + k];
+      }
+    }
+    if (!vertexCount) {
+      min.fill(0);
+      max.fill(0);
+    }
+
+    // Binary layout: positions | indices or colors (RGB padded to 4 bytes per vertex)
+    const align4 = (n) => (n + 3) & ~3;
+    const positionBytes = vertexCount * 12;
+    const secondBytes = colored ? vertexCount * 4 : index.length * 4;
+    const bin = new Uint8Array(align4(positionBytes + secondBytes));
+    new Float32Array(bin.buffer, 0, vertexCount * 3).set(positions);
+    if (colored) {
+      for (let v = 0; v < vertexCount; v++) {
+        bin.set(opts.vertexColors.subarray(v * 3, v * 3 + 3), positionBytes + v * 4);
+      }
+    } else {
+      new Uint32Array(bin.buffer, positionBytes, index.length).set(index);
+    }
+
+    const attributes = { POSITION: 0 };
+    const accessors = [
+      { bufferView: 0, componentType: GL_FLOAT, count: vertexCount, type: 'VEC3', min, max }
+    ];
+    const bufferViews = [
+      { buffer: 0, byteOffset: 0, byteLength: positionBytes, target: GL_ARRAY_BUFFER }
+    ];
+    const primitive = { attributes, material: 0, mode: 4 };
+    if (colored) {
+      attributes.COLOR_0 = 1;
+      accessors.push({ bufferView: 1, componentType: GL_UNSIGNED_BYTE, normalized: true, count: vertexCount, type: 'VEC3' });
+      bufferViews.push({ buffer: 0, byteOffset: positionBytes, byteLength: secondBytes, byteStride: 4, target: GL_ARRAY_BUFFER });
+    } else {
+      primitive.indices = 1;
+      accessors.push({ bufferView: 1, componentType: GL_UNSIGNED_INT, count: index.length, type: 'SCALAR' });
+      bufferViews.push({ buffer: 0, byteOffset: positionBytes, byteLength: secondBytes, target: GL_ELEMENT_ARRAY_BUFFER });
+    }
+
+    const name = opts.name || 'FixMySTL';
+    const gltf = {
+      asset: Object.assign({ version: '2.0', generator: 'FixMySTL' }, opts.extras ? { extras: opts.extras } : null),
+      scene: 0,
+      scenes: [{ nodes: [0] }],
+      nodes: [{ name, mesh: 0, rotation: GLTF_ROOT_ROTATION, scale: GLTF_ROOT_SCALE }],
+      meshes: [{ name, primitives: [primitive] }],
+      materials: [{
+        pbrMetallicRoughness: {
+          baseColorFactor: colored ? [1, 1, 1, 1] : GLTF_BASE_COLOR,
+          metallicFactor: 0,
+          roughnessFactor: 0.8
+        },
+        doubleSided: true
+      }],
+      accessors,
+      bufferViews,
+      buffers: [{ byteLength: bin.length }]
+    };
+
+    let json = new TextEncoder().encode(JSON.stringify(gltf));
+    const jsonLength = align4(json.length);
+    if (jsonLength !== json.length) {
+      const padded = new Uint8Array(jsonLength).fill(0x20);
+      padded.set(json);
+      json = padded;
+    }
+
+    const total = 12 + 8 + jsonLength + 8 + bin.length;
+    const out = new ArrayBuffer(total);
+    const view = new DataView(out);
+    const bytes = new Uint8Array(out);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, total, true);
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, GLB_CHUNK_JSON, true);
+    bytes.set(json, 20);
+    view.setUint32(20 + jsonLength, bin.length, true);
+    view.setUint32(24 + jsonLength, GLB_CHUNK_BIN, true);
+    bytes.set(bin, 28 + jsonLength);
+    return out;
+  }
+
+  /**
+   * Build ASCII STL as a Blob assembled from UTF-8 encoded chunks (see asciiSTLChunks).
+   * @param {Float32Array} vertices
+   * @param {number} triangleCount
+   * @param {{ solidName?: string, precision?: number, bodies?: Object[]|null }} [options]
+   * @returns {Blob}
+   */
+  function buildASCIISTL(vertices, triangleCount, options) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    for (const chunk of asciiSTLChunks(vertices, triangleCount, options)) {
+      parts.push(encoder.encode(chunk));
+    }
+    return new Blob(parts, { type: 'model/stl' });
+  }
+
+  /**
+   * Trigger download of an STL file (or another payload when mimeType is given).
+   * @param {ArrayBuffer|string|Blob} buffer - Binary STL bytes or ASCII STL text
    * @param {string} filename - e.g. "model.stl" or "model_fixed.stl"
+   * @param {string} [mimeType] - defaults to model/stl
    */
-  function download(buffer, filename) {
-    const blob = new Blob([buffer], { type: 'model/stl' });
+  function download(buffer, filename, mimeType) {
+    const blob = new Blob([buffer], { type: mimeType || 'model/stl' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
@@ -108,19 +600,105 @@ const STLExporter = (function () {
     URL.revokeObjectURL(url);
   }
 
+  /**
+   * "part.obj" -> "part"
+   */
+  function modelName(baseFilename) {
+    return (baseFilename || '').replace(/\.(stl|3mf|obj|ply)$/i, '');
+  }
+
+  /**
+   * "part.obj" -> "part_fixed.stl" (or "part_fixed.3mf" with extension '3mf')
+   */
+  function fixedFilename(baseFilename, extension) {
+    const ext = extension || 'stl';
+    return baseFilename ? modelName(baseFilename) + '_fixed.' + ext : 'fixed.' + ext;
+  }
+
   /**
    * Export vertices as Binary STL and download.
    * @param {Float32Array} vertices
    * @param {number} triangleCount
    * @param {string} baseFilename - original filename for download
+   * @param {{ format, faces, defaultColor }|null} [colors] - per-facet colors to preserve
+   * @param {Object|null} [provenance] - transform summary for the header, see provenanceHeader
+   */
+  function exportAndDownload(vertices, triangleCount, baseFilename, colors, provenance) {
+    const buffer = buildBinarySTL(vertices, triangleCount, colors, provenance);
+    download(buffer, fixedFilename(baseFilename));
+  }
+
+  /**
+   * Export vertices as ASCII STL and download. The solid name defaults to the original filename.
+   * @param {Float32Array} vertices
+   * @param {number} triangleCount
+   * @param {string} baseFilename - original filename for download
+   * @param {{ solidName?: string, precision?: number, bodies?: Object[]|null }} [options] - see asciiSTLChunks
+   */
+  function exportASCIIAndDownload(vertices, triangleCount, baseFilename, options) {
+    const opts = Object.assign({}, options);
+    if (!opts.solidName) opts.solidName = modelName(baseFilename);
+    download(buildASCIISTL(vertices, triangleCount, opts), fixedFilename(baseFilename));
+  }
+
+  /**
+   * Export vertices as a 3MF package and download. Title defaults to the original filename.
+   * @param {Float32Array} vertices - in mm
+   * @param {number} triangleCount
+   * @param {string} baseFilename - original filename for download
+   * @param {Object} [options] - see build3MF
+   * @returns {Promise<void>}
+   */
+  async function export3MFAndDownload(vertices, triangleCount, baseFilename, options) {
+    const opts = Object.assign({ title: modelName(baseFilename), sourceFilename: baseFilename }, options);
+    const blob = await build3MF(vertices, triangleCount, opts);
+    download(blob, fixedFilename(baseFilename, '3mf'), 'model/3mf');
+  }
+
+  /**
+   * Export vertices as Wavefront OBJ and download.
+   * @param {Float32Array} vertices
+   * @param {number} triangleCount
+   * @param {string} baseFilename - original filename for download
+   * @param {Object} [options] - see objChunks
+   */
+  function exportOBJAndDownload(vertices, triangleCount, baseFilename, options) {
+    const opts = Object.assign({ name: modelName(baseFilename) }, options);
+    download(buildOBJ(vertices, triangleCount, opts), fixedFilename(baseFilename, 'obj'), 'model/obj');
+  }
+
+  /**
+   * Export vertices as binary glTF and download.
+   * @param {Float32Array} vertices
+   * @param {number} triangleCount
+   * @param {string} baseFilename - original filename for download
+   * @param {Object} [options] - see buildGLB
    */
-  function exportAndDownload(vertices, triangleCount, baseFilename) {
-    const buffer = buildBinarySTL(vertices, triangleCount);
-    const name = baseFilename ? baseFilename.replace(/\.stl$/i, '_fixed.stl') : 'fixed.stl';
-    download(buffer, name);
+  function exportGLBAndDownload(vertices, triangleCount, baseFilename, options) {
+    const opts = Object.assign({ name: modelName(baseFilename) }, options);
+    download(buildGLB(vertices, triangleCount, opts), fixedFilename(baseFilename, 'glb'), 'model/gltf-binary');
   }
 
-  const api = { buildBinarySTL, exportAndDownload, download };
-  window.STLExporter = api;
+  const api = {
+    buildBinarySTL,
+    buildASCIISTL,
+    asciiSTLChunks,
+    build3MF,
+    buildOBJ,
+    objChunks,
+    buildGLB,
+    provenanceHeader,
+    filenameHash,
+    modelName,
+    fixedFilename,
+    exportAndDownload,
+    exportASCIIAndDownload,
+    export3MFAndDownload,
+    exportOBJAndDownload,
+    exportGLBAndDownload,
+    download,
+    DEFAULT_ASCII_PRECISION
+  };
+  globalThis.STLExporter = api;
   return api;
 })();
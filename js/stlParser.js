@@ -1,29 +1,37 @@
 /**
  * stlParser.js — Robust ASCII + Binary STL parser.
- * Detects format automatically. Returns { format, vertices, triangleCount }.
+ * Detects format automatically. Returns { format, vertices, triangleCount, colors, bodies }.
  * Vertices layout: Float32Array of 9 * triangleCount floats (v1,v2,v3 per tri).
+ * colors: per-facet RGBA decoded from the binary attribute word, or null (see decodeColors).
+ * bodies: ASCII `solid name … endsolid` blocks as { name, start, count } triangle ranges; null for binary.
+ * diagnostics: what was dropped or didn't add up, with line/byte offsets (see createDiagnostics).
+ * Also exposes an incremental parser so large files can be fed in chunks (see parserWorker.js).
  */
 
 const STLParser = (function () {
   'use strict';
 
   const FILE_SIZE_WARN_THRESHOLD = 200 * 1024 * 1024; // 200MB
+  const HEAD_BYTES = 1024;
 
   /**
    * Detect format: Binary has strict layout (84 + n*50 bytes). Check that first.
    * If binary size matches, trust it. Otherwise, if starts with "solid" and has facet/vertex, ASCII.
+   * @param {ArrayBuffer} headBuffer - start of the file (at least the first 1024 bytes when available)
+   * @param {number} [totalBytes] - full file size; defaults to headBuffer.byteLength
    */
-  function detectFormat(arrayBuffer) {
-    if (arrayBuffer.byteLength >= 84) {
-      const view = new DataView(arrayBuffer);
+  function detectFormat(headBuffer, totalBytes) {
+    const byteLength = totalBytes != null ? totalBytes : headBuffer.byteLength;
+    if (byteLength >= 84 && headBuffer.byteLength >= 84) {
+      const view = new DataView(headBuffer);
       const triCount = view.getUint32(80, true);
       const expectedBinarySize = 84 + triCount * 50;
-      if (expectedBinarySize === arrayBuffer.byteLength && triCount > 0 && triCount < 1e9) {
+      if (expectedBinarySize === byteLength && triCount > 0 && triCount < 1e9) {
         return 'binary';
       }
     }
 
-    const arr = new Uint8Array(arrayBuffer, 0, Math.min(1024, arrayBuffer.byteLength));
+    const arr = new Uint8Array(headBuffer, 0, Math.min(HEAD_BYTES, headBuffer.byteLength));
     const text = new TextDecoder('utf-8', { fatal: false }).decode(arr);
     if (text.trimStart().startsWith('solid ') && (/facet\s+normal/.test(text) || /vertex\s+/.test(text))) {
       return 'ascii';
@@ -32,104 +40,452 @@ const STLParser = (function () {
   }
 
   /**
-   * Parse ASCII STL. Handles extra spaces and newlines.
+   * Expand a 5-bit channel to 8 bits (31 -> 255) so it survives the round trip back to 5 bits.
    */
-  function parseASCII(text) {
-    const vertices = [];
-    const lines = text.split(/\r?\n/);
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (line.startsWith('vertex ')) {
-        const parts = line.slice(6).trim().split(/\s+/);
-        if (parts.length >= 3) {
-          const x = parseFloat(parts[0]);
-          const y = parseFloat(parts[1]);
-          const z = parseFloat(parts[2]);
-          if (!isNaN(x) && !isNaN(y) && !isNaN(z)) {
-            vertices.push(x, y, z);
-          }
-        }
+  function expand5(v) {
+    return (v << 3) | (v >> 2);
+  }
+
+  /**
+   * Find the Materialise "COLOR=" tag in the 80-byte header.
+   * @returns {number[]|null} default RGBA bytes following the tag
+   */
+  function readHeaderColor(head) {
+    const tag = [0x43, 0x4f, 0x4c, 0x4f, 0x52, 0x3d]; // "COLOR="
+    for (let i = 0; i + tag.length + 4 <= 80; i++) {
+      let match = true;
+      for (let k = 0; k < tag.length; k++) {
+        if (head[i + k] !== tag[k]) { match = false; break; }
+      }
+      if (match) {
+        const o = i + tag.length;
+        return [head[o], head[o + 1], head[o + 2], head[o + 3]];
       }
     }
+    return null;
+  }
 
-    if (vertices.length % 9 !== 0) {
-      throw new Error('Invalid ASCII STL: vertex count not divisible by 9 (incomplete triangles)');
+  /**
+   * Read the transform summary FixMySTL writes into the header (see STLExporter.provenanceHeader):
+   * "FixMySTL s=25.4 r=90,0,0 c=1 h=1a2b3c4d".
+   * c= is the placement: 0 as modeled, 1 centered at the origin, b dropped to the bed, p centered on the printer bed.
+   * m= (optional) is the source axis mirrored before the rotation; a= (optional) the per-axis scale after it.
+   * @returns {{ scaleFactor: number, axisScale: { x, y, z }|null, rotationDeg: { x, y, z }, mirror: string|null, centered: boolean, placement: string, filenameHash: string|null }|null}
+   */
+  function readHeaderProvenance(head) {
+    let text = '';
+    for (let i = 0; i < 80 && head[i] >= 0x20 && head[i] < 0x7f; i++) text += String.fromCharCode(head[i]);
+    if (!/^FixMySTL s=/.test(text)) return null;
+    const field = (key) => {
+      const m = new RegExp('(?:^| )' + key + '=(\\S+)').exec(text);
+      return m ? m[1] : null;
+    };
+    const rotation = (field('r') || '0,0,0').split(',').map(Number);
+    const scaleFactor = Number(field('s'));
+    if (!isFinite(scaleFactor) || rotation.length !== 3 || rotation.some(v => !isFinite(v))) return null;
+    const axes = field('a') ? field('a').split(',').map(Number) : null;
+    return {
+      scaleFactor,
+      axisScale: axes && axes.length === 3 && axes.every(v => isFinite(v) && v > 0) ? { x: axes[0], y: axes[1], z: axes[2] } : null,
+      rotationDeg: { x: rotation[0], y: rotation[1], z: rotation[2] },
+      mirror: /^[xyz]$/.test(field('m')) ? field('m') : null,
+      centered: field('c') === '1',
+      placement: { 1: 'origin', b: 'bed', p: 'printer' }[field('c')] || 'none',
+      filenameHash: field('h')
+    };
+  }
+
+  /**
+   * Decode per-facet colors from the uint16 attribute words.
+   * Materialise (header has COLOR=): bits 0-4 red, 5-9 green, 10-14 blue; bit 15 set = use header default.
+   * VisCAM/SolidView: bits 0-4 blue, 5-9 green, 10-14 red; bit 15 set = color valid.
+   * faces holds 4 bytes per triangle; alpha 0 means "no facet color" (use defaultColor or the mesh color).
+   * @returns {{ format: 'viscam'|'materialise', faces: Uint8Array, defaultColor: number[]|null }|null}
+   */
+  function decodeColors(attributes, head) {
+    const defaultColor = readHeaderColor(head);
+    const triCount = attributes.length;
+    let format = defaultColor ? 'materialise' : null;
+    if (!format) {
+      for (let t = 0; t < triCount; t++) {
+        if (attributes[t] & 0x8000) { format = 'viscam'; break; }
+      }
     }
+    if (!format) return null;
 
-    const triCount = vertices.length / 9;
-    const result = new Float32Array(vertices.length);
-    for (let i = 0; i < vertices.length; i++) {
-      result[i] = vertices[i];
+    const faces = new Uint8Array(triCount * 4);
+    for (let t = 0; t < triCount; t++) {
+      const a = attributes[t];
+      const hasColor = format === 'viscam' ? (a & 0x8000) !== 0 : (a & 0x8000) === 0;
+      if (!hasColor) continue;
+      const lo = expand5(a & 31);
+      const mid = expand5((a >> 5) & 31);
+      const hi = expand5((a >> 10) & 31);
+      const o = t * 4;
+      faces[o] = format === 'viscam' ? hi : lo;
+      faces[o + 1] = mid;
+      faces[o + 2] = format === 'viscam' ? lo : hi;
+      faces[o + 3] = 255;
     }
-    return { format: 'ascii', vertices: result, triangleCount: triCount };
+    return { format, faces, defaultColor };
   }
 
   /**
-   * Parse Binary STL.
-   * Layout: 80-byte header, uint32 count, per-tri: normal(3 float32), v1(3), v2(3), v3(3), uint16 attr.
+   * Collects parse diagnostics, one entry per code:
+   * { code, severity: 'warning'|'error', message, count, line?, byteOffset? }.
+   * line / byteOffset locate the first occurrence; count totals all occurrences.
    */
-  function parseBinary(arrayBuffer) {
-    const view = new DataView(arrayBuffer);
-    if (arrayBuffer.byteLength < 84) {
-      throw new Error('Binary STL too small: missing header or triangle count');
+  function createDiagnostics() {
+    const list = [];
+    const byCode = {};
+    return {
+      list,
+      add(code, severity, message, where) {
+        let d = byCode[code];
+        if (!d) {
+          d = { code, severity, message, count: 0 };
+          if (where && where.line != null) d.line = where.line;
+          if (where && where.byteOffset != null) d.byteOffset = where.byteOffset;
+          byCode[code] = d;
+          list.push(d);
+        }
+        d.count += (where && where.count) || 1;
+      }
+    };
+  }
+
+  function failWithDiagnostics(message, diagnostics) {
+    const err = new Error(message);
+    err.diagnostics = diagnostics.list;
+    return err;
+  }
+
+  const NON_FINITE_TOKEN = /^[-+]?(nan|inf|infinity)$/i;
+
+  /**
+   * Incremental ASCII parser. Handles extra spaces and newlines.
+   * Lines split across chunks are carried over to the next push.
+   * Each `solid name` opens a body; `endsolid` (or end of file) closes it.
+   * Strict mode drops unusable vertex lines and fails if the remaining count isn't a multiple of 9.
+   * Recovery mode skips any facet with an unusable vertex, keeping every complete triangle.
+   */
+  function createASCIIParser(options, diagnostics) {
+    const recover = !!(options && options.recover);
+    const decoder = new TextDecoder('utf-8', { fatal: false });
+    let vertices = new Float32Array(9 * 4096);
+    let count = 0;
+    let remainder = '';
+    let lineNo = 0;
+    const bodies = [];
+    let body = null;
+    let ended = false;
+    // Recovery: valid vertices of the current facet, and whether it already lost one.
+    let pending = 0;
+    let facetBad = false;
+
+    function openBody(name, explicit) {
+      reportUnclosed();
+      closeBody();
+      body = { name, start: Math.floor(count / 9), count: 0 };
+      body.line = explicit ? lineNo : null;
+      bodies.push(body);
+      ended = false;
     }
 
-    const triCount = view.getUint32(80, true);
-    const expectedSize = 84 + triCount * 50;
-    if (arrayBuffer.byteLength < expectedSize) {
-      throw new Error('Binary STL truncated: expected ' + expectedSize + ' bytes, got ' + arrayBuffer.byteLength);
+    // Called before a body is closed implicitly, by a new solid or the end of the file.
+    function reportUnclosed() {
+      if (body && body.line != null) {
+        diagnostics.add('missing-endsolid', 'warning', 'solid "' + body.name + '" has no endsolid', { line: body.line });
+      }
     }
 
-    const vertices = new Float32Array(triCount * 9);
-    let vo = 0;
+    function closeBody() {
+      if (!body) return;
+      body.count = Math.floor(count / 9) - body.start;
+      body = null;
+    }
 
-    for (let t = 0; t < triCount; t++) {
-      const offset = 84 + t * 50;
-      // Skip normal (12 bytes), read v1, v2, v3
-      vertices[vo++] = view.getFloat32(offset + 12, true);
-      vertices[vo++] = view.getFloat32(offset + 16, true);
-      vertices[vo++] = view.getFloat32(offset + 20, true);
-      vertices[vo++] = view.getFloat32(offset + 24, true);
-      vertices[vo++] = view.getFloat32(offset + 28, true);
-      vertices[vo++] = view.getFloat32(offset + 32, true);
-      vertices[vo++] = view.getFloat32(offset + 36, true);
-      vertices[vo++] = view.getFloat32(offset + 40, true);
-      vertices[vo++] = view.getFloat32(offset + 44, true);
+    function pushVertex(x, y, z) {
+      if (count + 3 > vertices.length) {
+        const grown = new Float32Array(vertices.length * 2);
+        grown.set(vertices);
+        vertices = grown;
+      }
+      vertices[count++] = x;
+      vertices[count++] = y;
+      vertices[count++] = z;
+    }
+
+    function endFacet() {
+      if (pending > 0 || facetBad) {
+        count -= pending * 3;
+        diagnostics.add('skipped-facet', 'warning', 'Incomplete facet skipped', { line: lineNo });
+      }
+      pending = 0;
+      facetBad = false;
+    }
+
+    function rejectVertex() {
+      if (!recover) return;
+      count -= pending * 3;
+      pending = 0;
+      facetBad = true;
+    }
+
+    function parseVertex(line) {
+      if (!body) openBody('', false);
+      const parts = line.slice(6).trim().split(/\s+/);
+      if (parts.length < 3) {
+        diagnostics.add('dropped-vertex', 'warning', 'Vertex line with fewer than 3 coordinates dropped', { line: lineNo });
+        rejectVertex();
+        return;
+      }
+      const x = parseFloat(parts[0]);
+      const y = parseFloat(parts[1]);
+      const z = parseFloat(parts[2]);
+      if (isFinite(x) && isFinite(y) && isFinite(z)) {
+        if (recover && facetBad) return;
+        pushVertex(x, y, z);
+        if (recover && ++pending === 3) pending = 0;
+        return;
+      }
+      const nonFinite = [0, 1, 2].some(k => NON_FINITE_TOKEN.test(parts[k]) || Math.abs(parseFloat(parts[k])) === Infinity);
+      if (nonFinite) {
+        diagnostics.add('non-finite', 'warning', 'Vertex with NaN/Infinity coordinate dropped', { line: lineNo });
+      } else {
+        diagnostics.add('dropped-vertex', 'warning', 'Unreadable vertex line dropped', { line: lineNo });
+      }
+      rejectVertex();
+    }
+
+    function consume(text, final) {
+      const lines = (remainder + text).split(/\r?\n/);
+      remainder = final ? '' : lines.pop();
+
+      for (let i = 0; i < lines.length; i++) {
+        lineNo++;
+        const line = lines[i].trim();
+        if (line === '') continue;
+        if (/^solid(\s|$)/.test(line)) {
+          openBody(line.slice(5).trim(), true);
+        } else if (line.startsWith('endsolid')) {
+          if (recover) endFacet();
+          closeBody();
+          ended = true;
+        } else if (line.startsWith('vertex ')) {
+          parseVertex(line);
+        } else if (line.startsWith('facet') || line.startsWith('outer') ||
+          line.startsWith('endloop') || line.startsWith('endfacet')) {
+          if (recover) endFacet();
+        } else if (ended) {
+          diagnostics.add('trailing-content', 'warning', 'Content after endsolid ignored', { line: lineNo });
+        }
+      }
     }
 
-    return { format: 'binary', vertices, triangleCount: triCount };
+    return {
+      push(bytes) {
+        consume(decoder.decode(bytes, { stream: true }), false);
+      },
+      finish() {
+        consume(decoder.decode(), true);
+        if (recover) endFacet();
+        reportUnclosed();
+        closeBody();
+        if (count % 9 !== 0) {
+          diagnostics.add('vertex-count', 'error', 'Vertex count ' + count / 3 + ' is not a multiple of 3', { line: lineNo });
+          throw failWithDiagnostics('Invalid ASCII STL: vertex count not divisible by 9 (incomplete triangles)', diagnostics);
+        }
+        return {
+          format: 'ascii',
+          vertices: vertices.slice(0, count),
+          triangleCount: count / 9,
+          colors: null,
+          bodies: bodies.filter(b => b.count > 0).map(b => ({ name: b.name, start: b.start, count: b.count }))
+        };
+      }
+    };
   }
 
   /**
-   * Parse STL from ArrayBuffer. Auto-detects format.
-   * @param {ArrayBuffer} arrayBuffer
-   * @param {number} fileSizeBytes - for display/warning
-   * @returns {{ format, vertices, triangleCount, fileSizeBytes, sizeWarning?: boolean }}
+   * Incremental Binary parser.
+   * Layout: 80-byte header, uint32 count, per-tri: normal(3 float32), v1(3), v2(3), v3(3), uint16 attr.
+   * Triangle records split across chunks are buffered until complete.
+   * Strict mode fails on a truncated file. Recovery mode keeps every complete record.
+   * Triangles with NaN/Infinity coordinates are dropped in both modes, as the ASCII parser drops such vertices.
+   * @param {number} [totalBytes] - full file size, when known, to check the header count before allocating
    */
-  function parse(arrayBuffer, fileSizeBytes) {
-    const sizeWarning = fileSizeBytes > FILE_SIZE_WARN_THRESHOLD;
+  function createBinaryParser(totalBytes, options, diagnostics) {
+    const recover = !!(options && options.recover);
+    const head = new Uint8Array(84);
+    let headLen = 0;
+    let triCount = -1;
+    let vertices = null;
+    let attributes = null;
+    let records = 0;
+    let tri = 0;
+    let received = 0;
+    const carry = new Uint8Array(50);
+    const carryView = new DataView(carry.buffer);
+    let carryLen = 0;
 
-    const format = detectFormat(arrayBuffer);
-    let result;
+    function readTriangle(view, offset) {
+      // Skip normal (12 bytes), read v1, v2, v3, attribute word
+      const vo = tri * 9;
+      let finite = true;
+      for (let k = 0; k < 9; k++) {
+        const v = view.getFloat32(offset + 12 + k * 4, true);
+        if (!isFinite(v)) finite = false;
+        vertices[vo + k] = v;
+      }
+      if (!finite) {
+        diagnostics.add('non-finite', 'warning', 'Triangle with NaN/Infinity coordinate dropped',
+          { byteOffset: 84 + records * 50 });
+      }
+      records++;
+      if (!finite) return;
+      attributes[tri] = view.getUint16(offset + 48, true);
+      tri++;
+    }
 
-    if (format === 'ascii') {
-      const text = new TextDecoder('utf-8', { fatal: false }).decode(arrayBuffer);
-      result = parseASCII(text);
-    } else {
-      result = parseBinary(arrayBuffer);
+    function readHeader() {
+      triCount = new DataView(head.buffer).getUint32(80, true);
+      const expectedSize = 84 + triCount * 50;
+      if (totalBytes != null && totalBytes < expectedSize) {
+        const available = Math.floor((totalBytes - 84) / 50);
+        diagnostics.add('header-count', recover ? 'warning' : 'error',
+          'Header declares ' + triCount + ' triangles but the file holds ' + available, { byteOffset: 80 });
+        if (!recover) {
+          throw failWithDiagnostics('Binary STL truncated: expected ' + expectedSize + ' bytes, got ' + totalBytes, diagnostics);
+        }
+        triCount = available;
+      } else if (totalBytes != null && totalBytes > expectedSize) {
+        diagnostics.add('trailing-bytes', 'warning', 'Trailing bytes after the last triangle ignored',
+          { byteOffset: expectedSize, count: totalBytes - expectedSize });
+      }
+      vertices = new Float32Array(triCount * 9);
+      attributes = new Uint16Array(triCount);
     }
 
+    return {
+      push(bytes) {
+        received += bytes.length;
+        let pos = 0;
+
+        if (headLen < 84) {
+          const n = Math.min(84 - headLen, bytes.length);
+          head.set(bytes.subarray(0, n), headLen);
+          headLen += n;
+          pos = n;
+          if (headLen < 84) return;
+          readHeader();
+        }
+
+        if (carryLen > 0 && records < triCount) {
+          const n = Math.min(50 - carryLen, bytes.length - pos);
+          carry.set(bytes.subarray(pos, pos + n), carryLen);
+          carryLen += n;
+          pos += n;
+          if (carryLen < 50) return;
+          readTriangle(carryView, 0);
+          carryLen = 0;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        while (bytes.length - pos >= 50 && records < triCount) {
+          readTriangle(view, pos);
+          pos += 50;
+        }
+
+        if (pos < bytes.length && records < triCount) {
+          carry.set(bytes.subarray(pos), 0);
+          carryLen = bytes.length - pos;
+        }
+      },
+      finish() {
+        if (headLen < 84) {
+          diagnostics.add('header', 'error', 'File is shorter than the 84-byte binary STL header', { byteOffset: 0 });
+          throw failWithDiagnostics('Binary STL too small: missing header or triangle count', diagnostics);
+        }
+        if (records < triCount) {
+          diagnostics.add('truncated', recover ? 'warning' : 'error',
+            'File ends after ' + records + ' of ' + triCount + ' triangles', { byteOffset: 84 + records * 50 });
+          if (!recover) {
+            throw failWithDiagnostics('Binary STL truncated: expected ' + (84 + triCount * 50) + ' bytes, got ' + received, diagnostics);
+          }
+        }
+        const complete = tri === triCount;
+        return {
+          format: 'binary',
+          vertices: complete ? vertices : vertices.slice(0, tri * 9),
+          triangleCount: tri,
+          colors: decodeColors(complete ? attributes : attributes.slice(0, tri), head),
+          bodies: null,
+          provenance: readHeaderProvenance(head)
+        };
+      }
+    };
+  }
+
+  function createFormatParser(format, totalBytes, options, diagnostics) {
+    return format === 'ascii'
+      ? createASCIIParser(options, diagnostics)
+      : createBinaryParser(totalBytes, options, diagnostics);
+  }
+
+  function toResult(result, fileSizeBytes, diagnostics) {
     return {
       format: result.format,
       vertices: result.vertices,
       triangleCount: result.triangleCount,
+      colors: result.colors,
+      bodies: result.bodies,
+      provenance: result.provenance || null,
+      diagnostics: diagnostics.list,
       fileSizeBytes: fileSizeBytes,
-      sizeWarning
+      sizeWarning: fileSizeBytes > FILE_SIZE_WARN_THRESHOLD
+    };
+  }
+
+  /**
+   * Create an incremental parser for a file of known size.
+   * Feed every byte of the file, in order, through push(); finish() returns the same shape as parse().
+   * @param {ArrayBuffer} headBuffer - first HEAD_BYTES of the file (or the whole file if smaller)
+   * @param {number} totalBytes - full file size
+   * @param {{ recover?: boolean }} [options] - recover: salvage every complete triangle instead of failing
+   * @returns {{ format: string, push: function(Uint8Array), finish: function(): Object }}
+   */
+  function createParser(headBuffer, totalBytes, options) {
+    const format = detectFormat(headBuffer, totalBytes);
+    const diagnostics = createDiagnostics();
+    const inner = createFormatParser(format, totalBytes, options, diagnostics);
+    return {
+      format,
+      push: inner.push,
+      finish: function () {
+        return toResult(inner.finish(), totalBytes, diagnostics);
+      }
     };
   }
 
-  const api = { parse, FILE_SIZE_WARN_THRESHOLD };
-  window.STLParser = api;
+  /**
+   * Parse STL from ArrayBuffer. Auto-detects format.
+   * Errors thrown carry err.diagnostics (same entries as the result's diagnostics).
+   * @param {ArrayBuffer} arrayBuffer
+   * @param {number} fileSizeBytes - for display/warning
+   * @param {{ recover?: boolean }} [options] - recover: salvage every complete triangle instead of failing
+   * @returns {{ format, vertices, triangleCount, colors, bodies, provenance, diagnostics, fileSizeBytes, sizeWarning?: boolean }}
+   *   provenance: transform summary from a FixMySTL-written binary header, else null
+   */
+  function parse(arrayBuffer, fileSizeBytes, options) {
+    const format = detectFormat(arrayBuffer);
+    const diagnostics = createDiagnostics();
+    const inner = createFormatParser(format, arrayBuffer.byteLength, options, diagnostics);
+    inner.push(new Uint8Array(arrayBuffer));
+    return toResult(inner.finish(), fileSizeBytes, diagnostics);
+  }
+
+  const api = { parse, createParser, HEAD_BYTES, FILE_SIZE_WARN_THRESHOLD };
+  globalThis.STLParser = api;
   return api;
 })();
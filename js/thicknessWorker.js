@@ -0,0 +1,21 @@
+/**
+ * thicknessWorker.js — Measure wall thickness off the main thread (module worker, see wallThickness.js).
+ * Message in: { vertices, triangleCount }.
+ * Messages out: { type: 'progress', done, total } | { type: 'done', thickness } | { type: 'error', message }.
+ */
+
+import { measureWallThickness } from './wallThickness.js';
+
+self.onmessage = function (e) {
+  const { vertices, triangleCount } = e.data;
+  try {
+    const thickness = measureWallThickness(vertices, triangleCount, {
+      onProgress: function (done, total) {
+        self.postMessage({ type: 'progress', done, total });
+      }
+    });
+    self.postMessage({ type: 'done', thickness }, [thickness.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: (err && err.message) || 'Unknown error' });
+  }
+};
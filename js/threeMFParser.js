@@ -0,0 +1,236 @@
+/**
+ * threeMFParser.js — 3MF package reader (requires zip.js).
+ * Flattens every build item into the STLParser layout: { format: '3mf', vertices, triangleCount }.
+ * Coordinates are converted to mm from the model's unit attribute; build-item and component
+ * transforms are applied, including components stored in other model parts (Bambu/Prusa p:path).
+ */
+
+const ThreeMFParser = (function () {
+  'use strict';
+
+  const DEFAULT_MODEL_PATH = '3D/3dmodel.model';
+  const REL_TYPE_MODEL = 'http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel';
+
+  const UNIT_TO_MM = {
+    micron: 0.001,
+    millimeter: 1,
+    centimeter: 10,
+    inch: 25.4,
+    foot: 304.8,
+    meter: 1000
+  };
+
+  /** Affine transform as 3MF writes it: m00 m01 m02 m10 m11 m12 m20 m21 m22 m30 m31 m32 (row vectors). */
+  const IDENTITY = [1, 0, 0, 0, 1, 0, 0, 0, 1, 0, 0, 0];
+
+  function parseTransform(value) {
+    if (!value) return IDENTITY;
+    const m = value.trim().split(/\s+/).map(Number);
+    if (m.length !== 12 || m.some(v => !isFinite(v))) {
+      throw new Error('Invalid 3MF transform: "' + value + '"');
+    }
+    return m;
+  }
+
+  /** a then b: p * A * B */
+  function composeTransforms(a, b) {
+    return [
+      a[0] * b[0] + a[1] * b[3] + a[2] * b[6],
+      a[0] * b[1] + a[1] * b[4] + a[2] * b[7],
+      a[0] * b[2] + a[1] * b[5] + a[2] * b[8],
+      a[3] * b[0] + a[4] * b[3] + a[5] * b[6],
+      a[3] * b[1] + a[4] * b[4] + a[5] * b[7],
+      a[3] * b[2] + a[4] * b[5] + a[5] * b[8],
+      a[6] * b[0] + a[7] * b[3] + a[8] * b[6],
+      a[6] * b[1] + a[7] * b[4] + a[8] * b[7],
+      a[6] * b[2] + a[7] * b[5] + a[8] * b[8],
+      a[9] * b[0] + a[10] * b[3] + a[11] * b[6] + b[9],
+      a[9] * b[1] + a[10] * b[4] + a[11] * b[7] + b[10],
+      a[9] * b[2] + a[10] * b[5] + a[11] * b[8] + b[11]
+    ];
+  }
+
+  function determinant(m) {
+    return m[0] * (m[4] * m[8] - m[5] * m[7]) -
+      m[1] * (m[3] * m[8] - m[5] * m[6]) +
+      m[2] * (m[3] * m[7] - m[4] * m[6]);
+  }
+
+  function parseAttributes(text) {
+    const attrs = {};
+    const re = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let m;
+    while ((m = re.exec(text)) !== null) {
+      attrs[m[1]] = m[2] !== undefined ? m[2] : m[3];
+    }
+    return attrs;
+  }
+
+  /** Attribute lookup ignoring the namespace prefix (p:path vs path). */
+  function attr(attrs, localName) {
+    if (attrs[localName] !== undefined) return attrs[localName];
+    for (const key in attrs) {
+      if (key.slice(key.indexOf(':') + 1) === localName) return attrs[key];
+    }
+    return undefined;
+  }
+
+  /**
+   * Scan one model part. A tag scanner rather than DOMParser: it runs inside the parser worker
+   * and copes with multi-million-vertex meshes.
+   * @returns {{ unit: string, objects: Object<string, Object>, build: Object[] }}
+   */
+  function parseModelXML(text) {
+    const model = { unit: 'millimeter', objects: {}, build: [] };
+    const tagRe = /<(\/?)([A-Za-z_][\w:.-]*)([^>]*)>/g;
+    let object = null;
+    let positions = null;
+    let triangles = null;
+    let m;
+
+    while ((m = tagRe.exec(text)) !== null) {
+      const closing = m[1] === '/';
+      const name = m[2].slice(m[2].indexOf(':') + 1);
+
+      if (closing) {
+        if (name === 'object') object = null;
+        continue;
+      }
+
+      const attrs = parseAttributes(m[3]);
+      if (name === 'vertex' && positions) {
+        positions.push(parseFloat(attrs.x), parseFloat(attrs.y), parseFloat(attrs.z));
+      } else if (name === 'triangle' && triangles) {
+        triangles.push(parseInt(attrs.v1, 10), parseInt(attrs.v2, 10), parseInt(attrs.v3, 10));
+      } else if (name === 'model') {
+        if (attrs.unit) model.unit = attrs.unit;
+      } else if (name === 'object') {
+        object = { id: attrs.id, type: attrs.type || 'model', mesh: null, components: [] };
+        model.objects[attrs.id] = object;
+      } else if (name === 'mesh' && object) {
+        positions = [];
+        triangles = [];
+        object.mesh = { positions, triangles };
+      } else if (name === 'component' && object) {
+        object.components.push({
+          objectid: attrs.objectid,
+          path: attr(attrs, 'path') || null,
+          transform: parseTransform(attrs.transform)
+        });
+      } else if (name === 'item') {
+        model.build.push({
+          objectid: attrs.objectid,
+          path: attr(attrs, 'path') || null,
+          transform: parseTransform(attrs.transform)
+        });
+      }
+    }
+    return model;
+  }
+
+  /**
+   * Root model part from _rels/.rels, falling back to 3D/3dmodel.model.
+   */
+  async function findRootModelPath(arrayBuffer, entries) {
+    const rels = ZIP.findEntry(entries, '_rels/.rels');
+    if (rels) {
+      const text = new TextDecoder('utf-8').decode(await ZIP.extract(arrayBuffer, rels));
+      const re = /<(?:[\w.-]+:)?Relationship\b([^>]*)>/g;
+      let m;
+      while ((m = re.exec(text)) !== null) {
+        const attrs = parseAttributes(m[1]);
+        if (attrs.Type === REL_TYPE_MODEL && attrs.Target) return attrs.Target;
+      }
+    }
+    return DEFAULT_MODEL_PATH;
+  }
+
+  /**
+   * Parse a 3MF package.
+   * @param {ArrayBuffer} arrayBuffer
+   * @param {number} fileSizeBytes - for display/warning
+   * @returns {Promise<{ format: '3mf', vertices, triangleCount, colors: null, fileSizeBytes, sizeWarning }>}
+   */
+  async function parse(arrayBuffer, fileSizeBytes) {
+    const entries = ZIP.readEntries(arrayBuffer);
+    const rootPath = await findRootModelPath(arrayBuffer, entries);
+    const models = {};
+
+    async function loadModel(path) {
+      const key = path.replace(/^\/+/, '').toLowerCase();
+      if (!models[key]) {
+        const entry = ZIP.findEntry(entries, path);
+        if (!entry) throw new Error('3MF package is missing model part ' + path);
+        const text = new TextDecoder('utf-8').decode(await ZIP.extract(arrayBuffer, entry));
+        models[key] = parseModelXML(text);
+      }
+      return models[key];
+    }
+
+    const root = await loadModel(rootPath);
+    const unitScale = UNIT_TO_MM[root.unit];
+    if (!unitScale) throw new Error('Unsupported 3MF unit "' + root.unit + '"');
+
+    let vertices = new Float32Array(9 * 4096);
+    let count = 0;
+
+    function emitMesh(mesh, t) {
+      const p = mesh.positions;
+      const tris = mesh.triangles;
+      const vertexCount = p.length / 3;
+      // Mirroring transforms flip winding; swap v2/v3 to keep normals outward.
+      const flip = determinant(t) < 0;
+      const needed = count + (tris.length / 3) * 9;
+      if (needed > vertices.length) {
+        const grown = new Float32Array(Math.max(needed, vertices.length * 2));
+        grown.set(vertices);
+        vertices = grown;
+      }
+
+      function writeVertex(vi) {
+        if (!(vi >= 0 && vi < vertexCount)) {
+          throw new Error('Invalid 3MF triangle: vertex index ' + vi + ' out of range');
+        }
+        const x = p[vi * 3]; const y = p[vi * 3 + 1]; const z = p[vi * 3 + 2];
+        vertices[count++] = (x * t[0] + y * t[3] + z * t[6] + t[9]) * unitScale;
+        vertices[count++] = (x * t[1] + y * t[4] + z * t[7] + t[10]) * unitScale;
+        vertices[count++] = (x * t[2] + y * t[5] + z * t[8] + t[11]) * unitScale;
+      }
+
+      for (let i = 0; i < tris.length; i += 3) {
+        writeVertex(tris[i]);
+        writeVertex(tris[flip ? i + 2 : i + 1]);
+        writeVertex(tris[flip ? i + 1 : i + 2]);
+      }
+    }
+
+    async function emitObject(path, objectid, transform, depth) {
+      if (depth > 32) throw new Error('3MF component nesting too deep (cycle?)');
+      const model = await loadModel(path);
+      const object = model.objects[objectid];
+      if (!object) throw new Error('3MF build references missing object ' + objectid + ' in ' + path);
+      if (object.mesh) emitMesh(object.mesh, transform);
+      for (const c of object.components) {
+        await emitObject(c.path || path, c.objectid, composeTransforms(c.transform, transform), depth + 1);
+      }
+    }
+
+    for (const item of root.build) {
+      await emitObject(item.path || rootPath, item.objectid, item.transform, 0);
+    }
+    if (count === 0) throw new Error('3MF package contains no printable triangles');
+
+    return {
+      format: '3mf',
+      vertices: vertices.slice(0, count),
+      triangleCount: count / 9,
+      colors: null,
+      fileSizeBytes: fileSizeBytes,
+      sizeWarning: fileSizeBytes > STLParser.FILE_SIZE_WARN_THRESHOLD
+    };
+  }
+
+  const api = { parse, UNIT_TO_MM };
+  globalThis.ThreeMFParser = api;
+  return api;
+})();
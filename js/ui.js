@@ -9,17 +9,18 @@ const UI = (function () {
   const SCALE_INCH_TO_MM = 25.4;
   const SCALE_MM_TO_INCH = 1 / 25.4;
 
-  const PRINTERS = [
-    { key: 'ender3', label: 'Ender 3', x: 220, y: 220, z: 250 },
-    { key: 'prusa_mk3', label: 'Prusa MK3', x: 250, y: 210, z: 210 },
-    { key: 'bambu_p1p', label: 'Bambu P1P/X1', x: 256, y: 256, z: 256 },
-    { key: 'bambu_a1mini', label: 'Bambu A1 mini', x: 180, y: 180, z: 180 },
-    { key: 'custom', label: 'Custom…', x: 220, y: 220, z: 250, custom: true }
-  ];
+  const PRINTERS = window.PrinterFit.PRINTERS;
+
+  /** Nozzle field range and default (wallThickness.js DEFAULT_NOZZLE_MM), mm. */
+  const NOZZLE_MIN = 0.1;
+  const NOZZLE_MAX = 2;
+  const NOZZLE_DEFAULT = 0.4;
 
   let elements = {};
   let bannerDismissed = false;
   let unitSuggestionDismissed = false;
+  let batchSort = { key: 'name', dir: 1 };
+  let lastBatch = null;
 
   function formatBytes(bytes) {
     if (bytes < 1024) return bytes + ' B';
@@ -27,10 +28,16 @@ const UI = (function () {
     return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
   }
 
+  const FORMAT_LABELS = { ascii: 'ASCII', binary: 'Binary', '3mf': '3MF', obj: 'OBJ', ply: 'PLY' };
+
   function formatDim(value) {
     return typeof value === 'number' ? value.toFixed(2) : '—';
   }
 
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
   function createElement(tag, className, content) {
     const el = document.createElement(tag);
     if (className) el.className = className;
@@ -56,13 +63,43 @@ const UI = (function () {
     app.appendChild(bookmarkToast);
 
     const dropzone = createElement('div', 'dropzone');
-    dropzone.innerHTML = '<p class="dropzone-text">Drag & drop an STL file here</p><p class="dropzone-sub">or</p><button type="button" class="btn btn-primary" id="btn-choose">Choose file</button><input type="file" id="file-input" accept=".stl" style="display:none">';
+    dropzone.innerHTML = '<p class="dropzone-text">Drag & drop an STL, 3MF, OBJ or PLY file here</p><p class="dropzone-sub">Several files, a folder or a .zip open as a batch</p><button type="button" class="btn btn-primary" id="btn-choose">Choose files</button><input type="file" id="file-input" accept=".stl,.3mf,.obj,.ply,.zip" multiple style="display:none">';
     app.appendChild(dropzone);
 
+    const recoverToggle = createElement('label', 'recover-toggle');
+    recoverToggle.innerHTML = '<input type="checkbox" id="recover-mode"> <span>Recovery mode: salvage every complete triangle from damaged STL files</span>';
+    app.appendChild(recoverToggle);
+
+    const loadProgress = createElement('div', 'load-progress hidden');
+    loadProgress.id = 'load-progress';
+    loadProgress.innerHTML = `
+      <div class="load-progress-bar"><div class="load-progress-fill" id="load-progress-fill"></div></div>
+      <span class="load-progress-text" id="load-progress-text"></span>
+      <button type="button" class="btn btn-secondary" id="btn-cancel-load">Cancel</button>
+    `;
+    app.appendChild(loadProgress);
+
     const message = createElement('div', 'message hidden', '');
     message.id = 'message';
     app.appendChild(message);
 
+    const diagnostics = createElement('div', 'diagnostics hidden');
+    diagnostics.id = 'diagnostics';
+    app.appendChild(diagnostics);
+
+    const batchCard = createElement('div', 'card batch-card hidden');
+    batchCard.id = 'batch-card';
+    batchCard.innerHTML = `
+      <h2>Batch <span class="batch-count" id="batch-count"></span></h2>
+      <div class="batch-actions">
+        <button type="button" class="btn btn-scale" id="btn-batch-fix-units" disabled>Apply ×25.4 to suspicious</button>
+        <button type="button" class="btn btn-download" id="btn-batch-download" disabled>Download all fixed (.zip)</button>
+        <button type="button" class="btn btn-secondary" id="btn-batch-clear">Clear batch</button>
+      </div>
+      <div class="batch-table-wrap"><table class="bodies-table batch-table" id="batch-table"></table></div>
+    `;
+    app.appendChild(batchCard);
+
     const cards = createElement('div', 'cards hidden');
     cards.id = 'cards';
 
@@ -113,6 +150,32 @@ const UI = (function () {
       <div class="model-check-panel" id="model-check-panel">
         <div class="model-check-stats" id="model-check-stats"></div>
         <ul class="model-check-warnings hidden" id="model-check-warnings"></ul>
+        <label class="center-toggle hidden" id="highlight-defects-toggle">
+          <input type="checkbox" id="highlight-defects" checked>
+          <span>Highlight defects in preview</span>
+        </label>
+        <div class="wall-thickness" id="wall-thickness">
+          <div class="wall-thickness-controls">
+            <label for="nozzle-diameter">Nozzle</label>
+            <input type="number" id="nozzle-diameter" min="${NOZZLE_MIN}" max="${NOZZLE_MAX}" step="0.05" value="${NOZZLE_DEFAULT}">
+            <span>mm</span>
+            <button type="button" class="btn btn-secondary btn-small" id="thickness-btn">Check wall thickness</button>
+          </div>
+          <label class="center-toggle hidden" id="thickness-heatmap-toggle">
+            <input type="checkbox" id="thickness-heatmap" checked>
+            <span>Show thin walls in preview <span class="thickness-legend"><i class="swatch-below-nozzle"></i>below nozzle <i class="swatch-thin"></i>below 2 perimeters</span></span>
+          </label>
+        </div>
+        <div class="mesh-repair hidden" id="mesh-repair">
+          <div class="mesh-repair-controls">
+            <label for="repair-max-hole">Fill holes up to</label>
+            <input type="number" id="repair-max-hole" min="3" step="1" value="${window.MeshRepair.DEFAULT_MAX_HOLE_EDGES}">
+            <span>edges</span>
+            <button type="button" class="btn btn-secondary btn-small" id="repair-btn">Repair mesh</button>
+            <button type="button" class="btn btn-secondary btn-small hidden" id="repair-undo-btn">Undo repair</button>
+          </div>
+          <div class="mesh-repair-summary hidden" id="mesh-repair-summary"></div>
+        </div>
       </div>
     `;
     cards.appendChild(modelCheckCard);
@@ -134,6 +197,46 @@ const UI = (function () {
           <button type="button" class="btn btn-orient" id="rot-z-minus">Rotate Z -90°</button>
           <button type="button" class="btn btn-secondary" id="btn-reset-orient">Reset orientation</button>
         </div>
+        <div class="orientation-mirror">
+          <button type="button" class="btn btn-orient" id="mirror-x">Mirror X</button>
+          <button type="button" class="btn btn-orient" id="mirror-y">Mirror Y</button>
+          <button type="button" class="btn btn-orient" id="mirror-z">Mirror Z</button>
+          <span class="mirror-status hidden" id="mirror-status">Mirrored</span>
+        </div>
+        <div class="orientation-angles">
+          ${['x', 'y', 'z'].map(a => `
+          <div class="orientation-angle">
+            <label for="rot-angle-${a}">${a.toUpperCase()}</label>
+            <input type="range" id="rot-angle-${a}-range" min="-180" max="180" step="1" value="0" aria-label="${a.toUpperCase()} angle">
+            <input type="number" id="rot-angle-${a}" min="-180" max="180" step="0.1" value="0">
+            <span>°</span>
+          </div>`).join('')}
+        </div>
+        <div class="orientation-align">
+          <label for="align-direction">Put on the bed</label>
+          <select id="align-direction">
+            <option value="0,0,1">Top (+Z)</option>
+            <option value="1,0,0">Right (+X)</option>
+            <option value="-1,0,0">Left (−X)</option>
+            <option value="0,1,0">Back (+Y)</option>
+            <option value="0,-1,0">Front (−Y)</option>
+            <option value="custom">Direction…</option>
+          </select>
+          <span class="align-custom hidden" id="align-custom">
+            <input type="number" id="align-x" step="any" value="0" aria-label="Direction X">
+            <input type="number" id="align-y" step="any" value="0" aria-label="Direction Y">
+            <input type="number" id="align-z" step="any" value="1" aria-label="Direction Z">
+          </span>
+          <button type="button" class="btn btn-secondary" id="btn-align-down">Align to −Z</button>
+        </div>
+        <div class="lay-flat">
+          <button type="button" class="btn btn-secondary" id="btn-lay-flat" aria-pressed="false">Lay flat on face</button>
+          <span class="lay-flat-hint hidden" id="lay-flat-hint">Click a face in the preview to put it on the bed. Esc to cancel.</span>
+        </div>
+        <div class="auto-orient">
+          <button type="button" class="btn btn-secondary" id="btn-auto-orient">Auto-orient</button>
+          <div class="auto-orient-results hidden" id="auto-orient-results"></div>
+        </div>
       </div>
     `;
     cards.appendChild(orientationCard);
@@ -155,12 +258,77 @@ const UI = (function () {
         <div class="custom-scale">
           <label>Custom factor:</label>
           <input type="number" id="custom-factor" step="0.01" value="1" placeholder="1.0">
+          <input type="number" id="custom-percent" class="scale-percent" step="0.1" value="100" aria-label="Scale percent">
+          <span>%</span>
           <button type="button" class="btn btn-apply" id="btn-apply-scale">Apply</button>
         </div>
-        <label class="center-toggle">
-          <input type="checkbox" id="center-model" value="1">
-          <span>Center model (move to origin)</span>
+        <div class="custom-scale target-scale">
+          <label>Target size:</label>
+          <select id="target-axis" class="cam-select" aria-label="Axis">
+            <option value="x">X</option>
+            <option value="y">Y</option>
+            <option value="z">Z</option>
+          </select>
+          <input type="number" id="target-size" step="any" min="0" placeholder="120">
+          <span id="target-unit">mm</span>
+          <label class="center-toggle"><input type="checkbox" id="target-lock" checked> Keep proportions</label>
+          <button type="button" class="btn btn-apply" id="btn-apply-target">Apply</button>
+        </div>
+        <div class="custom-scale fit-scale">
+          <button type="button" class="btn btn-secondary" id="btn-scale-to-fit">Scale to fit printer</button>
+          <label>Margin <input type="number" id="fit-margin" class="scale-small" step="1" min="0" value="5"> mm</label>
+        </div>
+        <details class="axis-scale">
+          <summary>Per-axis factors (shrink compensation)</summary>
+          <div class="custom-scale">
+            ${['x', 'y', 'z'].map(a => `<label>${a.toUpperCase()} <input type="number" id="axis-scale-${a}" class="scale-small" step="0.001" min="0" value="1"></label>`).join('')}
+            <button type="button" class="btn btn-apply" id="btn-apply-axis-scale">Apply</button>
+          </div>
+        </details>
+        <p class="scale-preview hidden" id="scale-preview"></p>
+        <div class="placement-controls">
+          <label>Position <select id="placement-mode" class="cam-select">
+            <option value="none" selected>As modeled</option>
+            <option value="origin">Center at origin</option>
+            <option value="bed">Drop to bed (min Z = 0)</option>
+            <option value="printer">Center on printer bed</option>
+          </select></label>
+          <span class="placement-offset">
+            Offset (mm)
+            <input type="number" id="offset-x" step="any" value="0" aria-label="Offset X">
+            <input type="number" id="offset-y" step="any" value="0" aria-label="Offset Y">
+            <input type="number" id="offset-z" step="any" value="0" aria-label="Offset Z">
+          </span>
+        </div>
+        <label class="center-toggle hidden" id="export-bodies-toggle">
+          <input type="checkbox" id="export-bodies" value="1">
+          <span>Keep bodies separate (ASCII STL solids, 3MF and OBJ objects)</span>
         </label>
+        <div class="export-format">
+          <label>Format <select id="export-format" class="cam-select">
+            <option value="binary" selected>Binary STL</option>
+            <option value="ascii">ASCII STL</option>
+            <option value="3mf">3MF (millimeters)</option>
+            <option value="obj">Wavefront OBJ</option>
+            <option value="glb">glTF binary (GLB)</option>
+          </select></label>
+          <span class="export-ascii-options hidden" id="export-ascii-options">
+            <label>Solid name <input type="text" id="export-solid-name"></label>
+            <label>Decimals <input type="number" id="export-precision" value="6" min="1" max="9" step="1"></label>
+          </span>
+          <label class="export-3mf-options hidden" id="export-3mf-options">
+            <input type="checkbox" id="export-thumbnail" checked> Include preview thumbnail
+          </label>
+          <label class="export-obj-options hidden" id="export-obj-options">
+            <input type="checkbox" id="export-normals"> Include normals
+          </label>
+          <label class="export-glb-options hidden" id="export-glb-options">
+            <input type="checkbox" id="export-overhang-colors"> Color overhangs
+          </label>
+          <label>
+            <input type="checkbox" id="export-manifest"> JSON manifest
+          </label>
+        </div>
         <div class="actions">
           <button type="button" class="btn btn-secondary" id="btn-reset">Reset to original</button>
           <button type="button" class="btn btn-secondary" id="btn-fit-view">Fit view</button>
@@ -231,7 +399,19 @@ const UI = (function () {
 
     elements = {
       dropzone,
+      loadProgress,
+      loadProgressFill: document.getElementById('load-progress-fill'),
+      loadProgressText: document.getElementById('load-progress-text'),
+      btnCancelLoad: document.getElementById('btn-cancel-load'),
+      recoverMode: document.getElementById('recover-mode'),
       message,
+      diagnostics,
+      batchCard,
+      batchCount: document.getElementById('batch-count'),
+      batchTable: document.getElementById('batch-table'),
+      btnBatchFixUnits: document.getElementById('btn-batch-fix-units'),
+      btnBatchDownload: document.getElementById('btn-batch-download'),
+      btnBatchClear: document.getElementById('btn-batch-clear'),
       cards,
       modelStats: document.getElementById('model-stats'),
       sizeSanity: document.getElementById('size-sanity'),
@@ -243,12 +423,38 @@ const UI = (function () {
       fitResult: document.getElementById('fit-result'),
       modelCheckStats: document.getElementById('model-check-stats'),
       modelCheckWarnings: document.getElementById('model-check-warnings'),
+      highlightDefectsToggle: document.getElementById('highlight-defects-toggle'),
+      highlightDefects: document.getElementById('highlight-defects'),
+      nozzleDiameter: document.getElementById('nozzle-diameter'),
+      thicknessBtn: document.getElementById('thickness-btn'),
+      thicknessHeatmapToggle: document.getElementById('thickness-heatmap-toggle'),
+      thicknessHeatmap: document.getElementById('thickness-heatmap'),
+      meshRepair: document.getElementById('mesh-repair'),
+      repairMaxHole: document.getElementById('repair-max-hole'),
+      repairBtn: document.getElementById('repair-btn'),
+      repairUndoBtn: document.getElementById('repair-undo-btn'),
+      repairSummary: document.getElementById('mesh-repair-summary'),
       previewContainer: document.getElementById('preview-container'),
       btnChoose: document.getElementById('btn-choose'),
       fileInput: document.getElementById('file-input'),
       btnInchToMm: document.getElementById('btn-inch-to-mm'),
       btnMmToInch: document.getElementById('btn-mm-to-inch'),
       customFactor: document.getElementById('custom-factor'),
+      customPercent: document.getElementById('custom-percent'),
+      targetAxis: document.getElementById('target-axis'),
+      targetSize: document.getElementById('target-size'),
+      targetUnit: document.getElementById('target-unit'),
+      targetLock: document.getElementById('target-lock'),
+      btnApplyTarget: document.getElementById('btn-apply-target'),
+      btnScaleToFit: document.getElementById('btn-scale-to-fit'),
+      fitMargin: document.getElementById('fit-margin'),
+      axisScale: {
+        x: document.getElementById('axis-scale-x'),
+        y: document.getElementById('axis-scale-y'),
+        z: document.getElementById('axis-scale-z')
+      },
+      btnApplyAxisScale: document.getElementById('btn-apply-axis-scale'),
+      scalePreview: document.getElementById('scale-preview'),
       btnApplyScale: document.getElementById('btn-apply-scale'),
       btnReset: document.getElementById('btn-reset'),
       btnFitView: document.getElementById('btn-fit-view'),
@@ -257,7 +463,25 @@ const UI = (function () {
       suggestionText: document.getElementById('suggestion-text'),
       btnSuggestionApply: document.getElementById('btn-suggestion-apply'),
       suggestionDismiss: document.getElementById('suggestion-dismiss'),
-      centerModel: document.getElementById('center-model'),
+      placementMode: document.getElementById('placement-mode'),
+      placementOffset: {
+        x: document.getElementById('offset-x'),
+        y: document.getElementById('offset-y'),
+        z: document.getElementById('offset-z')
+      },
+      exportBodiesToggle: document.getElementById('export-bodies-toggle'),
+      exportBodies: document.getElementById('export-bodies'),
+      exportFormat: document.getElementById('export-format'),
+      exportAsciiOptions: document.getElementById('export-ascii-options'),
+      exportSolidName: document.getElementById('export-solid-name'),
+      exportPrecision: document.getElementById('export-precision'),
+      export3mfOptions: document.getElementById('export-3mf-options'),
+      exportThumbnail: document.getElementById('export-thumbnail'),
+      exportObjOptions: document.getElementById('export-obj-options'),
+      exportNormals: document.getElementById('export-normals'),
+      exportGlbOptions: document.getElementById('export-glb-options'),
+      exportOverhangColors: document.getElementById('export-overhang-colors'),
+      exportManifest: document.getElementById('export-manifest'),
       unitMm: document.querySelector('input[name="display-unit"][value="mm"]'),
       unitInch: document.querySelector('input[name="display-unit"][value="inch"]'),
       bboxToggle: document.getElementById('bboxToggle'),
@@ -270,6 +494,32 @@ const UI = (function () {
       rotZPlus: document.getElementById('rot-z-plus'),
       rotZMinus: document.getElementById('rot-z-minus'),
       btnResetOrient: document.getElementById('btn-reset-orient'),
+      mirror: {
+        x: document.getElementById('mirror-x'),
+        y: document.getElementById('mirror-y'),
+        z: document.getElementById('mirror-z')
+      },
+      mirrorStatus: document.getElementById('mirror-status'),
+      rotAngle: {
+        x: document.getElementById('rot-angle-x'),
+        y: document.getElementById('rot-angle-y'),
+        z: document.getElementById('rot-angle-z')
+      },
+      rotAngleRange: {
+        x: document.getElementById('rot-angle-x-range'),
+        y: document.getElementById('rot-angle-y-range'),
+        z: document.getElementById('rot-angle-z-range')
+      },
+      alignDirection: document.getElementById('align-direction'),
+      alignCustom: document.getElementById('align-custom'),
+      alignX: document.getElementById('align-x'),
+      alignY: document.getElementById('align-y'),
+      alignZ: document.getElementById('align-z'),
+      btnAlignDown: document.getElementById('btn-align-down'),
+      btnLayFlat: document.getElementById('btn-lay-flat'),
+      layFlatHint: document.getElementById('lay-flat-hint'),
+      btnAutoOrient: document.getElementById('btn-auto-orient'),
+      autoOrientResults: document.getElementById('auto-orient-results'),
       camMaterial: document.getElementById('cam-material'),
       camCustomDensity: document.getElementById('cam-custom-density'),
       camDensity: document.getElementById('cam-density'),
@@ -288,6 +538,44 @@ const UI = (function () {
       camOverhang: document.getElementById('cam-overhang')
     };
 
+    elements.exportFormat.addEventListener('change', function () {
+      const format = elements.exportFormat.value;
+      elements.exportAsciiOptions.classList.toggle('hidden', format !== 'ascii');
+      elements.export3mfOptions.classList.toggle('hidden', format !== '3mf');
+      elements.exportObjOptions.classList.toggle('hidden', format !== 'obj');
+      elements.exportGlbOptions.classList.toggle('hidden', format !== 'glb');
+    });
+
+    // Slider and number box show the same angle; main.js listens to both and reads the number box.
+    ['x', 'y', 'z'].forEach(function (axis) {
+      const number = elements.rotAngle[axis];
+      const range = elements.rotAngleRange[axis];
+      range.addEventListener('input', function () { number.value = range.value; });
+      number.addEventListener('input', function () { range.value = number.value; });
+    });
+
+    // Factor and percent show the same scale; main.js reads the factor box.
+    elements.customFactor.addEventListener('input', function () {
+      const v = parseFloat(elements.customFactor.value.replace(',', '.'));
+      if (isFinite(v)) elements.customPercent.value = String(Math.round(v * 1e6) / 1e4);
+    });
+    elements.customPercent.addEventListener('input', function () {
+      const v = parseFloat(elements.customPercent.value.replace(',', '.'));
+      if (isFinite(v)) elements.customFactor.value = String(v / 100);
+    });
+
+    elements.alignDirection.addEventListener('change', function () {
+      elements.alignCustom.classList.toggle('hidden', elements.alignDirection.value !== 'custom');
+    });
+
+    elements.batchTable.addEventListener('click', function (e) {
+      const th = e.target.closest('th[data-sort]');
+      if (!th || !lastBatch) return;
+      const key = th.dataset.sort;
+      batchSort = { key, dir: batchSort.key === key ? -batchSort.dir : 1 };
+      renderBatch(lastBatch.items, lastBatch.displayUnit);
+    });
+
     if (elements.camMaterial) {
       elements.camMaterial.addEventListener('change', function () {
         const isCustom = elements.camMaterial.value === 'custom';
@@ -329,6 +617,165 @@ const UI = (function () {
     }
   }
 
+  /**
+   * Show parse progress below the dropzone.
+   * @param {number} fraction - 0–1
+   * @param {string} filename
+   */
+  function showLoadProgress(fraction, filename) {
+    const el = elements.loadProgress;
+    if (!el) return;
+    const pct = Math.round(Math.max(0, Math.min(1, fraction)) * 100);
+    elements.loadProgressFill.style.width = pct + '%';
+    elements.loadProgressText.textContent = 'Loading ' + (filename || 'file') + '… ' + pct + '%';
+    el.classList.remove('hidden');
+  }
+
+  function hideLoadProgress() {
+    if (elements.loadProgress) elements.loadProgress.classList.add('hidden');
+  }
+
+  /**
+   * List parser diagnostics (see STLParser) below the message.
+   * @param {Object[]} diagnostics - { code, severity, message, count, line?, byteOffset? }
+   * @param {{ recovered?: boolean, failed?: boolean, recoverable?: boolean }} [context]
+   */
+  function showDiagnostics(diagnostics, context) {
+    const el = elements.diagnostics;
+    if (!el) return;
+    const ctx = context || {};
+    let title = 'The file loaded with warnings:';
+    if (ctx.failed) title = 'Problems found in the file:';
+    else if (ctx.recovered) title = 'Recovery mode repaired the file while loading:';
+
+    const items = diagnostics.map(function (d) {
+      const where = d.line != null ? ' (first at line ' + d.line.toLocaleString() + ')'
+        : d.byteOffset != null ? ' (at byte ' + d.byteOffset.toLocaleString() + ')' : '';
+      const times = d.count > 1 ? ' ×' + d.count.toLocaleString() : '';
+      return '<li class="diagnostic-' + d.severity + '">' + escapeHtml(d.message) + times + where + '</li>';
+    }).join('');
+    const hint = ctx.failed && ctx.recoverable
+      ? '<p class="diagnostics-hint">Turn on recovery mode and load the file again to keep every complete triangle.</p>'
+      : '';
+
+    el.innerHTML = '<p class="diagnostics-title">' + title + '</p><ul>' + items + '</ul>' + hint;
+    el.classList.remove('hidden');
+  }
+
+  function hideDiagnostics() {
+    if (elements.diagnostics) elements.diagnostics.classList.add('hidden');
+  }
+
+  function getRecoverMode() {
+    return elements.recoverMode ? elements.recoverMode.checked : false;
+  }
+
+  const BATCH_COLUMNS = [
+    { key: 'name', label: 'File' },
+    { key: 'size', label: 'Size (X × Y × Z)' },
+    { key: 'fit', label: 'Fit' },
+    { key: 'volume', label: 'Volume' },
+    { key: 'mass', label: 'Mass' },
+    { key: 'cost', label: 'Cost' },
+    { key: 'time', label: 'Time' },
+    { key: 'overhang', label: 'Overhang' },
+    { key: 'warnings', label: 'Warnings' }
+  ];
+  const FIT_ORDER = { fit: 0, near: 1, exceed: 2 };
+  const BAND_ORDER = { low: 0, medium: 1, high: 2 };
+
+  function batchSortValue(item, key) {
+    if (key === 'name') return item.name.toLowerCase();
+    if (item.status !== 'done') return null;
+    switch (key) {
+      case 'size': return Math.max(item.bbox.x, item.bbox.y, item.bbox.z);
+      case 'fit': return FIT_ORDER[item.fit.status];
+      case 'volume': return item.volumeMm3;
+      case 'mass': return item.estimates ? item.estimates.mass_g : null;
+      case 'cost': return item.estimates ? item.estimates.cost : null;
+      case 'time': return item.estimates ? item.estimates.time_h : null;
+      case 'overhang': return item.estimates ? BAND_ORDER[item.estimates.overhang.band] : null;
+      default: return item.warnings.length;
+    }
+  }
+
+  /**
+   * Batch table. Rows without a value for the sort column (pending, failed) sort last.
+   * @param {Object[]} items - { id, name, status: 'pending'|'done'|'error', error, scaleFactor, unitPreset,
+   *   bbox: {x,y,z}, fit, volumeMm3, estimates, warnings: string[] }
+   * @param {'mm'|'inch'} displayUnit
+   */
+  function renderBatch(items, displayUnit) {
+    lastBatch = { items, displayUnit };
+    const table = elements.batchTable;
+    if (!table) return;
+    const fmt = displayUnit === 'inch'
+      ? (v) => (v / 25.4).toFixed(3)
+      : (v) => v.toFixed(2);
+    const suffix = displayUnit === 'inch' ? ' in' : ' mm';
+    const fitLabels = { fit: '✓ Fits', near: '⚠ Near limit', exceed: '✗ Exceeds' };
+
+    const sorted = items.slice().sort(function (a, b) {
+      const va = batchSortValue(a, batchSort.key);
+      const vb = batchSortValue(b, batchSort.key);
+      if (va === vb) return 0;
+      if (va === null) return 1;
+      if (vb === null) return -1;
+      return (va < vb ? -1 : 1) * batchSort.dir;
+    });
+
+    const head = BATCH_COLUMNS.map(function (c) {
+      const arrow = batchSort.key === c.key ? (batchSort.dir > 0 ? ' ▲' : ' ▼') : '';
+      return `<th data-sort="${c.key}">${c.label}${arrow}</th>`;
+    }).join('') + '<th></th>';
+
+    const rows = sorted.map(function (item) {
+      const name = escapeHtml(item.name) + (item.scaleFactor !== 1 ? ` <span class="batch-scale">×${+item.scaleFactor.toFixed(4)}</span>` : '');
+      if (item.status === 'pending') {
+        return `<tr class="batch-pending"><td>${name}</td><td colspan="${BATCH_COLUMNS.length}">Waiting…</td></tr>`;
+      }
+      if (item.status === 'error') {
+        return `<tr class="batch-error"><td>${name}</td><td colspan="${BATCH_COLUMNS.length}">${escapeHtml(item.error)}</td></tr>`;
+      }
+      const e = item.estimates;
+      // Volume-based cells of an open or inside-out mesh, as the Pre-Slicer card flags them.
+      const estimate = item.unreliable
+        ? ' class="batch-unreliable" title="Unreliable: the mesh is open, inside out or inconsistently wound"'
+        : '';
+      return `
+          <tr>
+            <td>${name}</td>
+            <td>${fmt(item.bbox.x)} × ${fmt(item.bbox.y)} × ${fmt(item.bbox.z)}${suffix}</td>
+            <td class="fit-${item.fit.status}">${fitLabels[item.fit.status]}</td>
+            <td${estimate}>${(item.volumeMm3 / 1000).toFixed(2)} cm³</td>
+            <td${estimate}>${e ? e.mass_g.toFixed(1) + ' g' : '—'}</td>
+            <td${estimate}>${e ? '$' + e.cost.toFixed(2) : '—'}</td>
+            <td${estimate}>${e ? e.time_h.toFixed(1) + ' h' : '—'}</td>
+            <td>${e ? e.overhang.band : '—'}</td>
+            <td>${item.warnings.map(w => `<div>${escapeHtml(w)}</div>`).join('')}</td>
+            <td><button type="button" class="btn btn-secondary btn-small" data-batch-open="${item.id}">Open</button></td>
+          </tr>`;
+    }).join('');
+
+    table.innerHTML = `<thead><tr>${head}</tr></thead><tbody>${rows}</tbody>`;
+
+    const done = items.filter(i => i.status === 'done');
+    const suspicious = done.filter(i => i.unitPreset === 'inch_to_mm').length;
+    elements.batchCount.textContent = '(' + done.length + ' of ' + items.length + ' analyzed)';
+    elements.btnBatchFixUnits.textContent = 'Apply ×25.4 to suspicious (' + suspicious + ')';
+    elements.btnBatchFixUnits.disabled = suspicious === 0;
+    elements.btnBatchDownload.disabled = done.length === 0;
+  }
+
+  function showBatch() {
+    if (elements.batchCard) elements.batchCard.classList.remove('hidden');
+  }
+
+  function hideBatch() {
+    lastBatch = null;
+    if (elements.batchCard) elements.batchCard.classList.add('hidden');
+  }
+
   function showCards() {
     if (elements.cards) elements.cards.classList.remove('hidden');
   }
@@ -337,6 +784,9 @@ const UI = (function () {
     if (elements.cards) elements.cards.classList.add('hidden');
   }
 
+  /** Shell rows listed in Model Info; the rest stay enabled and are summarised. */
+  const MAX_SHELL_ROWS = 100;
+
   function renderModelStats(data) {
     const el = elements.modelStats;
     if (!el) return;
@@ -348,14 +798,59 @@ const UI = (function () {
     const fmt = displayUnit === 'inch' ? toInch : toMm;
     const suffix = displayUnit === 'inch' ? ' in' : ' mm';
     const sizeWarn = data.sizeWarning ? '<p class="size-warning">Large file; processing may be slow.</p>' : '';
+    const colorLabels = { viscam: 'Per-facet (VisCAM/SolidView)', materialise: 'Per-facet (Materialise)', vertex: 'Per-vertex (preview only)' };
+    const colorRow = data.colorFormat ? `<dt>Colors</dt><dd>${colorLabels[data.colorFormat]}</dd>` : '';
+
+    const bodies = data.bodies || [];
+    const bodyRows = bodies.map(b => `
+          <tr>
+            <td>${escapeHtml(b.name || '(unnamed)')}</td>
+            <td>${b.triangles.toLocaleString()}</td>
+            <td>${fmt(b.bbox.size.x)} × ${fmt(b.bbox.size.y)} × ${fmt(b.bbox.size.z)}${suffix}</td>
+            <td>${(b.volume / 1000).toFixed(2)} cm³</td>
+          </tr>`).join('');
+    const bodiesTable = bodies.length ? `
+      <table class="bodies-table">
+        <thead><tr><th>Body</th><th>Triangles</th><th>Size (X × Y × Z)</th><th>Volume</th></tr></thead>
+        <tbody>${bodyRows}</tbody>
+      </table>` : '';
+
+    const shells = data.shells || [];
+    const shellRows = shells.slice(0, MAX_SHELL_ROWS).map(s => `
+          <tr class="${s.enabled ? '' : 'shell-off'}">
+            <td><label><input type="checkbox" data-shell="${s.index}" ${s.enabled ? 'checked' : ''}> #${s.index + 1}</label></td>
+            <td>${s.triangles.toLocaleString()}</td>
+            <td>${fmt(s.bbox.size.x)} × ${fmt(s.bbox.size.y)} × ${fmt(s.bbox.size.z)}${suffix}</td>
+            <td>${(s.volume / 1000).toFixed(2)} cm³</td>
+          </tr>`).join('');
+    const hiddenShells = shells.filter(s => !s.enabled).length;
+    const shellsSection = shells.length ? `
+      <div class="shells">
+        <p class="shells-summary">${shells.length} disconnected shells${hiddenShells ? `, ${hiddenShells} excluded from fit, estimates and download` : ''}.</p>
+        <table class="bodies-table shells-table">
+          <thead><tr><th>Shell</th><th>Triangles</th><th>Size (X × Y × Z)</th><th>Volume</th></tr></thead>
+          <tbody>${shellRows}</tbody>
+        </table>
+        ${shells.length > MAX_SHELL_ROWS ? `<p class="shells-summary">${shells.length - MAX_SHELL_ROWS} smaller shells not listed.</p>` : ''}
+        <div class="shells-actions">
+          <button type="button" class="btn btn-secondary btn-small" data-shells-action="show-all"${hiddenShells ? '' : ' disabled'}>Enable all</button>
+          <button type="button" class="btn btn-secondary btn-small" data-shells-action="download">Download enabled shells (ZIP)</button>
+        </div>
+      </div>` : '';
 
     el.innerHTML = `
       <dl class="stat-list">
-        <dt>Format</dt><dd>${data.format === 'ascii' ? 'ASCII' : 'Binary'}</dd>
+        <dt>Format</dt><dd>${FORMAT_LABELS[data.format] || 'Binary'}</dd>
         <dt>File size</dt><dd>${formatBytes(data.fileSizeBytes)}</dd>
         <dt>Triangles</dt><dd>${data.triangleCount.toLocaleString()}</dd>
+        ${data.vertexCount != null ? `<dt>Vertices (welded)</dt><dd>${data.vertexCount.toLocaleString()}</dd>` : ''}
         <dt>Bounding box (X × Y × Z)</dt><dd>${fmt(bbox.size.x)} × ${fmt(bbox.size.y)} × ${fmt(bbox.size.z)}${suffix}</dd>
+        ${colorRow}
+        ${bodies.length ? `<dt>Bodies</dt><dd>${bodies.length}</dd>` : ''}
+        ${shells.length ? `<dt>Shells</dt><dd>${shells.length}</dd>` : ''}
       </dl>
+      ${bodiesTable}
+      ${shellsSection}
       ${sizeWarn}
     `;
   }
@@ -410,6 +905,68 @@ const UI = (function () {
   function setCustomFactor(value) {
     const input = elements.customFactor;
     if (input) input.value = String(value);
+    if (elements.customPercent) elements.customPercent.value = String(Math.round(value * 1e6) / 1e4);
+  }
+
+  /**
+   * "Target size" row, converted to mm.
+   * @returns {{ axis: 'x'|'y'|'z', sizeMm: number, lock: boolean }|null} null when the size is not a positive number
+   */
+  function getTargetSize() {
+    const v = parseFloat((elements.targetSize?.value || '').trim().replace(',', '.'));
+    if (!(v > 0) || !isFinite(v)) return null;
+    return {
+      axis: elements.targetAxis?.value || 'x',
+      sizeMm: getDisplayUnit() === 'inch' ? v * 25.4 : v,
+      lock: elements.targetLock ? elements.targetLock.checked : true
+    };
+  }
+
+  function setTargetUnit(unit) {
+    if (elements.targetUnit) elements.targetUnit.textContent = unit === 'inch' ? 'in' : 'mm';
+  }
+
+  function getFitMargin() {
+    const v = parseFloat(elements.fitMargin?.value);
+    return v >= 0 ? v : 0;
+  }
+
+  /**
+   * Per-axis factors as typed (invalid or non-positive entries read as 1).
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  function getAxisScale() {
+    const out = { x: 1, y: 1, z: 1 };
+    ['x', 'y', 'z'].forEach(function (axis) {
+      const v = parseFloat((elements.axisScale?.[axis]?.value || '').replace(',', '.'));
+      if (v > 0 && isFinite(v)) out[axis] = v;
+    });
+    return out;
+  }
+
+  function setAxisScale(factors) {
+    ['x', 'y', 'z'].forEach(function (axis) {
+      const input = elements.axisScale?.[axis];
+      if (input) input.value = String(factors[axis]);
+    });
+  }
+
+  /**
+   * Dimensions the typed scale would give, shown while editing; null hides the line.
+   * @param {{ x, y, z }|null} sizeMm
+   * @param {string} [displayUnit]
+   */
+  function setScalePreview(sizeMm, displayUnit) {
+    const el = elements.scalePreview;
+    if (!el) return;
+    if (!sizeMm) {
+      el.classList.add('hidden');
+      return;
+    }
+    const inch = displayUnit === 'inch';
+    const fmt = (v) => (inch ? v / 25.4 : v).toFixed(inch ? 3 : 1);
+    el.textContent = 'Result: ' + fmt(sizeMm.x) + ' × ' + fmt(sizeMm.y) + ' × ' + fmt(sizeMm.z) + (inch ? ' in' : ' mm');
+    el.classList.remove('hidden');
   }
 
   function updateSuggestionBanner(maxDim) {
@@ -423,28 +980,30 @@ const UI = (function () {
       return;
     }
 
-    const suspicious = maxDim < 2 || maxDim > 2000;
-    const maxIfInches = maxDim * 25.4;
-    const maxIfMm = maxDim / 25.4;
-    const inRange = (v) => v >= 10 && v <= 400;
-
-    let show = false;
-    let preset = null;
-    if (suspicious && inRange(maxIfInches)) {
+    const preset = suggestUnitPreset(maxDim);
+    if (preset === 'inch_to_mm') {
       text.textContent = 'This model\'s size looks unusual. It may be an inch/mm mismatch. Try Inch → mm (×25.4).';
       applyBtn.textContent = 'Apply ×25.4';
       applyBtn.dataset.action = 'inch-to-mm';
-      show = true;
-      preset = 'inch_to_mm';
-    } else if (suspicious && inRange(maxIfMm)) {
+    } else if (preset === 'mm_to_inch') {
       text.textContent = 'This model\'s size looks unusual. It may be an inch/mm mismatch. Try mm → Inch (÷25.4).';
       applyBtn.textContent = 'Apply ÷25.4';
       applyBtn.dataset.action = 'mm-to-inch';
-      show = true;
-      preset = 'mm_to_inch';
     }
-    banner.classList.toggle('hidden', !show);
-    return show ? preset : null;
+    banner.classList.toggle('hidden', !preset);
+    return preset;
+  }
+
+  /**
+   * Unit-mismatch guess from the largest dimension (mm): 'inch_to_mm', 'mm_to_inch' or null.
+   * A size is suspicious below 2 mm or above 2 m when the converted size lands in 10–400 mm.
+   */
+  function suggestUnitPreset(maxDim) {
+    const suspicious = maxDim < 2 || maxDim > 2000;
+    const inRange = (v) => v >= 10 && v <= 400;
+    if (suspicious && inRange(maxDim * 25.4)) return 'inch_to_mm';
+    if (suspicious && inRange(maxDim / 25.4)) return 'mm_to_inch';
+    return null;
   }
 
   function resetBannerOnLoad() {
@@ -497,6 +1056,9 @@ const UI = (function () {
       statsEl.textContent = 'Load an STL to see model check.';
       warningsEl.classList.add('hidden');
       warningsEl.innerHTML = '';
+      elements.highlightDefectsToggle?.classList.add('hidden');
+      elements.thicknessHeatmapToggle?.classList.add('hidden');
+      elements.meshRepair?.classList.add('hidden');
       return;
     }
 
@@ -505,13 +1067,28 @@ const UI = (function () {
     const fmt = (v) => (v != null ? (u === 'inch' ? (v / 25.4).toFixed(3) : Number(v).toFixed(2)) : '—');
     const b = modelInfo.bboxInDisplayUnits || (modelInfo.bbox ? { x: modelInfo.bbox.x, y: modelInfo.bbox.y, z: modelInfo.bbox.z } : null);
     const volStr = modelInfo.volume != null ? (modelInfo.volume / 1000).toFixed(2) + ' cm³' : '—';
+    const integrity = modelInfo.integrity;
+    let meshStr = '';
+    if (integrity) {
+      meshStr = integrity.clean ? 'Watertight, no defects'
+        : integrity.watertight ? '<span class="mesh-defects">Watertight, with defects</span>'
+        : '<span class="mesh-defects">Not watertight</span>';
+    }
+    elements.highlightDefectsToggle?.classList.toggle('hidden', !integrity || integrity.clean);
+    elements.meshRepair?.classList.toggle('hidden', !integrity || (integrity.clean && !modelInfo.repaired));
+    elements.thicknessHeatmapToggle?.classList.toggle('hidden', !modelInfo.thickness);
+    const massOpen = !!statsEl.querySelector('.mass-details')?.open;
 
     statsEl.innerHTML = `
       <dl class="stat-list model-check-list">
         <dt>Dimensions (X × Y × Z)</dt><dd>${fmt(b?.x)} × ${fmt(b?.y)} × ${fmt(b?.z)}${suffix}</dd>
         <dt>Triangles</dt><dd>${(modelInfo.triangles || 0).toLocaleString()}</dd>
         <dt>Volume</dt><dd>${volStr}</dd>
+        ${massRows(modelInfo.mass, u)}
+        ${thicknessRow(modelInfo.thickness, u)}
+        ${meshStr ? `<dt>Mesh</dt><dd>${meshStr}</dd>` : ''}
       </dl>
+      ${massDetails(modelInfo.mass, u, massOpen)}
     `;
 
     const warnings = modelInfo.warnings || [];
@@ -524,14 +1101,289 @@ const UI = (function () {
     }
   }
 
-  function getCenterModel() {
-    const cb = elements.centerModel;
-    return cb ? cb.checked : false;
+  /** Model Check rows for surface area, center of mass and weight. */
+  function massRows(mass, unit) {
+    if (!mass) return '';
+    const inch = unit === 'inch';
+    const len = (v) => (inch ? (v / 25.4).toFixed(3) : v.toFixed(2));
+    const area = inch ? (mass.areaMm2 / 645.16).toFixed(2) + ' in²' : (mass.areaMm2 / 100).toFixed(2) + ' cm²';
+    const c = mass.centroid;
+    const material = mass.material === 'custom' ? mass.density + ' g/cm³' : mass.material.toUpperCase();
+    return `
+        <dt>Surface area</dt><dd>${area}</dd>
+        ${c ? `<dt>Center of mass</dt><dd>${len(c.x)}, ${len(c.y)}, ${len(c.z)}${inch ? ' in' : ' mm'}</dd>` : ''}
+        ${mass.printedMassG != null ? `<dt>Weight (${escapeHtml(material)})</dt><dd>~${mass.printedMassG.toFixed(1)} g printed at ${mass.infill}% infill · ${mass.solidMassG.toFixed(1)} g solid</dd>` : ''}`;
+  }
+
+  /** Model Check row for the last wall-thickness check: thinnest wall and the area of thin walls. */
+  function thicknessRow(thickness, unit) {
+    if (!thickness) return '';
+    const inch = unit === 'inch';
+    const len = (v) => (inch ? (v / 25.4).toFixed(3) + ' in' : v.toFixed(2) + ' mm');
+    const area = (v) => (inch ? (v / 645.16).toFixed(2) + ' in²' : (v / 100).toFixed(2) + ' cm²');
+    const caveat = thickness.unreliable
+      ? '<span class="mesh-defects">Unreliable: the mesh is open, inside out or inconsistently wound.</span> '
+      : '';
+    if (thickness.minMm == null) return '<dt>Wall thickness</dt><dd>' + caveat + 'No closed walls found</dd>';
+    const perimeters = Math.round(thickness.limitMm / thickness.nozzleMm);
+    const below = area(thickness.belowLimitAreaMm2) + ' below ' + len(thickness.limitMm);
+    return `
+        <dt>Wall thickness</dt><dd>${caveat}min ${len(thickness.minMm)} · ${thickness.belowLimitAreaMm2 > 0 && !caveat ? '<span class="mesh-defects">' + below + '</span>' : below} (${perimeters} perimeters) · ${area(thickness.belowNozzleAreaMm2)} below the ${len(thickness.nozzleMm)} nozzle</dd>`;
+  }
+
+  /** Collapsible inertia tensor and principal axes (solid part, about the center of mass). */
+  function massDetails(mass, unit, open) {
+    if (!mass || !mass.inertia) return '';
+    const inch = unit === 'inch';
+    const unitLabel = inch ? 'g·in²' : 'g·mm²';
+    const num = (v) => {
+      const x = inch ? v / 645.16 : v;
+      if (x === 0) return '0';
+      return Math.abs(x) >= 1e7 || Math.abs(x) < 0.01 ? x.toExponential(3) : Number(x.toPrecision(5)).toLocaleString('en-US');
+    };
+    const I = mass.inertia;
+    const tensor = [0, 1, 2].map(r => '<tr>' + [0, 1, 2].map(k => '<td>' + num(I[r * 3 + k]) + '</td>').join('') + '</tr>').join('');
+    const axes = mass.principal.moments.map((m, i) => {
+      const a = mass.principal.axes[i].map(v => (Math.round(v * 1000) / 1000 || 0).toFixed(3)).join(', ');
+      return `<dt>I${i + 1}</dt><dd>${num(m)} ${unitLabel} about (${a})</dd>`;
+    }).join('');
+    return `
+      <details class="mass-details"${open ? ' open' : ''}>
+        <summary>Inertia (solid, about center of mass, ${unitLabel})</summary>
+        <table class="inertia-table">${tensor}</table>
+        <dl class="stat-list">${axes}</dl>
+      </details>`;
+  }
+
+  /** Defect counts shown in the repair before/after table. */
+  const REPAIR_ROWS = [
+    ['boundaryEdges', 'Open edges'],
+    ['holes', 'Holes'],
+    ['nonManifoldEdges', 'Non-manifold edges'],
+    ['nonManifoldVertices', 'Non-manifold vertices'],
+    ['inconsistentEdges', 'Inconsistent edges'],
+    ['invertedShells', 'Inside-out shells'],
+    ['degenerateTriangles', 'Degenerate triangles'],
+    ['duplicateTriangles', 'Duplicate triangles']
+  ];
+
+  /**
+   * Before/after table and change list for the last repair, or hide it.
+   * @param {{ summary: Object, before: Object, after: Object, changes: string[] }|null} repair
+   */
+  function renderRepairSummary(repair) {
+    const el = elements.repairSummary;
+    if (!el) return;
+    elements.repairBtn?.classList.toggle('hidden', !!repair);
+    elements.repairUndoBtn?.classList.toggle('hidden', !repair);
+    if (!repair) {
+      el.classList.add('hidden');
+      el.innerHTML = '';
+      return;
+    }
+    const { summary, before, after, changes } = repair;
+    const row = (label, a, b) => `<tr${a !== b ? ' class="repair-changed"' : ''}><td>${label}</td><td>${a.toLocaleString()}</td><td>${b.toLocaleString()}</td></tr>`;
+    const rows = [row('Triangles', summary.trianglesBefore, summary.trianglesAfter)]
+      .concat(REPAIR_ROWS.filter(([key]) => before[key] || after[key]).map(([key, label]) => row(label, before[key], after[key])))
+      .join('');
+    el.classList.remove('hidden');
+    el.innerHTML = `
+      <table class="bodies-table repair-table">
+        <thead><tr><th></th><th>Before</th><th>After</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <ul class="model-check-warnings">${(changes.length ? changes : ['Nothing to repair.']).map(c => '<li>' + c + '</li>').join('')}</ul>
+    `;
+  }
+
+  /** @returns {{ maxHoleEdges: number }} */
+  function getRepairOptions() {
+    const n = parseInt(elements.repairMaxHole?.value, 10);
+    return { maxHoleEdges: n >= 3 ? n : window.MeshRepair.DEFAULT_MAX_HOLE_EDGES };
+  }
+
+  /**
+   * Orientation card angles in degrees (R = Rz * Ry * Rx); blank or invalid fields read as 0.
+   * @returns {{ x: number, y: number, z: number }}
+   */
+  function getRotationAngles() {
+    const read = (axis) => {
+      const v = parseFloat(elements.rotAngle[axis]?.value);
+      return isFinite(v) ? v : 0;
+    };
+    return { x: read('x'), y: read('y'), z: read('z') };
+  }
+
+  /** Show angles (e.g. after a 90° step or an align), rounded to 0.1°, without firing input events. */
+  function setRotationAngles(angles) {
+    ['x', 'y', 'z'].forEach(function (axis) {
+      const v = Math.round(angles[axis] * 10) / 10 || 0;
+      if (elements.rotAngle[axis]) elements.rotAngle[axis].value = v;
+      if (elements.rotAngleRange[axis]) elements.rotAngleRange[axis].value = v;
+    });
+  }
+
+  /**
+   * Show whether the model is mirrored (left/right-handed copy).
+   * @param {'x'|'y'|'z'|null} axis - source axis that is negated, or null
+   */
+  function setMirrorAxis(axis) {
+    const el = elements.mirrorStatus;
+    if (!el) return;
+    el.classList.toggle('hidden', !axis);
+    el.title = axis ? 'Source ' + axis.toUpperCase() + ' axis mirrored, then rotated' : '';
+  }
+
+  /**
+   * Direction picked for "Align to −Z", in current model coordinates.
+   * @returns {number[]|null} [x, y, z], or null when the custom direction is zero or invalid
+   */
+  function getAlignDirection() {
+    const sel = elements.alignDirection;
+    const parts = sel && sel.value !== 'custom'
+      ? sel.value.split(',')
+      : [elements.alignX?.value, elements.alignY?.value, elements.alignZ?.value];
+    const v = parts.map(p => parseFloat(p));
+    if (!v.every(isFinite) || (v[0] === 0 && v[1] === 0 && v[2] === 0)) return null;
+    return v;
+  }
+
+  const FIT_WORDS = { fit: 'fits', near: 'fits (near limit)', exceed: 'does not fit' };
+
+  /**
+   * Auto-orient results as clickable thumbnails, best first, or hide them.
+   * @param {{ score, zHeight, overhangPct, contactArea, fit, thumbnail: string|null }[]|null} candidates
+   * @param {string} displayUnit - 'mm'|'inch'
+   */
+  function renderOrientCandidates(candidates, displayUnit) {
+    const el = elements.autoOrientResults;
+    if (!el) return;
+    if (!candidates) {
+      el.classList.add('hidden');
+      el.innerHTML = '';
+      return;
+    }
+    const inch = displayUnit === 'inch';
+    const len = (mm) => (inch ? (mm / 25.4).toFixed(2) + ' in' : mm.toFixed(1) + ' mm');
+    const area = (mm2) => (inch ? (mm2 / 645.16).toFixed(2) + ' in²' : Math.round(mm2).toLocaleString() + ' mm²');
+    el.classList.remove('hidden');
+    el.innerHTML = candidates.length ? candidates.map((c, i) => `
+      <button type="button" class="orient-candidate" data-orient-candidate="${i}" title="Apply this orientation">
+        ${c.thumbnail ? `<img src="${c.thumbnail}" alt="Candidate ${i + 1}" width="128" height="128">` : ''}
+        <span class="orient-score">${i === 0 ? 'Best · ' : ''}Score ${c.score}</span>
+        <span class="orient-details">Z ${len(c.zHeight)} · overhang ${c.overhangPct.toFixed(1)}% · bed ${area(c.contactArea)}${c.fit ? ' · ' + FIT_WORDS[c.fit.status] : ''}</span>
+      </button>`).join('') : '<p class="orient-empty">No orientations found.</p>';
+  }
+
+  function setAutoOrientBusy(busy) {
+    const btn = elements.btnAutoOrient;
+    if (!btn) return;
+    btn.disabled = busy;
+    btn.textContent = busy ? 'Searching…' : 'Auto-orient';
+  }
+
+  function setLayFlatActive(active) {
+    const btn = elements.btnLayFlat;
+    if (!btn) return;
+    btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    btn.classList.toggle('active', active);
+    elements.layFlatHint?.classList.toggle('hidden', !active);
+  }
+
+  /**
+   * Nozzle diameter in mm. Out-of-range entries are clamped and blank or invalid ones reset to the
+   * default; the field is rewritten so it always shows the value the results use.
+   * @returns {number}
+   */
+  function getNozzleDiameter() {
+    const input = elements.nozzleDiameter;
+    const typed = parseFloat(input?.value);
+    const d = isFinite(typed) ? Math.min(NOZZLE_MAX, Math.max(NOZZLE_MIN, typed)) : NOZZLE_DEFAULT;
+    if (input && parseFloat(input.value) !== d) input.value = String(d);
+    return d;
+  }
+
+  function getThicknessHeatmap() {
+    return !!elements.thicknessHeatmap?.checked;
+  }
+
+  /**
+   * Wall-thickness button: while measuring it shows progress and cancels when clicked.
+   * @param {number|null} fraction - 0–1 while measuring, null when idle
+   */
+  function setThicknessProgress(fraction) {
+    const btn = elements.thicknessBtn;
+    if (!btn) return;
+    btn.textContent = fraction == null ? 'Check wall thickness' : 'Measuring… ' + Math.round(fraction * 100) + '% · Cancel';
+  }
+
+  function getHighlightDefects() {
+    return !!elements.highlightDefects?.checked;
+  }
+
+  /**
+   * Position controls in the Scale card.
+   * @returns {{ mode: string, offset: { x: number, y: number, z: number } }} mode: one of GEOMETRY.PLACEMENTS; offset in mm
+   */
+  function getPlacement() {
+    const sel = elements.placementMode;
+    const mode = sel && GEOMETRY.PLACEMENTS.includes(sel.value) ? sel.value : 'none';
+    const offset = { x: 0, y: 0, z: 0 };
+    ['x', 'y', 'z'].forEach(function (axis) {
+      const n = parseFloat(elements.placementOffset?.[axis]?.value);
+      offset[axis] = isFinite(n) ? n : 0;
+    });
+    return { mode, offset };
+  }
+
+  function setPlacement(placement) {
+    if (elements.placementMode) elements.placementMode.value = placement.mode;
+    ['x', 'y', 'z'].forEach(function (axis) {
+      const inp = elements.placementOffset?.[axis];
+      if (inp) inp.value = placement.offset[axis];
+    });
+  }
+
+  /**
+   * Show the "separate solids" export option only for multi-body models.
+   */
+  function setExportBodiesAvailable(available) {
+    if (!elements.exportBodiesToggle) return;
+    elements.exportBodiesToggle.classList.toggle('hidden', !available);
+    if (!available && elements.exportBodies) elements.exportBodies.checked = false;
+  }
+
+  const EXPORT_FORMATS = ['binary', 'ascii', '3mf', 'obj', 'glb'];
+
+  /**
+   * Download format and its options. solidName is '' when left at the default (original filename).
+   * @returns {{ format: 'binary'|'ascii'|'3mf'|'obj'|'glb', solidName: string, precision: number,
+   *   thumbnail: boolean, normals: boolean, overhangColors: boolean, manifest: boolean }}
+   */
+  function getExportOptions() {
+    const precision = parseInt(elements.exportPrecision?.value, 10);
+    const format = elements.exportFormat?.value;
+    return {
+      format: EXPORT_FORMATS.includes(format) ? format : 'binary',
+      solidName: (elements.exportSolidName?.value || '').trim(),
+      precision: precision >= 1 && precision <= 9 ? precision : 6,
+      thumbnail: !!elements.exportThumbnail?.checked,
+      normals: !!elements.exportNormals?.checked,
+      overhangColors: !!elements.exportOverhangColors?.checked,
+      manifest: !!elements.exportManifest?.checked
+    };
+  }
+
+  /** Show the default solid name (the loaded file's name) and clear any previous override. */
+  function setDefaultSolidName(name) {
+    if (!elements.exportSolidName) return;
+    elements.exportSolidName.value = '';
+    elements.exportSolidName.placeholder = name;
   }
 
-  function setCenterModel(checked) {
-    const cb = elements.centerModel;
-    if (cb) cb.checked = !!checked;
+  function getExportBodies() {
+    const cb = elements.exportBodies;
+    return cb ? cb.checked && !elements.exportBodiesToggle.classList.contains('hidden') : false;
   }
 
   function getDisplayUnit() {
@@ -629,6 +1481,7 @@ const UI = (function () {
       <div class="cam-output-line">Estimated material cost: ~$${cost.toFixed(2)}</div>
       <div class="cam-output-line">Rough print time: ~${time_h.toFixed(2)} h <span class="cam-rough">(coarse estimate)</span></div>
       <div class="cam-output-note">Rough estimates; final depends on slicer settings.</div>
+      ${data.unreliable ? '<div class="cam-output-unreliable">Mesh is not watertight, has inside-out shells or inconsistent winding, so volume, weight and cost are unreliable. See Model Check.</div>' : ''}
     `;
 
     if (footprintEl && footprint) {
@@ -657,6 +1510,11 @@ const UI = (function () {
     elements: () => elements,
     showMessage,
     hideMessage,
+    showLoadProgress,
+    hideLoadProgress,
+    showDiagnostics,
+    hideDiagnostics,
+    getRecoverMode,
     showCards,
     hideCards,
     renderModelStats,
@@ -665,12 +1523,39 @@ const UI = (function () {
     getCustomFactor,
     setCustomFactor,
     updateSuggestionBanner,
+    suggestUnitPreset,
     resetBannerOnLoad,
+    renderBatch,
+    showBatch,
+    hideBatch,
     getBuildVolume,
     updatePrinterFit,
     updateModelCheck,
-    getCenterModel,
-    setCenterModel,
+    getPlacement,
+    getTargetSize,
+    setTargetUnit,
+    getFitMargin,
+    getAxisScale,
+    setAxisScale,
+    setScalePreview,
+    getHighlightDefects,
+    getNozzleDiameter,
+    getThicknessHeatmap,
+    setThicknessProgress,
+    getRotationAngles,
+    setRotationAngles,
+    setMirrorAxis,
+    getAlignDirection,
+    renderOrientCandidates,
+    setAutoOrientBusy,
+    setLayFlatActive,
+    getRepairOptions,
+    renderRepairSummary,
+    setPlacement,
+    setExportBodiesAvailable,
+    getExportBodies,
+    getExportOptions,
+    setDefaultSolidName,
     getDisplayUnit,
     setDisplayUnit,
     getPreSlicerInputs,
@@ -0,0 +1,248 @@
+/**
+ * wallThickness.js — Local wall thickness by ray casting.
+ * From each face's centroid a ray goes inward (along the reversed normal); the distance to the first
+ * surface it meets is the wall thickness there. Rays are traced through a bounding volume hierarchy.
+ * Only meaningful for closed, outward-wound meshes. No DOM access: thicknessWorker.js and the Node CLI import it too.
+ */
+
+/** Default nozzle diameter, mm. */
+export const DEFAULT_NOZZLE_MM = 0.4;
+/** A wall needs this many perimeters (each about one nozzle wide) to print solid. */
+export const PERIMETERS = 2;
+
+/** Heatmap colors: below one nozzle, and the ends of the ramp up to PERIMETERS nozzles. */
+export const THICKNESS_PALETTE = {
+  belowNozzle: [220, 53, 69],
+  thin: [253, 126, 20],
+  nearLimit: [255, 193, 7]
+};
+
+/** Triangles per BVH leaf. */
+const LEAF_SIZE = 4;
+
+/**
+ * Bounding volume hierarchy over the triangles, in flat arrays. Nodes are split at the middle of
+ * their centroid bounds along the longest axis.
+ */
+function buildBvh(vertices, triCount) {
+  const centroids = new Float32Array(triCount * 3);
+  for (let t = 0; t < triCount; t++) {
+    const o = t * 9;
+    centroids[t * 3] = (vertices[o] + vertices[o + 3] + vertices[o + 6]) / 3;
+    centroids[t * 3 + 1] = (vertices[o + 1] + vertices[o + 4] + vertices[o + 7]) / 3;
+    centroids[t * 3 + 2] = (vertices[o + 2] + vertices[o + 5] + vertices[o + 8]) / 3;
+  }
+  const order = new Uint32Array(triCount);
+  for (let t = 0; t < triCount; t++) order[t] = t;
+
+  // Every leaf holds at least one triangle, so a binary tree needs fewer than 2n nodes.
+  const maxNodes = Math.max(1, 2 * triCount);
+  const boxes = new Float32Array(maxNodes * 6);
+  const left = new Int32Array(maxNodes); // first child (second is left + 1), or -1 for a leaf
+  const start = new Uint32Array(maxNodes);
+  const count = new Uint32Array(maxNodes);
+  let nodeCount = 1;
+
+  const stack = [[0, 0, triCount]];
+  while (stack.length) {
+    const [node, from, to] = stack.pop();
+    let minX = Infinity; let minY = Infinity; let minZ = Infinity;
+    let maxX = -Infinity; let maxY = -Infinity; let maxZ = -Infinity;
+    let cMinX = Infinity; let cMinY = Infinity; let cMinZ = Infinity;
+    let cMaxX = -Infinity; let cMaxY = -Infinity; let cMaxZ = -Infinity;
+    for (let i = from; i < to; i++) {
+      const t = order[i];
+      for (let k = 0; k < 9; k += 3) {
+        const x = vertices[t * 9 + k]; const y = vertices[t * 9 + k + 1]; const z = vertices[t * 9 + k + 2];
+        if (x < minX) minX = x; if (x > maxX) maxX = x;
+        if (y < minY) minY = y; if (y > maxY) maxY = y;
+        if (z < minZ) minZ = z; if (z > maxZ) maxZ = z;
+      }
+      const cx = centroids[t * 3]; const cy = centroids[t * 3 + 1]; const cz = centroids[t * 3 + 2];
+      if (cx < cMinX) cMinX = cx; if (cx > cMaxX) cMaxX = cx;
+      if (cy < cMinY) cMinY = cy; if (cy > cMaxY) cMaxY = cy;
+      if (cz < cMinZ) cMinZ = cz; if (cz > cMaxZ) cMaxZ = cz;
+    }
+    boxes.set([minX, minY, minZ, maxX, maxY, maxZ], node * 6);
+    start[node] = from;
+    count[node] = to - from;
+    left[node] = -1;
+    if (to - from <= LEAF_SIZE) continue;
+
+    const ex = cMaxX - cMinX; const ey = cMaxY - cMinY; const ez = cMaxZ - cMinZ;
+    const axis = ex >= ey && ex >= ez ? 0 : ey >= ez ? 1 : 2;
+    const split = axis === 0 ? (cMinX + cMaxX) / 2 : axis === 1 ? (cMinY + cMaxY) / 2 : (cMinZ + cMaxZ) / 2;
+    let i = from;
+    let j = to - 1;
+    while (i <= j) {
+      if (centroids[order[i] * 3 + axis] < split) {
+        i++;
+      } else {
+        const tmp = order[i]; order[i] = order[j]; order[j] = tmp;
+        j--;
+      }
+    }
+    // All centroids on one side (coincident): split the range in half instead.
+    const mid = i === from || i === to ? (from + to) >> 1 : i;
+    const child = nodeCount;
+    nodeCount += 2;
+    left[node] = child;
+    stack.push([child, from, mid], [child + 1, mid, to]);
+  }
+  return { boxes, left, start, count, order };
+}
+
+/**
+ * Distance along the ray to the nearest triangle other than `skip`, or Infinity.
+ * Möller–Trumbore, both sides of each triangle count.
+ */
+function traceRay(vertices, bvh, ox, oy, oz, dx, dy, dz, skip, minT) {
+  const { boxes, left, start, count, order } = bvh;
+  const ix = 1 / dx; const iy = 1 / dy; const iz = 1 / dz;
+  let best = Infinity;
+  const stack = [0];
+  while (stack.length) {
+    const node = stack.pop();
+    const b = node * 6;
+    // Slab test against the node box.
+    let t0 = (boxes[b] - ox) * ix; let t1 = (boxes[b + 3] - ox) * ix;
+    let tmin = Math.min(t0, t1); let tmax = Math.max(t0, t1);
+    t0 = (boxes[b + 1] - oy) * iy; t1 = (boxes[b + 4] - oy) * iy;
+    tmin = Math.max(tmin, Math.min(t0, t1)); tmax = Math.min(tmax, Math.max(t0, t1));
+    t0 = (boxes[b + 2] - oz) * iz; t1 = (boxes[b + 5] - oz) * iz;
+    tmin = Math.max(tmin, Math.min(t0, t1)); tmax = Math.min(tmax, Math.max(t0, t1));
+    if (tmax < Math.max(tmin, 0) || tmin > best) continue;
+
+    if (left[node] >= 0) {
+      stack.push(left[node], left[node] + 1);
+      continue;
+    }
+    for (let i = start[node]; i < start[node] + count[node]; i++) {
+      const t = order[i];
+      if (t === skip) continue;
+      const o = t * 9;
+      const e1x = vertices[o + 3] - vertices[o]; const e1y = vertices[o + 4] - vertices[o + 1]; const e1z = vertices[o + 5] - vertices[o + 2];
+      const e2x = vertices[o + 6] - vertices[o]; const e2y = vertices[o + 7] - vertices[o + 1]; const e2z = vertices[o + 8] - vertices[o + 2];
+      const px = dy * e2z - dz * e2y; const py = dz * e2x - dx * e2z; const pz = dx * e2y - dy * e2x;
+      const det = e1x * px + e1y * py + e1z * pz;
+      if (det > -1e-12 && det < 1e-12) continue;
+      const inv = 1 / det;
+      const sx = ox - vertices[o]; const sy = oy - vertices[o + 1]; const sz = oz - vertices[o + 2];
+      const u = (sx * px + sy * py + sz * pz) * inv;
+      if (u < 0 || u > 1) continue;
+      const qx = sy * e1z - sz * e1y; const qy = sz * e1x - sx * e1z; const qz = sx * e1y - sy * e1x;
+      const v = (dx * qx + dy * qy + dz * qz) * inv;
+      if (v < 0 || u + v > 1) continue;
+      const hit = (e2x * qx + e2y * qy + e2z * qz) * inv;
+      if (hit > minT && hit < best) best = hit;
+    }
+  }
+  return best;
+}
+
+/**
+ * Wall thickness at every face: distance from its centroid, inward along the reversed normal, to the
+ * next surface. Infinity where the ray escapes (open meshes) or the face has no area.
+ * @param {Float32Array} vertices - 9 floats per triangle, mm
+ * @param {number} triCount
+ * @param {{ onProgress?: (done: number, total: number) => void }} [options] - onProgress: about every 1% of the faces
+ * @returns {Float32Array} mm per triangle
+ */
+export function measureWallThickness(vertices, triCount, options) {
+  const onProgress = options && options.onProgress;
+  const out = new Float32Array(triCount).fill(Infinity);
+  if (!triCount) return out;
+  const progressStep = Math.max(1024, Math.ceil(triCount / 100));
+  const bvh = buildBvh(vertices, triCount);
+  const b = bvh.boxes;
+  // Hits closer than this are the ray leaving its own face (or a coplanar neighbour).
+  const minT = 1e-6 * Math.hypot(b[3] - b[0], b[4] - b[1], b[5] - b[2]);
+  for (let t = 0; t < triCount; t++) {
+    if (onProgress && t % progressStep === 0) onProgress(t, triCount);
+    const o = t * 9;
+    const ax = vertices[o + 3] - vertices[o]; const ay = vertices[o + 4] - vertices[o + 1]; const az = vertices[o + 5] - vertices[o + 2];
+    const bx = vertices[o + 6] - vertices[o]; const by = vertices[o + 7] - vertices[o + 1]; const bz = vertices[o + 8] - vertices[o + 2];
+    const nx = ay * bz - az * by; const ny = az * bx - ax * bz; const nz = ax * by - ay * bx;
+    const len = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (len === 0) continue;
+    const cx = (vertices[o] + vertices[o + 3] + vertices[o + 6]) / 3;
+    const cy = (vertices[o + 1] + vertices[o + 4] + vertices[o + 7]) / 3;
+    const cz = (vertices[o + 2] + vertices[o + 5] + vertices[o + 8]) / 3;
+    out[t] = traceRay(vertices, bvh, cx, cy, cz, -nx / len, -ny / len, -nz / len, t, minT);
+  }
+  if (onProgress) onProgress(triCount, triCount);
+  return out;
+}
+
+function triangleArea(vertices, t) {
+  const o = t * 9;
+  const ax = vertices[o + 3] - vertices[o]; const ay = vertices[o + 4] - vertices[o + 1]; const az = vertices[o + 5] - vertices[o + 2];
+  const bx = vertices[o + 6] - vertices[o]; const by = vertices[o + 7] - vertices[o + 1]; const bz = vertices[o + 8] - vertices[o + 2];
+  const cx = ay * bz - az * by; const cy = az * bx - ax * bz; const cz = ax * by - ay * bx;
+  return Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+}
+
+/**
+ * Thin-wall summary for a nozzle: thinnest wall, and the surface area below one nozzle and
+ * below PERIMETERS nozzle widths.
+ * @param {Float32Array} vertices - the measured vertices
+ * @param {number} triCount
+ * @param {Float32Array} thickness - from measureWallThickness
+ * @param {number} [nozzleMm]
+ * @returns {{ nozzleMm: number, limitMm: number, minMm: number|null, belowNozzleAreaMm2: number,
+ *   belowLimitAreaMm2: number, measuredTriangles: number }} minMm null when no ray hit anything
+ */
+export function summarizeWallThickness(vertices, triCount, thickness, nozzleMm = DEFAULT_NOZZLE_MM) {
+  const limitMm = nozzleMm * PERIMETERS;
+  let minMm = Infinity;
+  let belowNozzleAreaMm2 = 0;
+  let belowLimitAreaMm2 = 0;
+  let measuredTriangles = 0;
+  for (let t = 0; t < triCount; t++) {
+    const d = thickness[t];
+    if (d === Infinity) continue;
+    measuredTriangles++;
+    if (d < minMm) minMm = d;
+    if (d < limitMm) {
+      const area = triangleArea(vertices, t);
+      belowLimitAreaMm2 += area;
+      if (d < nozzleMm) belowNozzleAreaMm2 += area;
+    }
+  }
+  return {
+    nozzleMm,
+    limitMm,
+    minMm: minMm === Infinity ? null : minMm,
+    belowNozzleAreaMm2,
+    belowLimitAreaMm2,
+    measuredTriangles
+  };
+}
+
+/**
+ * Heatmap for the thin faces only: solid red below one nozzle, orange to yellow up to PERIMETERS nozzles.
+ * @param {Float32Array} thickness - from measureWallThickness
+ * @param {number} [nozzleMm]
+ * @param {Object} [palette] - RGB 0–255, see THICKNESS_PALETTE
+ * @returns {{ triangles: Uint32Array, colors: Uint8Array }} colors: RGB per listed triangle
+ */
+export function thicknessHeatmap(thickness, nozzleMm = DEFAULT_NOZZLE_MM, palette = THICKNESS_PALETTE) {
+  const limitMm = nozzleMm * PERIMETERS;
+  const triangles = [];
+  for (let t = 0; t < thickness.length; t++) {
+    if (thickness[t] < limitMm) triangles.push(t);
+  }
+  const colors = new Uint8Array(triangles.length * 3);
+  triangles.forEach(function (t, i) {
+    const d = thickness[t];
+    if (d < nozzleMm) {
+      colors.set(palette.belowNozzle, i * 3);
+      return;
+    }
+    const f = (d - nozzleMm) / (limitMm - nozzleMm);
+    for (let c = 0; c < 3; c++) {
+      colors[i * 3 + c] = Math.round(palette.thin[c] + (palette.nearLimit[c] - palette.thin[c]) * f);
+    }
+  });
+  return { triangles: Uint32Array.from(triangles), colors };
+}
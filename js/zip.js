@@ -0,0 +1,189 @@
+/**
+ * zip.js — Minimal ZIP reader and writer (stored + deflate) for 3MF packages and batch downloads.
+ * Uses the native DecompressionStream/CompressionStream; nothing is fetched over the network.
+ * ZIP64 archives are not supported.
+ */
+
+const ZIP = (function () {
+  'use strict';
+
+  const SIG_EOCD = 0x06054b50;
+  const SIG_CENTRAL = 0x02014b50;
+  const SIG_LOCAL = 0x04034b50;
+
+  /**
+   * Locate the end-of-central-directory record (scans back over a trailing comment).
+   */
+  function findEOCD(view) {
+    const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let i = view.byteLength - 22; i >= minOffset; i--) {
+      if (view.getUint32(i, true) === SIG_EOCD) return i;
+    }
+    throw new Error('Not a ZIP archive: end of central directory not found');
+  }
+
+  /**
+   * List entries from the central directory.
+   * @param {ArrayBuffer} arrayBuffer
+   * @returns {{ name: string, method: number, compressedSize: number, size: number, localOffset: number }[]}
+   */
+  function readEntries(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    const eocd = findEOCD(view);
+    const count = view.getUint16(eocd + 10, true);
+    let p = view.getUint32(eocd + 16, true);
+    if (p === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const decoder = new TextDecoder('utf-8');
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(p, true) !== SIG_CENTRAL) {
+        throw new Error('Corrupt ZIP: bad central directory entry ' + i);
+      }
+      const nameLen = view.getUint16(p + 28, true);
+      const extraLen = view.getUint16(p + 30, true);
+      const commentLen = view.getUint16(p + 32, true);
+      entries.push({
+        name: decoder.decode(new Uint8Array(arrayBuffer, p + 46, nameLen)),
+        method: view.getUint16(p + 10, true),
+        compressedSize: view.getUint32(p + 20, true),
+        size: view.getUint32(p + 24, true),
+        localOffset: view.getUint32(p + 42, true)
+      });
+      p += 46 + nameLen + extraLen + commentLen;
+    }
+    return entries;
+  }
+
+  /**
+   * Find an entry by path. Leading slashes and letter case are ignored (3MF part names are case-insensitive).
+   */
+  function findEntry(entries, path) {
+    const wanted = path.replace(/^\/+/, '').toLowerCase();
+    return entries.find(e => e.name.replace(/^\/+/, '').toLowerCase() === wanted) || null;
+  }
+
+  async function inflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Extract one entry's bytes.
+   * @param {ArrayBuffer} arrayBuffer
+   * @param {Object} entry - from readEntries
+   * @returns {Promise<Uint8Array>}
+   */
+  async function extract(arrayBuffer, entry) {
+    const view = new DataView(arrayBuffer);
+    const p = entry.localOffset;
+    if (view.getUint32(p, true) !== SIG_LOCAL) {
+      throw new Error('Corrupt ZIP: bad local header for ' + entry.name);
+    }
+    const dataStart = p + 30 + view.getUint16(p + 26, true) + view.getUint16(p + 28, true);
+    const data = new Uint8Array(arrayBuffer, dataStart, entry.compressedSize);
+    if (entry.method === 0) return data.slice();
+    if (entry.method === 8) return inflateRaw(data);
+    throw new Error('Unsupported ZIP compression method ' + entry.method + ' for ' + entry.name);
+  }
+
+  let crcTable = null;
+
+  function crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  async function deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  function dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Build a ZIP archive. Entries are deflated when CompressionStream exists and it helps.
+   * @param {{ name: string, data: Uint8Array }[]} files
+   * @returns {Promise<Blob>}
+   */
+  async function build(files) {
+    const encoder = new TextEncoder();
+    const stamp = dosDateTime(new Date());
+    const canDeflate = typeof CompressionStream !== 'undefined';
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const crc = crc32(file.data);
+      let data = file.data;
+      let method = 0;
+      if (canDeflate) {
+        const deflated = await deflateRaw(file.data);
+        if (deflated.length < data.length) {
+          data = deflated;
+          method = 8;
+        }
+      }
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, SIG_LOCAL, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, method, true);
+      local.setUint16(10, stamp.time, true);
+      local.setUint16(12, stamp.date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, file.data.length, true);
+      local.setUint16(26, name.length, true);
+      parts.push(local.buffer, name, data);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, SIG_CENTRAL, true);
+      entry.setUint16(4, 20, true);
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, method, true);
+      entry.setUint16(12, stamp.time, true);
+      entry.setUint16(14, stamp.date, true);
+      entry.setUint32(16, crc, true);
+      entry.setUint32(20, data.length, true);
+      entry.setUint32(24, file.data.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true);
+      central.push(entry.buffer, name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const eocd = new DataView(new ArrayBuffer(22));
+    eocd.setUint32(0, SIG_EOCD, true);
+    eocd.setUint16(8, files.length, true);
+    eocd.setUint16(10, files.length, true);
+    eocd.setUint32(12, centralSize, true);
+    eocd.setUint32(16, offset, true);
+
+    return new Blob(parts.concat(central, [eocd.buffer]), { type: 'application/zip' });
+  }
+
+  const api = { readEntries, findEntry, extract, build, crc32 };
+  globalThis.ZIP = api;
+  return api;
+})();
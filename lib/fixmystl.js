@@ -0,0 +1,356 @@
+/**
+ * fixmystl.js — Headless FixMySTL for Node.
+ * Loads the same parser, geometry, fit and estimate modules the web app uses, so analyze()
+ * reports the same fit, volume, cost and overhang numbers as the Model Info and Pre-Slicer cards.
+ */
+
+import { createWriteStream } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import { once } from 'node:events';
+import path from 'node:path';
+
+// Classic scripts shared with the browser: each registers its API on globalThis.
+// Order matters as in index.html (OBJ/PLY/3MF parsers read STLParser and ZIP).
+import '../js/geometry.js';
+import '../js/printerFit.js';
+import '../js/meshCheck.js';
+import '../js/meshRepair.js';
+import '../js/stlParser.js';
+import '../js/objParser.js';
+import '../js/plyParser.js';
+import '../js/zip.js';
+import '../js/threeMFParser.js';
+import '../js/stlExporter.js';
+import { MATERIALS, SHELL_PRESETS, FLOW_PROFILES, computeEstimates } from '../js/camTools.js';
+import { findOrientations } from '../js/autoOrient.js';
+import { measureWallThickness, summarizeWallThickness, DEFAULT_NOZZLE_MM, PERIMETERS } from '../js/wallThickness.js';
+
+export const {
+  GEOMETRY,
+  PrinterFit,
+  MeshCheck,
+  MeshRepair,
+  STLParser,
+  OBJParser,
+  PLYParser,
+  ThreeMFParser,
+  STLExporter
+} = globalThis;
+
+/** Pre-Slicer card defaults. */
+export const DEFAULT_ESTIMATE_OPTIONS = {
+  material: 'pla',
+  infill: 15,
+  quality: 'normal',
+  speed: 'normal',
+  filamentDia: 1.75,
+  pricePerKg: 20,
+  overhangThreshold: 60
+};
+
+/**
+ * Parse a model from its bytes; the extension picks the parser, as in the web app.
+ * @param {ArrayBuffer} arrayBuffer
+ * @param {string} filename
+ * @param {{ recover?: boolean }} [options] - STL recovery mode
+ * @returns {Promise<Object>} STLParser result shape
+ */
+export async function parseModel(arrayBuffer, filename, options) {
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  if (ext === '3mf') return ThreeMFParser.parse(arrayBuffer, arrayBuffer.byteLength);
+  if (ext === 'obj') return OBJParser.parse(arrayBuffer, arrayBuffer.byteLength);
+  if (ext === 'ply') return PLYParser.parse(arrayBuffer, arrayBuffer.byteLength);
+  return STLParser.parse(arrayBuffer, arrayBuffer.byteLength, options);
+}
+
+/**
+ * Read and parse a model file.
+ * @param {string} filePath
+ * @param {{ recover?: boolean }} [options]
+ */
+export async function loadModel(filePath, options) {
+  const bytes = await readFile(filePath);
+  const arrayBuffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+  const model = await parseModel(arrayBuffer, filePath, options);
+  model.filename = path.basename(filePath);
+  return model;
+}
+
+/**
+ * Build volume from a preset key or an explicit { x, y, z }.
+ * @param {string|{ x, y, z }} printer
+ */
+export function resolveBuildVolume(printer) {
+  if (printer && typeof printer === 'object') {
+    return { key: 'custom', label: 'Custom', x: printer.x, y: printer.y, z: printer.z };
+  }
+  const preset = PrinterFit.findPrinter(printer || 'ender3');
+  if (!preset || preset.custom) {
+    const keys = PrinterFit.PRINTERS.filter(p => !p.custom).map(p => p.key).join(', ');
+    throw new Error('Unknown printer "' + printer + '" (one of: ' + keys + ')');
+  }
+  return { key: preset.key, label: preset.label, x: preset.x, y: preset.y, z: preset.z };
+}
+
+/**
+ * Turn option keys (material, quality, speed) into the numbers computeEstimates() takes,
+ * using the same tables as the Pre-Slicer card.
+ * @param {Object} [options] - overrides for DEFAULT_ESTIMATE_OPTIONS; density overrides the material's
+ */
+export function resolveEstimateInputs(options) {
+  const o = { ...DEFAULT_ESTIMATE_OPTIONS, ...options };
+  const material = MATERIALS.find(m => m.key === o.material);
+  if (!material && o.density == null) {
+    throw new Error('Unknown material "' + o.material + '" (one of: ' + MATERIALS.map(m => m.key).join(', ') + ')');
+  }
+  const shell = SHELL_PRESETS.find(s => s.key === o.quality);
+  if (!shell) throw new Error('Unknown quality "' + o.quality + '" (one of: ' + SHELL_PRESETS.map(s => s.key).join(', ') + ')');
+  const flow = FLOW_PROFILES.find(f => f.key === o.speed);
+  if (!flow) throw new Error('Unknown speed "' + o.speed + '" (one of: ' + FLOW_PROFILES.map(f => f.key).join(', ') + ')');
+  return {
+    material: material ? material.key : 'custom',
+    density: o.density != null ? o.density : material.density,
+    infill: Math.max(0, Math.min(100, o.infill)),
+    shellMult: shell.mult,
+    filamentDia: o.filamentDia,
+    pricePerKg: o.pricePerKg,
+    flow: flow.flow,
+    overhangThreshold: o.overhangThreshold
+  };
+}
+
+export { findOrientations, DEFAULT_NOZZLE_MM, PERIMETERS };
+
+/**
+ * Model Info, printer fit and Pre-Slicer estimates for a parsed model, in mm.
+ * @param {Object} model - from loadModel()/parseModel()
+ * @param {{ printer?: string|{ x, y, z }, estimate?: Object, orient?: boolean, thickness?: boolean, nozzleMm?: number }} [options]
+ *   orient: also search for better print orientations (see findOrientations);
+ *   thickness: also measure wall thickness against the nozzle (see wallThickness; unreliable as for the estimates)
+ * @returns {Object}
+ */
+export function analyzeModel(model, options) {
+  const opts = options || {};
+  const build = resolveBuildVolume(opts.printer);
+  const inputs = resolveEstimateInputs(opts.estimate);
+  const bbox = GEOMETRY.computeBbox(model.vertices, model.triangleCount);
+  const size = { x: bbox.size.x, y: bbox.size.y, z: bbox.size.z };
+  const volumeMm3 = GEOMETRY.computeVolume(model.vertices, model.triangleCount);
+  const estimates = volumeMm3 > 0
+    ? computeEstimates(model.vertices, model.triangleCount, volumeMm3, inputs)
+    : null;
+  const { shells, report } = MeshCheck.inspect(model.vertices, model.triangleCount);
+  const { faceFlags, boundarySlots, ...integrity } = report;
+
+  return {
+    filename: model.filename || null,
+    format: model.format,
+    triangles: model.triangleCount,
+    bbox: size,
+    volumeMm3,
+    printer: build,
+    fit: PrinterFit.computeFit(size, build),
+    material: inputs,
+    estimates,
+    // Same rule as the Pre-Slicer card.
+    estimatesUnreliable: MeshCheck.volumeUnreliable(integrity),
+    shells: Array.from({ length: shells.count }, function (_, i) {
+      const faces = GEOMETRY.shellTriangles(shells, i);
+      const verts = GEOMETRY.gatherTriangles(model.vertices, faces);
+      const b = GEOMETRY.computeBbox(verts, faces.length);
+      return {
+        triangles: faces.length,
+        bbox: { x: b.size.x, y: b.size.y, z: b.size.z },
+        volumeMm3: GEOMETRY.computeVolume(verts, faces.length)
+      };
+    }),
+    integrity,
+    mass: massProperties(model, inputs.density),
+    orientations: opts.orient
+      ? findOrientations(model.vertices, model.triangleCount, { build, thresholdDeg: inputs.overhangThreshold }).map(c => ({
+        score: c.score,
+        rotationDeg: GEOMETRY.rotationToEulerDeg(c.rotation),
+        down: c.down,
+        sources: c.sources,
+        zHeight: c.zHeight,
+        overhangPct: c.overhangPct,
+        contactAreaMm2: c.contactArea,
+        fit: c.fit
+      }))
+      : null,
+    // Rays only measure walls on a closed, outward-wound mesh: same rule as the estimates.
+    wallThickness: opts.thickness
+      ? { ...wallThickness(model, opts.nozzleMm), unreliable: MeshCheck.volumeUnreliable(integrity) }
+      : null,
+    provenance: model.provenance || null,
+    diagnostics: (model.diagnostics || []).concat(MeshCheck.diagnostics(report))
+  };
+}
+
+/**
+ * Surface area, center of mass and inertia (see GEOMETRY.computeMassProperties) for a material density.
+ * @param {Object} model
+ * @param {number} density - g/cm³
+ * @returns {{ areaMm2: number, centroidMm: { x, y, z }|null, solidMassG: number,
+ *   inertiaGmm2: number[]|null, principal: { momentsGmm2: number[], axes: number[][] }|null }}
+ *   inertia row-major about the center of mass, for a solid part
+ */
+export function massProperties(model, density) {
+  const props = GEOMETRY.computeMassProperties(model.vertices, model.triangleCount);
+  const solid = GEOMETRY.solidMass(props, density);
+  return {
+    areaMm2: props.area,
+    centroidMm: props.centroid,
+    solidMassG: solid.massG,
+    inertiaGmm2: solid.inertia,
+    principal: solid.principal ? { momentsGmm2: solid.principal.moments, axes: solid.principal.axes } : null
+  };
+}
+
+/**
+ * Thinnest wall and the area of walls thinner than one nozzle and than PERIMETERS nozzles,
+ * measured by casting a ray inward from every face.
+ * @param {Object} model
+ * @param {number} [nozzleMm] - default DEFAULT_NOZZLE_MM
+ * @returns {{ nozzleMm: number, limitMm: number, minMm: number|null, belowNozzleAreaMm2: number,
+ *   belowLimitAreaMm2: number, measuredTriangles: number }}
+ */
+export function wallThickness(model, nozzleMm) {
+  const thickness = measureWallThickness(model.vertices, model.triangleCount);
+  return summarizeWallThickness(model.vertices, model.triangleCount, thickness, nozzleMm || DEFAULT_NOZZLE_MM);
+}
+
+/**
+ * Repaired copy of a model (see MeshRepair.repair), with colors and bodies carried over.
+ * The input model is not modified.
+ * @param {Object} model - from loadModel()/parseModel()
+ * @param {{ weldTolerance?: number, maxHoleEdges?: number }} [options]
+ * @returns {Object} model shape, plus repair: { summary, changes: string[], watertight: boolean }
+ */
+export function repairModel(model, options) {
+  const result = MeshRepair.repair(model.vertices, model.triangleCount, options);
+  return {
+    ...model,
+    vertices: result.vertices,
+    triangleCount: result.triangleCount,
+    colors: MeshRepair.remapColors(model.colors, result),
+    bodies: MeshRepair.remapBodies(model.bodies, result),
+    repair: {
+      summary: result.summary,
+      changes: MeshRepair.describe(result.summary),
+      watertight: result.after.watertight
+    }
+  };
+}
+
+/**
+ * Uniformly scaled copy of a model's vertices (about the origin, like the Scale card).
+ * @param {Object} model
+ * @param {number} factor
+ * @returns {Float32Array}
+ */
+export function scaleModel(model, factor) {
+  return GEOMETRY.scaleVertices(model.vertices, factor);
+}
+
+/**
+ * Mirrored copy of vertices across one axis through the bbox center, with winding flipped back so
+ * normals still point outward (like the Orientation card's Mirror buttons).
+ * @param {Float32Array} vertices
+ * @param {number} triangleCount
+ * @param {'x'|'y'|'z'} axis
+ * @returns {Float32Array}
+ */
+export function mirrorModel(vertices, triangleCount, axis) {
+  if (!GEOMETRY.MIRROR[axis]) throw new Error('Unknown mirror axis "' + axis + '" (one of: x, y, z)');
+  const center = GEOMETRY.computeCenter(GEOMETRY.computeBbox(vertices, triangleCount));
+  return GEOMETRY.flipWinding(GEOMETRY.rotateVerticesAboutCenter(vertices, center, GEOMETRY.MIRROR[axis]));
+}
+
+/**
+ * Placed copy of vertices (see GEOMETRY.placementShift), as the Scale card's Position controls do.
+ * @param {Float32Array} vertices
+ * @param {number} triangleCount
+ * @param {{ mode?: string, printer?: string|{ x, y, z }, offset?: { x, y, z } }} [options]
+ *   mode: one of GEOMETRY.PLACEMENTS (default 'none'); printer: bed for 'printer' (default ender3); offset in mm
+ * @returns {{ vertices: Float32Array, shift: { x, y, z } }}
+ */
+export function placeModel(vertices, triangleCount, options) {
+  const opts = options || {};
+  const mode = opts.mode || 'none';
+  if (!GEOMETRY.PLACEMENTS.includes(mode)) {
+    throw new Error('Unknown placement "' + mode + '" (one of: ' + GEOMETRY.PLACEMENTS.join(', ') + ')');
+  }
+  const build = mode === 'printer' ? resolveBuildVolume(opts.printer) : null;
+  const shift = GEOMETRY.placementShift(GEOMETRY.computeBbox(vertices, triangleCount), mode, build, opts.offset);
+  return { vertices: GEOMETRY.translateVertices(vertices, shift.x, shift.y, shift.z), shift };
+}
+
+/**
+ * Binary STL bytes, keeping per-facet colors when the model has them.
+ * @param {Float32Array} vertices
+ * @param {number} triangleCount
+ * @param {Object|null} [colors]
+ * @param {{ scaleFactor?, rotationMatrix?, mirror?, centered?, placement?, sourceFilename? }|null} [provenance] - header transform summary
+ * @returns {Uint8Array}
+ */
+export function toBinarySTL(vertices, triangleCount, colors, provenance) {
+  return new Uint8Array(STLExporter.buildBinarySTL(vertices, triangleCount, colors, provenance));
+}
+
+/**
+ * 3MF package bytes in millimeters, with FixMySTL metadata.
+ * @param {Float32Array} vertices
+ * @param {number} triangleCount
+ * @param {{ title?: string, sourceFilename?: string, scaleFactor?: number, bodies?: Object[]|null }} [options] - see STLExporter.build3MF
+ * @returns {Promise<Uint8Array>}
+ */
+export async function to3MF(vertices, triangleCount, options) {
+  const blob = await STLExporter.build3MF(vertices, triangleCount, options);
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Write ASCII STL to a file chunk by chunk, so large models are never held as one string.
+ * @param {string} filePath
+ * @param {Float32Array} vertices
+ * @param {number} triangleCount
+ * @param {{ solidName?: string, precision?: number, bodies?: Object[]|null }} [options] - see STLExporter.asciiSTLChunks
+ * @returns {Promise<void>}
+ */
+export function writeASCIISTL(filePath, vertices, triangleCount, options) {
+  return writeChunks(filePath, STLExporter.asciiSTLChunks(vertices, triangleCount, options));
+}
+
+/**
+ * Write Wavefront OBJ (welded vertices, mm) to a file chunk by chunk.
+ * @param {string} filePath
+ * @param {Float32Array} vertices
+ * @param {number} triangleCount
+ * @param {{ name?: string, normals?: boolean, weldTolerance?: number, bodies?: Object[]|null }} [options] - see STLExporter.objChunks
+ * @returns {Promise<void>}
+ */
+export function writeOBJ(filePath, vertices, triangleCount, options) {
+  return writeChunks(filePath, STLExporter.objChunks(vertices, triangleCount, options));
+}
+
+/**
+ * Binary glTF bytes (Y-up, meters on the root node).
+ * @param {Float32Array} vertices
+ * @param {number} triangleCount
+ * @param {Object} [options] - see STLExporter.buildGLB
+ * @returns {Uint8Array}
+ */
+export function toGLB(vertices, triangleCount, options) {
+  return new Uint8Array(STLExporter.buildGLB(vertices, triangleCount, options));
+}
+
+async function writeChunks(filePath, chunks) {
+  const out = createWriteStream(filePath);
+  const failed = once(out, 'error').then(([err]) => { throw err; });
+  for (const chunk of chunks) {
+    if (!out.write(chunk)) await Promise.race([once(out, 'drain'), failed]);
+  }
+  out.end();
+  await Promise.race([once(out, 'finish'), failed]);
+}
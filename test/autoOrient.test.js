@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findOrientations, mirrorModel, GEOMETRY } from '../lib/fixmystl.js';
+import { box, mesh } from './helpers.js';
+
+test('a tall post that does not fit the printer is laid down', function () {
+  const post = mesh(box([10, 10, 100]));
+  const found = findOrientations(post.vertices, post.triangleCount, { build: { x: 220, y: 220, z: 80 } });
+  const [best] = found;
+  assert.equal(best.zHeight, 10);
+  assert.equal(best.fit.status, 'fit');
+  assert.equal(best.overhangPct, 0);
+  assert.equal(best.contactArea, 1000);
+  const standing = found.find(c => c.sources.includes('current'));
+  assert.equal(standing.fit.status, 'exceed');
+  assert.ok(best.score > standing.score);
+});
+
+/** Steep square pyramid, 20 mm base on Z = 0, apex 40 mm up; outward winding. */
+function pyramid() {
+  const base = [[-10, -10, 0], [10, -10, 0], [10, 10, 0], [-10, 10, 0]];
+  const apex = [0, 0, 40];
+  const sides = base.map((a, i) => [a, base[(i + 1) % 4], apex]);
+  return mesh([...sides, [base[0], base[2], base[1]], [base[0], base[3], base[2]]].flat(2));
+}
+
+test('a pyramid balanced on its tip is turned base-down so its sides no longer overhang', function () {
+  const upright = pyramid();
+  const onTip = mirrorModel(upright.vertices, upright.triangleCount, 'z');
+  const found = findOrientations(onTip, upright.triangleCount, { limit: 10 });
+  const current = found.find(c => c.sources.includes('current'));
+  // Everything but the (now upward) base overhangs.
+  assert.ok(current.overhangPct > 75, 'sides overhang: ' + current.overhangPct);
+  const [best] = found;
+  assert.deepEqual(best.down.map(v => Math.round(v * 1e9) / 1e9), [0, 0, 1]);
+  assert.equal(best.overhangPct, 0);
+  assert.equal(Math.round(best.contactArea), 400);
+  assert.ok(best.score > current.score);
+});
+
+test('a quarter turn about Z is added when it makes the part fit the bed', function () {
+  const plate = mesh(box([30, 200, 10]));
+  const [best] = findOrientations(plate.vertices, plate.triangleCount, { build: { x: 220, y: 100, z: 250 }, limit: 1 });
+  assert.deepEqual(best.size, { x: 200, y: 30, z: 10 });
+  assert.equal(best.fit.status, 'fit');
+  const turned = GEOMETRY.rotateVerticesAboutCenter(plate.vertices, { x: 0, y: 0, z: 0 }, best.rotation);
+  const size = GEOMETRY.computeBbox(turned, plate.triangleCount).size;
+  assert.deepEqual([size.x, size.y, size.z].map(Math.round), [200, 30, 10]);
+});
+
+test('an empty model has no candidates', function () {
+  assert.deepEqual(findOrientations(new Float32Array(0), 0), []);
+});
@@ -0,0 +1,99 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { STLParser } from '../lib/fixmystl.js';
+import { box, binarySTL, toArrayBuffer } from './helpers.js';
+
+const CLI = fileURLToPath(new URL('../bin/fixmystl.js', import.meta.url));
+
+let dir;
+let cube;
+
+before(async function () {
+  dir = await mkdtemp(path.join(os.tmpdir(), 'fixmystl-cli-'));
+  cube = path.join(dir, 'cube.stl');
+  await writeFile(cube, new Uint8Array(binarySTL(box([10, 10, 10]))));
+});
+
+after(async function () {
+  await rm(dir, { recursive: true, force: true });
+});
+
+/** Run the CLI; resolves with { code, stdout, stderr } whatever the exit code. */
+function run(...args) {
+  return new Promise(function (resolve) {
+    execFile(process.execPath, [CLI, ...args], { timeout: 60000 }, function (err, stdout, stderr) {
+      resolve({ code: err ? err.code : 0, stdout, stderr });
+    });
+  });
+}
+
+const USAGE_ERRORS = [
+  [[], /^$/],
+  [['frobnicate'], /unknown command "frobnicate"/],
+  [['analyze', '--bogus'], /Unknown option '--bogus'/],
+  [['analyze'], /analyze needs at least one file/],
+  [['analyze', 'x.stl', '--nozzle', '0.6'], /--nozzle only applies with --thickness/],
+  [['analyze', 'x.stl', '--thickness', '--nozzle', '0'], /--nozzle must be greater than 0/],
+  [['analyze', 'x.stl', '--infill', 'lots'], /--infill must be a number/],
+  [['analyze', 'x.stl', '--build-volume', '300x300'], /--build-volume must look like/],
+  [['analyze', 'x.stl', '--printer', 'nope'], /Unknown printer "nope"/],
+  [['analyze', 'x.stl', '--material', 'wood'], /Unknown material "wood"/],
+  [['scale', 'a.stl', 'b.stl', '--factor', '2'], /scale takes exactly one file/],
+  [['scale', 'a.stl'], /scale needs --factor greater than 0/],
+  [['scale', 'a.stl', '--factor=-1'], /scale needs --factor greater than 0/],
+  [['scale', 'a.stl', '--factor', '2', '--precision', '12'], /--precision must be between 1 and 9/],
+  [['scale', 'a.stl', '--factor', '2', '--max-hole', '2'], /--max-hole must be at least 3/],
+  [['scale', 'a.stl', '--factor', '2', '--mirror', 'w'], /--mirror must be x, y or z/],
+  [['scale', 'a.stl', '--factor', '2', '--place', 'moon'], /--place must be origin, bed or printer/],
+  [['scale', 'a.stl', '--factor', '2', '--offset', '1,2'], /--offset must look like 0,0,5/]
+];
+
+for (const [args, message] of USAGE_ERRORS) {
+  test('usage error: fixmystl ' + (args.join(' ') || '(no arguments)'), async function () {
+    const { code, stdout, stderr } = await run(...args);
+    assert.equal(code, 2);
+    if (args.length) {
+      assert.match(stderr, message);
+      assert.match(stderr, /Run "fixmystl --help" for usage/);
+    } else {
+      assert.match(stdout, /^Usage:/);
+    }
+  });
+}
+
+test('--help prints usage and exits 0', async function () {
+  const { code, stdout } = await run('--help');
+  assert.equal(code, 0);
+  assert.match(stdout, /fixmystl analyze <file>/);
+});
+
+test('analyze --json reports one object per file and exits 1 when a file fails', async function () {
+  const { code, stdout } = await run('analyze', cube, path.join(dir, 'missing.stl'), '--json', '--material', 'petg');
+  assert.equal(code, 1);
+  const [report, failure] = stdout.trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(report.filename, 'cube.stl');
+  assert.equal(report.triangles, 12);
+  assert.equal(Math.round(report.volumeMm3), 1000);
+  assert.equal(report.integrity.clean, true);
+  assert.equal(report.estimatesUnreliable, false);
+  assert.equal(report.material.material, 'petg');
+  assert.equal(failure.filename, 'missing.stl');
+  assert.match(failure.error, /ENOENT/);
+});
+
+test('scale writes a scaled binary STL with its transform in the header', async function () {
+  const out = path.join(dir, 'out.stl');
+  const { code, stderr } = await run('scale', cube, '--factor', '25.4', '--place', 'bed', '-o', out);
+  assert.equal(code, 0, stderr);
+  assert.match(stderr, /Wrote .*out\.stl \(12 triangles, ×25\.4\)/);
+  const bytes = await readFile(out);
+  const result = STLParser.parse(toArrayBuffer(bytes), bytes.length);
+  assert.equal(Math.max(...result.vertices), 254);
+  assert.equal(result.provenance.scaleFactor, 25.4);
+  assert.equal(result.provenance.placement, 'bed');
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STLExporter, STLParser, OBJParser, ThreeMFParser, GEOMETRY, toBinarySTL, to3MF, toGLB } from '../lib/fixmystl.js';
+import { box, mesh, textBuffer, toArrayBuffer, maxDifference } from './helpers.js';
+
+const PART = mesh(box([10, 20, 30], [-5, 1.25, 0]), box([2, 2, 2], [20, 0, 0]));
+
+test('binary STL round trip keeps vertices, VisCAM colors and the provenance header', function () {
+  const faces = new Uint8Array(PART.triangleCount * 4);
+  faces.set([248, 0, 128, 255], 0); // 5-bit channels survive exactly
+  const colors = { format: 'viscam', faces, defaultColor: null };
+  const provenance = {
+    scaleFactor: 25.4,
+    axisScale: { x: 1, y: 1.5, z: 1 },
+    rotationMatrix: GEOMETRY.axisRotation('z', 90),
+    mirror: 'x',
+    placement: 'bed',
+    sourceFilename: 'part.stl'
+  };
+  const bytes = toBinarySTL(PART.vertices, PART.triangleCount, colors, provenance);
+  const result = STLParser.parse(toArrayBuffer(bytes), bytes.length);
+  assert.deepEqual(Array.from(result.vertices), Array.from(PART.vertices));
+  assert.equal(result.colors.format, 'viscam');
+  assert.deepEqual(Array.from(result.colors.faces.subarray(0, 8)), [255, 0, 132, 255, 0, 0, 0, 0]);
+  assert.deepEqual(result.provenance, {
+    scaleFactor: 25.4,
+    axisScale: { x: 1, y: 1.5, z: 1 },
+    rotationDeg: { x: 0, y: 0, z: 90 },
+    mirror: 'x',
+    centered: false,
+    placement: 'bed',
+    filenameHash: STLExporter.filenameHash('part.stl')
+  });
+});
+
+test('provenance header stays within 80 bytes with a Materialise color tag', function () {
+  const text = STLExporter.provenanceHeader({
+    scaleFactor: 0.0393701,
+    axisScale: { x: 1.23456, y: 0.987654, z: 3.14159 },
+    rotationMatrix: GEOMETRY.eulerDegToRotation({ x: -123.456, y: 45.678, z: -170.123 }),
+    mirror: 'z',
+    placement: 'printer',
+    sourceFilename: 'a.stl'
+  });
+  assert.ok(text.length + ' COLOR='.length + 4 <= 80, text);
+});
+
+test('ASCII STL round trip keeps bodies and coordinates at the chosen precision', function () {
+  const bodies = [{ name: 'big', start: 0, count: 12 }, { name: 'small', start: 12, count: 12 }];
+  const text = Array.from(STLExporter.asciiSTLChunks(PART.vertices, PART.triangleCount, { bodies, precision: 6 })).join('');
+  const result = STLParser.parse(textBuffer(text), text.length);
+  assert.deepEqual(result.bodies, bodies);
+  assert.ok(maxDifference(result.vertices, PART.vertices) < 1e-5);
+  assert.deepEqual(result.diagnostics, []);
+});
+
+test('ASCII STL numbers use printf %e notation with a two-digit signed exponent', function () {
+  const triangle = new Float32Array([254, -0.5, 0, 1e20, -0.5, 0, 254, 0.00125, 0]);
+  const text = Array.from(STLExporter.asciiSTLChunks(triangle, 1, { solidName: 'part', precision: 6 })).join('');
+  assert.equal(text, [
+    'solid part',
+    '  facet normal 0.000000e+00 0.000000e+00 1.000000e+00',
+    '    outer loop',
+    '      vertex 2.540000e+02 -5.000000e-01 0.000000e+00',
+    '      vertex 1.000000e+20 -5.000000e-01 0.000000e+00',
+    '      vertex 2.540000e+02 1.250000e-03 0.000000e+00',
+    '    endloop',
+    '  endfacet',
+    'endsolid part',
+    ''
+  ].join('\n'));
+});
+
+test('3MF round trip keeps the mesh in millimeters and writes FixMySTL metadata', async function () {
+  const bytes = await to3MF(PART.vertices, PART.triangleCount, { title: 'part', sourceFilename: 'part.stl', scaleFactor: 2 });
+  const buffer = toArrayBuffer(bytes);
+  const result = await ThreeMFParser.parse(buffer, buffer.byteLength);
+  assert.equal(result.triangleCount, PART.triangleCount);
+  assert.ok(maxDifference(result.vertices, PART.vertices) < 1e-6);
+  const entry = globalThis.ZIP.findEntry(globalThis.ZIP.readEntries(buffer), '3D/3dmodel.model');
+  const xml = new TextDecoder().decode(await globalThis.ZIP.extract(buffer, entry));
+  assert.match(xml, /unit="millimeter"/);
+  assert.match(xml, /<metadata name="fixmystl:ScaleFactor" preserve="1">2<\/metadata>/);
+});
+
+test('OBJ round trip welds vertices and keeps faces and object names', function () {
+  const bodies = [{ name: 'big', start: 0, count: 12 }, { name: 'small', start: 12, count: 12 }];
+  const text = Array.from(STLExporter.objChunks(PART.vertices, PART.triangleCount, { bodies, normals: true })).join('');
+  assert.equal(text.split('\n').filter(l => l.startsWith('v ')).length, 16);
+  const result = OBJParser.parse(textBuffer(text), text.length);
+  assert.deepEqual(result.bodies, bodies);
+  assert.ok(maxDifference(result.vertices, PART.vertices) < 1e-6);
+});
+
+test('GLB holds an indexed mesh that expands back to the same triangles', function () {
+  const bytes = toGLB(PART.vertices, PART.triangleCount, { name: 'part', extras: { scaleFactor: 2 } });
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  assert.equal(view.getUint32(0, true), 0x46546c67); // 'glTF'
+  assert.equal(view.getUint32(8, true), bytes.length);
+  const jsonLength = view.getUint32(12, true);
+  const gltf = JSON.parse(new TextDecoder().decode(bytes.subarray(20, 20 + jsonLength)));
+  assert.deepEqual(gltf.asset.extras, { scaleFactor: 2 });
+  const bin = bytes.slice(28 + jsonLength).buffer;
+  const position = gltf.accessors[gltf.meshes[0].primitives[0].attributes.POSITION];
+  const indices = gltf.accessors[gltf.meshes[0].primitives[0].indices];
+  const positions = new Float32Array(bin, gltf.bufferViews[position.bufferView].byteOffset, position.count * 3);
+  const index = new Uint32Array(bin, gltf.bufferViews[indices.bufferView].byteOffset, indices.count);
+  assert.equal(position.count, 16);
+  assert.deepEqual(position.min, [-5, 0, 0]);
+  assert.deepEqual(position.max, [22, 21.25, 30]);
+  const expanded = new Float32Array(index.length * 3);
+  index.forEach((v, i) => expanded.set(positions.subarray(v * 3, v * 3 + 3), i * 3));
+  assert.deepEqual(Array.from(expanded), Array.from(PART.vertices));
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GEOMETRY } from '../lib/fixmystl.js';
+import { box, mesh } from './helpers.js';
+
+function assertClose(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, (message || '') + ' ' + actual + ' != ' + expected);
+}
+
+function assertInertia(inertia, diagonal, tolerance) {
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 3; j++) assertClose(inertia[i * 3 + j], i === j ? diagonal[i] : 0, tolerance, 'I[' + i + '][' + j + ']');
+  }
+}
+
+test('computeMassProperties: solid box', function () {
+  const cube = mesh(box([10, 20, 30], [1, 2, 3]));
+  const props = GEOMETRY.computeMassProperties(cube.vertices, cube.triangleCount);
+  assertClose(props.volume, 6000, 1e-6);
+  assertClose(props.area, 2200, 1e-6);
+  assertClose(props.centroid.x, 6, 1e-9);
+  assertClose(props.centroid.y, 12, 1e-9);
+  assertClose(props.centroid.z, 18, 1e-9);
+  // Solid cuboid: I_xx = V (b² + c²) / 12, …
+  assertInertia(props.inertia, [650000, 500000, 250000], 1e-3);
+  assert.deepEqual(props.principal.moments.map(Math.round), [250000, 500000, 650000]);
+});
+
+test('computeMassProperties: hollow box (outer shell minus an inward-facing cavity)', function () {
+  const hollow = mesh(box([20, 20, 20]), box([10, 10, 10], [5, 5, 5], true));
+  const props = GEOMETRY.computeMassProperties(hollow.vertices, hollow.triangleCount);
+  assertClose(props.volume, 7000, 1e-6);
+  assertClose(props.area, 3000, 1e-6);
+  assert.deepEqual([props.centroid.x, props.centroid.y, props.centroid.z].map(v => Math.round(v * 1e9) / 1e9), [10, 10, 10]);
+  const moment = (8000 * 800 - 1000 * 200) / 12;
+  assertInertia(props.inertia, [moment, moment, moment], 1e-3);
+});
+
+test('solidMass: density scaling, and an inside-out copy gives the same positive result', function () {
+  const cube = mesh(box([10, 20, 30]));
+  const inverted = mesh(box([10, 20, 30], null, true));
+  const a = GEOMETRY.solidMass(GEOMETRY.computeMassProperties(cube.vertices, cube.triangleCount), 1.24);
+  const b = GEOMETRY.solidMass(GEOMETRY.computeMassProperties(inverted.vertices, inverted.triangleCount), 1.24);
+  assertClose(a.massG, 7.44, 1e-9);
+  assert.equal(b.massG, a.massG);
+  assert.deepEqual(b.principal.moments.map(v => Math.round(v)), a.principal.moments.map(v => Math.round(v)));
+  assert.ok(b.principal.moments[0] > 0 && b.principal.moments[0] <= b.principal.moments[2]);
+});
+
+test('buildIndexedMesh: corners within the tolerance weld to the first one seen', function () {
+  // Two triangles sharing the edge (1,0,0)-(0,1,0); the second copy of (0,1,0) is 50 µm off.
+  const vertices = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 0, 0, 1, 1, 0, 0, 1.00005, 0]);
+  const welded = GEOMETRY.buildIndexedMesh(vertices, 2);
+  assert.equal(welded.tolerance, GEOMETRY.DEFAULT_WELD_TOLERANCE);
+  assert.equal(welded.vertexCount, 4);
+  assert.deepEqual(Array.from(welded.index), [0, 1, 2, 1, 3, 2]);
+  assert.deepEqual(Array.from(welded.positions.subarray(6, 9)), [0, 1, 0]);
+  const adjacency = GEOMETRY.buildEdgeAdjacency(welded);
+  assert.equal(adjacency.edgeCount, 5);
+
+  const exact = GEOMETRY.buildIndexedMesh(vertices, 2, 0);
+  assert.equal(exact.vertexCount, 5);
+  assert.deepEqual(Array.from(exact.index), [0, 1, 2, 1, 3, 4]);
+  assert.equal(GEOMETRY.buildEdgeAdjacency(exact).edgeCount, 6);
+});
+
+test('findShells: every shell\'s triangles in one array, sliced by offsets', function () {
+  const part = mesh(box([2, 2, 2], [10, 0, 0]).slice(0, 18), box([4, 4, 4]), box([2, 2, 2], [10, 0, 0]).slice(18));
+  const indexed = GEOMETRY.buildIndexedMesh(part.vertices, part.triangleCount);
+  const shells = GEOMETRY.findShells(indexed, GEOMETRY.buildEdgeAdjacency(indexed));
+  assert.equal(shells.count, 2);
+  assert.deepEqual(Array.from(shells.shellFaceOffsets), [0, 12, 24]);
+  assert.equal(shells.shellFaces.length, 24);
+  const first = [0, 1, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23];
+  assert.deepEqual(Array.from(GEOMETRY.shellTriangles(shells, 0)), first);
+  assert.deepEqual(Array.from(GEOMETRY.shellTriangles(shells, 1)), [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]);
+  assert.equal(GEOMETRY.shellTriangles(shells, 1).buffer, shells.shellFaces.buffer);
+  assert.deepEqual(first.map(t => shells.faceShell[t]), Array(12).fill(0));
+});
+
+test('coplanarRegion: a box side is the two triangles of that side', function () {
+  const part = mesh(box([10, 20, 30]));
+  const indexed = GEOMETRY.buildIndexedMesh(part.vertices, part.triangleCount);
+  const region = GEOMETRY.coplanarRegion(part.vertices, GEOMETRY.buildEdgeAdjacency(indexed), 1);
+  assert.deepEqual(Array.from(region.triangles), [0, 1]);
+  assert.deepEqual(region.normal, [0, 0, -1]);
+  assertClose(region.area, 200, 1e-9);
+});
+
+test('coplanarRegion: a neighbour bent by 0.5° is kept out by the plane distance, or by a tighter angle', function () {
+  const h = 10 * Math.tan(0.5 * Math.PI / 180);
+  const strip = mesh([
+    0, 0, 0, 10, 0, 0, 10, 10, 0, 0, 0, 0, 10, 10, 0, 0, 10, 0,
+    10, 0, 0, 20, 0, h, 20, 10, h, 10, 0, 0, 20, 10, h, 10, 10, 0
+  ]);
+  const indexed = GEOMETRY.buildIndexedMesh(strip.vertices, strip.triangleCount);
+  const adjacency = GEOMETRY.buildEdgeAdjacency(indexed);
+  const region = (options) => Array.from(GEOMETRY.coplanarRegion(strip.vertices, adjacency, 0, options).triangles);
+  assert.deepEqual(region(), [0, 1]);
+  assert.deepEqual(region({ distance: 1 }), [0, 1, 2, 3]);
+  assert.deepEqual(region({ distance: 1, angleDeg: 0.25 }), [0, 1]);
+});
+
+test('computeVolume is unsigned, computeSignedVolume is not', function () {
+  const inverted = mesh(box([2, 3, 4], null, true));
+  assertClose(GEOMETRY.computeSignedVolume(inverted.vertices, inverted.triangleCount), -24, 1e-9);
+  assertClose(GEOMETRY.computeVolume(inverted.vertices, inverted.triangleCount), 24, 1e-9);
+});
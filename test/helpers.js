@@ -0,0 +1,65 @@
+/**
+ * helpers.js — Shared fixtures for the node:test suite: small meshes built in code, so no binary files are checked in.
+ */
+
+import { GEOMETRY } from '../lib/fixmystl.js';
+
+const BOX_CORNERS = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0], [0, 0, 1], [1, 0, 1], [1, 1, 1], [0, 1, 1]];
+const BOX_FACES = [[0, 2, 1], [0, 3, 2], [4, 5, 6], [4, 6, 7], [0, 1, 5], [0, 5, 4], [1, 2, 6], [1, 6, 5], [2, 3, 7], [2, 7, 6], [3, 0, 4], [3, 4, 7]];
+
+/**
+ * Axis-aligned box as a triangle soup (12 triangles), wound outward unless inverted.
+ * @param {number[]} size - [x, y, z] in mm
+ * @param {number[]} [offset] - min corner
+ * @param {boolean} [inverted] - wind inward (a cavity, or an inside-out part)
+ * @returns {number[]}
+ */
+export function box(size, offset, inverted) {
+  const o = offset || [0, 0, 0];
+  const corners = BOX_CORNERS.map(c => c.map((v, i) => v * size[i] + o[i]));
+  return BOX_FACES.flatMap(f => (inverted ? [f[0], f[2], f[1]] : f).flatMap(i => corners[i]));
+}
+
+/**
+ * Concatenate triangle soups into one mesh.
+ * @param {...number[]} parts
+ * @returns {{ vertices: Float32Array, triangleCount: number }}
+ */
+export function mesh(...parts) {
+  const vertices = new Float32Array(parts.flat());
+  return { vertices, triangleCount: GEOMETRY.getTriangleCount(vertices) };
+}
+
+/**
+ * Minimal binary STL: zero normals, no colors.
+ * @param {Float32Array|number[]} vertices
+ * @param {{ headerCount?: number }} [options] - override the header triangle count
+ * @returns {ArrayBuffer}
+ */
+export function binarySTL(vertices, options) {
+  const n = vertices.length / 9;
+  const buffer = new ArrayBuffer(84 + n * 50);
+  const view = new DataView(buffer);
+  view.setUint32(80, options && options.headerCount != null ? options.headerCount : n, true);
+  for (let t = 0; t < n; t++) {
+    for (let k = 0; k < 9; k++) view.setFloat32(84 + t * 50 + 12 + k * 4, vertices[t * 9 + k], true);
+  }
+  return buffer;
+}
+
+/** @param {string} text @returns {ArrayBuffer} */
+export function textBuffer(text) {
+  return new TextEncoder().encode(text).buffer;
+}
+
+/** @param {Uint8Array|Buffer} bytes @returns {ArrayBuffer} exactly the bytes' range */
+export function toArrayBuffer(bytes) {
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
+
+/** Largest absolute difference between two equally long number arrays. */
+export function maxDifference(a, b) {
+  let max = 0;
+  for (let i = 0; i < a.length; i++) max = Math.max(max, Math.abs(a[i] - b[i]));
+  return max;
+}
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MeshCheck, GEOMETRY } from '../lib/fixmystl.js';
+import { box, mesh } from './helpers.js';
+
+function inspect(part) {
+  return MeshCheck.inspect(part.vertices, part.triangleCount).report;
+}
+
+/** A box with one triangle's winding reversed. */
+function oneFlipped() {
+  const soup = box([10, 10, 10]);
+  [soup[3], soup[4], soup[5], soup[6], soup[7], soup[8]] = [soup[6], soup[7], soup[8], soup[3], soup[4], soup[5]];
+  return mesh(soup);
+}
+
+test('a closed, outward box is clean', function () {
+  const report = inspect(mesh(box([10, 10, 10])));
+  assert.equal(report.clean, true);
+  assert.equal(report.shellCount, 1);
+  assert.deepEqual(MeshCheck.describe(report), []);
+  assert.equal(MeshCheck.volumeUnreliable(report), false);
+});
+
+test('an open box reports its hole and unreliable volume', function () {
+  const report = inspect(mesh(box([10, 10, 10]).slice(9)));
+  assert.equal(report.watertight, false);
+  assert.equal(report.boundaryEdges, 3);
+  assert.equal(report.holes, 1);
+  assert.equal(report.faceFlags.filter(f => f & MeshCheck.FLAG_BOUNDARY).length, 3);
+  assert.equal(report.boundarySlots.length, 3);
+  assert.match(MeshCheck.describe(report)[0], /Not watertight: 3 open edges in 1 hole/);
+  assert.equal(MeshCheck.volumeUnreliable(report), true);
+});
+
+test('an inside-out box is reported as inverted', function () {
+  const report = inspect(mesh(box([10, 10, 10], null, true)));
+  assert.equal(report.watertight, true);
+  assert.equal(report.invertedShells, 1);
+  assert.deepEqual(MeshCheck.describe(report), ['Normals point inward (inside-out mesh).']);
+  assert.equal(MeshCheck.volumeUnreliable(report), true);
+});
+
+test('a reversed triangle is reported as inconsistent winding', function () {
+  const report = inspect(oneFlipped());
+  assert.equal(report.inconsistentEdges, 3);
+  assert.equal(report.faceFlags.filter(f => f & MeshCheck.FLAG_WINDING).length, 4);
+});
+
+test('an inward-facing cavity is correct; an outward-facing one is inverted', function () {
+  const cavity = inspect(mesh(box([10, 10, 10]), box([4, 4, 4], [3, 3, 3], true)));
+  assert.equal(cavity.shellCount, 2);
+  assert.equal(cavity.invertedShells, 0);
+  assert.equal(cavity.clean, true);
+
+  const wrong = inspect(mesh(box([10, 10, 10]), box([4, 4, 4], [3, 3, 3])));
+  assert.equal(wrong.invertedShells, 1);
+  assert.deepEqual(MeshCheck.describe(wrong), ['Normals point inward (inside-out shell).']);
+});
+
+test('an island inside a cavity faces outward again', function () {
+  const report = inspect(mesh(box([10, 10, 10]), box([6, 6, 6], [2, 2, 2], true), box([2, 2, 2], [4, 4, 4]), box([3, 3, 3], [20, 0, 0])));
+  assert.equal(report.shellCount, 4);
+  assert.equal(report.invertedShells, 0);
+});
+
+test('degenerate and duplicate triangles are counted once each', function () {
+  const soup = box([10, 10, 10]);
+  const report = inspect(mesh(soup, soup.slice(0, 9), [0, 0, 0, 5, 0, 0, 10, 0, 0]));
+  assert.equal(report.duplicateTriangles, 1);
+  assert.equal(report.degenerateTriangles, 1);
+  assert.equal(report.watertight, true);
+  assert.equal(report.clean, false);
+});
+
+test('edges shared by three faces are non-manifold', function () {
+  const report = inspect(mesh(box([10, 10, 10]), [0, 0, 0, 10, 0, 0, 5, -5, -5]));
+  assert.equal(report.nonManifoldEdges, 1);
+  assert.equal(report.watertight, false);
+});
+
+/** Disjoint triangles scattered through a 100 mm cube: a broken "soup" export, one shell per triangle. */
+function soup(count) {
+  const vertices = new Float32Array(count * 9);
+  let seed = 1;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647 * 100;
+  for (let t = 0; t < count; t++) {
+    const x = random(); const y = random(); const z = random();
+    vertices.set([x, y, z, x + 0.3, y, z, x, y + 0.3, z + 0.1], t * 9);
+  }
+  return { vertices, triangleCount: count };
+}
+
+test('shell nesting is checked quickly on a soup at the shell limit', function () {
+  const part = soup(GEOMETRY.NESTING_SHELL_LIMIT);
+  const start = performance.now();
+  const report = inspect(part);
+  const elapsed = performance.now() - start;
+  assert.equal(report.shellCount, GEOMETRY.NESTING_SHELL_LIMIT);
+  assert.equal(report.nestingChecked, true);
+  assert.deepEqual(MeshCheck.diagnostics(report), []);
+  assert.ok(elapsed < 4000, 'took ' + Math.round(elapsed) + ' ms');
+});
+
+test('a 100k-triangle soup skips the nesting check and says so', function () {
+  const part = soup(100000);
+  const start = performance.now();
+  const report = inspect(part);
+  const elapsed = performance.now() - start;
+  assert.equal(report.shellCount, 100000);
+  assert.equal(report.nestingChecked, false);
+  assert.deepEqual(MeshCheck.diagnostics(report).map(d => [d.code, d.severity]), [['shell-nesting', 'warning']]);
+  assert.ok(elapsed < 10000, 'took ' + Math.round(elapsed) + ' ms');
+});
+
+test('cavities are still told apart among thousands of other shells', function () {
+  const scattered = soup(3000);
+  const part = mesh(Array.from(scattered.vertices), box([10, 10, 10], [200, 0, 0]), box([4, 4, 4], [203, 3, 3], true), box([4, 4, 4], [-50, 3, 3], true));
+  const check = MeshCheck.inspect(part.vertices, part.triangleCount);
+  assert.equal(check.report.nestingChecked, true);
+  // The cavity inside the box is fine; the lone inward box outside everything is inside out.
+  const orientation = GEOMETRY.shellOrientations(part.vertices, check.shells);
+  const last = check.shells.count - 1;
+  assert.deepEqual([orientation.depth[last - 1], orientation.inverted[last - 1]], [1, 0]);
+  assert.deepEqual([orientation.depth[last], orientation.inverted[last]], [0, 1]);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MeshRepair, GEOMETRY, repairModel } from '../lib/fixmystl.js';
+import { box, mesh } from './helpers.js';
+
+function repair(part, options) {
+  return MeshRepair.repair(part.vertices, part.triangleCount, options);
+}
+
+test('a clean mesh comes back unchanged', function () {
+  const part = mesh(box([10, 10, 10]));
+  const result = repair(part);
+  assert.deepEqual(Array.from(result.vertices), Array.from(part.vertices));
+  assert.deepEqual(MeshRepair.describe(result.summary), []);
+});
+
+test('a small hole is filled and the mesh becomes watertight', function () {
+  const result = repair(mesh(box([10, 10, 10]).slice(9)));
+  assert.equal(result.summary.holesFilled, 1);
+  assert.equal(result.summary.addedTriangles, 1);
+  assert.equal(result.after.watertight, true);
+  assert.equal(result.after.clean, true);
+  assert.equal(Math.round(GEOMETRY.computeSignedVolume(result.vertices, result.triangleCount)), 1000);
+  assert.deepEqual(Array.from(result.faceSource).filter(s => s < 0), [-1]);
+});
+
+test('holes larger than maxHoleEdges are left open', function () {
+  const result = repair(mesh(box([10, 10, 10]).slice(18)), { maxHoleEdges: 3 });
+  assert.equal(result.summary.holesSkipped, 1);
+  assert.equal(result.after.watertight, false);
+  assert.match(MeshRepair.describe(result.summary).join(' '), /Left 1 hole open \(larger than 3 edges/);
+});
+
+test('an inside-out box is turned outward', function () {
+  const result = repair(mesh(box([10, 10, 10], null, true)));
+  assert.equal(result.summary.shellsReversed, 1);
+  assert.equal(result.summary.flippedTriangles, 12);
+  assert.equal(result.after.invertedShells, 0);
+  assert.ok(GEOMETRY.computeSignedVolume(result.vertices, result.triangleCount) > 0);
+});
+
+test('a reversed triangle is flipped to match its neighbours', function () {
+  const soup = box([10, 10, 10]);
+  [soup[3], soup[4], soup[5], soup[6], soup[7], soup[8]] = [soup[6], soup[7], soup[8], soup[3], soup[4], soup[5]];
+  const result = repair(mesh(soup));
+  assert.equal(result.summary.flippedTriangles, 1);
+  assert.deepEqual(Array.from(result.flipped.subarray(0, 2)), [1, 0]);
+  assert.equal(result.after.clean, true);
+});
+
+test('a correctly wound cavity is left alone; a wrongly wound one is reversed', function () {
+  const ok = repair(mesh(box([10, 10, 10]), box([4, 4, 4], [3, 3, 3], true)));
+  assert.equal(ok.summary.flippedTriangles, 0);
+  const bad = repair(mesh(box([10, 10, 10]), box([4, 4, 4], [3, 3, 3])));
+  assert.equal(bad.summary.shellsReversed, 1);
+  assert.equal(bad.summary.flippedTriangles, 12);
+  assert.equal(Math.round(GEOMETRY.computeSignedVolume(bad.vertices, bad.triangleCount)), 1000 - 64);
+});
+
+test('degenerate and duplicate triangles are removed; colors and bodies follow the kept triangles', function () {
+  const soup = box([10, 10, 10]);
+  const part = mesh(soup.slice(0, 9), soup.slice(0, 9), [0, 0, 0, 5, 0, 0, 10, 0, 0], soup.slice(9));
+  const faces = new Uint8Array(part.triangleCount * 4);
+  for (let t = 0; t < part.triangleCount; t++) faces.set([t, 0, 0, 255], t * 4);
+  const model = {
+    ...part,
+    colors: { format: 'viscam', faces, defaultColor: null },
+    bodies: [{ name: 'a', start: 0, count: 3 }, { name: 'b', start: 3, count: 11 }]
+  };
+  const result = repairModel(model);
+  assert.equal(result.triangleCount, 12);
+  assert.equal(result.repair.summary.removedDuplicate, 1);
+  assert.equal(result.repair.summary.removedDegenerate, 1);
+  assert.equal(result.repair.watertight, true);
+  assert.deepEqual(Array.from(result.colors.faces.subarray(0, 8)), [0, 0, 0, 255, 3, 0, 0, 255]);
+  assert.deepEqual(result.bodies, [{ name: 'a', start: 0, count: 1 }, { name: 'b', start: 1, count: 11 }]);
+  assert.deepEqual(result.repair.changes, ['Removed 1 degenerate triangle.', 'Removed 1 duplicate triangle.']);
+});
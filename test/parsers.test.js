@@ -0,0 +1,193 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STLParser, OBJParser, PLYParser, ThreeMFParser, GEOMETRY, parseModel } from '../lib/fixmystl.js';
+import { box, binarySTL, textBuffer, maxDifference } from './helpers.js';
+
+const CUBE = new Float32Array(box([10, 20, 30]));
+
+function asciiFacet(v) {
+  return 'facet normal 0 0 0\nouter loop\n' +
+    [0, 3, 6].map(k => 'vertex ' + v[k] + ' ' + v[k + 1] + ' ' + v[k + 2] + '\n').join('') +
+    'endloop\nendfacet\n';
+}
+
+test('binary STL: triangles, count and format', function () {
+  const buffer = binarySTL(CUBE);
+  const result = STLParser.parse(buffer, buffer.byteLength);
+  assert.equal(result.format, 'binary');
+  assert.equal(result.triangleCount, 12);
+  assert.deepEqual(Array.from(result.vertices), Array.from(CUBE));
+  assert.deepEqual(result.diagnostics, []);
+});
+
+test('binary STL: a header count beyond the file fails strictly and is salvaged in recover mode', function () {
+  const buffer = binarySTL(CUBE, { headerCount: 20 });
+  assert.throws(() => STLParser.parse(buffer, buffer.byteLength), function (err) {
+    assert.match(err.message, /truncated/);
+    assert.equal(err.diagnostics[0].code, 'header-count');
+    return true;
+  });
+  const result = STLParser.parse(buffer, buffer.byteLength, { recover: true });
+  assert.equal(result.triangleCount, 12);
+  assert.equal(result.diagnostics[0].severity, 'warning');
+});
+
+test('binary STL: triangles with NaN/Infinity coordinates are dropped in strict and recover mode', function () {
+  const soup = CUBE.slice();
+  soup[9 + 4] = NaN;
+  soup[9 * 5] = Infinity;
+  const buffer = binarySTL(soup);
+  for (const recover of [false, true]) {
+    const result = STLParser.parse(buffer, buffer.byteLength, { recover });
+    assert.equal(result.triangleCount, 10);
+    assert.ok(result.vertices.every(Number.isFinite));
+    assert.deepEqual(result.diagnostics.map(d => [d.code, d.severity, d.byteOffset, d.count]),
+      [['non-finite', 'warning', 84 + 50, 2]]);
+  }
+});
+
+test('binary STL: the incremental parser accepts records split across chunks', function () {
+  const bytes = new Uint8Array(binarySTL(CUBE));
+  const parser = STLParser.createParser(bytes.slice(0, STLParser.HEAD_BYTES).buffer, bytes.length);
+  for (let i = 0; i < bytes.length; i += 37) parser.push(bytes.subarray(i, i + 37));
+  const result = parser.finish();
+  assert.equal(result.triangleCount, 12);
+  assert.deepEqual(Array.from(result.vertices), Array.from(CUBE));
+});
+
+test('ASCII STL: solid blocks become named bodies', function () {
+  const facets = (from, to) => Array.from({ length: to - from }, (_, i) => asciiFacet(CUBE.subarray((from + i) * 9))).join('');
+  const text = 'solid top\n' + facets(0, 4) + 'endsolid top\nsolid rest\n' + facets(4, 12) + 'endsolid rest\n';
+  const result = STLParser.parse(textBuffer(text), text.length);
+  assert.equal(result.format, 'ascii');
+  assert.equal(result.triangleCount, 12);
+  assert.deepEqual(result.bodies, [{ name: 'top', start: 0, count: 4 }, { name: 'rest', start: 4, count: 8 }]);
+  assert.equal(maxDifference(result.vertices, CUBE), 0);
+});
+
+test('ASCII STL: a solid left open before the next one is reported', function () {
+  const text = 'solid a\n' + asciiFacet(CUBE) + 'solid b\n' + asciiFacet(CUBE.subarray(9)) + 'endsolid b\n';
+  const result = STLParser.parse(textBuffer(text), text.length);
+  assert.deepEqual(result.diagnostics.map(d => [d.code, d.line]), [['missing-endsolid', 1]]);
+});
+
+test('ASCII STL: an incomplete facet fails strictly and is dropped in recover mode', function () {
+  const text = 'solid a\n' + asciiFacet(CUBE) +
+    'facet normal 0 0 0\nouter loop\nvertex 0 0 0\nvertex 1 0 0\nendloop\nendfacet\nendsolid a\n';
+  assert.throws(() => STLParser.parse(textBuffer(text), text.length), /vertex count/);
+  const result = STLParser.parse(textBuffer(text), text.length, { recover: true });
+  assert.equal(result.triangleCount, 1);
+  assert.ok(result.diagnostics.length > 0);
+});
+
+test('OBJ: negative indices count back from the latest vertex, quads are fanned, o/g become bodies', function () {
+  const text = [
+    'o first',
+    'v 0 0 0', 'v 1 0 0', 'v 1 1 0', 'v 0 1 0',
+    'f -4 -3 -2 -1',
+    'g second',
+    'v 0 0 5', 'v 1 0 5', 'v 0 1 5',
+    'f 5/1/1 6//1 -1'
+  ].join('\n');
+  const result = OBJParser.parse(textBuffer(text), text.length);
+  assert.equal(result.triangleCount, 3);
+  assert.deepEqual(Array.from(result.vertices), [
+    0, 0, 0, 1, 0, 0, 1, 1, 0,
+    0, 0, 0, 1, 1, 0, 0, 1, 0,
+    0, 0, 5, 1, 0, 5, 0, 1, 5
+  ]);
+  assert.deepEqual(result.bodies, [{ name: 'first', start: 0, count: 2 }, { name: 'second', start: 2, count: 1 }]);
+});
+
+test('OBJ: an index before the first vertex is an error', function () {
+  const text = 'v 0 0 0\nv 1 0 0\nf -1 -2 -3\n';
+  assert.throws(() => OBJParser.parse(textBuffer(text), text.length), /before the first vertex/);
+});
+
+/** PLY with one quad (two triangles after fanning) and per-vertex colors. */
+function plyQuad(format) {
+  const positions = [[0, 0, 0], [2, 0, 0], [2, 3, 0], [0, 3, 0]];
+  const colors = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [9, 9, 9]];
+  const header = 'ply\nformat ' + format + ' 1.0\ncomment test\n' +
+    'element vertex 4\nproperty float x\nproperty float y\nproperty float z\n' +
+    'property uchar red\nproperty uchar green\nproperty uchar blue\n' +
+    'element face 1\nproperty list uchar int vertex_indices\nend_header\n';
+  if (format === 'ascii') {
+    const body = positions.map((p, i) => p.concat(colors[i]).join(' ')).join('\n') + '\n4 0 1 2 3\n';
+    return textBuffer(header + body);
+  }
+  const littleEndian = format === 'binary_little_endian';
+  const head = new TextEncoder().encode(header);
+  const bytes = new Uint8Array(head.length + 4 * 15 + 1 + 16);
+  bytes.set(head);
+  const view = new DataView(bytes.buffer);
+  let p = head.length;
+  positions.forEach(function (pos, i) {
+    for (const v of pos) { view.setFloat32(p, v, littleEndian); p += 4; }
+    for (const c of colors[i]) view.setUint8(p++, c);
+  });
+  view.setUint8(p++, 4);
+  for (const i of [0, 1, 2, 3]) { view.setInt32(p, i, littleEndian); p += 4; }
+  return bytes.buffer;
+}
+
+for (const format of ['ascii', 'binary_little_endian', 'binary_big_endian']) {
+  test('PLY ' + format + ': positions, fanned faces and per-vertex colors', function () {
+    const buffer = plyQuad(format);
+    const result = PLYParser.parse(buffer, buffer.byteLength);
+    assert.equal(result.format, 'ply');
+    assert.equal(result.triangleCount, 2);
+    assert.deepEqual(Array.from(result.vertices), [0, 0, 0, 2, 0, 0, 2, 3, 0, 0, 0, 0, 2, 3, 0, 0, 3, 0]);
+    assert.deepEqual(Array.from(result.colors.vertex.subarray(0, 9)), [255, 0, 0, 0, 255, 0, 0, 0, 255]);
+  });
+}
+
+test('PLY: a truncated binary body is an error', function () {
+  const buffer = plyQuad('binary_big_endian').slice(0, -3);
+  assert.throws(() => PLYParser.parse(buffer, buffer.byteLength), /truncated/);
+});
+
+/** 3MF package with one object placed by build items; the model part is written by hand. */
+async function package3MF(unit, items, components) {
+  const triangle = '<vertices><vertex x="0" y="0" z="0"/><vertex x="1" y="0" z="0"/><vertex x="0" y="1" z="0"/></vertices>' +
+    '<triangles><triangle v1="0" v2="1" v3="2"/></triangles>';
+  const xml = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<model unit="' + unit + '" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02"><resources>' +
+    '<object id="1" type="model"><mesh>' + triangle + '</mesh></object>' +
+    (components ? '<object id="2" type="model"><components>' + components + '</components></object>' : '') +
+    '</resources><build>' + items + '</build></model>';
+  const blob = await globalThis.ZIP.build([{ name: '3D/3dmodel.model', data: new TextEncoder().encode(xml) }]);
+  return blob.arrayBuffer();
+}
+
+test('3MF: coordinates are converted to mm from the model unit', async function () {
+  const buffer = await package3MF('inch', '<item objectid="1"/>');
+  const result = await ThreeMFParser.parse(buffer, buffer.byteLength);
+  assert.equal(result.triangleCount, 1);
+  assert.ok(maxDifference(result.vertices, [0, 0, 0, 25.4, 0, 0, 0, 25.4, 0]) < 1e-5);
+});
+
+test('3MF: build-item and component transforms are composed', async function () {
+  // Component: move +1 in X; item: scale X by 2, then move +10 in Z.
+  const buffer = await package3MF('millimeter',
+    '<item objectid="2" transform="2 0 0 0 1 0 0 0 1 0 0 10"/>',
+    '<component objectid="1" transform="1 0 0 0 1 0 0 0 1 1 0 0"/>');
+  const result = await ThreeMFParser.parse(buffer, buffer.byteLength);
+  assert.deepEqual(Array.from(result.vertices), [2, 0, 10, 4, 0, 10, 2, 1, 10]);
+});
+
+test('3MF: a mirroring transform keeps the triangle facing the same way', async function () {
+  const buffer = await package3MF('millimeter', '<item objectid="1" transform="-1 0 0 0 1 0 0 0 1 0 0 0"/>');
+  const result = await ThreeMFParser.parse(buffer, buffer.byteLength);
+  const v = result.vertices;
+  // Normal z of (v1 - v0) x (v2 - v0) stays +1 after the mirror.
+  const nz = (v[3] - v[0]) * (v[7] - v[1]) - (v[4] - v[1]) * (v[6] - v[0]);
+  assert.ok(nz > 0);
+});
+
+test('parseModel picks the parser from the file extension', async function () {
+  const text = 'v 0 0 0\nv 1 0 0\nv 0 1 0\nf 1 2 3\n';
+  const result = await parseModel(textBuffer(text), 'part.OBJ');
+  assert.equal(result.format, 'obj');
+  assert.equal(GEOMETRY.getTriangleCount(result.vertices), 1);
+});
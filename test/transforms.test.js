@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GEOMETRY, MeshCheck, PrinterFit, placeModel, mirrorModel } from '../lib/fixmystl.js';
+import { box, mesh } from './helpers.js';
+
+function apply(m, v) {
+  return [0, 1, 2].map(r => m[r * 3] * v[0] + m[r * 3 + 1] * v[1] + m[r * 3 + 2] * v[2]);
+}
+
+function assertVectorClose(actual, expected, tolerance) {
+  actual.forEach((v, i) => assert.ok(Math.abs(v - expected[i]) <= tolerance, actual + ' != ' + expected));
+}
+
+test('Euler angles survive a trip through the rotation matrix', function () {
+  for (const angles of [{ x: -123.456, y: 45.678, z: -170.123 }, { x: 10, y: -89, z: 179.5 }, { x: 0.001, y: 0, z: 0 }]) {
+    const back = GEOMETRY.rotationToEulerDeg(GEOMETRY.eulerDegToRotation(angles));
+    assertVectorClose([back.x, back.y, back.z], [angles.x, angles.y, angles.z], 1e-9);
+  }
+});
+
+test('Euler angles are applied X first, then Y, then Z', function () {
+  const m = GEOMETRY.eulerDegToRotation({ x: 90, y: 0, z: 90 });
+  // X turns +Y onto +Z, which Z leaves alone; X leaves +X alone and Z turns it onto +Y.
+  assertVectorClose(apply(m, [0, 1, 0]), [0, 0, 1], 1e-12);
+  assertVectorClose(apply(m, [1, 0, 0]), [0, 1, 0], 1e-12);
+});
+
+test('at y = ±90° the rotation is reported with x = 0 and still rebuilds the same matrix', function () {
+  const m = GEOMETRY.eulerDegToRotation({ x: 30, y: 90, z: 10 });
+  const angles = GEOMETRY.rotationToEulerDeg(m);
+  assert.equal(angles.x, 0);
+  assertVectorClose(GEOMETRY.eulerDegToRotation(angles), m, 1e-9);
+});
+
+test('rotationBetween turns one direction onto another, including the opposite one', function () {
+  for (const [from, to] of [[[1, 2, 3], [0, 0, -1]], [[0, 0, 5], [0, 0, -1]], [[1, 0, 0], [1, 0, 0]]]) {
+    const r = GEOMETRY.rotationBetween(from, to);
+    const len = Math.hypot(...from);
+    assertVectorClose(apply(r, from.map(v => v / len)), to, 1e-12);
+  }
+  assert.equal(GEOMETRY.rotationBetween([0, 0, 0], [0, 0, -1]), null);
+});
+
+/** A 10 × 20 × 30 box floating at (5, -40, 12). */
+const FLOATING = mesh(box([10, 20, 30], [5, -40, 12]));
+
+function bboxOf(vertices) {
+  const b = GEOMETRY.computeBbox(vertices, GEOMETRY.getTriangleCount(vertices));
+  return [b.min.x, b.min.y, b.min.z, b.max.x, b.max.y, b.max.z];
+}
+
+test('placement: origin centers the model, bed drops it to Z = 0, printer also centers it on the plate', function () {
+  const place = (mode, offset) => placeModel(FLOATING.vertices, FLOATING.triangleCount, { mode, printer: { x: 220, y: 200, z: 250 }, offset });
+  assert.deepEqual(bboxOf(place('none').vertices), [5, -40, 12, 15, -20, 42]);
+  assert.deepEqual(bboxOf(place('origin').vertices), [-5, -10, -15, 5, 10, 15]);
+  assert.deepEqual(bboxOf(place('bed').vertices), [5, -40, 0, 15, -20, 30]);
+  assert.deepEqual(bboxOf(place('printer').vertices), [105, 90, 0, 115, 110, 30]);
+  const moved = place('printer', { x: -100, y: 0, z: 5 });
+  assert.deepEqual(moved.shift, { x: 0, y: 130, z: -7 });
+  assert.deepEqual(bboxOf(moved.vertices), [5, 90, 5, 15, 110, 35]);
+});
+
+test('placement: an unknown mode is an error', function () {
+  assert.throws(() => placeModel(FLOATING.vertices, FLOATING.triangleCount, { mode: 'moon' }), /Unknown placement "moon"/);
+});
+
+for (const axis of ['x', 'y', 'z']) {
+  test('mirror ' + axis + ': the model flips in place and stays wound outward', function () {
+    const mirrored = mirrorModel(FLOATING.vertices, FLOATING.triangleCount, axis);
+    assert.deepEqual(bboxOf(mirrored), bboxOf(FLOATING.vertices));
+    const k = { x: 0, y: 1, z: 2 }[axis];
+    const center = (bboxOf(FLOATING.vertices)[k] + bboxOf(FLOATING.vertices)[k + 3]) / 2;
+    // The first corner of each triangle is kept by flipWinding, so it shows the reflection directly.
+    for (let t = 0; t < FLOATING.triangleCount; t++) assert.equal(mirrored[t * 9 + k], 2 * center - FLOATING.vertices[t * 9 + k]);
+    assert.equal(GEOMETRY.computeSignedVolume(mirrored, FLOATING.triangleCount), 6000);
+    const report = MeshCheck.inspect(mirrored, FLOATING.triangleCount).report;
+    assert.equal(report.clean, true);
+  });
+}
+
+test('mirroring a mirrored model gives the original back', function () {
+  const twice = mirrorModel(mirrorModel(FLOATING.vertices, FLOATING.triangleCount, 'y'), FLOATING.triangleCount, 'y');
+  assert.deepEqual(Array.from(twice), Array.from(FLOATING.vertices));
+  assert.throws(() => mirrorModel(FLOATING.vertices, FLOATING.triangleCount, 'w'), /Unknown mirror axis "w"/);
+});
+
+test('fitScaleFactor: the largest uniform scale that fits the build volume with a margin', function () {
+  const size = { x: 10, y: 20, z: 30 };
+  assert.equal(PrinterFit.fitScaleFactor(size, { x: 220, y: 220, z: 250 }), 250 / 30);
+  assert.equal(PrinterFit.fitScaleFactor(size, { x: 220, y: 220, z: 250 }, 10), 240 / 30);
+  assert.equal(PrinterFit.fitScaleFactor(size, { x: 220, y: 100, z: 250 }, 10), 90 / 20);
+  assert.equal(PrinterFit.fitScaleFactor(size, { x: 220, y: 220, z: 250 }, 220), null);
+  assert.equal(PrinterFit.fitScaleFactor({ x: 0, y: 0, z: 0 }, { x: 220, y: 220, z: 250 }), null);
+  const fitted = GEOMETRY.scaleVertices(FLOATING.vertices, PrinterFit.fitScaleFactor(size, { x: 100, y: 100, z: 100 }, 4));
+  const b = bboxOf(fitted);
+  assert.ok(Math.abs(b[5] - b[2] - 96) < 1e-4);
+});
+
+test('scaleVerticesAxes: each axis scales about the center, keeping the winding', function () {
+  const part = mesh(box([10, 20, 30]));
+  const scaled = GEOMETRY.scaleVerticesAxes(part.vertices, { x: 2, y: 1, z: 0.5 }, { x: 5, y: 10, z: 15 });
+  assert.deepEqual(bboxOf(scaled), [-5, 0, 7.5, 15, 20, 22.5]);
+  assert.equal(GEOMETRY.computeSignedVolume(scaled, part.triangleCount), 6000);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { measureWallThickness, summarizeWallThickness, thicknessHeatmap, THICKNESS_PALETTE } from '../js/wallThickness.js';
+import { wallThickness } from '../lib/fixmystl.js';
+import { box, mesh } from './helpers.js';
+
+/** A 10 × 10 × 0.5 mm plate: triangles 0-3 are the bottom and top, the rest the edges. */
+const PLATE = mesh(box([10, 10, 0.5]));
+
+function rounded(values) {
+  return Array.from(values, v => Math.round(v * 1e4) / 1e4);
+}
+
+test('each face measures the distance through the part to the opposite face', function () {
+  const thickness = measureWallThickness(PLATE.vertices, PLATE.triangleCount);
+  assert.deepEqual(rounded(thickness), [0.5, 0.5, 0.5, 0.5, 10, 10, 10, 10, 10, 10, 10, 10]);
+});
+
+test('a hollow box measures its wall, not the cavity', function () {
+  const hollow = mesh(box([12, 12, 12]), box([10, 10, 10], [1, 1, 1], true));
+  const thickness = measureWallThickness(hollow.vertices, hollow.triangleCount);
+  assert.deepEqual(rounded(thickness), Array(24).fill(1));
+});
+
+test('rays that escape an open mesh are Infinity and the summary has no minimum', function () {
+  const open = mesh([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  const thickness = measureWallThickness(open.vertices, open.triangleCount);
+  assert.deepEqual(Array.from(thickness), [Infinity]);
+  assert.deepEqual(summarizeWallThickness(open.vertices, open.triangleCount, thickness), {
+    nozzleMm: 0.4, limitMm: 0.8, minMm: null, belowNozzleAreaMm2: 0, belowLimitAreaMm2: 0, measuredTriangles: 0
+  });
+});
+
+test('the summary counts the area below one nozzle and below two', function () {
+  const thickness = measureWallThickness(PLATE.vertices, PLATE.triangleCount);
+  const at04 = summarizeWallThickness(PLATE.vertices, PLATE.triangleCount, thickness, 0.4);
+  assert.equal(Math.round(at04.minMm * 1e4) / 1e4, 0.5);
+  assert.equal(at04.belowNozzleAreaMm2, 0);
+  assert.equal(at04.belowLimitAreaMm2, 200);
+  assert.equal(at04.measuredTriangles, 12);
+  const at06 = wallThickness(PLATE, 0.6);
+  assert.equal(at06.limitMm, 1.2);
+  assert.equal(at06.belowNozzleAreaMm2, 200);
+});
+
+test('the heatmap lists only thin faces, red below one nozzle and on the orange ramp above', function () {
+  const thickness = Float32Array.of(0.25, 0.5, 0.625, 1, 5, Infinity);
+  const heat = thicknessHeatmap(thickness, 0.5);
+  assert.deepEqual(Array.from(heat.triangles), [0, 1, 2]);
+  const { belowNozzle, thin, nearLimit } = THICKNESS_PALETTE;
+  const quarter = thin.map((c, i) => Math.round(c + (nearLimit[i] - c) * 0.25));
+  assert.deepEqual(Array.from(heat.colors), [...belowNozzle, ...thin, ...quarter]);
+});
+
+test('progress is reported up to the triangle count', function () {
+  const calls = [];
+  measureWallThickness(PLATE.vertices, PLATE.triangleCount, { onProgress: (done, total) => calls.push([done, total]) });
+  assert.deepEqual(calls, [[0, 12], [12, 12]]);
+});